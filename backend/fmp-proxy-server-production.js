@@ -3,9 +3,28 @@ import express from 'express';
 import cors from 'cors';
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { randomUUID } from 'crypto';
+import path from 'path';
 import rateLimit from 'express-rate-limit';
-import NodeCache from 'node-cache';
 import Stripe from 'stripe';
+import { validateAssumptions } from './lib/wacc.js';
+import { computeAnalysisMetrics } from './lib/analysisPrompt.js';
+import { parsePeriod, selectReports } from './lib/periods.js';
+import { resolveProviderName, createProvider, getStatements, STATEMENTS, PROVIDERS, ProviderError, sendProviderError } from './lib/providers/index.js';
+import { loadCompanyData, companyCacheKey, COMPANY_PERIODS } from './lib/companyData.js';
+import { createPersistentCache, createCacheMiddleware, createCachedLoader } from './lib/cache.js';
+import { createAlphaVantageScheduler, DEFAULT_CALLS_PER_MINUTE, DEFAULT_CALLS_PER_DAY } from './lib/avScheduler.js';
+import { resolveLLMProviderName, validateModelSettings, createLLM, LLMError } from './lib/llm/index.js';
+import { openEventStream } from './lib/sse.js';
+import { SECTIONS, getSection, applicableSections, collectFindings, prepareAnalysisInput, runSection, runAnalysis } from './lib/sections/index.js';
+import { createUsageLedger, createUsageMeter, parseBudget } from './lib/usageLedger.js';
+import { crossCheckAnalysis } from './lib/crossCheck.js';
+import { saveCompanyFacts, summarizeCompanyFacts, loadCompanyFacts } from './lib/providers/sec.js';
+import { createTranscriptStore, importTranscripts, parseQuarter, resolveCitations } from './lib/transcripts.js';
+import { parseSymbol } from './lib/symbols.js';
+import { createAnnualReportStore, parseFiscalYear, resolveAnnualReportCitations } from './lib/annualReports.js';
+import { createDocumentKeyMiddleware } from './lib/documentStore.js';
+import { DEFAULT_FX_RATES, createFxTable, loadFxTable, parseCurrency, convertCompanyData } from './lib/fx.js';
 // import yahooFinance from 'yahoo-finance2'; // TEMPORARILY DISABLED due to v3 API issues
 
 dotenv.config();
@@ -25,36 +44,37 @@ if (process.env.NODE_ENV === 'production' && process.env.SENTRY_DSN) {
   });
 }
 
-// Initialize cache with 1 hour TTL (3600 seconds)
-// Financial data doesn't change frequently, so caching is safe
-const cache = new NodeCache({
-  stdTTL: 3600, // 1 hour default TTL
-  checkperiod: 600, // Check for expired keys every 10 minutes
-  useClones: false // Don't clone objects (better performance)
+// Persistent cache: survives restarts so we don't re-spend Alpha Vantage calls
+// TTLs are per endpoint (see CACHE_POLICIES in lib/cache.js)
+const cache = createPersistentCache({ dir: process.env.CACHE_DIR || '.cache' });
+cache.prune().then(removed => removed > 0 && console.log(`Pruned ${removed} expired cache entries`));
+
+// How long generated analysis sections are reused (default: the analysisSection cache policy)
+const analysisCacheTtl = Number(process.env.ANALYSIS_CACHE_TTL_HOURS) > 0
+  ? Number(process.env.ANALYSIS_CACHE_TTL_HOURS) * 60 * 60
+  : undefined;
+
+// Model usage ledger: tokens and cost of every analysis, checked against the
+// optional daily and monthly caps (see withLLM for what happens when one is reached)
+const usageLedger = createUsageLedger({
+  file: path.join(process.env.USAGE_DIR || '.usage', 'usage.jsonl'),
+  budgets: {
+    daily: parseBudget(process.env.LLM_DAILY_BUDGET_USD),
+    monthly: parseBudget(process.env.LLM_MONTHLY_BUDGET_USD)
+  }
 });
 
-const app = express();
-const PORT = process.env.PORT || 3001;
-
-// Currency formatting function
-const formatCurrency = (value, decimals = 1) => {
-  if (!value || isNaN(value) || value === 0) return '$0';
+// Earnings call transcripts, uploaded or imported per ticker and quarter (see lib/transcripts.js)
+const transcriptStore = createTranscriptStore({ dir: process.env.TRANSCRIPTS_DIR || '.transcripts' });
 
-  const absValue = Math.abs(value);
-  const sign = value < 0 ? '-' : '';
+// Uploaded 10-K documents per ticker and fiscal year (see lib/annualReports.js)
+const annualReportStore = createAnnualReportStore({ dir: process.env.ANNUAL_REPORTS_DIR || '.annual-reports' });
 
-  if (absValue >= 1e12) {
-    return `${sign}$${(absValue / 1e12).toFixed(decimals)}T`;
-  } else if (absValue >= 1e9) {
-    return `${sign}$${(absValue / 1e9).toFixed(decimals)}B`;
-  } else if (absValue >= 1e6) {
-    return `${sign}$${(absValue / 1e6).toFixed(decimals)}M`;
-  } else if (absValue >= 1e3) {
-    return `${sign}$${(absValue / 1e3).toFixed(decimals)}K`;
-  }
+// Exchange rates for currency conversion (see lib/fx.js)
+const fxTable = process.env.FX_RATES_FILE ? await loadFxTable(process.env.FX_RATES_FILE) : createFxTable(DEFAULT_FX_RATES);
 
-  return `${sign}$${absValue.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
-};
+const app = express();
+const PORT = process.env.PORT || 3001;
 
 // Trust proxy - Railway uses 1 proxy level
 app.set('trust proxy', 1);
@@ -98,7 +118,9 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json());
+// SEC companyfacts uploads run to tens of megabytes; their route parses its own body
+const jsonBody = express.json();
+app.use((req, res, next) => (req.path.startsWith('/api/sec/companyfacts/') ? next() : jsonBody(req, res, next)));
 
 // Rate limiting configuration
 const apiLimiter = rateLimit({
@@ -107,6 +129,7 @@ const apiLimiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  skip: (req) => req.path.startsWith('/queue/') // Polled while requests wait on Alpha Vantage
 });
 
 const strictLimiter = rateLimit({
@@ -120,98 +143,73 @@ const strictLimiter = rateLimit({
 // Apply rate limiting to all API routes
 app.use('/api/', apiLimiter);
 
-// Rate Limiting Queue for Alpha Vantage
-// Limit: 5 requests per minute (free tier). We'll go safe with 1 request every 15 seconds?
-// Wait, 1/15s = 4 requests/min. That's too slow (90s load time).
-// If the limit is a "bucket" of 5, we can burst 5, then wait.
-// But simpler: 1 request every 2 seconds = 30 requests/min ?? No.
-// 5 requests per minute = 1 request every 12 seconds.
-// THIS IS A HARD LIMIT. If we send 6, the 6th fails.
-//
-// Strategy:
-// 1. Process requests one by one.
-// 2. Enforce a minimum delay between requests to avoid "instant" bursts triggering anti-abuse.
-// 3. BUT strict compliance with 5/min means we cannot load the dashboard in < 60s.
-//    (Unless we used a paid key).
-//
-// COMPROMISE: We will allow a burst of 5 requests with 500ms spacing.
-// The 6th request will be delayed significantly or fail gracefully.
-// However, since we need 6 requests (Overview, Income, Balance, Cash, +2 others),
-// we will likely hit the limit for the 6th.
-//
-// Queue Logic: Serialize all requests. 
-const avQueue = [];
-let isProcessingQueue = false;
-const RATE_LIMIT_DELAY = 2000; // 2 seconds delay between requests (Safe-ish)
-
-const queuedFetch = (url) => {
-  return new Promise((resolve, reject) => {
-    avQueue.push({ url, resolve, reject });
-    processQueue();
-  });
-};
-
-const processQueue = async () => {
-  if (isProcessingQueue) return;
-  if (avQueue.length === 0) return;
-
-  isProcessingQueue = true;
-
-  while (avQueue.length > 0) {
-    const request = avQueue.shift();
-
-    try {
-      console.log(`Processing queued request: ${request.url.split('function=')[1]?.split('&')[0]}`);
-      const response = await fetch(request.url);
-
-      // Check for 429 inside the queue to retry? 
-      // For now, just pass the response back.
-      request.resolve(response);
-
-    } catch (error) {
-      request.reject(error);
-    }
-
-    // Wait before next request to respect rate limits
-    await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
-  }
+// Alpha Vantage scheduler: queues calls against the per-minute and per-day
+// quotas and retries throttled ones (see lib/avScheduler.js)
+const avScheduler = createAlphaVantageScheduler({
+  fetch,
+  callsPerMinute: Number(process.env.ALPHA_VANTAGE_CALLS_PER_MINUTE) || DEFAULT_CALLS_PER_MINUTE,
+  callsPerDay: Number(process.env.ALPHA_VANTAGE_CALLS_PER_DAY) || DEFAULT_CALLS_PER_DAY
+});
 
-  isProcessingQueue = false;
+// Requests are tagged with the client's id so it can poll /api/queue/:clientId;
+// streaming routes report queue waits themselves, so every request gets one
+const clientIdOf = (req) => {
+  req.clientId = req.clientId || req.get('X-Client-Request-Id') || randomUUID();
+  return req.clientId;
 };
 
-// Cache middleware - checks cache before proceeding to handler
-const cacheMiddleware = (req, res, next) => {
-  const cacheKey = req.originalUrl || req.url;
-  const cachedData = cache.get(cacheKey);
-
-  if (cachedData) {
-    console.log(`Cache hit: ${cacheKey}`);
-    return res.json(cachedData);
-  }
+// Queue an Alpha Vantage call on behalf of the requesting client
+const queuedFetch = (req, url) => avScheduler.schedule(url, { clientId: clientIdOf(req) });
 
-  // Store original res.json to intercept response
-  const originalJson = res.json.bind(res);
-  res.json = (data) => {
-    // Cache successful responses (status 200)
-    if (res.statusCode === 200) {
-      cache.set(cacheKey, data);
-      console.log(`Cached: ${cacheKey}`);
-    }
-    return originalJson(data);
-  };
-
-  next();
-};
+// Cache middleware - serves cached responses (fresh or stale-while-revalidate) before the handler
+const cacheMiddleware = createCacheMiddleware(cache);
+// /api/company entries are keyed by the normalized request (see companyCacheKey)
+const companyCacheMiddleware = createCacheMiddleware(cache, {
+  keyOf: req => companyCacheKey({ symbol: req.params.symbol, period: req.query.period, provider: req.query.provider })
+});
+// The same lookup for data a route uses itself rather than sends
+const loadCached = createCachedLoader(cache);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     alphaVantageConfigured: !!process.env.ALPHA_VANTAGE_API_KEY,
-    anthropicConfigured: !!process.env.ANTHROPIC_API_KEY
+    fmpConfigured: !!process.env.FMP_API_KEY,
+    dataProvider: resolveProviderName(undefined),
+    llmProvider: resolveLLMProviderName(undefined),
+    anthropicConfigured: !!process.env.ANTHROPIC_API_KEY,
+    openAICompatibleConfigured: !!process.env.OPENAI_BASE_URL
   });
 });
 
+// Queue position and estimated wait for a client's pending Alpha Vantage calls
+app.get('/api/queue/:clientId', (req, res) => {
+  res.json({ ...avScheduler.getStatus(req.params.clientId), quota: avScheduler.getQuota() });
+});
+
+// Model usage and cost between two UTC dates, with the current budget status
+// Query: from?, to? (YYYY-MM-DD, default the last 30 days)
+// Returns { from, to, totals, byDay, byTicker, byClient, budget }; clients known only by IP are listed
+// under a keyed hash of it (see createUsageLedger)
+app.get('/api/usage', async (req, res) => {
+  try {
+    const report = await usageLedger.report({ from: req.query.from, to: req.query.to });
+    res.json({ ...report, budget: await usageLedger.getBudgetStatus() });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to build usage report:', error);
+    res.status(500).json({ error: 'Failed to build usage report' });
+  }
+});
+
+// Cache hit/miss statistics
+app.get('/api/cache/stats', (req, res) => {
+  res.json(cache.getStats());
+});
+
 // Search for company ticker
 app.get('/api/av/search', cacheMiddleware, async (req, res) => {
   const { query } = req.query;
@@ -223,7 +221,7 @@ app.get('/api/av/search', cacheMiddleware, async (req, res) => {
 
   try {
     const url = `https://www.alphavantage.co/query?function=SYMBOL_SEARCH&keywords=${encodeURIComponent(query)}&apikey=${apiKey}`;
-    const response = await queuedFetch(url);
+    const response = await queuedFetch(req, url);
     const data = await response.json();
 
     if (data.Note || data.Information) {
@@ -232,8 +230,7 @@ app.get('/api/av/search', cacheMiddleware, async (req, res) => {
 
     res.json(data.bestMatches || []);
   } catch (error) {
-    console.error('Error searching company:', error);
-    res.status(500).json({ error: 'Failed to search company' });
+    sendProviderError(res, error, 'Failed to search company');
   }
 });
 
@@ -248,7 +245,7 @@ app.get('/api/av/overview/:symbol', cacheMiddleware, async (req, res) => {
 
   try {
     const url = `https://www.alphavantage.co/query?function=OVERVIEW&symbol=${symbol}&apikey=${apiKey}`;
-    const response = await queuedFetch(url);
+    const response = await queuedFetch(req, url);
     const data = await response.json();
 
     if (data.Note || data.Information) {
@@ -261,83 +258,94 @@ app.get('/api/av/overview/:symbol', cacheMiddleware, async (req, res) => {
 
     res.json([data]);
   } catch (error) {
-    console.error('Error fetching company data:', error);
-    res.status(500).json({ error: 'Failed to fetch company data' });
+    sendProviderError(res, error, 'Failed to fetch company data');
   }
 });
 
-// Fetch income statement
+// Fetch income statement (?period=annual|quarterly|ttm, default annual)
 app.get('/api/av/income-statement/:symbol', cacheMiddleware, async (req, res) => {
   const { symbol } = req.params;
+  const period = parsePeriod(req.query.period);
   const apiKey = process.env.ALPHA_VANTAGE_API_KEY;
 
   if (!apiKey) {
     return res.status(500).json({ error: 'Alpha Vantage API key not configured' });
   }
 
+  if (!period) {
+    return res.status(400).json({ error: 'Invalid period. Use annual, quarterly or ttm' });
+  }
+
   try {
     const url = `https://www.alphavantage.co/query?function=INCOME_STATEMENT&symbol=${symbol}&apikey=${apiKey}`;
-    const response = await queuedFetch(url);
+    const response = await queuedFetch(req, url);
     const data = await response.json();
 
     if (data.Note || data.Information) {
       return res.status(429).json({ error: 'API rate limit reached. Please wait a minute or check your daily limit.' });
     }
 
-    res.json(data.annualReports || []);
+    res.json(selectReports(data, period, { isFlow: true }));
   } catch (error) {
-    console.error('Error fetching income statement:', error);
-    res.status(500).json({ error: 'Failed to fetch income statement' });
+    sendProviderError(res, error, 'Failed to fetch income statement');
   }
 });
 
-// Fetch balance sheet
+// Fetch balance sheet (?period=annual|quarterly|ttm, default annual)
 app.get('/api/av/balance-sheet/:symbol', cacheMiddleware, async (req, res) => {
   const { symbol } = req.params;
+  const period = parsePeriod(req.query.period);
   const apiKey = process.env.ALPHA_VANTAGE_API_KEY;
 
   if (!apiKey) {
     return res.status(500).json({ error: 'Alpha Vantage API key not configured' });
   }
 
+  if (!period) {
+    return res.status(400).json({ error: 'Invalid period. Use annual, quarterly or ttm' });
+  }
+
   try {
     const url = `https://www.alphavantage.co/query?function=BALANCE_SHEET&symbol=${symbol}&apikey=${apiKey}`;
-    const response = await queuedFetch(url);
+    const response = await queuedFetch(req, url);
     const data = await response.json();
 
     if (data.Note || data.Information) {
       return res.status(429).json({ error: 'API rate limit reached. Please wait a minute or check your daily limit.' });
     }
 
-    res.json(data.annualReports || []);
+    res.json(selectReports(data, period, { isFlow: false }));
   } catch (error) {
-    console.error('Error fetching balance sheet:', error);
-    res.status(500).json({ error: 'Failed to fetch balance sheet' });
+    sendProviderError(res, error, 'Failed to fetch balance sheet');
   }
 });
 
-// Fetch cash flow statement
+// Fetch cash flow statement (?period=annual|quarterly|ttm, default annual)
 app.get('/api/av/cash-flow/:symbol', cacheMiddleware, async (req, res) => {
   const { symbol } = req.params;
+  const period = parsePeriod(req.query.period);
   const apiKey = process.env.ALPHA_VANTAGE_API_KEY;
 
   if (!apiKey) {
     return res.status(500).json({ error: 'Alpha Vantage API key not configured' });
   }
 
+  if (!period) {
+    return res.status(400).json({ error: 'Invalid period. Use annual, quarterly or ttm' });
+  }
+
   try {
     const url = `https://www.alphavantage.co/query?function=CASH_FLOW&symbol=${symbol}&apikey=${apiKey}`;
-    const response = await queuedFetch(url);
+    const response = await queuedFetch(req, url);
     const data = await response.json();
 
     if (data.Note || data.Information) {
       return res.status(429).json({ error: 'API rate limit reached. Please wait a minute or check your daily limit.' });
     }
 
-    res.json(data.annualReports || []);
+    res.json(selectReports(data, period, { isFlow: true }));
   } catch (error) {
-    console.error('Error fetching cash flow statement:', error);
-    res.status(500).json({ error: 'Failed to fetch cash flow statement' });
+    sendProviderError(res, error, 'Failed to fetch cash flow statement');
   }
 });
 
@@ -381,7 +389,7 @@ app.get('/api/earnings-transcript/:symbol', cacheMiddleware, async (req, res) =>
     }
 
     const url = `https://www.alphavantage.co/query?function=EARNINGS&symbol=${symbol}&apikey=${apiKey}`;
-    const response = await queuedFetch(url);
+    const response = await queuedFetch(req, url);
     const data = await response.json();
 
     if (data.Note) {
@@ -394,394 +402,715 @@ app.get('/api/earnings-transcript/:symbol', cacheMiddleware, async (req, res) =>
       annualEarnings: data.annualEarnings || []
     });
   } catch (error) {
-    console.error('Error fetching earnings data:', error);
-    res.status(500).json({ error: 'Failed to fetch earnings data' });
+    sendProviderError(res, error, 'Failed to fetch earnings data');
   }
 });
 
-// Analyze company using Anthropic API (with stricter rate limiting)
-app.post('/api/analyze', strictLimiter, async (req, res) => {
-  const { companyData } = req.body;
-  const apiKey = process.env.ANTHROPIC_API_KEY;
+// ==================== SEC COMPANYFACTS ====================
+// Files for the sec data provider (?provider=sec or DATA_PROVIDER=sec), stored as
+// <SEC_DATA_DIR>/<SYMBOL>/companyfacts.json (default LOCAL_DATA_DIR); see lib/providers/sec.js
 
-  if (!apiKey) {
-    return res.status(500).json({ error: 'Anthropic API key not configured' });
+const secDataDir = () => process.env.SEC_DATA_DIR || process.env.LOCAL_DATA_DIR;
+
+// What the stored companyfacts file covers: { symbol, cik, entityName, annualPeriods, quarterlyPeriods, missingFields }
+app.get('/api/sec/companyfacts/:symbol', async (req, res) => {
+  if (!secDataDir()) {
+    return res.status(500).json({ error: 'SEC_DATA_DIR or LOCAL_DATA_DIR is not configured' });
   }
 
-  if (!companyData) {
-    return res.status(400).json({ error: 'Company data is required' });
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    res.json(summarizeCompanyFacts(symbol, await loadCompanyFacts(secDataDir(), symbol)));
+  } catch (error) {
+    sendProviderError(res, error, 'Failed to read SEC companyfacts');
+  }
+});
+
+// Upload a companyfacts JSON document (as downloaded from data.sec.gov) for a symbol
+// Returns the summary as above; 422 when the document has no US-GAAP facts
+app.put('/api/sec/companyfacts/:symbol', express.json({ limit: '100mb' }), async (req, res) => {
+  if (!secDataDir()) {
+    return res.status(500).json({ error: 'SEC_DATA_DIR or LOCAL_DATA_DIR is not configured' });
+  }
+
+  try {
+    const summary = await saveCompanyFacts(secDataDir(), req.params.symbol, req.body);
+    // Cached SEC company data for the symbol predates the new filings
+    await Promise.all(COMPANY_PERIODS.map(period =>
+      cache.delete(companyCacheKey({ symbol: summary.symbol, period, provider: 'sec' }))));
+    res.json(summary);
+  } catch (error) {
+    sendProviderError(res, error, 'Failed to import SEC companyfacts');
+  }
+});
+
+// ==================== EARNINGS CALL TRANSCRIPTS ====================
+// Stored transcripts are quoted to the earnings section of every analysis of the ticker
+
+// Validate :symbol and :quarter into req.documentKey
+const withTranscriptKey = createDocumentKeyMiddleware({
+  param: 'quarter',
+  parseKey: parseQuarter,
+  invalidMessage: 'Invalid quarter. Use e.g. 2024Q4'
+});
+
+// Transcript summaries for a ticker, newest quarter first
+app.get('/api/transcripts/:symbol', withTranscriptKey, async (req, res) => {
+  try {
+    res.json({ transcripts: await transcriptStore.list(req.documentKey.symbol) });
+  } catch (error) {
+    console.error('Failed to list transcripts:', error);
+    res.status(500).json({ error: 'Failed to list transcripts' });
+  }
+});
+
+// One transcript with its passages and original text
+app.get('/api/transcripts/:symbol/:quarter', withTranscriptKey, async (req, res) => {
+  const { symbol, quarter } = req.documentKey;
+  const transcript = await transcriptStore.get(symbol, quarter);
+  if (!transcript) {
+    return res.status(404).json({ error: `No ${quarter} transcript for ${symbol}` });
+  }
+  res.json(transcript);
+});
+
+// Upload a transcript as the text/plain body; ?filename= is kept for reference
+// Replaces any transcript for the same quarter
+app.put('/api/transcripts/:symbol/:quarter', withTranscriptKey, express.text({ type: 'text/plain', limit: '2mb' }), async (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Transcript text is required (Content-Type: text/plain)' });
   }
 
   try {
-    // Calculate WACC using CAPM if we have beta
-    let waccSection = '';
-    if (companyData.marketData && companyData.marketData.beta) {
-      const riskFreeRate = 0.045; // Current 10-year Treasury yield ~4.5%
-      const marketRiskPremium = 0.08; // Historical equity risk premium ~8%
-      const beta = companyData.marketData.beta;
-      const costOfEquity = riskFreeRate + (beta * marketRiskPremium);
-
-      waccSection = `
-CALCULATED COST OF EQUITY (CAPM):
-Risk-Free Rate: ${(riskFreeRate * 100).toFixed(2)}%
-Beta: ${beta.toFixed(2)}
-Market Risk Premium: ${(marketRiskPremium * 100).toFixed(1)}%
-Cost of Equity = ${(riskFreeRate * 100).toFixed(2)}% + (${beta.toFixed(2)} × ${(marketRiskPremium * 100).toFixed(1)}%) = ${(costOfEquity * 100).toFixed(2)}%
-
-Note: Use this calculated cost of equity in your WACC estimation, adjusting for capital structure.`;
+    const { symbol, quarter } = req.documentKey;
+    const filename = typeof req.query.filename === 'string' ? req.query.filename.slice(0, 200) : null;
+    res.json(await transcriptStore.save({ symbol, quarter, text: req.body, source: 'upload', filename }));
+  } catch (error) {
+    console.error('Failed to save transcript:', error);
+    res.status(500).json({ error: 'Failed to save transcript' });
+  }
+});
+
+app.delete('/api/transcripts/:symbol/:quarter', withTranscriptKey, async (req, res) => {
+  const { symbol, quarter } = req.documentKey;
+  try {
+    if (!(await transcriptStore.remove(symbol, quarter))) {
+      return res.status(404).json({ error: `No ${quarter} transcript for ${symbol}` });
     }
+    res.json({ deleted: { symbol, quarter } });
+  } catch (error) {
+    console.error('Failed to delete transcript:', error);
+    res.status(500).json({ error: 'Failed to delete transcript' });
+  }
+});
 
-    // Add market data section if available
-    let marketDataSection = '';
-    if (companyData.marketData) {
-      marketDataSection = `
-MARKET DATA (Yahoo Finance):
-Market Cap: ${formatCurrency(companyData.marketData.marketCap, 2)}
-Enterprise Value: ${formatCurrency(companyData.marketData.enterpriseValue, 2)}
-Current Price: ${companyData.marketData.currentPrice ? '$' + companyData.marketData.currentPrice.toFixed(2) : 'N/A'}
-Trailing P/E: ${companyData.marketData.trailingPE?.toFixed(1) || 'N/A'}
-Forward P/E: ${companyData.marketData.forwardPE?.toFixed(1) || 'N/A'}
-Price-to-Book: ${companyData.marketData.priceToBook?.toFixed(2) || 'N/A'}
-Beta: ${companyData.marketData.beta?.toFixed(2) || 'N/A'}
-Shares Outstanding: ${formatCurrency(companyData.marketData.sharesOutstanding, 1)}
-${waccSection}`;
+// Import <TRANSCRIPTS_IMPORT_DIR>/<SYMBOL>/transcripts/<quarter>.txt (default LOCAL_DATA_DIR)
+// Returns { imported, skipped }
+app.post('/api/transcripts/:symbol/import', withTranscriptKey, async (req, res) => {
+  const dir = process.env.TRANSCRIPTS_IMPORT_DIR || process.env.LOCAL_DATA_DIR;
+  if (!dir) {
+    return res.status(500).json({ error: 'TRANSCRIPTS_IMPORT_DIR or LOCAL_DATA_DIR is not configured' });
+  }
+
+  try {
+    res.json(await importTranscripts(transcriptStore, dir, req.documentKey.symbol));
+  } catch (error) {
+    console.error('Failed to import transcripts:', error);
+    res.status(500).json({ error: 'Failed to import transcripts' });
+  }
+});
+
+// ==================== ANNUAL REPORTS (10-K) ====================
+// The latest stored 10-K is quoted to the moat and management sections of every analysis of the ticker
+
+// Validate :symbol and :fiscalYear into req.documentKey
+const withAnnualReportKey = createDocumentKeyMiddleware({
+  param: 'fiscalYear',
+  parseKey: parseFiscalYear,
+  invalidMessage: 'Invalid fiscal year. Use e.g. 2024'
+});
+
+// Annual report summaries for a ticker, newest fiscal year first
+app.get('/api/annual-reports/:symbol', withAnnualReportKey, async (req, res) => {
+  try {
+    res.json({ annualReports: await annualReportStore.list(req.documentKey.symbol) });
+  } catch (error) {
+    console.error('Failed to list annual reports:', error);
+    res.status(500).json({ error: 'Failed to list annual reports' });
+  }
+});
+
+// One annual report with its section excerpts
+app.get('/api/annual-reports/:symbol/:fiscalYear', withAnnualReportKey, async (req, res) => {
+  const { symbol, fiscalYear } = req.documentKey;
+  const report = await annualReportStore.get(symbol, fiscalYear);
+  if (!report) {
+    return res.status(404).json({ error: `No FY${fiscalYear} annual report for ${symbol}` });
+  }
+  res.json(report);
+});
+
+// Upload a 10-K as the text/html or text/plain body (e.g. text extracted from the PDF);
+// ?filename= is kept for reference. Replaces any report for the same fiscal year.
+// 422 when none of the Business, Risk Factors and MD&A sections can be found
+app.put(
+  '/api/annual-reports/:symbol/:fiscalYear',
+  withAnnualReportKey,
+  express.text({ type: ['text/plain', 'text/html'], limit: '20mb' }),
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Annual report is required (Content-Type: text/html or text/plain)' });
     }
 
-    // Add Capital Allocation section if available
-    let capitalAllocationSection = '';
-    if (companyData.capitalAllocationData) {
-      const ca = companyData.capitalAllocationData;
-      capitalAllocationSection = `
-CAPITAL ALLOCATION DATA (Trailing 12M):
-Operating Cash Flow (Source): ${formatCurrency(ca.operatingCashFlow)}
-Reinvestment (Use): ${formatCurrency(ca.capitalExpenditures)} (CapEx)
-Acquisitions (Use): ${formatCurrency(ca.acquisitions)}
-Return to Shareholders (Use): ${formatCurrency(ca.dividends)} (Dividends) + ${formatCurrency(ca.repurchases)} (Buybacks)
-Debt Repayment (Use): ${formatCurrency(ca.debtRepayment)}
-`;
+    try {
+      const { symbol, fiscalYear } = req.documentKey;
+      const filename = typeof req.query.filename === 'string' ? req.query.filename.slice(0, 200) : null;
+      const format = req.is('text/html') ? 'html' : 'text';
+      res.json(await annualReportStore.save({ symbol, fiscalYear, content: req.body, format, filename }));
+    } catch (error) {
+      if (error instanceof RangeError) {
+        return res.status(422).json({ error: error.message });
+      }
+      console.error('Failed to save annual report:', error);
+      res.status(500).json({ error: 'Failed to save annual report' });
     }
+  }
+);
 
-    // Add earnings trend section if available
-    let earningsSection = '';
-    if (companyData.earningsData && companyData.earningsData.quarterlyEarnings) {
-      const quarters = companyData.earningsData.quarterlyEarnings.slice(0, 4);
-      const beatCount = quarters.filter(q => parseFloat(q.surprise || 0) > 0).length;
-      const missCount = quarters.filter(q => parseFloat(q.surprise || 0) < 0).length;
-
-      earningsSection = `
-RECENT EARNINGS TREND & SENTIMENT (Last 4 Quarters):
-${quarters.map((q, i) => {
-        const surprise = parseFloat(q.surprise || 0);
-        const sentiment = surprise > 2 ? '📈 Strong Beat' : surprise > 0 ? '✅ Beat' : surprise < -2 ? '📉 Big Miss' : '❌ Miss';
-        return `Q${4 - i} ${q.fiscalDateEnding}: EPS $${q.reportedEPS || 'N/A'} (Est: $${q.estimatedEPS || 'N/A'}) - Surprise: ${q.surprise || 'N/A'}% ${sentiment}`;
-      }).join('\n')}
-
-Earnings Pattern: ${beatCount} beats, ${missCount} misses out of ${quarters.length} quarters
-Track Record: ${beatCount >= 3 ? 'Consistently beating expectations 🟢' : beatCount >= 2 ? 'Mixed performance 🟡' : 'Struggling to meet expectations 🔴'}
-
-**CRITICAL: Perform EARNINGS CALL SENTIMENT ANALYSIS**
-Based on the earnings pattern above, provide a qualitative sentiment assessment:
-- Management credibility (are they sandbagging guidance or overpromising?)
-- Earnings quality (are beats driven by one-time items or sustainable operations?)
-- Forward guidance tone (optimistic, cautious, or deteriorating?)
-- Red flags (repeated misses, declining margins, weakening demand signals)
-- Positive signals (consistent beats, margin expansion, strong guidance)`;
+app.delete('/api/annual-reports/:symbol/:fiscalYear', withAnnualReportKey, async (req, res) => {
+  const { symbol, fiscalYear } = req.documentKey;
+  try {
+    if (!(await annualReportStore.remove(symbol, fiscalYear))) {
+      return res.status(404).json({ error: `No FY${fiscalYear} annual report for ${symbol}` });
     }
+    res.json({ deleted: { symbol, fiscalYear } });
+  } catch (error) {
+    console.error('Failed to delete annual report:', error);
+    res.status(500).json({ error: 'Failed to delete annual report' });
+  }
+});
 
-    const prompt = `You are a strategic analyst using Michael Mauboussin's investment frameworks, specifically "Measuring the Moat" and competitive analysis principles.
-
-=== FINANCIAL DATA FROM SEC FILING (via Alpha Vantage API) ===
-
-Company: ${companyData.companyName} (${companyData.ticker})
-Industry: ${companyData.industry}
-Fiscal Year: ${companyData.fiscalPeriod}
-Currency: ${companyData.currency}
-${marketDataSection}
-${capitalAllocationSection}
-${earningsSection}
-
-INCOME STATEMENT:
-Revenue: ${formatCurrency(companyData.incomeStatement.revenue)}
-Cost of Revenue: ${formatCurrency(companyData.incomeStatement.costOfRevenue)}
-Gross Profit: ${formatCurrency(companyData.incomeStatement.grossProfit)}
-Operating Expenses: ${formatCurrency(companyData.incomeStatement.operatingExpenses)}
-Operating Income: ${formatCurrency(companyData.incomeStatement.operatingIncome)}
-EBIT: ${formatCurrency(companyData.incomeStatement.ebit)}
-Interest Expense: ${formatCurrency(companyData.incomeStatement.interestExpense)}
-Tax Expense: ${formatCurrency(companyData.incomeStatement.taxExpense)}
-Net Income: ${formatCurrency(companyData.incomeStatement.netIncome)}
-Effective Tax Rate: ${(companyData.incomeStatement.taxRate * 100).toFixed(1)}%
-
-BALANCE SHEET:
-Total Assets: ${formatCurrency(companyData.balanceSheet.totalAssets)}
-Current Assets: ${formatCurrency(companyData.balanceSheet.currentAssets)}
-  - Cash: ${formatCurrency(companyData.balanceSheet.cash)}
-  - Accounts Receivable: ${formatCurrency(companyData.balanceSheet.accountsReceivable)}
-  - Inventory: ${formatCurrency(companyData.balanceSheet.inventory)}
-PP&E (net): ${formatCurrency(companyData.balanceSheet.ppe)}
-Goodwill: ${formatCurrency(companyData.balanceSheet.goodwill)}
-Intangible Assets: ${formatCurrency(companyData.balanceSheet.intangibleAssets)}
-
-Total Liabilities: ${formatCurrency(companyData.balanceSheet.totalLiabilities)}
-Current Liabilities: ${formatCurrency(companyData.balanceSheet.currentLiabilities)}
-  - Accounts Payable: ${formatCurrency(companyData.balanceSheet.accountsPayable)}
-  - Short-term Debt: ${formatCurrency(companyData.balanceSheet.shortTermDebt)}
-Long-term Debt: ${formatCurrency(companyData.balanceSheet.longTermDebt)}
-
-Total Equity: ${formatCurrency(companyData.balanceSheet.totalEquity)}
-
-CASH FLOW:
-Operating Cash Flow: ${formatCurrency(companyData.cashFlow.operatingCashFlow)}
-Capital Expenditures: ${formatCurrency(companyData.cashFlow.capitalExpenditures)}
-Free Cash Flow: ${formatCurrency(companyData.cashFlow.freeCashFlow)}
-
-${companyData.historicalData ? `
-HISTORICAL DATA (${companyData.historicalData.yearsAvailable} years available):
-
-Revenue Trend:
-${companyData.historicalData.incomeStatements.map(yr => `  ${yr.fiscalYear}: ${formatCurrency(yr.revenue)} (Growth: ${yr.revenue > 0 ? 'calculated' : 'N/A'})`).join('\n')}
-
-Operating Income Trend:
-${companyData.historicalData.incomeStatements.map(yr => `  ${yr.fiscalYear}: ${formatCurrency(yr.operatingIncome)} (Margin: ${yr.revenue > 0 ? ((yr.operatingIncome / yr.revenue) * 100).toFixed(1) + '%' : 'N/A'})`).join('\n')}
-
-Free Cash Flow Trend:
-${companyData.historicalData.cashFlows.map(yr => `  ${yr.fiscalYear}: ${formatCurrency(yr.freeCashFlow)}`).join('\n')}
-
-Gross Margin Trend:
-${companyData.historicalData.incomeStatements.map(yr => `  ${yr.fiscalYear}: ${(yr.grossMargin * 100).toFixed(1)}%`).join('\n')}
-
-Use this historical data to:
-- Calculate ROIC for multiple years and identify trends
-- Assess whether competitive advantages are strengthening or weakening
-- Evaluate earnings quality and consistency
-- Determine if growth is profitable (incremental ROIC analysis)
-` : ''}
-
-=== YOUR TASK ===
-
-Perform a complete Mauboussin competitive analysis using the "Measuring the Moat" framework. Calculate ROIC precisely using the data above.
-
-KEY FRAMEWORKS TO APPLY:
-
-1. **MEASURING THE MOAT** (Mauboussin) - **PRIMARY FOCUS OF ANALYSIS**:
-   - **CRITICAL**: Provide a comprehensive competitive moat assessment as the centerpiece of your analysis
-   - Identify PRIMARY moat source: Network effects / Scale economies / Intangible assets / Switching costs / Cost advantages
-   - Assess moat STRENGTH: Wide (sustainable 10+ years) / Narrow (5-10 years) / None (< 5 years)
-   - Classify advantage type: Supply-side (scale, network) or Demand-side (brand, habit, search costs)
-   - Evaluate moat TRAJECTORY: WIDENING (strengthening) / STABLE (maintaining) / NARROWING (weakening)
-   - Provide QUANTITATIVE evidence: gross margins vs peers, customer retention rates, market share trends, pricing power metrics
-   - Connect moat strength directly to sustained ROIC > WACC and explain the causal mechanism
-   - Identify threats to the moat and timeline for potential erosion
-
-2. **ROIC ANALYSIS**:
-   - Calculate ROIC with precision, showing all steps
-   - Use DuPont decomposition to understand drivers (margin vs turnover)
-   - Compare ROIC to calculated WACC (use CAPM if beta provided)
-   - Assess value creation: ROIC - WACC = Economic Profit spread
-
-3. **EXPECTATIONS INVESTING**:
-   - Reverse engineer what growth and ROIC the current valuation implies
-   - Build scenarios: What needs to go RIGHT (bull), WRONG (bear), or STAY THE COURSE (base)
-   - Probability-weight outcomes
-
-4. **EARNINGS QUALITY** (if quarterly data provided):
-   - Consistency of beat/miss patterns
-   - Improving or deteriorating trajectory
-   - Management credibility
-
-5. **MARKET EFFICIENCY & NARRATIVES ("WHO IS ON THE OTHER SIDE?" - 2026)**:
-   - **BAIT Framework**: Assess inefficiencies:
-     - **B**ehavioral: Panic/Euphoria/Aversion?
-     - **A**nalytical: Complexity/Time-horizon edge?
-     - **I**nformational: Hidden data?
-     - **T**echnical: Forced selling/Flows?
-   - **Time Arbitrage**: Is the market discounting a temporary issue as permanent?
-   - **Counterparty**: Who is taking the other side? (Retail/Indexer/Algo)
-   - **Narrative**: What is the dominant story vs reality?
-
-CRITICAL REQUIREMENTS:
-- Show all mathematical steps clearly using actual numbers provided
-- Use the calculated CAPM cost of equity if beta is provided
-- Base moat assessment on QUANTITATIVE evidence (margins, ROIC trends, market share)
-- Return ONLY valid JSON with no markdown or code blocks
-
-Your response MUST be valid JSON in this EXACT format:
-
-CURRENCY FORMATTING RULE: Format ALL currency values using:
-- $X.XT for trillions (e.g., $2.5T)
-- $X.XB for billions (e.g., $123.5B)
-- $X.XM for millions (e.g., $456.7M)
-- $X.XK for thousands (e.g., $789.2K)
-Show 1 decimal place. Examples: "$45.2B", "$1.3T", "$789.5M"
-
-{
-  "companyName": "${companyData.companyName}",
-  "ticker": "${companyData.ticker}",
-  "businessModel": "2-3 sentence description of how the company makes money",
-  "industry": "${companyData.industry}",
-  "fiscalYear": "${companyData.fiscalPeriod}",
-
-  "roicAnalysis": {
-    "nopat": {
-      "ebit": "Currency formatted (e.g., $45.2B)",
-      "taxRate": "Percentage (e.g., 21.0%)",
-      "nopatCalculated": "Currency formatted (e.g., $35.7B)",
-      "calculationShown": "Show step with currency format: EBIT $45.2B × (1 - 21.0%) = NOPAT $35.7B"
-    },
-    "investedCapital": {
-      "method": "Operating approach: NWC + Net Fixed Assets",
-      "currentAssets": "Currency formatted (e.g., $123.5B)",
-      "currentLiabilities": "Currency formatted (e.g., $78.2B)",
-      "netWorkingCapital": "Currency formatted (e.g., $45.3B)",
-      "ppe": "Currency formatted (e.g., $89.4B)",
-      "goodwill": "Currency formatted (e.g., $12.3B)",
-      "intangibles": "Currency formatted (e.g., $8.7B)",
-      "totalIC": "Currency formatted total (e.g., $155.7B)",
-      "calculationShown": "Show all components with currency format: NWC $45.3B + PP&E $89.4B + Goodwill $12.3B + Intangibles $8.7B = IC $155.7B",
-      "alternativeMethod": "Also show with currency format: Total Equity + Total Debt - Excess Cash"
-    },
-    "roicCalculated": {
-      "percentage": "ROIC as percentage (e.g., 22.9%)",
-      "calculation": "Show with currency format: NOPAT $35.7B / IC $155.7B = 22.9%",
-      "interpretation": "Assessment vs industry and cost of capital"
-    },
-    "dupontDecomposition": {
-      "profitMargin": "NOPAT / Revenue as % (e.g., 18.5%)",
-      "capitalTurnover": "Revenue / IC as ratio (e.g., 1.24x)",
-      "validation": "Margin × Turnover = ROIC",
-      "strategyInsight": "High margin (differentiation) or high turnover (cost leadership)?"
-    },
-    "valueCreation": {
-      "estimatedWACC": "Estimated WACC as percentage (e.g., 8.5%)",
-      "spread": "ROIC - WACC in percentage points (e.g., +14.4%)",
-      "verdict": "Creating/destroying value? If possible show economic profit with currency format (e.g., Annual value creation: $22.3B)",
-      "context": "How does moat enable this ROIC?"
-    },
-    "incrementalROIC": "If multi-year data available: Are new investments generating good returns? (Change in NOPAT / Change in IC)",
-    "dataQuality": "Confidence in the calculations (high/medium/low)"
-  },
+// Company data with the ticker's latest stored transcripts and annual report, for the analysis routes
+const withDocuments = async (companyData) => {
+  const symbol = parseSymbol(companyData.ticker);
+  if (!symbol) return companyData;
+  try {
+    const [transcripts, annualReport] = await Promise.all([transcriptStore.latest(symbol), annualReportStore.latest(symbol)]);
+    return {
+      ...companyData,
+      ...(transcripts.length ? { transcripts } : {}),
+      ...(annualReport ? { annualReport } : {})
+    };
+  } catch (error) {
+    console.error(`Failed to load documents for ${symbol}:`, error);
+    return companyData;
+  }
+};
 
-  "capitalAllocation": {
-    "operatingCashFlow": "Currency formatted",
-    "capex": "Currency formatted",
-    "acquisitions": "Currency formatted",
-    "buybacks": "Currency formatted",
-    "dividends": "Currency formatted",
-    "debtRepayment": "Currency formatted",
-    "assessment": "Evaluate management's skill. Are they reinvesting for growth (high CapEx), returning cash (Buybacks/Divs), or empire building (Acquisitions)? Is this appropriate for their lifecycle stage?",
-    "baseRateComparison": "MANDATORY: Compare the company's ROIC and Capital Allocation to the industry base rate. (e.g., 'Google's 25% ROIC is in the top decile for Tech' or 'Ford's 4% ROIC is typical for Autos'). Use your internal knowledge of industry averages."
-  },
-  
-  "moatAnalysis": {
-    "summary": "2-3 sentence executive summary of the competitive moat",
-    "moatType": "Primary moat source (choose one or ranked combination): Network effects / Scale economies / Intangible assets (brand, patents) / Switching costs / Cost advantages",
-    "moatStrength": "Wide (10+ years sustainable) / Narrow (5-10 years) / None (< 5 years) - with detailed justification",
-    "moatStrengthRating": "Rate from 1-10 where 10 is an unassailable moat",
-    "supplyOrDemandAdvantage": "Classify as: Supply-side (scale, network effects) or Demand-side (brand, habit, search costs) or Both",
-    "evidenceForMoat": "QUANTITATIVE evidence REQUIRED: gross margins %, customer retention %, market share %, pricing power examples, historical stability",
-    "moatDurability": "Trajectory: WIDENING (moat strengthening over time) / STABLE (maintaining position) / NARROWING (competitive threats eroding advantages)",
-    "threatsToMoat": "Specific competitive threats and timeline for potential erosion (e.g., technological disruption, regulatory changes, new entrants)",
-    "linkToROIC": "Detailed mechanism: how does this moat create pricing power, cost advantages, or capital efficiency that sustains ROIC > WACC?",
-    "comparativeMoat": "How does this moat compare to key competitors? Better/Similar/Worse?",
-    "measurability": "How easy is it to measure this moat objectively? High/Medium/Low with explanation"
-  },
+// Transcript passages and annual report excerpts cited in an analysis (or part of one)
+const citationsFor = (value, companyData) => {
+  const transcripts = resolveCitations(value, companyData.transcripts);
+  const annualReport = resolveAnnualReportCitations(value, companyData.annualReport);
+  return {
+    passages: { ...transcripts.passages, ...annualReport.passages },
+    unknown: [...transcripts.unknown, ...annualReport.unknown]
+  };
+};
 
-  "earningsCallSentiment": {
-    "overallSentiment": "Positive / Neutral / Negative - based on recent earnings pattern",
-    "managementCredibility": "High / Medium / Low - Are they sandbagging or overpromising? Track record of meeting guidance",
-    "earningsQuality": "Sustainable / Mixed / Concerning - Are beats from operations or one-time items?",
-    "forwardGuidance": "Optimistic / Cautious / Deteriorating - Tone and substance of management commentary",
-    "beatMissPattern": "Detailed analysis of the X beats / Y misses pattern - what does it reveal?",
-    "redFlags": "List specific red flags: repeated misses, margin pressure, weakening demand signals, accounting concerns",
-    "positiveSignals": "List positive signals: consistent beats, margin expansion, strong guidance, market share gains",
-    "sentimentScore": "Rate management credibility and earnings quality from 1-10 where 10 is impeccable",
-    "applicableIfDataProvided": "Complete this section ONLY if quarterly earnings data was provided above"
-  },
-  
-  "marketEfficiency": {
-    "bait": {
-      "behavioral": "Assessment of behavioral bias (e.g., Recency bias, Loss aversion)",
-      "analytical": "Assessment of analytical edge (e.g., 'Market missing standard deviation of outcome')",
-      "informational": "Assessment of informational differential",
-      "technical": "Assessment of technical pressures (e.g., 'Forced selling by ETFs')"
-    },
-    "counterparty": "Who is the likely counterparty? (e.g., 'Passive flows', 'Retail panic', 'Hedge fund short')",
-    "timeArbitrage": "Is there a time horizon edge? (e.g., 'Arb opportunity: Quarter vs Decade')",
-    "narrative": {
-      "currentStory": "The dominant narrative driving price",
-      "realityGap": "Where the narrative diverges from fundamental reality"
+// Canonical financial data (vendor-neutral schema, see lib/providers/schema.js)
+// Provider: ?provider=alphavantage|fmp|local, else DATA_PROVIDER, else Alpha Vantage
+
+// Attach the requested data provider to req.dataProvider
+const withDataProvider = (req, res, next) => {
+  const name = resolveProviderName(req.query.provider);
+  if (!name) {
+    return res.status(400).json({ error: `Invalid provider. Use ${PROVIDERS.join(', ')}` });
+  }
+
+  try {
+    req.dataProvider = createProvider(name, { fetch, alphaVantageFetch: (url) => queuedFetch(req, url) });
+    next();
+  } catch (error) {
+    sendProviderError(res, error, 'Failed to initialize data provider');
+  }
+};
+
+app.get('/api/data/search', cacheMiddleware, withDataProvider, async (req, res) => {
+  try {
+    res.json(await req.dataProvider.search(req.query.query));
+  } catch (error) {
+    sendProviderError(res, error, 'Failed to search company');
+  }
+});
+
+app.get('/api/data/profile/:symbol', cacheMiddleware, withDataProvider, async (req, res) => {
+  try {
+    res.json(await req.dataProvider.getProfile(req.params.symbol));
+  } catch (error) {
+    sendProviderError(res, error, 'Failed to fetch company profile');
+  }
+});
+
+app.get('/api/data/earnings/:symbol', cacheMiddleware, withDataProvider, async (req, res) => {
+  try {
+    res.json(await req.dataProvider.getEarnings(req.params.symbol));
+  } catch (error) {
+    sendProviderError(res, error, 'Failed to fetch earnings data');
+  }
+});
+
+// income-statement | balance-sheet | cash-flow (?period=annual|quarterly|ttm)
+app.get('/api/data/:statement/:symbol', cacheMiddleware, withDataProvider, async (req, res, next) => {
+  const { statement, symbol } = req.params;
+  if (!STATEMENTS[statement]) return next();
+
+  const period = parsePeriod(req.query.period);
+  if (!period) {
+    return res.status(400).json({ error: 'Invalid period. Use annual, quarterly or ttm' });
+  }
+
+  try {
+    res.json(await getStatements(req.dataProvider, statement, symbol, period));
+  } catch (error) {
+    sendProviderError(res, error, `Failed to fetch ${statement.replace('-', ' ')}`);
+  }
+});
+
+// ==================== CURRENCY CONVERSION ====================
+
+// The rates table conversions use: { base, asOf, currencies, rates } with rates per unit of base
+app.get('/api/fx/rates', (req, res) => {
+  res.json({
+    base: fxTable.base,
+    asOf: fxTable.asOf,
+    currencies: fxTable.currencies,
+    rates: Object.fromEntries(fxTable.currencies.map(code => [code, fxTable.rate(fxTable.base, code)]))
+  });
+});
+
+// Validate the optional reporting currency (?currency= or body field currency) into req.currency
+const withCurrency = (req, res, next) => {
+  const requested = req.query.currency ?? req.body?.currency;
+  if (requested === undefined || requested === null || requested === '') {
+    req.currency = null;
+    return next();
+  }
+  const currency = parseCurrency(requested);
+  if (!currency || !fxTable.currencies.includes(currency)) {
+    return res.status(400).json({ error: `Unsupported currency. Use one of ${fxTable.currencies.join(', ')}` });
+  }
+  req.currency = currency;
+  next();
+};
+
+// companyData in the request's reporting currency (see withCurrency); 422 without the rates for it
+const inRequestedCurrency = (req, companyData) => {
+  if (!req.currency) return companyData;
+  try {
+    return convertCompanyData(companyData, req.currency, fxTable);
+  } catch (error) {
+    if (error instanceof RangeError) throw new ProviderError(error.message, 422);
+    throw error;
+  }
+};
+
+// Everything /api/analyze needs in one call: { companyData, sources }
+// ?period=annual|ttm (default annual), ?provider= as for /api/data/*, ?currency= converts every
+// amount into that currency (see /api/fx/rates)
+app.get(
+  '/api/company/:symbol',
+  withCurrency,
+  // Converted data is built from the cached original rather than cached per currency
+  (req, res, next) => (req.currency ? next() : companyCacheMiddleware(req, res, next)),
+  withDataProvider,
+  async (req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const period = parsePeriod(req.query.period);
+
+    if (!period || period === 'quarterly') {
+      return res.status(400).json({ error: 'Invalid period. Use annual or ttm' });
     }
-  },
 
-  "expectationsAnalysis": {
-    "impliedExpectations": "What growth rate and ROIC is the current valuation pricing in? Work backwards from P/E or EV/EBITDA.",
-    "currentValuation": "Use provided P/E, Price-to-Book, or calculate EV/EBITDA",
-    "scenarioAnalysis": {
-      "bull": "Optimistic case: assumptions and probability",
-      "base": "Most likely case: assumptions and probability",
-      "bear": "Pessimistic case: assumptions and probability"
-    },
-    "probabilityWeighted": "Expected value across scenarios",
-    "marketView": "Is the market too optimistic, pessimistic, or about right?"
-  },
-  
-  "probabilistic": {
-    "baseRates": "MANDATORY REF: '59% of stocks fail to beat T-bills'. What % of industry peers sustain high ROIC?",
-    "skillVsLuck": "How much is replicable skill vs luck?",
-    "keyUncertainties": "Top 2-3 uncertainties"
-  },
-  
-  "management": {
-    "capitalAllocation": "Track record and quality",
-    "strategicThinking": "Evidence of long-term focus",
-    "overallAssessment": "Trust them with capital?"
-  },
-  
-  "conclusion": {
-    "investmentThesis": "3-5 sentence thesis",
-    "keyRisks": "Top 3 risks",
-    "whatWouldChange": "What would change your view?",
-    "recommendation": "Context-dependent recommendation"
+    try {
+      const { companyData, sources, failure } = req.currency
+        ? await getCompanyResult(req, symbol, period)
+        : await loadCompanyData(req.dataProvider, symbol, period, { fx: fxTable });
+      if (failure) {
+        if (failure.retryAfter) {
+          res.set('Retry-After', String(failure.retryAfter));
+          return res.status(failure.status).json({ error: failure.message, retryAfter: failure.retryAfter, sources });
+        }
+        return res.status(failure.status).json({ error: failure.message, sources });
+      }
+      res.json({ companyData: inRequestedCurrency(req, companyData), sources });
+    } catch (error) {
+      sendProviderError(res, error, 'Failed to fetch company data');
+    }
+  }
+);
+
+// Model errors carry their own status and details; anything else is reported like a data provider error
+const sendLLMError = (res, error, fallbackMessage) => {
+  if (error instanceof LLMError) {
+    return res.status(error.status).json({ error: error.message, details: error.details });
+  }
+  sendProviderError(res, error, fallbackMessage);
+};
+
+// Attach the model for this request to req.llm and a usage meter to req.usage
+// Body field llm: { provider?: anthropic|openai|stub, model?, maxTokens?, temperature? }, else LLM_* env
+// Once a budget cap is reached, requests run degraded (req.degraded = { reason, cacheOnly }):
+// on LLM_DEGRADED_PROVIDER/LLM_DEGRADED_MODEL when set, otherwise from cached sections only
+const withLLM = async (req, res, next) => {
+  const requested = req.body?.llm;
+  const settingsError = validateModelSettings(requested);
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError });
+  }
+
+  try {
+    const budget = await usageLedger.getBudgetStatus();
+    req.degraded = null;
+
+    if (budget.exceeded) {
+      const { limitUSD } = budget[budget.exceeded];
+      const degradedProvider = process.env.LLM_DEGRADED_PROVIDER;
+      req.degraded = {
+        reason: `The ${budget.exceeded} model budget of $${limitUSD} has been reached`,
+        cacheOnly: !degradedProvider
+      };
+      req.llm = degradedProvider
+        ? createLLM(resolveLLMProviderName(degradedProvider), {
+          fetch,
+          overrides: process.env.LLM_DEGRADED_MODEL ? { model: process.env.LLM_DEGRADED_MODEL } : {}
+        })
+        : createLLM(resolveLLMProviderName(undefined), { fetch });
+    } else {
+      req.llm = createLLM(resolveLLMProviderName(requested?.provider), { fetch, overrides: requested || {} });
+    }
+
+    req.usage = createUsageMeter();
+    next();
+  } catch (error) {
+    sendLLMError(res, error, 'Failed to initialize model provider');
+  }
+};
+
+// Which model produced an analysis, returned with it
+const modelInfo = (llm) => ({ provider: llm.provider, model: llm.model });
+
+// Add the request's model usage to the ledger, whether or not the analysis finished
+// Clients are grouped by their X-Client-Request-Id, else by IP
+const recordUsage = (req, ticker) => {
+  usageLedger.record({
+    route: req.path,
+    ticker: ticker || null,
+    clientId: req.get('X-Client-Request-Id') || `ip:${req.ip}`,
+    ...modelInfo(req.llm),
+    ...req.usage.totals(),
+    degraded: Boolean(req.degraded)
+  }).catch(error => console.error('Failed to record model usage:', error));
+};
+
+// Section cache settings for an analysis request; cache-only (degraded) runs never skip the cache
+const analysisCacheOptions = (req) => ({
+  fresh: req.body.fresh === true && !req.degraded?.cacheOnly,
+  ttl: analysisCacheTtl
+});
+
+// Degraded-mode notice returned with an analysis, or null
+const degradedInfo = (req) => (req.degraded
+  ? { reason: req.degraded.reason, cacheOnly: req.degraded.cacheOnly, model: modelInfo(req.llm) }
+  : null);
+
+// Company data for the analysis routes, shared with the /api/company cache
+// Returns { companyData, sources } or { failure, sources } as loadCompanyData
+const getCompanyResult = (req, symbol, period) => {
+  const cacheKey = companyCacheKey({ symbol, period, provider: req.query.provider });
+  const load = async () => {
+    const { companyData, sources, failure } = await loadCompanyData(req.dataProvider, symbol, period, { fx: fxTable });
+    return failure ? { failure, sources } : { companyData, sources };
+  };
+  return cacheKey ? loadCached(cacheKey, load, { cacheable: result => !result.failure }) : load();
+};
+
+// Analyze company with the configured model (with stricter rate limiting)
+// Body: { companyData, assumptions?, llm?, fresh?, currency? } - fresh: true regenerates cached sections,
+// currency converts every amount into that currency first (see /api/fx/rates)
+// Returns { analysis, validation, crossCheck, citations, dataSource, currency, fx, dataQuality, metrics, model,
+// usage, provenance, degraded }; analysis always matches ANALYSIS_SCHEMA, crossCheck compares its figures with the data
+// (see lib/crossCheck), citations maps the transcript passages and 10-K excerpts it cites (see citationsFor), dataSource
+// names the provider and filings behind the data (see describeDataSource), currency is what the
+// amounts are in and fx the conversion applied, if any (see convertCompanyData), dataQuality says which
+// amounts were missing, derived or imputed (see lib/dataQuality; null for companyData built elsewhere), usage is
+// the tokens and cost spent and provenance says when and from what it was generated (see
+// runAnalysis), degraded is null unless a budget cap was reached (see withLLM)
+app.post('/api/analyze', strictLimiter, withCurrency, withLLM, async (req, res) => {
+  const { assumptions, fresh } = req.body;
+  let { companyData } = req.body;
+
+  if (!companyData) {
+    return res.status(400).json({ error: 'Company data is required' });
+  }
+
+  if (fresh !== undefined && typeof fresh !== 'boolean') {
+    return res.status(400).json({ error: 'fresh must be true or false' });
+  }
+
+  const assumptionsError = validateAssumptions(assumptions);
+  if (assumptionsError) {
+    return res.status(400).json({ error: assumptionsError });
   }
-}
 
-CRITICAL: Return ONLY valid JSON. No markdown, no code blocks, just pure JSON.`;
+  try {
+    companyData = await withDocuments(inRequestedCurrency(req, companyData));
+    const metrics = computeAnalysisMetrics(companyData, assumptions, { fx: fxTable });
+
+    // Sections run in parallel; each is validated against its slice of ANALYSIS_SCHEMA
+    const { analysis, validation, usage, provenance } = await runAnalysis({
+      companyData,
+      metrics,
+      llm: req.llm,
+      cache,
+      ...analysisCacheOptions(req),
+      onUsage: req.usage.add,
+      cacheOnly: req.degraded?.cacheOnly
+    });
+
+    res.json({
+      analysis,
+      validation,
+      crossCheck: crossCheckAnalysis(analysis, { companyData, metrics }),
+      citations: citationsFor(analysis, companyData),
+      dataSource: companyData.dataSource || null,
+      currency: companyData.currency,
+      fx: companyData.fx || null,
+      dataQuality: companyData.dataQuality || null,
+      metrics,
+      model: modelInfo(req.llm),
+      usage,
+      provenance,
+      degraded: degradedInfo(req)
+    });
+  } catch (error) {
+    sendLLMError(res, error, 'Failed to analyze company');
+  } finally {
+    recordUsage(req, companyData.ticker);
+  }
+});
+
+// Progress stages of /api/analyze/stream, in order
+const ANALYSIS_STAGES = {
+  fetching: 'Fetching financial data',
+  sources: 'Checking data sources',
+  metrics: 'Calculating ROIC, WACC, reverse DCF and growth',
+  analyzing: 'Performing AI analysis with Mauboussin framework',
+  concluding: 'Drawing conclusions from the analysis',
+  complete: 'Analysis complete'
+};
+const STAGE_NAMES = Object.keys(ANALYSIS_STAGES);
+
+// Validation shared by the streaming and single-section routes
+const analysisRequestError = (req) => {
+  const { ticker, period, assumptions } = req.body;
+  if (!ticker || typeof ticker !== 'string') {
+    return { status: 400, error: 'Ticker is required' };
+  }
+  const parsed = parsePeriod(period);
+  if (!parsed || parsed === 'quarterly') {
+    return { status: 400, error: 'Invalid period. Use annual or ttm' };
+  }
+  const assumptionsError = validateAssumptions(assumptions);
+  if (assumptionsError) {
+    return { status: 400, error: assumptionsError };
+  }
+  if (req.body.fresh !== undefined && typeof req.body.fresh !== 'boolean') {
+    return { status: 400, error: 'fresh must be true or false' };
+  }
+  return null;
+};
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
+// Streaming variant of /api/company + /api/analyze
+// Body: { ticker, period?: 'annual'|'ttm', assumptions?, llm?, fresh?, currency? }; ?provider= as for /api/data/*
+// Events: stage, queue, sources, metrics, delta ({ section, text } LLM text), section (each
+// top-level analysis key as its section completes), result ({ analysis, validation, crossCheck,
+// citations, dataSource, currency, fx, dataQuality, metrics, model, usage, provenance, degraded } as /api/analyze), error
+app.post('/api/analyze/stream', strictLimiter, withDataProvider, withCurrency, withLLM, async (req, res) => {
+  const requestError = analysisRequestError(req);
+  if (requestError) {
+    return res.status(requestError.status).json({ error: requestError.error });
+  }
+
+  const { ticker, assumptions } = req.body;
+  const period = parsePeriod(req.body.period);
+  const symbol = ticker.trim().toUpperCase();
+  const clientId = clientIdOf(req);
+  const stream = openEventStream(res);
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
+
+  const sendStage = (stage, detail) => stream.send('stage', {
+    stage,
+    step: STAGE_NAMES.indexOf(stage) + 1,
+    totalSteps: STAGE_NAMES.length,
+    message: detail ? `${ANALYSIS_STAGES[stage]} ${detail}` : ANALYSIS_STAGES[stage]
+  });
+
+  // Report Alpha Vantage queue waits while the company data loads
+  const queueTimer = setInterval(() => {
+    const status = avScheduler.getStatus(clientId);
+    if (status.queued) stream.send('queue', status);
+  }, 1000);
+
+  try {
+    sendStage('fetching', `for ${symbol}`);
+    const { companyData: loaded, sources, failure } = await getCompanyResult(req, symbol, period);
+    clearInterval(queueTimer);
+    if (failure) {
+      stream.send('error', { error: failure.message, status: failure.status, retryAfter: failure.retryAfter, sources });
+      return;
+    }
+    const companyData = await withDocuments(inRequestedCurrency(req, loaded));
+
+    sendStage('sources');
+    stream.send('sources', { sources });
+
+    sendStage('metrics');
+    const metrics = computeAnalysisMetrics(companyData, assumptions, { fx: fxTable });
+    stream.send('metrics', {
+      company: {
+        companyName: companyData.companyName,
+        ticker: companyData.ticker,
+        industry: companyData.industry,
+        fiscalYear: companyData.fiscalPeriod,
+        basis: companyData.basis,
+        dataSource: companyData.dataSource,
+        currency: companyData.currency,
+        fx: companyData.fx || null,
+        dataQuality: companyData.dataQuality || null
       },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 8000,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
+      metrics
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('Anthropic API error:', errorData);
-      return res.status(response.status).json({
-        error: 'Failed to analyze company',
-        details: errorData
-      });
+    const sectionCount = applicableSections(companyData).filter(section => !section.usesFindings).length;
+    let completed = 0;
+    sendStage('analyzing', `(0 of ${sectionCount} sections)`);
+
+    const { analysis, validation, usage, provenance } = await runAnalysis({
+      companyData,
+      metrics,
+      llm: req.llm,
+      cache,
+      ...analysisCacheOptions(req),
+      signal: abort.signal,
+      onUsage: req.usage.add,
+      cacheOnly: req.degraded?.cacheOnly,
+      onStart: (section) => {
+        if (section.usesFindings) sendStage('concluding');
+      },
+      onText: (section, text) => stream.send('delta', { section: section.id, text }),
+      onSection: (section, { values }) => {
+        completed++;
+        for (const key of section.keys) stream.send('section', { key, value: values[key] });
+        if (!section.usesFindings) sendStage('analyzing', `(${completed} of ${sectionCount} sections)`);
+      }
+    });
+
+    stream.send('result', {
+      analysis,
+      validation,
+      crossCheck: crossCheckAnalysis(analysis, { companyData, metrics }),
+      citations: citationsFor(analysis, companyData),
+      dataSource: companyData.dataSource || null,
+      currency: companyData.currency,
+      fx: companyData.fx || null,
+      dataQuality: companyData.dataQuality || null,
+      metrics,
+      model: modelInfo(req.llm),
+      usage,
+      provenance,
+      degraded: degradedInfo(req)
+    });
+    sendStage('complete');
+  } catch (error) {
+    if (abort.signal.aborted) return;
+    if (error instanceof ProviderError || error instanceof LLMError) {
+      stream.send('error', { error: error.message, status: error.status });
+    } else {
+      console.error('Error streaming analysis:', error);
+      stream.send('error', { error: 'Failed to analyze company', status: 500 });
+    }
+  } finally {
+    clearInterval(queueTimer);
+    stream.close();
+    recordUsage(req, symbol);
+  }
+});
+
+// Regenerate one section, bypassing its cached copy
+// Body: { ticker, period?, assumptions?, llm?, analysis?, currency? } - analysis (the current other
+// sections) is required for sections that build on them, i.e. the conclusion
+// Returns { sectionId, values, validation, crossCheck, citations, model, usage, generatedAt, expiresAt,
+// degraded }; values holds the section's top-level keys and crossCheck and citations cover only them. 429 while a budget cap is reached and no degraded model is configured
+app.post('/api/analyze/section/:sectionId', strictLimiter, withDataProvider, withCurrency, withLLM, async (req, res) => {
+  const section = getSection(req.params.sectionId);
+  if (!section) {
+    return res.status(404).json({ error: `Unknown section. Use ${SECTIONS.map(known => known.id).join(', ')}` });
+  }
+
+  const requestError = analysisRequestError(req);
+  if (requestError) {
+    return res.status(requestError.status).json({ error: requestError.error });
+  }
+
+  const { ticker, assumptions, analysis } = req.body;
+  if (section.usesFindings && (!analysis || typeof analysis !== 'object')) {
+    return res.status(400).json({ error: `The current analysis is required to regenerate ${section.title}` });
+  }
+
+  if (req.degraded?.cacheOnly) {
+    return res.status(429).json({ error: `${req.degraded.reason}; sections cannot be regenerated until it resets` });
+  }
+
+  try {
+    const { companyData: loaded, failure } = await getCompanyResult(req, ticker.trim().toUpperCase(), parsePeriod(req.body.period));
+    if (failure) {
+      if (failure.retryAfter) res.set('Retry-After', String(failure.retryAfter));
+      return res.status(failure.status).json({ error: failure.message, retryAfter: failure.retryAfter });
     }
+    const companyData = await withDocuments(inRequestedCurrency(req, loaded));
 
-    const analysisData = await response.json();
-    const analysisText = analysisData.content[0].text;
+    if (section.isApplicable && !section.isApplicable(companyData)) {
+      return res.status(400).json({ error: `${section.title} needs data this company does not have` });
+    }
 
-    res.json({ analysis: analysisText });
+    const metrics = computeAnalysisMetrics(companyData, assumptions, { fx: fxTable });
+    const { values, validation, usage, generatedAt, expiresAt } = await runSection(section, {
+      input: prepareAnalysisInput(companyData, metrics),
+      findings: collectFindings(analysis),
+      llm: req.llm,
+      cache,
+      fresh: true,
+      ttl: analysisCacheTtl,
+      onUsage: req.usage.add
+    });
+
+    res.json({
+      sectionId: section.id,
+      values,
+      validation,
+      crossCheck: crossCheckAnalysis(values, { companyData, metrics }),
+      citations: citationsFor(values, companyData),
+      model: modelInfo(req.llm),
+      usage,
+      generatedAt,
+      expiresAt,
+      degraded: degradedInfo(req)
+    });
   } catch (error) {
-    console.error('Error analyzing company:', error);
-    res.status(500).json({ error: 'Failed to analyze company' });
+    sendLLMError(res, error, 'Failed to regenerate section');
+  } finally {
+    recordUsage(req, ticker.trim().toUpperCase());
   }
 });
 
@@ -907,6 +1236,7 @@ app.listen(PORT, () => {
   console.log(`Backend server running on port ${PORT}`);
   console.log(`Alpha Vantage API key configured: ${!!process.env.ALPHA_VANTAGE_API_KEY}`);
   console.log(`Anthropic API key configured: ${!!process.env.ANTHROPIC_API_KEY}`);
+  console.log(`Model provider: ${resolveLLMProviderName(undefined) || 'invalid LLM_PROVIDER'}`);
   console.log(`Stripe configured: ${!!process.env.STRIPE_SECRET_KEY}`);
   console.log(`Sentry monitoring: ${process.env.NODE_ENV === 'production' && process.env.SENTRY_DSN ? 'enabled' : 'disabled'}`);
 });
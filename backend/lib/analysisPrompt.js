@@ -0,0 +1,399 @@
+/**
+ * /api/analyze prompts
+ *
+ * The deterministic figures (ROIC, WACC, historical ROIC, reverse DCF) are
+ * computed here first and quoted in the data context as VERIFIED sections, so
+ * the model narrates them instead of recomputing them. Each analysis section
+ * (lib/sections) wraps the same context with its own task and JSON format.
+ */
+
+import { calculateROIC, calculateHistoricalROIC } from './roic.js';
+import { calculateWACC } from './wacc.js';
+import { solveReverseDCF, deriveReinvestmentRate } from './reverseDcf.js';
+import { calculateGrowth } from './growth.js';
+import { formatCurrency, formatCount, formatPercent, formatOrdinal, currencySymbol } from './format.js';
+import { describeField, describeScorecard } from './dataQuality.js';
+
+// Version of the prompt templates here and in lib/sections. Cached section results are
+// keyed by it instead of the prompt text, so bump it whenever a task, format or the
+// shared wording changes.
+export const PROMPT_VERSION = 10;
+
+/**
+ * Compute the server-side metrics returned alongside the analysis
+ * @param {object} companyData - From buildCompanyData
+ * @param {object} [assumptions] - Validated overrides (see validateAssumptions)
+ * @param {object} [options]
+ * @param {object} [options.fx] - Rates table for placing the company in the size base rates (see lib/growth.js)
+ * @returns {{roic: object, wacc: object, historicalROIC: object|null, reverseDCF: object, growth: object}}
+ */
+export const computeAnalysisMetrics = (companyData, assumptions, { fx } = {}) => {
+  const overrides = assumptions || {};
+
+  // Full WACC: CAPM cost of equity, implied cost of debt, market-value weights
+  const wacc = calculateWACC(companyData, overrides);
+
+  // Deterministic ROIC metrics - the model narrates these, it does not recompute them
+  const roic = calculateROIC(companyData, { wacc: wacc.wacc });
+  const ic = roic.investedCapital;
+
+  // Year-by-year ROIC and incremental ROIC from the historical statements
+  const historicalROIC = calculateHistoricalROIC(companyData.historicalData);
+
+  // Reverse DCF: what growth and CAP does today's price imply?
+  const reinvestment = Number.isFinite(overrides.reinvestmentRate)
+    ? { rate: overrides.reinvestmentRate, source: 'override' }
+    : deriveReinvestmentRate(historicalROIC);
+  const reverseDCF = {
+    ...solveReverseDCF({
+      marketCap: companyData.marketData?.marketCap,
+      netDebt: ic.financing.totalDebt - ic.financing.cash,
+      nopat: roic.nopat,
+      wacc: wacc.wacc,
+      roic: roic.roic,
+      reinvestmentRate: reinvestment.rate,
+      forecastYears: overrides.forecastYears
+    }),
+    reinvestmentSource: reinvestment.source
+  };
+
+  // Historical growth, and where it and the implied growth fall in the sales-growth base rates
+  const growth = calculateGrowth(companyData, {
+    impliedGrowth: reverseDCF.available ? reverseDCF.impliedGrowth : null,
+    forecastYears: reverseDCF.inputs?.forecastYears,
+    fx
+  });
+
+  return { roic, wacc, historicalROIC, reverseDCF, growth };
+};
+
+// " (converted at 1 EUR = 1.0372 USD; FX rates as of 2025-01-31)" for converted companyData
+const describeConversion = (fx) => {
+  if (!fx) return '';
+  const rates = [[fx.from, fx.rate], ...(fx.market ? [[fx.market.from, fx.market.rate]] : [])]
+    .filter(([from]) => from !== fx.to)
+    .map(([from, rate]) => `1 ${from} = ${rate.toFixed(4)} ${fx.to}`);
+  return ` (converted at ${[...new Set(rates)].join(', ')}; FX rates as of ${fx.asOf || 'unknown'})`;
+};
+
+// Which figures were unreported, derived or imputed, and what the verified calculations did
+// without them; empty when everything was reported
+const buildDataAvailabilitySection = (companyData, roicMetrics, waccMetrics) => {
+  const quality = companyData.dataQuality;
+  const list = (paths) => [...new Set(paths.map(describeField))].join(', ');
+  const lines = [
+    quality?.scorecard && `Data quality scorecard: ${describeScorecard(quality.scorecard)}`,
+    quality?.missing.length > 0 && `Not reported (N/A above): ${list(quality.missing)}`,
+    quality?.derived.length > 0 && `Derived from other reported fields: ${list(quality.derived)}`,
+    ...(quality?.imputed || []).map(path => `Imputed: ${describeField(path)} - ${quality.fields[path].reason}`),
+    roicMetrics.missingInputs.length > 0 &&
+      `ROIC calculation without: ${list(roicMetrics.missingInputs)} (optional balance sheet lines count as 0; figures needing a missing required input are N/A)`,
+    waccMetrics.missingInputs.length > 0 &&
+      `WACC calculation without: ${list(waccMetrics.missingInputs)} (fallbacks: no debt, risk-free + spread cost of debt, statutory tax rate, book equity weights)`
+  ].filter(Boolean);
+
+  if (lines.length === 0) return '';
+  return `
+DATA AVAILABILITY (N/A means the filing does not report the figure - it is unknown, not zero; never treat it as ${currencySymbol(companyData.currency)}0):
+${lines.join('\n')}
+`;
+};
+
+// Year-over-year growth of a history year, from the verified growth series
+const yoyNote = (measure, fiscalYear) => {
+  const yoy = measure?.series.find(entry => entry.fiscalYear === fiscalYear)?.yoy;
+  return Number.isFinite(yoy) ? formatPercent(yoy) : 'N/A';
+};
+
+// YoY and CAGRs of each measure, and where sales growth falls in the base rates; empty when there's neither
+const buildGrowthSection = (growth) => {
+  if (!growth) return '';
+  const measures = Object.values(growth.measures).filter(measure => measure.series.length > 1);
+  const { baseRates } = growth;
+
+  // The actual span is shown when a missing year or a moved year end stretched it
+  const cagrText = (measure) => Object.entries(measure.cagr)
+    .map(([years, rate]) => `${years}-year CAGR ${rate
+      ? `${formatPercent(rate.value)} (from ${rate.from}${Math.abs(rate.years - Number(years)) > 0.1 ? `, ${rate.years.toFixed(1)} years` : ''})`
+      : 'N/A'}`)
+    .join(' | ');
+  const cohortText = (cohort) => (cohort.type === 'size'
+    ? `companies with ${cohort.label} starting sales (USD)`
+    : `the ${cohort.label} sector`);
+  const median = (distribution) => distribution[baseRates.percentiles.indexOf(50)];
+
+  const growthLines = measures.length > 0 ? `
+VERIFIED GROWTH (computed server-side from the annual history - use these exact rates):
+${measures.map(measure => `  ${measure.label}: YoY ${measure.series.slice(1).map(entry => `${entry.fiscalYear} ${formatPercent(entry.yoy)}`).join(', ')} | ${cagrText(measure)}`).join('\n')}
+` : '';
+  const baseRateLines = baseRates.comparisons.length > 0 ? `
+SALES GROWTH BASE RATES (outside view - how often companies like this grew this fast; percentiles clamp at the 5th and 95th):
+${baseRates.comparisons.map(comparison => `  ${comparison.label} ${formatPercent(comparison.growth)} vs ${comparison.horizon}-year sales growth of ${cohortText(comparison.cohort)}: median ${formatPercent(median(comparison.distribution))}, ${formatOrdinal(comparison.percentile)} percentile`).join('\n')}
+Source: ${baseRates.source}
+` : '';
+
+  return `${growthLines}${baseRateLines}`;
+};
+
+// The solver returns null for growth outside its bracket and for 100%+ reinvestment
+const describeImpliedGrowth = (reverseDCF) => {
+  if (reverseDCF.impliedGrowth !== null) return `${formatPercent(reverseDCF.impliedGrowth)} per year`;
+  if (reverseDCF.inputs.reinvestmentRate >= 1) return 'N/A (reinvestment of 100% or more of NOPAT)';
+  const [low, high] = reverseDCF.growthBounds;
+  return `outside ${formatPercent(low, 0)} to ${formatPercent(high, 0)} per year (no growth in that range reproduces the enterprise value)`;
+};
+
+// A null CAP means beyond the search horizon only when there was a baseline growth to search with
+const describeImpliedCAP = (reverseDCF) => {
+  if (reverseDCF.baselineGrowth === null) return 'Implied Competitive Advantage Period: N/A (no ROIC for the self-funded growth)';
+  const period = reverseDCF.impliedCAP !== null ? `${reverseDCF.impliedCAP} years` : `more than ${reverseDCF.maxCAPYears} years`;
+  return `Implied Competitive Advantage Period at self-funded growth of ${formatPercent(reverseDCF.baselineGrowth)}: ${period}`;
+};
+
+// Flags history years whose flows aren't a plain twelve months (see lib/statements.js)
+const periodNote = (historicalData, fiscalYear) => {
+  const period = historicalData.periods?.find(entry => entry.fiscalYear === fiscalYear);
+  if (period?.weeks === 53) return ' [53-week year]';
+  if (period?.fiscalYearChange) return ' [fiscal year end changed]';
+  return '';
+};
+
+/**
+ * Build the financial data shared by every section prompt
+ * @param {object} companyData
+ * @param {object} metrics - From computeAnalysisMetrics
+ * @returns {string}
+ */
+export const buildDataContext = (companyData, metrics) => {
+  const { wacc: waccMetrics, roic: roicMetrics, historicalROIC, reverseDCF, growth } = metrics;
+  const ic = roicMetrics.investedCapital;
+  // Amounts in the currency companyData is in (see convertCompanyData)
+  const symbol = currencySymbol(companyData.currency);
+  const money = (value, decimals) => formatCurrency(value, decimals, companyData.currency);
+
+  const waccSection = `
+VERIFIED WACC CALCULATION (computed server-side - use this exact WACC):
+Cost of Equity (CAPM) = Risk-Free ${formatPercent(waccMetrics.assumptions.riskFreeRate, 2)} + Beta ${waccMetrics.beta.toFixed(2)} (${waccMetrics.betaSource}) × ERP ${formatPercent(waccMetrics.assumptions.equityRiskPremium)} = ${formatPercent(waccMetrics.costOfEquity, 2)}
+Pre-tax Cost of Debt = ${waccMetrics.costOfDebt.source === 'implied'
+      ? `Interest Expense ${money(waccMetrics.costOfDebt.interestExpense)} / Total Debt ${money(waccMetrics.costOfDebt.totalDebt)} = ${formatPercent(waccMetrics.costOfDebt.preTax, 2)}`
+      : `Risk-Free + credit spread = ${formatPercent(waccMetrics.costOfDebt.preTax, 2)} (not derivable from filing)`}
+After-tax Cost of Debt = ${formatPercent(waccMetrics.costOfDebt.preTax, 2)} × (1 - ${formatPercent(waccMetrics.taxRate)}) = ${formatPercent(waccMetrics.costOfDebt.afterTax, 2)}
+Weights (${waccMetrics.weights.source}): Equity ${formatPercent(waccMetrics.weights.equity)} (${money(waccMetrics.weights.equityValue)}) / Debt ${formatPercent(waccMetrics.weights.debt)} (${money(waccMetrics.weights.debtValue)})
+WACC = ${formatPercent(waccMetrics.weights.equity)} × ${formatPercent(waccMetrics.costOfEquity, 2)} + ${formatPercent(waccMetrics.weights.debt)} × ${formatPercent(waccMetrics.costOfDebt.afterTax, 2)} = ${formatPercent(waccMetrics.wacc, 2)}
+`;
+
+  // Add market data section if available
+  let marketDataSection = '';
+  if (companyData.marketData) {
+    marketDataSection = `
+MARKET DATA (Yahoo Finance):
+Market Cap: ${money(companyData.marketData.marketCap, 2)}
+Enterprise Value: ${money(companyData.marketData.enterpriseValue, 2)}
+Current Price: ${companyData.marketData.currentPrice ? symbol + companyData.marketData.currentPrice.toFixed(2) : 'N/A'}
+Trailing P/E: ${companyData.marketData.trailingPE?.toFixed(1) || 'N/A'}
+Forward P/E: ${companyData.marketData.forwardPE?.toFixed(1) || 'N/A'}
+Price-to-Book: ${companyData.marketData.priceToBook?.toFixed(2) || 'N/A'}
+Beta: ${companyData.marketData.beta?.toFixed(2) || 'N/A'}
+Shares Outstanding: ${formatCount(companyData.marketData.sharesOutstanding, 1)}
+`;
+  }
+
+  // Add Capital Allocation section if available
+  let capitalAllocationSection = '';
+  if (companyData.capitalAllocationData) {
+    const ca = companyData.capitalAllocationData;
+    capitalAllocationSection = `
+CAPITAL ALLOCATION DATA (Trailing 12M):
+Operating Cash Flow (Source): ${money(ca.operatingCashFlow)}
+Reinvestment (Use): ${money(ca.capitalExpenditures)} (CapEx)
+Acquisitions (Use): ${money(ca.acquisitions)}
+Return to Shareholders (Use): ${money(ca.dividends)} (Dividends) + ${money(ca.repurchases)} (Buybacks)
+Debt Repayment (Use): ${money(ca.debtRepayment)}
+`;
+  }
+
+  const roicSection = `
+VERIFIED ROIC CALCULATION (computed server-side from the filing data - use these exact figures):
+NOPAT: EBIT ${money(roicMetrics.ebit)} × (1 - ${formatPercent(roicMetrics.taxRate)}) = ${money(roicMetrics.nopat)}
+Invested Capital (operating approach): NWC ${money(ic.operating.netWorkingCapital)} + PP&E ${money(ic.operating.ppe)} + Goodwill ${money(ic.operating.goodwill)} + Intangibles ${money(ic.operating.intangibles)} = ${money(ic.operating.total)}
+  (NWC = (Current Assets ${money(ic.operating.currentAssets)} - Cash ${money(ic.operating.cash)}) - (Current Liabilities ${money(ic.operating.currentLiabilities)} - Short-term Debt ${money(ic.operating.shortTermDebt)}))
+Invested Capital (financing approach): Equity ${money(ic.financing.totalEquity)} + Debt ${money(ic.financing.totalDebt)} - Cash ${money(ic.financing.cash)} = ${money(ic.financing.total)}
+ROIC: NOPAT ${money(roicMetrics.nopat)} / IC ${money(ic.totalIC)} = ${formatPercent(roicMetrics.roic)}
+ROIC (financing approach): ${formatPercent(roicMetrics.roicFinancing)}
+DuPont: NOPAT Margin ${formatPercent(roicMetrics.dupont.nopatMargin)} × Capital Turnover ${roicMetrics.dupont.capitalTurnover !== null ? roicMetrics.dupont.capitalTurnover.toFixed(2) + 'x' : 'N/A'} = ${formatPercent(roicMetrics.roic)}
+Economic Spread: ROIC ${formatPercent(roicMetrics.roic)} - WACC ${formatPercent(waccMetrics.wacc)} = ${formatPercent(roicMetrics.valueCreation.spread)}
+Economic Profit: Spread × IC = ${money(roicMetrics.valueCreation.economicProfit)}
+${waccSection}`;
+
+  let historicalROICSection = '';
+  if (historicalROIC) {
+    historicalROICSection = `
+VERIFIED HISTORICAL ROIC (computed server-side, oldest first):
+${historicalROIC.years.map(yr => `  ${yr.fiscalYear}: NOPAT ${money(yr.nopat)} / IC ${money(yr.investedCapital)} = ROIC ${formatPercent(yr.roic)} | Incremental ROIC (ΔNOPAT/ΔIC): ${formatPercent(yr.incrementalROIC)}`).join('\n')}
+Average ROIC: ${formatPercent(historicalROIC.averageROIC)}
+Cumulative Incremental ROIC (${historicalROIC.years[0].fiscalYear} to ${historicalROIC.years[historicalROIC.years.length - 1].fiscalYear}): ${formatPercent(historicalROIC.cumulativeIncrementalROIC)}
+ROIC Trend: ${historicalROIC.trend || 'N/A'}
+`;
+  }
+
+  let reverseDCFSection = '';
+  if (reverseDCF.available) {
+    reverseDCFSection = `
+VERIFIED REVERSE DCF - MARKET-IMPLIED EXPECTATIONS (computed server-side):
+Enterprise Value: Market Cap ${money(reverseDCF.inputs.marketCap)} + Net Debt ${money(reverseDCF.inputs.netDebt)} = ${money(reverseDCF.inputs.enterpriseValue)}
+Steady-State Value (NOPAT / WACC): ${money(reverseDCF.steadyStateValue)} -> ${formatPercent(reverseDCF.futureValueShare)} of EV is priced-in future value creation
+Reinvestment Rate: ${formatPercent(reverseDCF.inputs.reinvestmentRate)} of NOPAT (${reverseDCF.reinvestmentSource})
+Implied Sales Growth (${reverseDCF.inputs.forecastYears}-year forecast, constant margin): ${describeImpliedGrowth(reverseDCF)}
+Implied ROIC on New Capital: ${formatPercent(reverseDCF.impliedROIC)}
+${describeImpliedCAP(reverseDCF)}
+`;
+  } else {
+    reverseDCFSection = `
+REVERSE DCF: Not computed (${reverseDCF.reason}). Reason about implied expectations from the valuation multiples instead.
+`;
+  }
+
+  // Add earnings trend section if available
+  let earningsSection = '';
+  if (companyData.earningsData && companyData.earningsData.quarterlyEarnings) {
+    const quarters = companyData.earningsData.quarterlyEarnings.slice(0, 4);
+    const beatCount = quarters.filter(q => parseFloat(q.surprise || 0) > 0).length;
+    const missCount = quarters.filter(q => parseFloat(q.surprise || 0) < 0).length;
+
+    earningsSection = `
+RECENT EARNINGS TREND & SENTIMENT (Last 4 Quarters):
+${quarters.map((q, i) => {
+      const surprise = parseFloat(q.surprise || 0);
+      const sentiment = surprise > 2 ? '📈 Strong Beat' : surprise > 0 ? '✅ Beat' : surprise < -2 ? '📉 Big Miss' : '❌ Miss';
+      return `Q${4 - i} ${q.fiscalDateEnding}: EPS ${symbol}${q.reportedEPS || 'N/A'} (Est: ${symbol}${q.estimatedEPS || 'N/A'}) - Surprise: ${q.surprise || 'N/A'}% ${sentiment}`;
+    }).join('\n')}
+
+Earnings Pattern: ${beatCount} beats, ${missCount} misses out of ${quarters.length} quarters
+Track Record: ${beatCount >= 3 ? 'Consistently beating expectations 🟢' : beatCount >= 2 ? 'Mixed performance 🟡' : 'Struggling to meet expectations 🔴'}`;
+  }
+
+  // Data from SEC companyfacts names the filings it was reported in
+  const { dataSource } = companyData;
+  const filingsLine = dataSource?.filings?.length
+    ? `\nFilings: ${dataSource.filings.map(filing => `${filing.form} ${filing.accn} (filed ${filing.filed})`).join(', ')}`
+    : '';
+
+  return `=== FINANCIAL DATA FROM ${dataSource ? dataSource.label.toUpperCase() : 'SEC FILING (via Alpha Vantage API)'} ===${filingsLine}
+
+Company: ${companyData.companyName} (${companyData.ticker})
+Industry: ${companyData.industry}
+Fiscal Year: ${companyData.fiscalPeriod}
+Basis: ${companyData.basis === 'ttm' ? 'Trailing twelve months (income and cash flow summed over the last 4 quarters; latest quarterly balance sheet). Historical data below is annual.' : 'Annual (latest 10-K)'}
+Currency: ${companyData.currency}${describeConversion(companyData.fx)}
+${marketDataSection}
+${capitalAllocationSection}
+${earningsSection}
+
+INCOME STATEMENT:
+Revenue: ${money(companyData.incomeStatement.revenue)}
+Cost of Revenue: ${money(companyData.incomeStatement.costOfRevenue)}
+Gross Profit: ${money(companyData.incomeStatement.grossProfit)}
+Operating Expenses: ${money(companyData.incomeStatement.operatingExpenses)}
+Operating Income: ${money(companyData.incomeStatement.operatingIncome)}
+EBIT: ${money(companyData.incomeStatement.ebit)}
+Interest Expense: ${money(companyData.incomeStatement.interestExpense)}
+Tax Expense: ${money(companyData.incomeStatement.taxExpense)}
+Net Income: ${money(companyData.incomeStatement.netIncome)}
+Effective Tax Rate: ${formatPercent(companyData.incomeStatement.taxRate)}${companyData.dataQuality?.fields['incomeStatement.taxRate']?.status === 'imputed' ? ' (statutory rate; see DATA AVAILABILITY)' : ''}
+
+BALANCE SHEET:
+Total Assets: ${money(companyData.balanceSheet.totalAssets)}
+Current Assets: ${money(companyData.balanceSheet.currentAssets)}
+  - Cash: ${money(companyData.balanceSheet.cash)}
+  - Accounts Receivable: ${money(companyData.balanceSheet.accountsReceivable)}
+  - Inventory: ${money(companyData.balanceSheet.inventory)}
+PP&E (net): ${money(companyData.balanceSheet.ppe)}
+Goodwill: ${money(companyData.balanceSheet.goodwill)}
+Intangible Assets: ${money(companyData.balanceSheet.intangibleAssets)}
+
+Total Liabilities: ${money(companyData.balanceSheet.totalLiabilities)}
+Current Liabilities: ${money(companyData.balanceSheet.currentLiabilities)}
+  - Accounts Payable: ${money(companyData.balanceSheet.accountsPayable)}
+  - Short-term Debt: ${money(companyData.balanceSheet.shortTermDebt)}
+Long-term Debt: ${money(companyData.balanceSheet.longTermDebt)}
+
+Total Equity: ${money(companyData.balanceSheet.totalEquity)}
+
+CASH FLOW:
+Operating Cash Flow: ${money(companyData.cashFlow.operatingCashFlow)}
+Capital Expenditures: ${money(companyData.cashFlow.capitalExpenditures)}
+Free Cash Flow: ${money(companyData.cashFlow.freeCashFlow)}
+${buildDataAvailabilitySection(companyData, roicMetrics, waccMetrics)}${roicSection}
+${reverseDCFSection}
+${companyData.historicalData ? `
+HISTORICAL DATA (${companyData.historicalData.yearsAvailable} years available):
+${companyData.historicalData.gaps?.length > 0 ? `Statement alignment (years are paired by fiscal date): ${companyData.historicalData.gaps.map(gap => gap.detail).join('; ')}
+` : ''}
+Revenue Trend:
+${companyData.historicalData.incomeStatements.map(yr => `  ${yr.fiscalYear}${periodNote(companyData.historicalData, yr.fiscalYear)}: ${money(yr.revenue)} (YoY: ${yoyNote(growth?.measures.revenue, yr.fiscalYear)})`).join('\n')}
+
+Operating Income Trend:
+${companyData.historicalData.incomeStatements.map(yr => `  ${yr.fiscalYear}: ${money(yr.operatingIncome)} (Margin: ${yr.revenue > 0 && Number.isFinite(yr.operatingIncome) ? formatPercent(yr.operatingIncome / yr.revenue) : 'N/A'})`).join('\n')}
+
+Free Cash Flow Trend:
+${companyData.historicalData.cashFlows.map(yr => `  ${yr.fiscalYear}: ${money(yr.freeCashFlow)}`).join('\n')}
+
+Gross Margin Trend:
+${companyData.historicalData.incomeStatements.map(yr => `  ${yr.fiscalYear}: ${formatPercent(yr.grossMargin)}`).join('\n')}
+${historicalROICSection}${buildGrowthSection(growth)}
+Use this historical data to:
+- Interpret the VERIFIED HISTORICAL ROIC trend and VERIFIED GROWTH rates (do not recompute them)
+- Judge the growth the market implies against the SALES GROWTH BASE RATES, not only the company's own record
+- Assess whether competitive advantages are strengthening or weakening
+- Evaluate earnings quality and consistency
+- Determine if growth is profitable (incremental ROIC analysis)
+` : ''}`;
+};
+
+/**
+ * Wrap the data context with one section's task and output format
+ * @param {object} options
+ * @param {string} options.context - From buildDataContext
+ * @param {string} options.task - What the section should analyze
+ * @param {string} options.format - JSON members the section returns, without the outer braces
+ * @param {object} [options.findings] - Other sections' outputs, for sections that build on them
+ * @param {string} [options.currency] - ISO code of the amounts in the context (default USD)
+ * @returns {string}
+ */
+export const buildSectionPrompt = ({ context, task, format, findings, currency = 'USD' }) => {
+  const symbol = currencySymbol(currency);
+  return `You are a strategic analyst using Michael Mauboussin's investment frameworks, specifically "Measuring the Moat" and competitive analysis principles.
+
+${context}
+${findings ? `
+=== FINDINGS FROM THE OTHER ANALYSIS SECTIONS ===
+
+${JSON.stringify(findings, null, 2)}
+` : ''}
+=== YOUR TASK ===
+
+${task}
+
+CRITICAL REQUIREMENTS:
+- Show all mathematical steps clearly using actual numbers provided
+- Never recompute or alter NOPAT, invested capital or ROIC - copy the VERIFIED figures
+- Use the VERIFIED WACC exactly as given - do not estimate your own
+- Base moat assessment on QUANTITATIVE evidence (margins, ROIC trends, market share)
+- Return ONLY valid JSON with no markdown or code blocks
+
+Your response MUST be valid JSON in this EXACT format:
+
+CURRENCY FORMATTING RULE: All amounts are in ${currency}. Format ALL currency values using:
+- ${symbol}X.XT for trillions (e.g., ${symbol}2.5T)
+- ${symbol}X.XB for billions (e.g., ${symbol}123.5B)
+- ${symbol}X.XM for millions (e.g., ${symbol}456.7M)
+- ${symbol}X.XK for thousands (e.g., ${symbol}789.2K)
+Show 1 decimal place. Examples: "${symbol}45.2B", "${symbol}1.3T", "${symbol}789.5M"${currency === 'USD' ? '' : `
+Use ${symbol} even where the format examples below show $.`}
+
+{
+${format}
+}
+
+CRITICAL: Return ONLY valid JSON. No markdown, no code blocks, just pure JSON.`;
+};
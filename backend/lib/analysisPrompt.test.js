@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import { computeAnalysisMetrics, buildDataContext, buildSectionPrompt } from './analysisPrompt.js';
+import { formatPercent } from './format.js';
+
+const companyData = {
+  companyName: 'Acme Corp',
+  ticker: 'ACME',
+  industry: 'Industrials',
+  fiscalPeriod: '2024-12-31',
+  basis: 'annual',
+  currency: 'USD',
+  marketData: { marketCap: 5000, beta: 1.1, sharesOutstanding: 100 },
+  incomeStatement: { revenue: 1000, ebit: 200, operatingIncome: 200, interestExpense: 10, taxExpense: 25, netIncome: 75, taxRate: 0.25 },
+  balanceSheet: { currentAssets: 500, cash: 100, currentLiabilities: 300, shortTermDebt: 50, longTermDebt: 350, ppe: 800, goodwill: 0, intangibleAssets: 0, totalEquity: 1200 },
+  cashFlow: { operatingCashFlow: 150, capitalExpenditures: 40, freeCashFlow: 110 },
+  earningsData: null,
+  historicalData: null
+};
+
+describe('computeAnalysisMetrics', () => {
+  it('applies reinvestment overrides to the reverse DCF', () => {
+    const metrics = computeAnalysisMetrics(companyData, { reinvestmentRate: 0.4 });
+
+    expect(metrics.reverseDCF.reinvestmentSource).toBe('override');
+    expect(metrics.reverseDCF.inputs.reinvestmentRate).toBe(0.4);
+    expect(computeAnalysisMetrics(companyData, null).historicalROIC).toBe(null);
+  });
+});
+
+describe('buildDataContext', () => {
+  it('quotes the verified figures', () => {
+    const metrics = computeAnalysisMetrics(companyData, null);
+    const context = buildDataContext(companyData, metrics);
+
+    expect(context).toContain('Company: Acme Corp (ACME)');
+    expect(context).toContain(`= ${formatPercent(metrics.roic.roic)}`);
+    expect(context).toContain(`= ${formatPercent(metrics.wacc.wacc, 2)}`);
+  });
+
+  it('marks unreported figures as unavailable rather than zero', () => {
+    const sparse = {
+      ...companyData,
+      balanceSheet: { ...companyData.balanceSheet, goodwill: null, inventory: null },
+      dataQuality: {
+        fields: { 'balanceSheet.inventory': { status: 'missing' }, 'balanceSheet.goodwill': { status: 'missing' } },
+        missing: ['balanceSheet.inventory', 'balanceSheet.goodwill'],
+        derived: [],
+        imputed: []
+      }
+    };
+    const context = buildDataContext(sparse, computeAnalysisMetrics(sparse, null));
+
+    expect(context).toContain('Inventory: N/A');
+    expect(context).toContain('Not reported (N/A above): Inventory, Goodwill');
+    expect(context).toContain('ROIC calculation without: Goodwill');
+  });
+
+  it('notes statement gaps and 53-week years in the history', () => {
+    const withHistory = {
+      ...companyData,
+      historicalData: {
+        yearsAvailable: 2,
+        incomeStatements: [
+          { fiscalYear: '2023-09-30', revenue: 1000, operatingIncome: 200, grossMargin: 0.4 },
+          { fiscalYear: '2022-09-24', revenue: 900, operatingIncome: 180, grossMargin: 0.4 }
+        ],
+        balanceSheets: [{ fiscalYear: '2023-09-30', totalAssets: 2000, totalEquity: 1200, totalDebt: 400 }],
+        cashFlows: [],
+        periods: [
+          { fiscalYear: '2023-09-30', lengthDays: 371, weeks: 53, fiscalYearChange: false, statements: ['income', 'balance'] },
+          { fiscalYear: '2022-09-24', lengthDays: null, weeks: null, fiscalYearChange: false, statements: ['income'] }
+        ],
+        gaps: [{ fiscalDateEnding: '2022-09-24', type: 'missingStatement', detail: 'No balance sheet for 2022-09-24' }]
+      }
+    };
+    const context = buildDataContext(withHistory, computeAnalysisMetrics(withHistory, null));
+
+    expect(context).toContain('Statement alignment (years are paired by fiscal date): No balance sheet for 2022-09-24');
+    expect(context).toContain('  2023-09-30 [53-week year]: $1.0K');
+  });
+
+  it('says why the reverse DCF growth or CAP is missing', () => {
+    const metrics = computeAnalysisMetrics(companyData, null);
+    const context = buildDataContext(companyData, {
+      ...metrics,
+      reverseDCF: { ...metrics.reverseDCF, impliedGrowth: null, baselineGrowth: null, impliedCAP: null }
+    });
+
+    expect(context).toContain('constant margin): outside -50% to 100% per year');
+    expect(context).toContain('Implied Competitive Advantage Period: N/A (no ROIC for the self-funded growth)');
+    expect(context).not.toContain('more than 60 years');
+  });
+
+  it('quotes verified growth and its place in the sales growth base rates', () => {
+    const revenues = [1000, 900, 800, 700];
+    const withHistory = {
+      ...companyData,
+      sector: 'Industrials',
+      historicalData: {
+        yearsAvailable: 4,
+        incomeStatements: revenues.map((revenue, index) => ({ fiscalYear: `${2024 - index}-12-31`, revenue, operatingIncome: revenue / 5 })),
+        balanceSheets: [],
+        cashFlows: []
+      }
+    };
+    const metrics = computeAnalysisMetrics(withHistory, null);
+    const context = buildDataContext(withHistory, metrics);
+
+    expect(context).not.toContain('calculated');
+    expect(context).toContain('  2024-12-31: $1.0K (YoY: 11.1%)');
+    expect(context).toContain('  2021-12-31: $700 (YoY: N/A)');
+    expect(context).toContain(`Revenue: YoY 2022-12-31 14.3%, 2023-12-31 12.5%, 2024-12-31 11.1% | 3-year CAGR ${formatPercent(metrics.growth.measures.revenue.cagr[3].value)} (from 2021-12-31) | 5-year CAGR N/A`);
+    expect(context).toMatch(/3-year sales CAGR 12\.6% vs 3-year sales growth of companies with \$0-325M starting sales \(USD\): median 6\.8%, \d+(st|nd|rd|th) percentile/);
+    expect(context).toContain('vs 3-year sales growth of the Industrials sector');
+  });
+
+  it('formats amounts in the reporting currency and notes a conversion', () => {
+    const inEuros = {
+      ...companyData,
+      currency: 'EUR',
+      fx: { from: 'USD', to: 'EUR', rate: 0.9642, asOf: '2025-01-31' }
+    };
+    const context = buildDataContext(inEuros, computeAnalysisMetrics(inEuros, null));
+
+    expect(context).toContain('Revenue: €1.0K');
+    expect(context).toContain('Currency: EUR (converted at 1 USD = 0.9642 EUR; FX rates as of 2025-01-31)');
+    expect(context).not.toContain('$');
+  });
+});
+
+describe('buildSectionPrompt', () => {
+  it('wraps the context with the task, format and findings', () => {
+    const prompt = buildSectionPrompt({
+      context: 'CONTEXT',
+      task: 'Assess the moat',
+      format: '  "moatAnalysis": {}',
+      findings: { roicAnalysis: { historicalTrend: 'Rising' } }
+    });
+
+    expect(prompt).toContain('CONTEXT');
+    expect(prompt).toContain('=== YOUR TASK ===\n\nAssess the moat');
+    expect(prompt).toContain('{\n  "moatAnalysis": {}\n}');
+    expect(prompt).toContain('"historicalTrend": "Rising"');
+    expect(buildSectionPrompt({ context: 'CONTEXT', task: 'Assess the moat', format: '' })).not.toContain('FINDINGS');
+  });
+
+  it('asks for amounts in the reporting currency', () => {
+    const prompt = buildSectionPrompt({ context: 'CONTEXT', task: 'Assess the moat', format: '', currency: 'GBP' });
+
+    expect(prompt).toContain('All amounts are in GBP');
+    expect(prompt).toContain('Use £');
+  });
+});
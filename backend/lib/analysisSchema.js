@@ -0,0 +1,283 @@
+/**
+ * Analysis output schema
+ *
+ * A JSON Schema for the object the model is asked to return, with a small
+ * validator for the subset it uses (object/string/number types, properties,
+ * required). finalizeAnalysis parses the model's text, salvages complete
+ * sections from truncated output, asks the model once more for only the
+ * fields that are missing or invalid, and fills anything still missing with
+ * typed defaults, so clients always receive a complete object.
+ */
+
+import { createSectionParser } from './jsonSections.js';
+
+const text = { type: 'string' };
+const score = { type: ['string', 'number'] };
+
+// Object schema whose properties are all required unless listed in `optional`
+const object = (properties, optional = []) => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties).filter(key => !optional.includes(key))
+});
+
+const strings = (...keys) => Object.fromEntries(keys.map(key => [key, text]));
+
+export const ANALYSIS_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Mauboussin analysis',
+  ...object({
+    ...strings('companyName', 'ticker', 'businessModel', 'industry', 'fiscalYear'),
+    roicAnalysis: object({
+      nopat: object(strings('ebit', 'taxRate', 'nopatCalculated', 'calculationShown')),
+      investedCapital: object(strings(
+        'method', 'currentAssets', 'currentLiabilities', 'netWorkingCapital', 'ppe', 'goodwill',
+        'intangibles', 'totalIC', 'calculationShown', 'alternativeMethod'
+      )),
+      roicCalculated: object(strings('percentage', 'calculation', 'interpretation')),
+      dupontDecomposition: object(strings('profitMargin', 'capitalTurnover', 'validation', 'strategyInsight')),
+      valueCreation: object(strings('estimatedWACC', 'spread', 'verdict', 'context')),
+      ...strings('incrementalROIC', 'historicalTrend', 'dataQuality')
+    }, ['dataQuality']), // dataQuality comes from the data, see sections/roic.js
+    capitalAllocation: object(strings(
+      'operatingCashFlow', 'capex', 'acquisitions', 'buybacks', 'dividends', 'debtRepayment',
+      'assessment', 'baseRateComparison'
+    )),
+    moatAnalysis: object({
+      ...strings(
+        'summary', 'moatType', 'moatStrength', 'supplyOrDemandAdvantage', 'evidenceForMoat',
+        'moatDurability', 'threatsToMoat', 'linkToROIC', 'comparativeMoat', 'measurability'
+      ),
+      moatStrengthRating: score
+    }),
+    // Only requested when quarterly earnings were provided
+    earningsCallSentiment: object({
+      ...strings(
+        'overallSentiment', 'managementCredibility', 'earningsQuality', 'forwardGuidance',
+        'beatMissPattern', 'redFlags', 'positiveSignals', 'keyQuotes', 'applicableIfDataProvided'
+      ),
+      sentimentScore: score
+    }, ['applicableIfDataProvided', 'keyQuotes']),
+    marketEfficiency: object({
+      bait: object(strings('behavioral', 'analytical', 'informational', 'technical')),
+      ...strings('counterparty', 'timeArbitrage'),
+      narrative: object(strings('currentStory', 'realityGap'))
+    }),
+    expectationsAnalysis: object({
+      ...strings('impliedExpectations', 'currentValuation', 'probabilityWeighted', 'marketView'),
+      scenarioAnalysis: object(strings('bull', 'base', 'bear'))
+    }),
+    probabilistic: object(strings('baseRates', 'skillVsLuck', 'keyUncertainties')),
+    management: object(strings('capitalAllocation', 'strategicThinking', 'overallAssessment')),
+    conclusion: object(strings('investmentThesis', 'keyRisks', 'whatWouldChange', 'recommendation'))
+  }, ['earningsCallSentiment'])
+};
+
+// Shown wherever the model failed to provide a value
+export const MISSING_TEXT = 'Not available';
+
+const typesOf = (schema) => [].concat(schema.type);
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Lists of points and bare numbers are fine where text is expected
+const coerce = (schema, value) => {
+  const types = typesOf(schema);
+  if (types.includes('string') && !types.includes('number') && typeof value === 'number') return String(value);
+  if (types.includes('string') && Array.isArray(value) && value.every(item => typeof item === 'string')) {
+    return value.join('; ');
+  }
+  return value;
+};
+
+const matchesType = (schema, value) => typesOf(schema).some(type =>
+  type === 'object' ? value !== null && typeof value === 'object' && !Array.isArray(value)
+    : type === 'number' ? Number.isFinite(value)
+      : typeof value === type);
+
+/**
+ * Schema for the part of the analysis one section returns; all its keys are required
+ * @param {string[]} keys - Top-level ANALYSIS_SCHEMA properties
+ * @returns {object}
+ */
+export const sectionSchema = (keys) => ({
+  type: 'object',
+  properties: Object.fromEntries(keys.map(key => [key, ANALYSIS_SCHEMA.properties[key]])),
+  required: [...keys]
+});
+
+/**
+ * Validate and coerce a value against the schema
+ * @param {object} value - Parsed model output
+ * @param {object} [schema] - Defaults to ANALYSIS_SCHEMA
+ * @returns {{value: object, errors: Array<{path: string, message: string}>}} value is the coerced copy
+ */
+export const validateAnalysis = (value, schema = ANALYSIS_SCHEMA) => {
+  const errors = [];
+
+  const visit = (node, current, path) => {
+    const coerced = coerce(node, current);
+    if (!matchesType(node, coerced)) {
+      errors.push({ path, message: `expected ${typesOf(node).join(' or ')}` });
+      return coerced;
+    }
+    if (node.type !== 'object') {
+      if (isBlank(coerced)) errors.push({ path, message: 'empty' });
+      return coerced;
+    }
+
+    const result = { ...coerced };
+    for (const [key, child] of Object.entries(node.properties)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (isBlank(coerced[key])) {
+        if (node.required.includes(key)) errors.push({ path: childPath, message: 'missing' });
+        continue;
+      }
+      result[key] = visit(child, coerced[key], childPath);
+    }
+    return result;
+  };
+
+  return { value: visit(schema, value, ''), errors };
+};
+
+/**
+ * Typed default for a schema node: MISSING_TEXT for text and scores, nested defaults for objects
+ * @param {object} schema
+ * @returns {*}
+ */
+export const defaultFor = (schema) => (schema.type === 'object'
+  ? Object.fromEntries(schema.required.map(key => [key, defaultFor(schema.properties[key])]))
+  : MISSING_TEXT);
+
+/**
+ * Replace missing or invalid values with typed defaults
+ * @param {object} value
+ * @param {object} [schema]
+ * @returns {{value: object, defaulted: string[]}} defaulted lists the replaced paths
+ */
+export const applyDefaults = (value, schema = ANALYSIS_SCHEMA) => {
+  const { value: coerced, errors } = validateAnalysis(value, schema);
+  const result = structuredClone(coerced ?? {});
+
+  for (const { path } of errors) {
+    const keys = path ? path.split('.') : [];
+    if (keys.length === 0) return { value: defaultFor(schema), defaulted: [''] };
+
+    let target = result;
+    let node = schema;
+    for (const key of keys.slice(0, -1)) {
+      node = node.properties[key];
+      target = target[key];
+    }
+    const last = keys[keys.length - 1];
+    target[last] = defaultFor(node.properties[last]);
+  }
+
+  return { value: result, defaulted: errors.map(error => error.path) };
+};
+
+/**
+ * Parse model output, tolerating code fences, surrounding prose and truncation
+ * @param {string} output
+ * @returns {{value: object|null, truncated: boolean}} For unparseable output, value holds the
+ *   top-level sections that were complete (null if none)
+ */
+export const parseAnalysisText = (output) => {
+  const stripped = String(output).replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const start = stripped.indexOf('{');
+  const end = stripped.lastIndexOf('}');
+
+  if (start !== -1 && end > start) {
+    try {
+      return { value: JSON.parse(stripped.slice(start, end + 1)), truncated: false };
+    } catch {
+      // Fall through to section salvage
+    }
+  }
+
+  const sections = {};
+  createSectionParser((key, value) => { sections[key] = value; }).push(stripped);
+  return { value: Object.keys(sections).length > 0 ? sections : null, truncated: true };
+};
+
+// Set `value` at a dotted path, creating objects along the way
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] === null || typeof node[key] !== 'object' || Array.isArray(node[key])) node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+};
+
+const getPath = (source, path) => path.split('.').reduce((node, key) => node?.[key], source);
+
+/**
+ * Repair instructions listing only the fields to resend
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {string}
+ */
+export const buildRepairPrompt = (errors) => {
+  const example = {};
+  for (const { path } of errors) setPath(example, path, '...');
+
+  return `Your analysis above was incomplete or invalid in these fields:
+${errors.map(({ path, message }) => `- ${path}: ${message}`).join('\n')}
+
+Return ONLY a JSON object containing just these fields, nested exactly as in the requested format:
+${JSON.stringify(example, null, 2)}
+
+Follow the same formatting rules as before. No markdown, no code blocks, just pure JSON.`;
+};
+
+// Only whole top-level fields are re-asked when the output couldn't be parsed at all
+const topLevelErrors = (schema) => schema.required.map(key => ({ path: key, message: 'missing' }));
+
+/**
+ * Parse, validate, repair once, and default the model's analysis
+ * @param {object} options
+ * @param {string} options.text - Model output
+ * @param {string} options.prompt - The prompt that produced it
+ * @param {Function} options.complete - (messages) => Promise<string>, for the repair request
+ * @param {object} [options.schema] - Defaults to ANALYSIS_SCHEMA; see sectionSchema
+ * @returns {Promise<{analysis: object, validation: {valid: boolean, truncated: boolean, repaired: string[], defaulted: string[]}}>}
+ */
+export const finalizeAnalysis = async ({ text: output, prompt, complete, schema = ANALYSIS_SCHEMA }) => {
+  const parsed = parseAnalysisText(output);
+  let analysis = parsed.value || {};
+  let { errors } = parsed.value ? validateAnalysis(analysis, schema) : { errors: topLevelErrors(schema) };
+  let repaired = [];
+
+  if (errors.length > 0) {
+    try {
+      const repairText = await complete([
+        { role: 'user', content: prompt },
+        { role: 'assistant', content: output },
+        { role: 'user', content: buildRepairPrompt(errors) }
+      ]);
+      const patch = parseAnalysisText(repairText).value || {};
+      analysis = structuredClone(analysis);
+      repaired = errors
+        .map(({ path }) => path)
+        .filter(path => {
+          const value = getPath(patch, path);
+          if (value === undefined) return false;
+          setPath(analysis, path, value);
+          return true;
+        });
+    } catch (error) {
+      console.error('Analysis repair failed:', error.message);
+    }
+
+    const remaining = new Set(validateAnalysis(analysis, schema).errors.map(error => error.path));
+    repaired = repaired.filter(path => !remaining.has(path));
+  }
+
+  const { value, defaulted } = applyDefaults(analysis, schema);
+  return {
+    analysis: value,
+    validation: { valid: errors.length === 0, truncated: parsed.truncated, repaired, defaulted }
+  };
+};
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  ANALYSIS_SCHEMA,
+  MISSING_TEXT,
+  validateAnalysis,
+  applyDefaults,
+  defaultFor,
+  parseAnalysisText,
+  sectionSchema,
+  finalizeAnalysis
+} from './analysisSchema.js';
+
+// A complete analysis built from the schema itself
+const fill = (schema) => (schema.type === 'object'
+  ? Object.fromEntries(Object.keys(schema.properties).map(key => [key, fill(schema.properties[key])]))
+  : 'x');
+
+const complete = () => fill(ANALYSIS_SCHEMA);
+
+describe('validateAnalysis', () => {
+  it('accepts a complete analysis', () => {
+    expect(validateAnalysis(complete()).errors).toEqual([]);
+  });
+
+  it('reports missing, empty and mistyped fields by path', () => {
+    const analysis = complete();
+    delete analysis.roicAnalysis.historicalTrend;
+    analysis.conclusion.keyRisks = '  ';
+    analysis.expectationsAnalysis.scenarioAnalysis = 'Bull case only';
+    delete analysis.earningsCallSentiment;
+
+    expect(validateAnalysis(analysis).errors).toEqual([
+      { path: 'roicAnalysis.historicalTrend', message: 'missing' },
+      { path: 'expectationsAnalysis.scenarioAnalysis', message: 'expected object' },
+      { path: 'conclusion.keyRisks', message: 'missing' }
+    ]);
+  });
+
+  it('coerces lists and numbers where text is expected', () => {
+    const analysis = complete();
+    analysis.conclusion.keyRisks = ['Competition', 'Regulation'];
+    analysis.roicAnalysis.nopat.taxRate = 21;
+    analysis.moatAnalysis.moatStrengthRating = 8;
+
+    const { value, errors } = validateAnalysis(analysis);
+
+    expect(errors).toEqual([]);
+    expect(value.conclusion.keyRisks).toBe('Competition; Regulation');
+    expect(value.roicAnalysis.nopat.taxRate).toBe('21');
+    expect(value.moatAnalysis.moatStrengthRating).toBe(8);
+  });
+});
+
+describe('applyDefaults', () => {
+  it('fills missing fields and whole sections with typed defaults', () => {
+    const analysis = complete();
+    delete analysis.roicAnalysis.historicalTrend;
+    delete analysis.management;
+
+    const { value, defaulted } = applyDefaults(analysis);
+
+    expect(value.roicAnalysis.historicalTrend).toBe(MISSING_TEXT);
+    expect(value.management).toEqual(defaultFor(ANALYSIS_SCHEMA.properties.management));
+    expect(defaulted).toEqual(['roicAnalysis.historicalTrend', 'management']);
+  });
+});
+
+describe('parseAnalysisText', () => {
+  it('strips code fences and prose', () => {
+    expect(parseAnalysisText('Here you go:\n```json\n{"ticker": "ACME"}\n```')).toEqual({ value: { ticker: 'ACME' }, truncated: false });
+  });
+
+  it('salvages complete sections from truncated output', () => {
+    expect(parseAnalysisText('{"ticker": "ACME", "management": {"capitalAllocation": "Good"}, "conclusion": {"investmentThe'))
+      .toEqual({ value: { ticker: 'ACME', management: { capitalAllocation: 'Good' } }, truncated: true });
+  });
+});
+
+describe('finalizeAnalysis', () => {
+  it('re-asks for only the invalid fields and merges the answer', async () => {
+    const analysis = complete();
+    delete analysis.roicAnalysis.historicalTrend;
+    delete analysis.probabilistic.skillVsLuck;
+    const completeFn = vi.fn(async () => '{"roicAnalysis": {"historicalTrend": "Rising"}}');
+
+    const result = await finalizeAnalysis({ text: JSON.stringify(analysis), prompt: 'Analyze', complete: completeFn });
+
+    const [messages] = completeFn.mock.calls[0];
+    expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+    expect(messages[2].content).toContain('- roicAnalysis.historicalTrend: missing');
+    expect(messages[2].content).toContain('- probabilistic.skillVsLuck: missing');
+    expect(result.analysis.roicAnalysis.historicalTrend).toBe('Rising');
+    expect(result.analysis.probabilistic.skillVsLuck).toBe(MISSING_TEXT);
+    expect(result.validation).toEqual({
+      valid: false,
+      truncated: false,
+      repaired: ['roicAnalysis.historicalTrend'],
+      defaulted: ['probabilistic.skillVsLuck']
+    });
+  });
+
+  it('skips the repair request for valid output', async () => {
+    const completeFn = vi.fn();
+
+    const result = await finalizeAnalysis({ text: JSON.stringify(complete()), prompt: 'Analyze', complete: completeFn });
+
+    expect(completeFn).not.toHaveBeenCalled();
+    expect(result.validation.valid).toBe(true);
+  });
+
+  it('falls back to defaults when the repair request fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await finalizeAnalysis({
+      text: 'not json',
+      prompt: 'Analyze',
+      complete: async () => { throw new Error('Overloaded'); }
+    });
+
+    expect(result.analysis.conclusion.recommendation).toBe(MISSING_TEXT);
+    expect(result.validation.defaulted).toContain('conclusion');
+    vi.restoreAllMocks();
+  });
+
+  it('validates against a section schema', async () => {
+    const schema = sectionSchema(['earningsCallSentiment']);
+    const completeFn = vi.fn(async () => '{}');
+
+    const result = await finalizeAnalysis({ text: '{"earningsCallSentiment": {}}', prompt: 'Analyze', complete: completeFn, schema });
+
+    expect(schema.required).toEqual(['earningsCallSentiment']);
+    expect(completeFn.mock.calls[0][0][2].content).toContain('- earningsCallSentiment.overallSentiment: missing');
+    expect(Object.keys(result.analysis)).toEqual(['earningsCallSentiment']);
+    expect(result.analysis.earningsCallSentiment.sentimentScore).toBe(MISSING_TEXT);
+  });
+
+});
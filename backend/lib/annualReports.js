@@ -0,0 +1,346 @@
+/**
+ * Annual report (10-K) documents
+ *
+ * Users upload a company's 10-K as HTML or as text (e.g. extracted from the
+ * PDF). The Business (Item 1), Risk Factors (Item 1A) and MD&A (Item 7)
+ * sections are extracted, split into excerpts of a few paragraphs and stored
+ * per ticker and fiscal year:
+ *
+ *   <dir>/AAPL/2024.json
+ *
+ * Excerpts are numbered per section (B1, RF1, MD1, ...) and cited as
+ * 10K-<fiscal year>-<excerpt>, e.g. [10K-2024-RF3]. Rather than the whole
+ * filing, each prompt gets the excerpts that best match its questions
+ * (RETRIEVAL_QUERIES), ranked by keyword relevance.
+ */
+
+import { createDocumentStore } from './documentStore.js';
+
+export const ANNUAL_REPORT_SECTIONS = {
+  business: { code: 'B', title: 'Item 1. Business', heading: /^item\s*1\s*[.:\-–—]?\s*business\b/i },
+  riskFactors: { code: 'RF', title: 'Item 1A. Risk Factors', heading: /^item\s*1a\s*[.:\-–—]?\s*risk\s+factors\b/i },
+  mdna: {
+    code: 'MD',
+    title: "Item 7. Management's Discussion and Analysis",
+    heading: /^item\s*7\s*[.:\-–—]?\s*management['’]?s\s+discussion\b/i
+  }
+};
+
+// Any 10-K item heading; a section runs until the next one
+const ITEM_HEADING = /^item\s*\d{1,2}[a-c]?\s*[.:\-–—]?\s+\S/i;
+
+// Target excerpt length in characters; paragraphs are kept whole where possible
+export const EXCERPT_CHARS = 1200;
+
+// What each prompt looks for; the query terms are matched against the excerpts
+export const RETRIEVAL_QUERIES = {
+  moat: {
+    sections: ['business', 'mdna'],
+    limit: 6,
+    query: 'competition competitive competitors advantage market share customers customer retention renewal churn ' +
+      'pricing price increases brand patents intellectual property network switching costs scale cost leadership'
+  },
+  threats: {
+    sections: ['riskFactors'],
+    limit: 4,
+    query: 'competition competitors new entrants technology disruption substitutes regulation regulatory ' +
+      'pricing pressure customers loss concentration supply'
+  },
+  management: {
+    sections: ['mdna', 'business'],
+    limit: 5,
+    query: 'capital allocation repurchases buybacks dividends acquisitions investment capital expenditures ' +
+      'strategy long-term priorities liquidity debt returns'
+  }
+};
+
+// Characters of excerpts quoted per prompt (~4 characters per token)
+const CONTEXT_CHAR_BUDGET = 12000;
+
+const FISCAL_YEAR_PATTERN = /^(19|20)\d{2}$/;
+
+const CITATION_GROUP = /\[([^\]]+)\]/g;
+const CITATION_ID = /^10K-(\d{4})-([A-Z]+\d+)$/;
+
+// Words too common in filings to say anything about relevance
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'our', 'with', 'that', 'this', 'from', 'which', 'have', 'has', 'its', 'may',
+  'not', 'been', 'were', 'was', 'will', 'such', 'these', 'their', 'other', 'also', 'including', 'could', 'would'
+]);
+
+/**
+ * @param {*} value
+ * @returns {string|null} The fiscal year as 'YYYY', or null if it isn't one
+ */
+export const parseFiscalYear = (value) => {
+  const year = String(value ?? '').trim();
+  return FISCAL_YEAR_PATTERN.test(year) ? year : null;
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', mdash: '—', ndash: '–' };
+
+/**
+ * Plain text of an HTML filing, one block element per line
+ * @param {string} html
+ * @returns {string}
+ */
+export const htmlToText = (html) => String(html)
+  // Source line breaks are just whitespace in HTML
+  .replace(/\s+/g, ' ')
+  .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+  // iXBRL hides metadata in display:none blocks
+  .replace(/<div[^>]*display:\s*none[^>]*>[\s\S]*?<\/div>/gi, ' ')
+  .replace(/<(br|\/p|\/div|\/tr|\/li|\/h[1-6]|\/table)[^>]*>/gi, '\n')
+  .replace(/<\/t[dh]>/gi, ' ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&#(x?)([0-9a-f]+);/gi, (_, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)))
+  .replace(/&([a-z]+);/gi, (entity, name) => ENTITIES[name.toLowerCase()] ?? entity)
+  .replace(/[ \t ]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Find the Business, Risk Factors and MD&A sections of a 10-K
+ * @param {string} text - Plain text, one heading per line
+ * @returns {object} Section text by key of ANNUAL_REPORT_SECTIONS; missing sections are left out.
+ *   Headings also appear in the table of contents, so the longest candidate wins.
+ */
+export const extractSections = (text) => {
+  const lines = String(text).split('\n').map(line => line.trim());
+  const headings = lines.map((line, index) => (ITEM_HEADING.test(line) ? index : -1)).filter(index => index >= 0);
+
+  const sections = {};
+  for (const [key, { heading }] of Object.entries(ANNUAL_REPORT_SECTIONS)) {
+    let best = '';
+    for (const start of headings.filter(index => heading.test(lines[index]))) {
+      const end = headings.find(index => index > start) ?? lines.length;
+      const body = lines.slice(start + 1, end).join('\n').trim();
+      if (body.length > best.length) best = body;
+    }
+    if (best) sections[key] = best;
+  }
+  return sections;
+};
+
+/**
+ * Split section text into excerpts of whole paragraphs (or sentences, for long paragraphs)
+ * @param {string} text
+ * @param {number} [size]
+ * @returns {string[]}
+ */
+export const splitExcerpts = (text, size = EXCERPT_CHARS) => {
+  const pieces = String(text)
+    .split(/\n+/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(paragraph => (paragraph.length <= size ? [paragraph] : paragraph.match(/[^.!?]+(?:[.!?]+|$)\s*/g)));
+
+  const excerpts = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > size) {
+      excerpts.push(current.trim());
+      current = '';
+    }
+    current += `${current ? ' ' : ''}${piece}`;
+  }
+  if (current.trim()) excerpts.push(current.trim());
+  return excerpts;
+};
+
+/**
+ * Extract and split a 10-K into excerpts
+ * @param {string} content - The filing as uploaded
+ * @param {string} format - 'html' | 'text'
+ * @returns {object} Sections by key: { title, excerpts: [{ id, text }] }
+ * @throws {RangeError} When none of the sections can be found
+ */
+export const parseAnnualReport = (content, format) => {
+  const found = extractSections(format === 'html' ? htmlToText(content) : String(content).replace(/\r\n?/g, '\n'));
+  if (Object.keys(found).length === 0) {
+    throw new RangeError('No Business (Item 1), Risk Factors (Item 1A) or MD&A (Item 7) section found');
+  }
+
+  return Object.fromEntries(Object.entries(found).map(([key, text]) => {
+    const { code, title } = ANNUAL_REPORT_SECTIONS[key];
+    return [key, { title, excerpts: splitExcerpts(text).map((excerpt, index) => ({ id: `${code}${index + 1}`, text: excerpt })) }];
+  }));
+};
+
+const summarize = (report) => ({
+  symbol: report.symbol,
+  fiscalYear: report.fiscalYear,
+  filename: report.filename,
+  importedAt: report.importedAt,
+  sections: Object.fromEntries(Object.entries(report.sections).map(([key, section]) => [key, section.excerpts.length])),
+  missingSections: Object.keys(ANNUAL_REPORT_SECTIONS).filter(key => !report.sections[key])
+});
+
+/**
+ * Create a file-backed annual report store
+ * @param {object} options
+ * @param {string} options.dir - Directory for report files (created on first write)
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {object} Store with save, get, list, latest and remove
+ */
+export const createAnnualReportStore = ({ dir, now = Date.now }) => {
+  const documents = createDocumentStore({ dir, parseKey: parseFiscalYear, label: 'Annual report' });
+  const read = documents.read;
+
+  return {
+    /**
+     * Parse and store a 10-K, replacing any for the same fiscal year
+     * @param {object} report - { symbol, fiscalYear, content, format: 'html'|'text', filename? };
+     *   symbol and fiscalYear already normalized (see parseSymbol in lib/symbols.js, parseFiscalYear)
+     * @returns {Promise<object>} Summary: { symbol, fiscalYear, filename, importedAt, sections, missingSections }
+     *   where sections counts the excerpts per section
+     * @throws {RangeError} When none of the sections can be found
+     */
+    async save({ symbol, fiscalYear, content, format, filename = null }) {
+      const report = {
+        symbol,
+        fiscalYear,
+        filename,
+        importedAt: new Date(now()).toISOString(),
+        sections: parseAnnualReport(content, format)
+      };
+
+      await documents.write(symbol, fiscalYear, report);
+      return summarize(report);
+    },
+
+    /**
+     * @returns {Promise<object|null>} The stored report with its excerpts
+     */
+    get: read,
+
+    /**
+     * @param {string} symbol
+     * @returns {Promise<object[]>} Summaries, newest fiscal year first
+     */
+    async list(symbol) {
+      const reports = await Promise.all((await documents.keysOf(symbol)).map(year => read(symbol, year)));
+      return reports.filter(Boolean).map(summarize);
+    },
+
+    /**
+     * @param {string} symbol
+     * @returns {Promise<object|null>} The newest fiscal year's report
+     */
+    async latest(symbol) {
+      const [year] = await documents.keysOf(symbol);
+      return year ? read(symbol, year) : null;
+    },
+
+    /**
+     * @returns {Promise<boolean>} false if there was no such report
+     */
+    remove: documents.remove
+  };
+};
+
+const terms = (text) => (String(text).toLowerCase().match(/[a-z][a-z-]{2,}/g) || []).filter(word => !STOPWORDS.has(word));
+
+/**
+ * The excerpts that best answer a query, most relevant first
+ * @param {object} report - From the store
+ * @param {object} query - { sections, query, limit }, see RETRIEVAL_QUERIES
+ * @returns {object[]} { id, section, text }; excerpts sharing no term with the query are left out
+ */
+export const retrieveExcerpts = (report, { sections, query, limit }) => {
+  const candidates = sections.flatMap(key => (report.sections[key]?.excerpts || [])
+    .map(excerpt => ({ ...excerpt, section: key, terms: terms(excerpt.text) })));
+  if (candidates.length === 0) return [];
+
+  // BM25-style: rare terms count more, repeats saturate, long excerpts are discounted
+  const averageLength = candidates.reduce((sum, candidate) => sum + candidate.terms.length, 0) / candidates.length || 1;
+  const queryTerms = [...new Set(terms(query))];
+  const documentFrequency = new Map(queryTerms.map(term => [term, candidates.filter(candidate => candidate.terms.includes(term)).length]));
+
+  return candidates
+    .map(candidate => {
+      const lengthNorm = 0.25 + 0.75 * (candidate.terms.length / averageLength);
+      const score = queryTerms.reduce((sum, term) => {
+        const frequency = candidate.terms.filter(word => word === term).length;
+        if (!frequency) return sum;
+        const idf = Math.log(1 + (candidates.length - documentFrequency.get(term) + 0.5) / (documentFrequency.get(term) + 0.5));
+        return sum + idf * (frequency * 2.2) / (frequency + 1.2 * lengthNorm);
+      }, 0);
+      return { id: candidate.id, section: candidate.section, text: candidate.text, score };
+    })
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ score: _score, ...excerpt }) => excerpt);
+};
+
+/**
+ * Excerpts of the annual report for one prompt
+ * @param {object|null} report - From store.latest
+ * @param {string[]} purposes - Keys of RETRIEVAL_QUERIES
+ * @returns {string} Empty without a report
+ */
+export const buildAnnualReportContext = (report, purposes) => {
+  if (!report) return '';
+
+  const seen = new Set();
+  let used = 0;
+  const lines = purposes
+    .flatMap(purpose => retrieveExcerpts(report, RETRIEVAL_QUERIES[purpose]))
+    .filter(excerpt => !seen.has(excerpt.id) && seen.add(excerpt.id))
+    .map(excerpt => `[10K-${report.fiscalYear}-${excerpt.id}] (${ANNUAL_REPORT_SECTIONS[excerpt.section].title}): ${excerpt.text}`)
+    .filter(line => {
+      used += line.length;
+      return used <= CONTEXT_CHAR_BUDGET;
+    });
+  if (lines.length === 0) return '';
+
+  return `
+=== ANNUAL REPORT EXCERPTS (FY${report.fiscalYear} 10-K; cite excerpts by their id, e.g. [10K-${report.fiscalYear}-B1]) ===
+
+${lines.join('\n\n')}
+`;
+};
+
+// Every string under a value
+const stringsIn = (value) => {
+  if (typeof value === 'string') return [value];
+  if (!value || typeof value !== 'object') return [];
+  return Object.values(value).flatMap(stringsIn);
+};
+
+/**
+ * Map the excerpt ids an analysis cites back to the annual report
+ * @param {*} value - Analysis, or any part of it
+ * @param {object|null} report - The one the analysis was given (store.latest)
+ * @returns {{passages: object, unknown: string[]}} passages by citation id, as
+ *   { source: 'annualReport', fiscalYear, section, text } with section the item title; unknown are
+ *   cited ids that match no excerpt
+ */
+export const resolveAnnualReportCitations = (value, report) => {
+  const passages = {};
+  const unknown = new Set();
+
+  for (const text of stringsIn(value)) {
+    for (const [, group] of text.matchAll(CITATION_GROUP)) {
+      for (const id of group.split(/[,;]/).map(part => part.trim())) {
+        const match = id.match(CITATION_ID);
+        if (!match) continue;
+
+        const [, fiscalYear, excerptId] = match;
+        const section = report?.fiscalYear === fiscalYear
+          ? Object.values(report.sections).find(candidate => candidate.excerpts.some(excerpt => excerpt.id === excerptId))
+          : null;
+        if (section) {
+          const excerpt = section.excerpts.find(candidate => candidate.id === excerptId);
+          passages[id] = { source: 'annualReport', fiscalYear, section: section.title, text: excerpt.text };
+        } else {
+          unknown.add(id);
+        }
+      }
+    }
+  }
+
+  return { passages, unknown: [...unknown] };
+};
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  parseFiscalYear,
+  htmlToText,
+  extractSections,
+  splitExcerpts,
+  parseAnnualReport,
+  createAnnualReportStore,
+  retrieveExcerpts,
+  buildAnnualReportContext,
+  resolveAnnualReportCitations
+} from './annualReports.js';
+
+const FILING = `ACME CORP ANNUAL REPORT ON FORM 10-K
+
+TABLE OF CONTENTS
+Item 1. Business 3
+Item 1A. Risk Factors 9
+Item 7. Management's Discussion and Analysis of Financial Condition and Results of Operations 21
+
+PART I
+
+Item 1. Business
+Acme sells industrial adhesives to manufacturers worldwide.
+Our customers renew at a rate above 95% because switching adhesives requires requalifying production lines.
+We hold 40% market share in aerospace bonding and have raised prices each of the last five years.
+
+Item 1A. Risk Factors
+Competition from lower-cost producers in Asia could force us to cut prices.
+New environmental regulation could restrict the solvents in our products.
+
+Item 2. Properties
+We own three plants.
+
+PART II
+
+Item 7. Management's Discussion and Analysis of Financial Condition and Results of Operations
+We returned $400 million to shareholders through share repurchases and dividends.
+Capital expenditures rose as we expanded the Ohio plant.
+
+Item 7A. Quantitative and Qualitative Disclosures About Market Risk
+We are exposed to interest rate risk.`;
+
+describe('parseFiscalYear', () => {
+  it('accepts four-digit years only', () => {
+    expect(parseFiscalYear(' 2024 ')).toBe('2024');
+    expect(parseFiscalYear('FY2024')).toBe(null);
+    expect(parseFiscalYear('../24')).toBe(null);
+  });
+});
+
+describe('extractSections', () => {
+  it('finds each section in the body rather than the table of contents', () => {
+    const sections = extractSections(FILING);
+
+    expect(Object.keys(sections)).toEqual(['business', 'riskFactors', 'mdna']);
+    expect(sections.business).toMatch(/^Acme sells industrial adhesives/);
+    expect(sections.riskFactors).not.toContain('three plants');
+    expect(sections.mdna).not.toContain('interest rate risk');
+  });
+
+  it('reads HTML filings one block per line', () => {
+    const html = `<html><head><style>p { margin: 0 }</style></head><body>
+      <div style="display:none"><ix:header>dei</ix:header></div>
+      <p><b>ITEM&#160;1.</b> BUSINESS</p><p>We make widgets &amp; gadgets.</p>
+      <p>ITEM 1A. RISK FACTORS</p><p>Demand may fall.</p></body></html>`;
+
+    expect(htmlToText(html)).toBe('ITEM 1. BUSINESS\nWe make widgets & gadgets.\nITEM 1A. RISK FACTORS\nDemand may fall.');
+    expect(extractSections(htmlToText(html))).toEqual({ business: 'We make widgets & gadgets.', riskFactors: 'Demand may fall.' });
+  });
+});
+
+describe('splitExcerpts', () => {
+  it('packs whole paragraphs and splits long ones at sentences', () => {
+    expect(splitExcerpts('One.\nTwo.\nThree.', 10)).toEqual(['One. Two.', 'Three.']);
+    expect(splitExcerpts('First sentence here. Second sentence here.', 25)).toEqual(['First sentence here.', 'Second sentence here.']);
+  });
+});
+
+describe('createAnnualReportStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'annual-reports-'));
+    store = createAnnualReportStore({ dir, now: () => Date.UTC(2025, 1, 20) });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('rejects symbols that would leave the store directory with a 400', async () => {
+    const escape = { status: 400 };
+
+    await expect(store.save({ symbol: '..', fiscalYear: '2024', content: FILING, format: 'text' })).rejects.toMatchObject(escape);
+    await expect(store.remove('..', '2024')).rejects.toMatchObject(escape);
+    await expect(store.get('..', '2024')).rejects.toMatchObject(escape);
+  });
+
+  it('saves, lists newest first and removes reports', async () => {
+    const summary = await store.save({ symbol: 'ACME', fiscalYear: '2024', content: FILING, format: 'text', filename: 'acme-10k.txt' });
+    await store.save({ symbol: 'ACME', fiscalYear: '2023', content: '<p>Item 1. Business</p><p>Widgets.</p>', format: 'html' });
+
+    expect(summary).toEqual({
+      symbol: 'ACME',
+      fiscalYear: '2024',
+      filename: 'acme-10k.txt',
+      importedAt: '2025-02-20T00:00:00.000Z',
+      sections: { business: 1, riskFactors: 1, mdna: 1 },
+      missingSections: []
+    });
+    expect((await store.list('ACME')).map(report => [report.fiscalYear, report.missingSections])).toEqual([
+      ['2024', []],
+      ['2023', ['riskFactors', 'mdna']]
+    ]);
+    expect((await store.latest('ACME')).sections.business.excerpts[0].id).toBe('B1');
+
+    expect(await store.remove('ACME', '2024')).toBe(true);
+    expect(await store.remove('ACME', '2024')).toBe(false);
+    expect(await store.latest('OTHER')).toBe(null);
+  });
+
+  it('rejects documents without any of the sections', async () => {
+    await expect(store.save({ symbol: 'ACME', fiscalYear: '2024', content: 'Quarterly newsletter', format: 'text' }))
+      .rejects.toThrow(RangeError);
+    expect(await store.list('ACME')).toEqual([]);
+  });
+});
+
+describe('retrieval', () => {
+  // One paragraph per excerpt, so there is something to rank
+  const report = { symbol: 'ACME', fiscalYear: '2024', sections: parseAnnualReport(FILING, 'text') };
+  for (const section of Object.values(report.sections)) {
+    const code = section.excerpts[0].id.replace(/\d+$/, '');
+    section.excerpts = section.excerpts[0].text.split(/(?<=\.) /).map((text, index) => ({ id: `${code}${index + 1}`, text }));
+  }
+
+  it('ranks the excerpts that answer the question first', () => {
+    const [first] = retrieveExcerpts(report, { sections: ['business'], query: 'customers renew switching', limit: 2 });
+
+    expect(first).toEqual({ id: 'B2', section: 'business', text: expect.stringContaining('switching adhesives') });
+    expect(retrieveExcerpts(report, { sections: ['business'], query: 'dividends', limit: 2 })).toEqual([]);
+  });
+
+  it('quotes excerpts with citation ids per prompt', () => {
+    const moat = buildAnnualReportContext(report, ['moat', 'threats']);
+
+    expect(moat).toContain('FY2024 10-K');
+    expect(moat).toContain('[10K-2024-B2] (Item 1. Business): Our customers renew');
+    expect(moat).toContain('[10K-2024-RF1] (Item 1A. Risk Factors): Competition from lower-cost producers');
+    expect(moat).not.toContain('Acme sells');
+    expect(buildAnnualReportContext(report, ['management'])).toContain('[10K-2024-MD1]');
+    expect(buildAnnualReportContext(null, ['moat'])).toBe('');
+  });
+
+  it('maps cited excerpt ids back to the filing', () => {
+    const { passages, unknown } = resolveAnnualReportCitations({
+      moatAnalysis: { evidenceForMoat: ['Renewals above 95% [10K-2024-B2]', 'Pricing power [10K-2024-B3; 10K-2024-B9]'] },
+      earningsCallSentiment: { forwardGuidance: 'Upbeat [2024Q4-R2] [10K-2023-B1]' }
+    }, report);
+
+    expect(Object.keys(passages)).toEqual(['10K-2024-B2', '10K-2024-B3']);
+    expect(passages['10K-2024-B2']).toEqual({
+      source: 'annualReport', fiscalYear: '2024', section: 'Item 1. Business', text: expect.stringContaining('renew')
+    });
+    expect(unknown).toEqual(['10K-2024-B9', '10K-2023-B1']);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Alpha Vantage request scheduler
+ *
+ * Free keys allow 5 calls per minute and 25 per day. Each quota is modelled as
+ * a token bucket that refills continuously; a call needs a token from both.
+ * Requests wait in a FIFO queue until tokens are available instead of being
+ * sent and rejected, and a throttle response ("Note", or "Information" about
+ * request frequency) puts the request back at the head of the queue.
+ *
+ * schedule() is fetch-compatible, so it can be passed wherever a fetch is
+ * expected. Callers can tag requests with a client id and ask for that
+ * client's queue position and estimated wait while they are waiting.
+ */
+
+import { ProviderError } from './providers/errors.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const DEFAULT_CALLS_PER_MINUTE = 5;
+export const DEFAULT_CALLS_PER_DAY = 25;
+
+// Spacing between calls even when tokens are available; bursts trip anti-abuse checks
+const MIN_SPACING_MS = 1000;
+
+// Retries of a throttled request before its throttle response is returned as-is
+const MAX_THROTTLE_RETRIES = 3;
+
+// Don't queue a request that couldn't be sent within this long (e.g. daily quota spent)
+const MAX_WAIT_MS = 5 * MINUTE_MS;
+
+const isDailyLimitMessage = (message) => /per day|daily/i.test(message || '');
+
+const createBucket = (capacity, periodMs, now) => ({
+  capacity,
+  tokens: capacity,
+  ratePerMs: capacity / periodMs,
+  updatedAt: now
+});
+
+const refill = (bucket, now) => {
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.ratePerMs);
+  bucket.updatedAt = now;
+};
+
+// Time until the bucket holds `needed` tokens
+const msUntil = (bucket, needed) =>
+  bucket.tokens >= needed ? 0 : (needed - bucket.tokens) / bucket.ratePerMs;
+
+/**
+ * Classify an Alpha Vantage body
+ * @param {object} data - Parsed response
+ * @returns {'minute'|'day'|null} Which quota the response says we exceeded
+ */
+export const detectThrottle = (data) => {
+  if (!data || typeof data !== 'object') return null;
+  if (data.Note) return isDailyLimitMessage(data.Note) ? 'day' : 'minute';
+  if (data.Information) {
+    if (isDailyLimitMessage(data.Information)) return 'day';
+    if (/rate limit|frequency|per minute|requests per/i.test(data.Information)) return 'minute';
+  }
+  return null;
+};
+
+/**
+ * @param {object} options
+ * @param {Function} options.fetch - fetch-compatible function
+ * @param {number} [options.callsPerMinute]
+ * @param {number} [options.callsPerDay]
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {object} Scheduler with schedule(url, { clientId }), getStatus(clientId) and getQuota()
+ */
+export const createAlphaVantageScheduler = ({
+  fetch,
+  callsPerMinute = DEFAULT_CALLS_PER_MINUTE,
+  callsPerDay = DEFAULT_CALLS_PER_DAY,
+  now = Date.now
+}) => {
+  const minuteBucket = createBucket(callsPerMinute, MINUTE_MS, now());
+  const dayBucket = createBucket(callsPerDay, DAY_MS, now());
+  const queue = [];
+  let lastSentAt = -Infinity;
+  let timer = null;
+
+  const refillAll = () => {
+    const time = now();
+    refill(minuteBucket, time);
+    refill(dayBucket, time);
+  };
+
+  // Estimated ms until the request at `index` (0 = head) can be sent
+  const estimateWait = (index) => {
+    refillAll();
+    const needed = index + 1;
+    const spacing = Math.max(0, lastSentAt + MIN_SPACING_MS - now()) + index * MIN_SPACING_MS;
+    return Math.max(msUntil(minuteBucket, needed), msUntil(dayBucket, needed), spacing);
+  };
+
+  const send = async (job) => {
+    try {
+      const response = await fetch(job.url);
+      const data = await response.json();
+      const throttle = detectThrottle(data);
+
+      if (throttle === 'minute' && job.attempts < MAX_THROTTLE_RETRIES) {
+        // Our bucket drifted from Alpha Vantage's count; empty it and retry first
+        job.attempts++;
+        minuteBucket.tokens = 0;
+        queue.unshift(job);
+        console.log(`Alpha Vantage throttled, rescheduling (attempt ${job.attempts})`);
+        return;
+      }
+      if (throttle === 'day') {
+        dayBucket.tokens = 0;
+      }
+      // The body has been read; hand back a response that replays it
+      job.resolve({ ok: response.ok, status: response.status, json: async () => data });
+    } catch (error) {
+      job.reject(error);
+    } finally {
+      pump();
+    }
+  };
+
+  const pump = () => {
+    if (timer || queue.length === 0) return;
+
+    const wait = estimateWait(0);
+    if (wait > 0) {
+      timer = setTimeout(() => {
+        timer = null;
+        pump();
+      }, Math.ceil(wait));
+      return;
+    }
+
+    const job = queue.shift();
+    minuteBucket.tokens -= 1;
+    dayBucket.tokens -= 1;
+    lastSentAt = now();
+    console.log(`Processing queued request: ${job.url.split('function=')[1]?.split('&')[0]}`);
+    send(job);
+    pump();
+  };
+
+  return {
+    /**
+     * Queue an Alpha Vantage call
+     * @param {string} url
+     * @param {object} [options]
+     * @param {string} [options.clientId] - Lets the caller look up its position with getStatus
+     * @returns {Promise<{ok: boolean, status: number, json: Function}>} Response with its body already read
+     * @throws {ProviderError} 429 when the request couldn't be sent within MAX_WAIT_MS
+     */
+    schedule(url, { clientId = null } = {}) {
+      const wait = estimateWait(queue.length);
+      if (wait > MAX_WAIT_MS) {
+        const error = new ProviderError('Alpha Vantage request quota exhausted. Please try again later.', 429);
+        error.retryAfter = Math.ceil(wait / 1000);
+        return Promise.reject(error);
+      }
+
+      return new Promise((resolve, reject) => {
+        queue.push({ url, clientId, attempts: 0, resolve, reject });
+        pump();
+      });
+    },
+
+    /**
+     * Queue position and estimated wait for a client's earliest pending request
+     * @param {string} clientId
+     * @returns {{queued: boolean, position: number|null, queueLength: number, etaSeconds: number}}
+     */
+    getStatus(clientId) {
+      const index = queue.findIndex(job => job.clientId === clientId);
+      return {
+        queued: index !== -1,
+        position: index === -1 ? null : index + 1,
+        queueLength: queue.length,
+        etaSeconds: index === -1 ? 0 : Math.ceil(estimateWait(index) / 1000)
+      };
+    },
+
+    getQuota() {
+      refillAll();
+      return {
+        minuteRemaining: Math.floor(minuteBucket.tokens),
+        dayRemaining: Math.floor(dayBucket.tokens),
+        queueLength: queue.length
+      };
+    }
+  };
+};
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createAlphaVantageScheduler, detectThrottle } from './avScheduler.js';
+import { ProviderError } from './providers/errors.js';
+
+const ok = (data) => ({ ok: true, status: 200, json: async () => data });
+const url = (fn) => `https://www.alphavantage.co/query?function=${fn}&symbol=AAPL&apikey=demo`;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(0);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('detectThrottle', () => {
+  it('tells per-minute throttling from the daily limit', () => {
+    expect(detectThrottle({ Note: 'Thank you for using Alpha Vantage! Our standard API call frequency is 5 calls per minute' })).toBe('minute');
+    expect(detectThrottle({ Information: 'You have reached the 25 requests per day limit' })).toBe('day');
+    expect(detectThrottle({ Information: 'This is a premium endpoint' })).toBe(null);
+    expect(detectThrottle({ Symbol: 'AAPL' })).toBe(null);
+  });
+});
+
+describe('createAlphaVantageScheduler', () => {
+  it('sends up to the per-minute quota, then waits for the bucket to refill', async () => {
+    const fetch = vi.fn(async () => ok({ Symbol: 'AAPL' }));
+    const scheduler = createAlphaVantageScheduler({ fetch, callsPerMinute: 2, callsPerDay: 25 });
+
+    const results = [scheduler.schedule(url('A')), scheduler.schedule(url('B')), scheduler.schedule(url('C'))];
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    // One token every 30s at 2/minute
+    await vi.advanceTimersByTimeAsync(28_000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    const responses = await Promise.all(results);
+    expect(await responses[2].json()).toEqual({ Symbol: 'AAPL' });
+  });
+
+  it('reports queue position and estimated wait per client', async () => {
+    const fetch = vi.fn(async () => ok({}));
+    const scheduler = createAlphaVantageScheduler({ fetch, callsPerMinute: 1, callsPerDay: 25 });
+
+    scheduler.schedule(url('A'), { clientId: 'first' });
+    scheduler.schedule(url('B'), { clientId: 'second' });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(scheduler.getStatus('second')).toEqual({ queued: true, position: 1, queueLength: 1, etaSeconds: 60 });
+    expect(scheduler.getStatus('first')).toMatchObject({ queued: false, position: null, etaSeconds: 0 });
+  });
+
+  it('reschedules requests that come back throttled', async () => {
+    const fetch = vi.fn()
+      .mockResolvedValueOnce(ok({ Note: 'Our standard API call frequency is 5 calls per minute' }))
+      .mockResolvedValueOnce(ok({ Symbol: 'AAPL' }));
+    const scheduler = createAlphaVantageScheduler({ fetch, callsPerMinute: 5, callsPerDay: 25 });
+
+    const result = scheduler.schedule(url('OVERVIEW'));
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    // The emptied bucket needs 12s to earn a token back
+    await vi.advanceTimersByTimeAsync(12_000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(await (await result).json()).toEqual({ Symbol: 'AAPL' });
+  });
+
+  it('rejects with a 429 and retryAfter once the daily quota is spent', async () => {
+    const fetch = vi.fn(async () => ok({}));
+    const scheduler = createAlphaVantageScheduler({ fetch, callsPerMinute: 5, callsPerDay: 1 });
+
+    await scheduler.schedule(url('A'));
+    const error = await scheduler.schedule(url('B')).catch(err => err);
+
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.status).toBe(429);
+    expect(error.retryAfter).toBeGreaterThan(3600);
+    expect(scheduler.getQuota()).toMatchObject({ dayRemaining: 0, queueLength: 0 });
+  });
+});
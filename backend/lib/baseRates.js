@@ -0,0 +1,104 @@
+/**
+ * Sales-growth base rates
+ *
+ * In the style of Mauboussin, Callahan and Majd's "The Base Rate Book"
+ * (Credit Suisse, 2016): how fast companies have grown sales, as a
+ * distribution, by starting size and by sector. The outside view asks how
+ * often companies like this one achieved the growth being forecast (or priced
+ * in), rather than extrapolating the company's own story.
+ *
+ * The bundled table holds approximate nominal annualized sales growth
+ * percentiles (PERCENTILES) over 3, 5 and 10 years. They are indicative
+ * figures modeled on the book's size and sector breakdowns, not its
+ * published numbers. Starting size is sales at the start of the period, in
+ * USD.
+ */
+
+export const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+export const SALES_GROWTH_BASE_RATES = {
+  source: 'Indicative distributions modeled on "The Base Rate Book" (Mauboussin, Callahan and Majd, 2016); nominal sales CAGRs',
+  horizons: [3, 5, 10],
+  // Upper bound of starting sales (USD), ascending; the last bucket is open-ended
+  bySize: [
+    { label: '$0-325M', maxSales: 325e6, growth: { 3: [-0.186, -0.125, -0.028, 0.068, 0.176, 0.304, 0.401], 5: [-0.138, -0.089, -0.012, 0.065, 0.152, 0.254, 0.331], 10: [-0.092, -0.056, 0.002, 0.06, 0.125, 0.202, 0.26] } },
+    { label: '$325-700M', maxSales: 700e6, growth: { 3: [-0.136, -0.088, -0.013, 0.063, 0.148, 0.249, 0.324], 5: [-0.1, -0.061, -0.001, 0.06, 0.128, 0.209, 0.269], 10: [-0.065, -0.036, 0.01, 0.055, 0.106, 0.166, 0.212] } },
+    { label: '$700M-1.5B', maxSales: 1.5e9, growth: { 3: [-0.111, -0.07, -0.004, 0.061, 0.135, 0.221, 0.287], 5: [-0.08, -0.047, 0.006, 0.058, 0.117, 0.186, 0.238], 10: [-0.05, -0.025, 0.014, 0.053, 0.097, 0.149, 0.188] } },
+    { label: '$1.5-3B', maxSales: 3e9, growth: { 3: [-0.096, -0.059, 0, 0.058, 0.124, 0.201, 0.26], 5: [-0.068, -0.039, 0.008, 0.055, 0.108, 0.17, 0.216], 10: [-0.042, -0.02, 0.015, 0.05, 0.09, 0.136, 0.171] } },
+    { label: '$3-6B', maxSales: 6e9, growth: { 3: [-0.08, -0.047, 0.004, 0.056, 0.114, 0.183, 0.234], 5: [-0.056, -0.03, 0.012, 0.053, 0.1, 0.154, 0.195], 10: [-0.034, -0.014, 0.017, 0.048, 0.083, 0.124, 0.155] } },
+    { label: '$6-12B', maxSales: 12e9, growth: { 3: [-0.074, -0.043, 0.005, 0.053, 0.107, 0.171, 0.219], 5: [-0.052, -0.027, 0.011, 0.05, 0.093, 0.145, 0.183], 10: [-0.031, -0.013, 0.016, 0.045, 0.078, 0.116, 0.145] } },
+    { label: '$12-25B', maxSales: 25e9, growth: { 3: [-0.067, -0.038, 0.006, 0.051, 0.101, 0.161, 0.205], 5: [-0.046, -0.024, 0.012, 0.048, 0.088, 0.136, 0.171], 10: [-0.028, -0.011, 0.016, 0.043, 0.073, 0.109, 0.136] } },
+    { label: '$25-50B', maxSales: 50e9, growth: { 3: [-0.061, -0.035, 0.007, 0.048, 0.095, 0.149, 0.191], 5: [-0.042, -0.021, 0.012, 0.045, 0.082, 0.126, 0.159], 10: [-0.025, -0.01, 0.015, 0.04, 0.068, 0.101, 0.126] } },
+    { label: '$50B+', maxSales: Infinity, growth: { 3: [-0.057, -0.033, 0.005, 0.043, 0.086, 0.136, 0.174], 5: [-0.04, -0.021, 0.01, 0.04, 0.074, 0.114, 0.144], 10: [-0.025, -0.01, 0.012, 0.035, 0.061, 0.091, 0.113] } }
+  ],
+  // GICS sectors, matched from the provider's sector and industry text by SECTOR_PATTERNS
+  bySector: {
+    energy: { label: 'Energy', growth: { 3: [-0.179, -0.127, -0.044, 0.038, 0.131, 0.241, 0.323], 5: [-0.139, -0.097, -0.031, 0.035, 0.109, 0.197, 0.263], 10: [-0.101, -0.069, -0.019, 0.03, 0.086, 0.151, 0.201] } },
+    materials: { label: 'Materials', growth: { 3: [-0.102, -0.067, -0.012, 0.043, 0.105, 0.178, 0.233], 5: [-0.076, -0.048, -0.004, 0.04, 0.09, 0.148, 0.192], 10: [-0.052, -0.031, 0.002, 0.035, 0.072, 0.116, 0.149] } },
+    industrials: { label: 'Industrials', growth: { 3: [-0.079, -0.048, 0, 0.048, 0.102, 0.166, 0.214], 5: [-0.057, -0.032, 0.006, 0.045, 0.088, 0.14, 0.178], 10: [-0.036, -0.018, 0.011, 0.04, 0.073, 0.111, 0.14] } },
+    consumerDiscretionary: { label: 'Consumer Discretionary', growth: { 3: [-0.092, -0.057, -0.002, 0.053, 0.115, 0.188, 0.243], 5: [-0.066, -0.038, 0.006, 0.05, 0.1, 0.158, 0.202], 10: [-0.042, -0.021, 0.012, 0.045, 0.082, 0.126, 0.159] } },
+    consumerStaples: { label: 'Consumer Staples', growth: { 3: [-0.048, -0.026, 0.009, 0.043, 0.082, 0.127, 0.162], 5: [-0.032, -0.015, 0.012, 0.04, 0.071, 0.108, 0.135], 10: [-0.019, -0.006, 0.014, 0.035, 0.058, 0.086, 0.106] } },
+    healthCare: { label: 'Health Care', growth: { 3: [-0.09, -0.051, 0.011, 0.073, 0.143, 0.225, 0.287], 5: [-0.06, -0.029, 0.021, 0.07, 0.126, 0.192, 0.241], 10: [-0.033, -0.009, 0.028, 0.065, 0.107, 0.156, 0.193] } },
+    financials: { label: 'Financials', growth: { 3: [-0.088, -0.055, -0.004, 0.048, 0.106, 0.175, 0.226], 5: [-0.064, -0.038, 0.004, 0.045, 0.091, 0.146, 0.188], 10: [-0.042, -0.022, 0.009, 0.04, 0.075, 0.116, 0.147] } },
+    informationTechnology: { label: 'Information Technology', growth: { 3: [-0.103, -0.06, 0.009, 0.078, 0.155, 0.247, 0.316], 5: [-0.07, -0.035, 0.02, 0.075, 0.137, 0.21, 0.265], 10: [-0.039, -0.013, 0.029, 0.07, 0.116, 0.171, 0.213] } },
+    communicationServices: { label: 'Communication Services', growth: { 3: [-0.087, -0.052, 0.003, 0.058, 0.12, 0.193, 0.248], 5: [-0.061, -0.033, 0.011, 0.055, 0.105, 0.163, 0.207], 10: [-0.037, -0.016, 0.017, 0.05, 0.087, 0.131, 0.164] } },
+    utilities: { label: 'Utilities', growth: { 3: [-0.044, -0.024, 0.007, 0.038, 0.073, 0.114, 0.145], 5: [-0.03, -0.014, 0.01, 0.035, 0.063, 0.096, 0.12], 10: [-0.019, -0.007, 0.011, 0.03, 0.051, 0.076, 0.094] } },
+    realEstate: { label: 'Real Estate', growth: { 3: [-0.082, -0.047, 0.008, 0.063, 0.125, 0.198, 0.253], 5: [-0.056, -0.028, 0.016, 0.06, 0.11, 0.168, 0.212], 10: [-0.032, -0.011, 0.022, 0.055, 0.092, 0.136, 0.169] } }
+  }
+};
+
+// Sector keys by the words vendors use (Alpha Vantage's SIC-style sectors, FMP's and SEC's names), first match wins
+const SECTOR_PATTERNS = [
+  ['realEstate', /real estate|reit/],
+  ['utilities', /utilit/],
+  ['energy', /energy|\boil\b|\bgas\b|petroleum|\bcoal\b/],
+  ['healthCare', /health|pharma|biotech|medical|life sciences|drug/],
+  ['financials', /financ|bank|insurance|capital markets|asset management/],
+  ['communicationServices', /communication|telecom|media|entertainment|interactive/],
+  ['informationTechnology', /technology|software|semiconductor|computer|electronic/],
+  ['consumerStaples', /consumer (staples|defensive)|food|beverage|household|tobacco|grocery/],
+  ['consumerDiscretionary', /consumer (discretionary|cyclical)|retail|apparel|\bauto(s|mobiles?|motive)?\b|restaurant|leisure|hotel|trade & services/],
+  ['materials', /material|chemical|metal|mining|steel|paper/],
+  ['industrials', /industr|manufactur|aerospace|defense|machinery|transport|construction/]
+];
+
+/**
+ * @param {...string} descriptions - Sector and industry text, tried in order
+ * @returns {string|null} A key of SALES_GROWTH_BASE_RATES.bySector
+ */
+export const matchSector = (...descriptions) => {
+  for (const text of descriptions.filter(Boolean).map(description => String(description).toLowerCase())) {
+    const match = SECTOR_PATTERNS.find(([, pattern]) => pattern.test(text));
+    if (match) return match[0];
+  }
+  return null;
+};
+
+/**
+ * The table horizon closest to a number of years
+ * @param {number} years
+ * @returns {number}
+ */
+export const nearestHorizon = (years) => SALES_GROWTH_BASE_RATES.horizons
+  .reduce((best, horizon) => (Math.abs(horizon - years) < Math.abs(best - years) ? horizon : best));
+
+/**
+ * @param {number} salesUSD - Starting sales in USD
+ * @returns {object} The bySize bucket
+ */
+export const sizeBucketFor = (salesUSD) => SALES_GROWTH_BASE_RATES.bySize.find(bucket => salesUSD < bucket.maxSales);
+
+/**
+ * Where a growth rate falls in a distribution, interpolating between percentiles
+ * @param {number} growth - Annualized growth (decimal)
+ * @param {number[]} distribution - Growth at each of PERCENTILES
+ * @returns {number} Percentile, 0-100; values outside the table's range clamp to its first and last percentiles
+ */
+export const percentileOf = (growth, distribution) => {
+  if (growth <= distribution[0]) return PERCENTILES[0];
+  const upper = distribution.findIndex(value => growth < value);
+  if (upper === -1) return PERCENTILES[PERCENTILES.length - 1];
+  const lower = upper - 1;
+  const share = (growth - distribution[lower]) / (distribution[upper] - distribution[lower]);
+  return Math.round(PERCENTILES[lower] + share * (PERCENTILES[upper] - PERCENTILES[lower]));
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { SALES_GROWTH_BASE_RATES, PERCENTILES, matchSector, nearestHorizon, sizeBucketFor, percentileOf } from './baseRates.js';
+
+describe('sales growth base rates', () => {
+  it('holds an ascending distribution for every cohort and horizon', () => {
+    const cohorts = [...SALES_GROWTH_BASE_RATES.bySize, ...Object.values(SALES_GROWTH_BASE_RATES.bySector)];
+
+    for (const cohort of cohorts) {
+      for (const horizon of SALES_GROWTH_BASE_RATES.horizons) {
+        const distribution = cohort.growth[horizon];
+        expect(distribution).toHaveLength(PERCENTILES.length);
+        expect([...distribution].sort((a, b) => a - b)).toEqual(distribution);
+      }
+    }
+  });
+
+  it('matches vendor sector and industry names', () => {
+    expect(matchSector('Technology')).toBe('informationTechnology');
+    expect(matchSector('Consumer Cyclical')).toBe('consumerDiscretionary');
+    expect(matchSector('TRADE & SERVICES')).toBe('consumerDiscretionary');
+    expect(matchSector(null, 'Biotechnology')).toBe('healthCare');
+    expect(matchSector('Unclassified', 'REIT - Office')).toBe('realEstate');
+    expect(matchSector('Unclassified')).toBe(null);
+  });
+
+  it('picks the size bucket and nearest horizon', () => {
+    expect(sizeBucketFor(200e6).label).toBe('$0-325M');
+    expect(sizeBucketFor(3e9).label).toBe('$3-6B');
+    expect(sizeBucketFor(400e9).label).toBe('$50B+');
+    expect(nearestHorizon(3)).toBe(3);
+    expect(nearestHorizon(7)).toBe(5);
+    expect(nearestHorizon(15)).toBe(10);
+  });
+
+  it('interpolates percentiles and clamps outside the table', () => {
+    const distribution = [-0.1, -0.05, 0, 0.05, 0.1, 0.15, 0.2];
+
+    expect(percentileOf(0.05, distribution)).toBe(50);
+    expect(percentileOf(0.075, distribution)).toBe(63);
+    expect(percentileOf(-0.5, distribution)).toBe(5);
+    expect(percentileOf(0.5, distribution)).toBe(95);
+  });
+});
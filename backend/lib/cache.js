@@ -0,0 +1,338 @@
+/**
+ * Persistent response cache
+ *
+ * Upstream financial data is expensive (Alpha Vantage allows 25 calls/day on a
+ * free key) and changes slowly, so responses are written to disk and survive
+ * restarts and deploys. Each endpoint has its own freshness window, plus a
+ * stale window during which the cached copy is served immediately while the
+ * route refreshes it in the background (stale-while-revalidate).
+ */
+
+import { mkdir, readFile, writeFile, rename, readdir, unlink } from 'fs/promises';
+import { createHash } from 'crypto';
+import path from 'path';
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Matched in order against the request URL; ttl and staleTtl in seconds
+export const CACHE_POLICIES = [
+  { name: 'search', pattern: /^\/api\/(av|data)\/search/, ttl: 15 * MINUTE, staleTtl: DAY },
+  { name: 'statements', pattern: /^\/api\/(av|data)\/(income-statement|balance-sheet|cash-flow)\//, ttl: 7 * DAY, staleTtl: 30 * DAY },
+  { name: 'profile', pattern: /^\/api\/(av\/overview|data\/profile)\//, ttl: 12 * HOUR, staleTtl: 7 * DAY },
+  { name: 'earnings', pattern: /^\/api\/(earnings-transcript|data\/earnings)\//, ttl: DAY, staleTtl: 7 * DAY },
+  { name: 'quote', pattern: /^\/api\/yf\/quote\//, ttl: 15 * MINUTE, staleTtl: HOUR },
+  { name: 'company', pattern: /^\/api\/company\//, ttl: 12 * HOUR, staleTtl: 7 * DAY },
+  // Keyed by model, prompt version and a hash of the normalized input (see lib/sections);
+  // the server overrides the ttl with ANALYSIS_CACHE_TTL_HOURS
+  { name: 'analysisSection', pattern: /^\/api\/analyze\/section\//, ttl: DAY, staleTtl: 0 }
+];
+
+export const DEFAULT_POLICY = { name: 'default', ttl: HOUR, staleTtl: 0 };
+
+// Entries kept in memory in front of the disk; older ones are re-read from disk
+const MEMORY_LIMIT = 500;
+
+// Give up on a background refresh that never responds
+const REVALIDATE_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Find the cache policy for a request URL
+ * @param {string} url - Request URL (query string ignored)
+ * @returns {{name: string, ttl: number, staleTtl: number}}
+ */
+export const resolveCachePolicy = (url) => {
+  const pathname = String(url).split('?')[0];
+  return CACHE_POLICIES.find(policy => policy.pattern.test(pathname)) || DEFAULT_POLICY;
+};
+
+const emptyCounters = () => ({ hits: 0, staleHits: 0, misses: 0 });
+
+/**
+ * Create a file-backed cache
+ * @param {object} options
+ * @param {string} options.dir - Directory for cache files (created on first write)
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {object} Cache with get, set, record, getStats and prune
+ */
+export const createPersistentCache = ({ dir, now = Date.now }) => {
+  const memory = new Map();
+  const stats = {
+    ...emptyCounters(),
+    writes: 0,
+    revalidations: 0,
+    revalidationFailures: 0,
+    errors: 0,
+    byPolicy: {}
+  };
+
+  const fileFor = (key) => path.join(dir, `${createHash('sha256').update(key).digest('hex').slice(0, 40)}.json`);
+
+  const remember = (key, entry) => {
+    memory.delete(key);
+    memory.set(key, entry);
+    if (memory.size > MEMORY_LIMIT) {
+      memory.delete(memory.keys().next().value);
+    }
+  };
+
+  const stateOf = (entry) => {
+    const age = now() - entry.storedAt;
+    if (age <= entry.ttl * 1000) return 'fresh';
+    if (age <= (entry.ttl + entry.staleTtl) * 1000) return 'stale';
+    return 'expired';
+  };
+
+  const remove = async (key) => {
+    memory.delete(key);
+    await unlink(fileFor(key)).catch(() => {});
+  };
+
+  return {
+    /**
+     * @param {string} key
+     * @returns {Promise<{data: *, state: 'fresh'|'stale', storedAt: number}|null>}
+     */
+    async get(key) {
+      let entry = memory.get(key);
+      if (!entry) {
+        try {
+          entry = JSON.parse(await readFile(fileFor(key), 'utf8'));
+        } catch (error) {
+          if (error.code !== 'ENOENT') stats.errors++;
+          return null;
+        }
+        // Guard against hash collisions
+        if (entry.key !== key) return null;
+        remember(key, entry);
+      }
+
+      const state = stateOf(entry);
+      if (state === 'expired') {
+        await remove(key);
+        return null;
+      }
+      return { data: entry.data, state, storedAt: entry.storedAt };
+    },
+
+    /**
+     * @param {string} key
+     * @param {*} data - JSON-serializable response body
+     * @param {{ttl: number, staleTtl: number}} policy
+     */
+    async set(key, data, policy) {
+      const entry = { key, data, storedAt: now(), ttl: policy.ttl, staleTtl: policy.staleTtl };
+      remember(key, entry);
+      stats.writes++;
+
+      try {
+        await mkdir(dir, { recursive: true });
+        const file = fileFor(key);
+        const tmp = `${file}.${process.pid}.tmp`;
+        await writeFile(tmp, JSON.stringify(entry));
+        await rename(tmp, file);
+      } catch (error) {
+        // The in-memory copy still serves this process
+        stats.errors++;
+        console.error('Cache write failed:', error.message);
+      }
+    },
+
+    /**
+     * Count a lookup outcome for the stats endpoint
+     * @param {string} policyName
+     * @param {'hits'|'staleHits'|'misses'|'revalidations'|'revalidationFailures'} outcome
+     */
+    record(policyName, outcome) {
+      stats[outcome]++;
+      if (outcome in emptyCounters()) {
+        stats.byPolicy[policyName] = stats.byPolicy[policyName] || emptyCounters();
+        stats.byPolicy[policyName][outcome]++;
+      }
+    },
+
+    /**
+     * Drop an entry, e.g. when its source data was replaced
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    delete: remove,
+
+    getStats() {
+      const lookups = stats.hits + stats.staleHits + stats.misses;
+      return {
+        ...stats,
+        byPolicy: structuredClone(stats.byPolicy),
+        hitRate: lookups > 0 ? (stats.hits + stats.staleHits) / lookups : null,
+        memoryEntries: memory.size
+      };
+    },
+
+    /**
+     * Delete entries past their stale window
+     * @returns {Promise<number>} Number of files removed
+     */
+    async prune() {
+      let files;
+      try {
+        files = await readdir(dir);
+      } catch {
+        return 0;
+      }
+
+      let removed = 0;
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const filePath = path.join(dir, file);
+        try {
+          const entry = JSON.parse(await readFile(filePath, 'utf8'));
+          if (stateOf(entry) !== 'expired') continue;
+          memory.delete(entry.key);
+        } catch {
+          // Unreadable entries are dropped too
+        }
+        await unlink(filePath).catch(() => {});
+        removed++;
+      }
+      return removed;
+    }
+  };
+};
+
+/**
+ * Express middleware serving cached JSON responses
+ *
+ * Fresh entries are returned directly. Stale entries are returned too, and the
+ * route handler then runs with res.json redirected into the cache (and the other
+ * response methods made no-ops), so the next request gets fresh data without
+ * anyone waiting on the upstream call. Only
+ * 200 responses are cached. Sets X-Cache: HIT | STALE | MISS.
+ *
+ * @param {object} cache - From createPersistentCache
+ * @param {object} [options]
+ * @param {Function} [options.keyOf] - (req) => cache key, by default the request URL; requests
+ *   it returns null for bypass the cache
+ * @returns {Function} (req, res, next) middleware
+ */
+export const createCacheMiddleware = (cache, { keyOf = req => req.originalUrl || req.url } = {}) => {
+  const revalidating = new Set();
+
+  return async (req, res, next) => {
+    const cacheKey = keyOf(req);
+    if (cacheKey === null) return next();
+    const policy = resolveCachePolicy(cacheKey);
+    const cached = await cache.get(cacheKey);
+
+    if (cached?.state === 'fresh') {
+      cache.record(policy.name, 'hits');
+      console.log(`Cache hit: ${cacheKey}`);
+      res.set('X-Cache', 'HIT');
+      return res.json(cached.data);
+    }
+
+    if (cached?.state === 'stale') {
+      cache.record(policy.name, 'staleHits');
+      console.log(`Cache stale hit: ${cacheKey}`);
+      res.set('X-Cache', 'STALE');
+      res.json(cached.data);
+
+      if (revalidating.has(cacheKey)) return;
+      revalidating.add(cacheKey);
+      const timeout = setTimeout(() => revalidating.delete(cacheKey), REVALIDATE_TIMEOUT_MS);
+      timeout.unref?.();
+
+      // The response is already sent; capture the handler's output instead, and keep
+      // its headers, status and any other body from touching the finished response
+      let statusCode = 200;
+      let settled = false;
+      const settle = (data) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        revalidating.delete(cacheKey);
+        if (statusCode === 200 && data !== undefined) {
+          cache.record(policy.name, 'revalidations');
+          cache.set(cacheKey, data, policy);
+          console.log(`Revalidated: ${cacheKey}`);
+        } else {
+          cache.record(policy.name, 'revalidationFailures');
+        }
+      };
+      res.status = (code) => { statusCode = code; return res; };
+      res.set = res.header = res.setHeader = () => res;
+      res.json = (data) => { settle(data); return res; };
+      // Only JSON is cached, so any other body counts as a failed revalidation
+      res.send = res.end = res.sendStatus = () => { settle(); return res; };
+      // Lets error handlers answer through these even though headersSent is true
+      res.locals = { ...res.locals, revalidating: true };
+      return next();
+    }
+
+    cache.record(policy.name, 'misses');
+    res.set('X-Cache', 'MISS');
+
+    // Store original res.json to intercept response
+    const originalJson = res.json.bind(res);
+    res.json = (data) => {
+      // Cache successful responses (status 200)
+      if (res.statusCode === 200) {
+        cache.set(cacheKey, data, policy);
+        console.log(`Cached: ${cacheKey}`);
+      }
+      return originalJson(data);
+    };
+
+    next();
+  };
+};
+
+/**
+ * The middleware's lookup for callers that need the data itself rather than a response
+ * (e.g. a route that reuses another route's cache entry). Fresh entries are returned,
+ * stale ones are returned and reloaded in the background, and misses wait for the load.
+ * Outcomes are counted under the key's policy like the middleware's.
+ *
+ * @param {object} cache - From createPersistentCache
+ * @returns {Function} (cacheKey, load, { cacheable }) => Promise of the cached or loaded value;
+ *   load() produces the value, and it's only stored when cacheable(value) (default: always)
+ */
+export const createCachedLoader = (cache) => {
+  const revalidating = new Set();
+
+  return async (cacheKey, load, { cacheable = () => true } = {}) => {
+    const policy = resolveCachePolicy(cacheKey);
+    const cached = await cache.get(cacheKey);
+
+    if (cached?.state === 'fresh') {
+      cache.record(policy.name, 'hits');
+      return cached.data;
+    }
+
+    if (cached?.state === 'stale') {
+      cache.record(policy.name, 'staleHits');
+
+      if (!revalidating.has(cacheKey)) {
+        revalidating.add(cacheKey);
+        Promise.resolve()
+          .then(load)
+          .then(async (value) => {
+            if (!cacheable(value)) return cache.record(policy.name, 'revalidationFailures');
+            await cache.set(cacheKey, value, policy);
+            cache.record(policy.name, 'revalidations');
+            console.log(`Revalidated: ${cacheKey}`);
+          })
+          .catch(error => {
+            cache.record(policy.name, 'revalidationFailures');
+            console.warn(`Failed to revalidate ${cacheKey}:`, error.message);
+          })
+          .finally(() => revalidating.delete(cacheKey));
+      }
+      return cached.data;
+    }
+
+    cache.record(policy.name, 'misses');
+    const value = await load();
+    if (cacheable(value)) cache.set(cacheKey, value, policy);
+    return value;
+  };
+};
@@ -0,0 +1,252 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createPersistentCache, createCacheMiddleware, createCachedLoader, resolveCachePolicy } from './cache.js';
+import { ProviderError, sendProviderError } from './providers/errors.js';
+
+let dir;
+let clock;
+const now = () => clock;
+const policy = { name: 'test', ttl: 60, staleTtl: 600 };
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'cache-'));
+  clock = 1_000_000;
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('resolveCachePolicy', () => {
+  it('keeps statements for days and search for minutes', () => {
+    expect(resolveCachePolicy('/api/av/income-statement/AAPL?period=ttm').name).toBe('statements');
+    expect(resolveCachePolicy('/api/data/balance-sheet/AAPL').ttl).toBeGreaterThanOrEqual(24 * 3600);
+    expect(resolveCachePolicy('/api/av/search?query=apple').ttl).toBeLessThanOrEqual(3600);
+    expect(resolveCachePolicy('/api/unknown').name).toBe('default');
+  });
+});
+
+describe('createPersistentCache', () => {
+  it('persists entries across instances', async () => {
+    await createPersistentCache({ dir, now }).set('/api/av/overview/AAPL', { name: 'Apple' }, policy);
+
+    const restarted = createPersistentCache({ dir, now });
+
+    expect(await restarted.get('/api/av/overview/AAPL')).toMatchObject({ data: { name: 'Apple' }, state: 'fresh' });
+  });
+
+  it('deletes entries on request', async () => {
+    const cache = createPersistentCache({ dir, now });
+    await cache.set('key', 1, policy);
+
+    await cache.delete('key');
+
+    expect(await createPersistentCache({ dir, now }).get('key')).toBe(null);
+    expect(await cache.get('key')).toBe(null);
+  });
+
+  it('moves entries from fresh to stale to expired', async () => {
+    const cache = createPersistentCache({ dir, now });
+    await cache.set('key', 1, policy);
+
+    clock += 61 * 1000;
+    expect((await cache.get('key')).state).toBe('stale');
+
+    clock += 600 * 1000;
+    expect(await cache.get('key')).toBe(null);
+    expect(await readdir(dir)).toEqual([]);
+  });
+
+  it('prunes expired files', async () => {
+    const cache = createPersistentCache({ dir, now });
+    await cache.set('old', 1, policy);
+    await cache.set('new', 2, { ...policy, ttl: 3600 });
+
+    clock += 700 * 1000;
+
+    expect(await cache.prune()).toBe(1);
+    expect(await cache.get('new')).not.toBe(null);
+  });
+});
+
+describe('createCacheMiddleware', () => {
+  const makeRes = () => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      headersSent: false,
+      sent: [],
+      // Like Express, headers can't change once the response is sent
+      set: (name, value) => {
+        if (res.headersSent) throw new Error('ERR_HTTP_HEADERS_SENT');
+        res.headers[name] = value;
+        return res;
+      },
+      status: (code) => { res.statusCode = code; return res; },
+      json: (data) => { res.sent.push(data); res.headersSent = true; return res; },
+      send: (body) => { res.sent.push(body); res.headersSent = true; return res; }
+    };
+    return res;
+  };
+
+  const run = async (middleware, url, handler) => {
+    const req = { originalUrl: url };
+    const res = makeRes();
+    await middleware(req, res, () => handler(req, res));
+    // Let background cache writes settle
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return res;
+  };
+
+  it('caches 200 responses and reports hits and misses', async () => {
+    const cache = createPersistentCache({ dir, now });
+    const middleware = createCacheMiddleware(cache);
+    const handler = vi.fn((req, res) => res.json({ value: 1 }));
+
+    const first = await run(middleware, '/api/av/overview/AAPL', handler);
+    const second = await run(middleware, '/api/av/overview/AAPL', handler);
+
+    expect(first.headers['X-Cache']).toBe('MISS');
+    expect(second.headers['X-Cache']).toBe('HIT');
+    expect(second.sent).toEqual([{ value: 1 }]);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5, byPolicy: { profile: { hits: 1, misses: 1 } } });
+  });
+
+  it('does not cache errors', async () => {
+    const cache = createPersistentCache({ dir, now });
+    const middleware = createCacheMiddleware(cache);
+
+    await run(middleware, '/api/av/overview/NOPE', (req, res) => res.status(404).json({ error: 'Company not found' }));
+
+    expect(await cache.get('/api/av/overview/NOPE')).toBe(null);
+  });
+
+  it('keys entries by keyOf and bypasses the cache when it returns null', async () => {
+    const cache = createPersistentCache({ dir, now });
+    const middleware = createCacheMiddleware(cache, { keyOf: req => (req.originalUrl.includes('NOPE') ? null : req.originalUrl.toUpperCase()) });
+
+    await run(middleware, '/api/av/overview/aapl', (req, res) => res.json({ value: 1 }));
+    const bypassed = await run(middleware, '/api/av/overview/NOPE', (req, res) => res.json({ value: 2 }));
+
+    expect(await cache.get('/API/AV/OVERVIEW/AAPL')).toMatchObject({ data: { value: 1 } });
+    expect(bypassed.headers['X-Cache']).toBeUndefined();
+    expect(cache.getStats().misses).toBe(1);
+  });
+
+  it('serves stale data immediately and refreshes it in the background', async () => {
+    const cache = createPersistentCache({ dir, now });
+    const middleware = createCacheMiddleware(cache);
+    await run(middleware, '/api/av/overview/AAPL', (req, res) => res.json({ version: 1 }));
+
+    // Past the 12-hour profile TTL, inside the stale window
+    clock += 13 * 3600 * 1000;
+    const stale = await run(middleware, '/api/av/overview/AAPL', (req, res) => res.json({ version: 2 }));
+
+    expect(stale.headers['X-Cache']).toBe('STALE');
+    expect(stale.sent).toEqual([{ version: 1 }]);
+    expect(await cache.get('/api/av/overview/AAPL')).toMatchObject({ data: { version: 2 }, state: 'fresh' });
+    expect(cache.getStats().revalidations).toBe(1);
+  });
+
+  it('keeps a revalidating handler from touching the sent response', async () => {
+    const cache = createPersistentCache({ dir, now });
+    const middleware = createCacheMiddleware(cache);
+    await run(middleware, '/api/av/overview/AAPL', (req, res) => res.json({ version: 1 }));
+
+    clock += 13 * 3600 * 1000;
+    const stale = await run(middleware, '/api/av/overview/AAPL', (req, res) => {
+      res.set('Retry-After', '60');
+      res.status(429).send('Too many requests');
+    });
+
+    expect(stale.headers).toEqual({ 'X-Cache': 'STALE' });
+    expect(stale.statusCode).toBe(200);
+    expect(stale.sent).toEqual([{ version: 1 }]);
+    expect(await cache.get('/api/av/overview/AAPL')).toMatchObject({ data: { version: 1 }, state: 'stale' });
+    expect(cache.getStats().revalidationFailures).toBe(1);
+  });
+
+  it('survives a revalidation rejected with a retryAfter error', async () => {
+    const cache = createPersistentCache({ dir, now });
+    const middleware = createCacheMiddleware(cache);
+    await run(middleware, '/api/av/overview/AAPL', (req, res) => res.json({ version: 1 }));
+
+    clock += 13 * 3600 * 1000;
+    const quotaSpent = Object.assign(new ProviderError('Alpha Vantage daily quota reached', 429), { retryAfter: 3600 });
+    const stale = await run(middleware, '/api/av/overview/AAPL', async (req, res) => {
+      try {
+        throw quotaSpent;
+      } catch (error) {
+        sendProviderError(res, error, 'Failed to fetch company data');
+      }
+    });
+
+    expect(stale.headers).toEqual({ 'X-Cache': 'STALE' });
+    expect(stale.sent).toEqual([{ version: 1 }]);
+    expect(await cache.get('/api/av/overview/AAPL')).toMatchObject({ data: { version: 1 }, state: 'stale' });
+    expect(cache.getStats().revalidationFailures).toBe(1);
+  });
+});
+
+describe('createCachedLoader', () => {
+  const key = '/api/company/AAPL?period=annual';
+  const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+  it('loads and stores misses, then serves hits', async () => {
+    const cache = createPersistentCache({ dir, now });
+    const loadCached = createCachedLoader(cache);
+    const load = vi.fn().mockResolvedValue({ companyData: 1 });
+
+    expect(await loadCached(key, load)).toEqual({ companyData: 1 });
+    await settle();
+    expect(await loadCached(key, load)).toEqual({ companyData: 1 });
+
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(cache.getStats()).toMatchObject({ misses: 1, hits: 1 });
+  });
+
+  it('serves stale entries and reloads them in the background', async () => {
+    const cache = createPersistentCache({ dir, now });
+    const loadCached = createCachedLoader(cache);
+    await cache.set(key, { companyData: 'old' }, resolveCachePolicy(key));
+    clock += resolveCachePolicy(key).ttl * 1000 + 1;
+
+    expect(await loadCached(key, async () => ({ companyData: 'new' }))).toEqual({ companyData: 'old' });
+    await settle();
+
+    expect(await cache.get(key)).toMatchObject({ data: { companyData: 'new' }, state: 'fresh' });
+    expect(cache.getStats()).toMatchObject({ staleHits: 1, revalidations: 1 });
+  });
+
+  it('keeps the stale entry when the reload is not cacheable or fails', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const cache = createPersistentCache({ dir, now });
+    const loadCached = createCachedLoader(cache);
+    const cacheable = result => !result.failure;
+    await cache.set(key, { companyData: 'old' }, resolveCachePolicy(key));
+    clock += resolveCachePolicy(key).ttl * 1000 + 1;
+
+    await loadCached(key, async () => ({ failure: { status: 429 } }), { cacheable });
+    await settle();
+    await loadCached(key, async () => { throw new Error('upstream down'); }, { cacheable });
+    await settle();
+
+    expect(await cache.get(key)).toMatchObject({ data: { companyData: 'old' }, state: 'stale' });
+    expect(cache.getStats().revalidationFailures).toBe(2);
+  });
+
+  it('does not store uncacheable misses', async () => {
+    const cache = createPersistentCache({ dir, now });
+    const loadCached = createCachedLoader(cache);
+
+    const result = await loadCached(key, async () => ({ failure: { status: 404 } }), { cacheable: r => !r.failure });
+
+    expect(result).toEqual({ failure: { status: 404 } });
+    expect(await cache.get(key)).toBe(null);
+  });
+});
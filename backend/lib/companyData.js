@@ -0,0 +1,360 @@
+/**
+ * companyData builder
+ *
+ * Turns canonical provider data (see providers/schema.js) into the exact
+ * companyData payload /api/analyze expects, so browsers and other clients get
+ * the same figures without re-implementing the field mapping.
+ */
+
+import { STATUTORY_TAX_RATE } from './roic.js';
+import { getStatements, resolveProviderName, ProviderError, DATA_SOURCE_LABELS } from './providers/index.js';
+import { convertCompanyData } from './fx.js';
+import { createDataQualityReport, scoreDataQuality } from './dataQuality.js';
+import { mergeStatements, STATEMENT_NAMES } from './statements.js';
+import { parsePeriod } from './periods.js';
+import { parseSymbol } from './symbols.js';
+
+// Years of history sent for trend analysis; six year ends span the 5-year CAGRs (see lib/growth.js)
+export const HISTORY_YEARS = 6;
+
+// Every amount is reported, derived or null, never a stand-in 0 (see lib/dataQuality.js)
+const difference = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? a - b : null);
+
+// The filing's effective rate, or the statutory rate when it can't be computed
+const effectiveTaxRate = (quality, path, report) => {
+  const { incomeBeforeTax, incomeTaxExpense } = report;
+  if (Number.isFinite(incomeBeforeTax) && incomeBeforeTax !== 0 && Number.isFinite(incomeTaxExpense)) {
+    return quality.derived(path, incomeTaxExpense / incomeBeforeTax, ['incomeTaxExpense', 'incomeBeforeTax']);
+  }
+  const reason = incomeBeforeTax === 0
+    ? 'pre-tax income is zero'
+    : `${Number.isFinite(incomeBeforeTax) ? 'income tax expense' : 'pre-tax income'} not reported`;
+  return quality.imputed(path, STATUTORY_TAX_RATE, `Statutory rate; ${reason}`);
+};
+
+const grossProfit = (quality, path, report) => (Number.isFinite(report.grossProfit)
+  ? quality.reported(path, report.grossProfit)
+  : quality.derived(path, difference(report.revenue, report.costOfRevenue), ['revenue', 'costOfRevenue']));
+
+const freeCashFlow = (quality, path, report) =>
+  quality.derived(path, difference(report.operatingCashFlow, report.capitalExpenditures), ['operatingCashFlow', 'capitalExpenditures']);
+
+// Debt beyond the short-term portion; all of it when the short-term portion isn't reported
+const longTermDebt = (quality, path, report) => {
+  if (Number.isFinite(report.totalDebt) && !Number.isFinite(report.shortTermDebt)) {
+    return quality.imputed(path, report.totalDebt, 'Short-term debt not reported; all debt treated as long-term');
+  }
+  return quality.derived(path, difference(report.totalDebt, report.shortTermDebt), ['totalDebt', 'shortTermDebt']);
+};
+
+/**
+ * Build the /api/analyze companyData payload
+ * @param {object} sources
+ * @param {string} sources.symbol
+ * @param {object} sources.profile - Canonical profile
+ * @param {Array} sources.incomeStatements - Canonical reports, newest first (TTM first when requested)
+ * @param {Array} sources.balanceSheets
+ * @param {Array} sources.cashFlows
+ * @param {object|null} sources.earnings - Canonical earnings, or null if unavailable
+ * @returns {object} companyData; amounts the filings don't report are null, and dataQuality
+ *   says how each amount was obtained, with the data's scorecard (see lib/dataQuality.js);
+ *   historicalData.periods describes each history year ({ fiscalYear, lengthDays, weeks,
+ *   fiscalYearChange, statements }) and historicalData.gaps lists what mergeStatements found
+ */
+export const buildCompanyData = ({ symbol, profile, incomeStatements, balanceSheets, cashFlows, earnings }) => {
+  // Statements are paired by fiscal date, never by position (see lib/statements.js)
+  const statements = mergeStatements(
+    { income: incomeStatements, balance: balanceSheets, cashFlow: cashFlows },
+    { years: HISTORY_YEARS }
+  );
+  const { latest, history } = statements;
+  const isTTM = latest.period === 'TTM';
+  const latestIncome = latest.income;
+  const latestBalance = latest.balance;
+  const latestCashFlow = latest.cashFlow;
+  // Statements are in the reporting currency; the profile's market data in the listing's
+  const currency = latestIncome.currency || profile.currency || 'USD';
+
+  const quality = createDataQualityReport();
+  // Reported amounts of one companyData group, by companyData field and canonical value
+  const reportedIn = (group) => (field, value) => quality.reported(`${group}.${field}`, value);
+  const fromIncome = reportedIn('incomeStatement');
+  const fromBalance = reportedIn('balanceSheet');
+  const fromCashFlow = reportedIn('cashFlow');
+  const fromCapitalAllocation = reportedIn('capitalAllocationData');
+  const fromProfile = reportedIn('marketData');
+
+  const companyData = {
+    companyName: profile.name,
+    ticker: symbol,
+    industry: profile.industry || profile.sector,
+    sector: profile.sector || null,
+    description: profile.description,
+    fiscalPeriod: isTTM ? `TTM ending ${latestIncome.fiscalDateEnding}` : latestIncome.fiscalDateEnding,
+    basis: isTTM ? 'ttm' : 'annual',
+    currency,
+
+    marketData: {
+      currency: profile.currency || currency,
+      marketCap: fromProfile('marketCap', profile.marketCap),
+      beta: profile.beta || null,
+      trailingPE: profile.peRatio || null,
+      forwardPE: profile.forwardPE || null,
+      priceToBook: profile.priceToBook || null,
+      fiftyTwoWeekHigh: profile.fiftyTwoWeekHigh || null,
+      fiftyTwoWeekLow: profile.fiftyTwoWeekLow || null,
+      sharesOutstanding: fromProfile('sharesOutstanding', profile.sharesOutstanding),
+      enterpriseValue: null,
+      currentPrice: profile.price || null
+    },
+
+    earningsData: earnings ? {
+      quarterlyEarnings: earnings.quarterly.slice(0, 4),
+      annualEarnings: earnings.annual.slice(0, HISTORY_YEARS)
+    } : null,
+
+    incomeStatement: {
+      revenue: fromIncome('revenue', latestIncome.revenue),
+      costOfRevenue: fromIncome('costOfRevenue', latestIncome.costOfRevenue),
+      grossProfit: grossProfit(quality, 'incomeStatement.grossProfit', latestIncome),
+      operatingExpenses: fromIncome('operatingExpenses', latestIncome.operatingExpenses),
+      operatingIncome: fromIncome('operatingIncome', latestIncome.operatingIncome),
+      ebitda: fromIncome('ebitda', latestIncome.ebitda),
+      ebit: fromIncome('ebit', latestIncome.ebit),
+      interestExpense: fromIncome('interestExpense', latestIncome.interestExpense),
+      taxExpense: fromIncome('taxExpense', latestIncome.incomeTaxExpense),
+      netIncome: fromIncome('netIncome', latestIncome.netIncome),
+      taxRate: effectiveTaxRate(quality, 'incomeStatement.taxRate', latestIncome)
+    },
+
+    balanceSheet: {
+      totalAssets: fromBalance('totalAssets', latestBalance.totalAssets),
+      currentAssets: fromBalance('currentAssets', latestBalance.totalCurrentAssets),
+      cash: fromBalance('cash', latestBalance.cash),
+      accountsReceivable: fromBalance('accountsReceivable', latestBalance.receivables),
+      inventory: fromBalance('inventory', latestBalance.inventory),
+      ppe: fromBalance('ppe', latestBalance.ppe),
+      goodwill: fromBalance('goodwill', latestBalance.goodwill),
+      intangibleAssets: fromBalance('intangibleAssets', latestBalance.intangibleAssets),
+
+      totalLiabilities: fromBalance('totalLiabilities', latestBalance.totalLiabilities),
+      currentLiabilities: fromBalance('currentLiabilities', latestBalance.totalCurrentLiabilities),
+      accountsPayable: fromBalance('accountsPayable', latestBalance.accountsPayable),
+      shortTermDebt: fromBalance('shortTermDebt', latestBalance.shortTermDebt),
+      longTermDebt: longTermDebt(quality, 'balanceSheet.longTermDebt', latestBalance),
+
+      totalEquity: fromBalance('totalEquity', latestBalance.totalEquity)
+    },
+
+    cashFlow: {
+      operatingCashFlow: fromCashFlow('operatingCashFlow', latestCashFlow.operatingCashFlow),
+      capitalExpenditures: fromCashFlow('capitalExpenditures', latestCashFlow.capitalExpenditures),
+      freeCashFlow: freeCashFlow(quality, 'cashFlow.freeCashFlow', latestCashFlow)
+    },
+
+    capitalAllocationData: {
+      operatingCashFlow: fromCapitalAllocation('operatingCashFlow', latestCashFlow.operatingCashFlow),
+      capitalExpenditures: fromCapitalAllocation('capitalExpenditures', latestCashFlow.capitalExpenditures),
+      dividends: fromCapitalAllocation('dividends', latestCashFlow.dividendsPaid),
+      repurchases: fromCapitalAllocation('repurchases', latestCashFlow.shareRepurchases),
+      acquisitions: fromCapitalAllocation('acquisitions', latestCashFlow.acquisitions),
+      debtRepayment: fromCapitalAllocation('debtRepayment', latestCashFlow.debtRepayment)
+    },
+
+    historicalData: {
+      yearsAvailable: history.length,
+      // Rows are keyed by the merged fiscal date, so the groups pair up by fiscalYear
+      incomeStatements: history.filter(row => row.income).map(({ fiscalDateEnding, income: yr }) => {
+        const path = `historicalData.incomeStatements.${fiscalDateEnding}`;
+        const gross = Number.isFinite(yr.grossProfit) ? yr.grossProfit : difference(yr.revenue, yr.costOfRevenue);
+        return {
+          fiscalYear: fiscalDateEnding,
+          revenue: quality.reported(`${path}.revenue`, yr.revenue),
+          operatingIncome: quality.reported(`${path}.operatingIncome`, yr.operatingIncome),
+          ebit: quality.reported(`${path}.ebit`, yr.ebit),
+          netIncome: quality.reported(`${path}.netIncome`, yr.netIncome),
+          grossMargin: quality.derived(
+            `${path}.grossMargin`,
+            yr.revenue && Number.isFinite(gross) ? gross / yr.revenue : null,
+            ['grossProfit', 'revenue']
+          ),
+          taxRate: effectiveTaxRate(quality, `${path}.taxRate`, yr)
+        };
+      }),
+      balanceSheets: history.filter(row => row.balance).map(({ fiscalDateEnding, balance: yr }) => {
+        const path = `historicalData.balanceSheets.${fiscalDateEnding}`;
+        return {
+          fiscalYear: fiscalDateEnding,
+          totalAssets: quality.reported(`${path}.totalAssets`, yr.totalAssets),
+          totalEquity: quality.reported(`${path}.totalEquity`, yr.totalEquity),
+          totalDebt: quality.reported(`${path}.totalDebt`, yr.totalDebt),
+          ppe: quality.reported(`${path}.ppe`, yr.ppe),
+          currentAssets: quality.reported(`${path}.currentAssets`, yr.totalCurrentAssets),
+          currentLiabilities: quality.reported(`${path}.currentLiabilities`, yr.totalCurrentLiabilities),
+          cash: quality.reported(`${path}.cash`, yr.cash),
+          shortTermDebt: quality.reported(`${path}.shortTermDebt`, yr.shortTermDebt),
+          goodwill: quality.reported(`${path}.goodwill`, yr.goodwill),
+          intangibleAssets: quality.reported(`${path}.intangibleAssets`, yr.intangibleAssets)
+        };
+      }),
+      cashFlows: history.filter(row => row.cashFlow).map(({ fiscalDateEnding, cashFlow: yr }) => {
+        const path = `historicalData.cashFlows.${fiscalDateEnding}`;
+        return {
+          fiscalYear: fiscalDateEnding,
+          operatingCashFlow: quality.reported(`${path}.operatingCashFlow`, yr.operatingCashFlow),
+          capex: quality.reported(`${path}.capex`, yr.capitalExpenditures),
+          freeCashFlow: freeCashFlow(quality, `${path}.freeCashFlow`, yr)
+        };
+      }),
+      periods: history.map(row => ({
+        fiscalYear: row.fiscalDateEnding,
+        lengthDays: row.lengthDays,
+        weeks: row.weeks,
+        fiscalYearChange: row.fiscalYearChange,
+        statements: STATEMENT_NAMES.filter(name => row[name])
+      })),
+      gaps: statements.gaps
+    }
+  };
+
+  const dataQuality = quality.report();
+  return {
+    ...companyData,
+    dataQuality: {
+      ...dataQuality,
+      scorecard: scoreDataQuality({ statements, dataQuality, targetYears: HISTORY_YEARS })
+    }
+  };
+};
+
+/**
+ * Where companyData's figures come from
+ * @param {string} providerName
+ * @param {Array} reports - The latest income, balance sheet and cash flow reports
+ * @returns {object} { provider, label, filings } - filings are the SEC filings behind the reports'
+ *   per-field facts (SEC adapter only) as { accn, form, filed }, newest first
+ */
+export const describeDataSource = (providerName, reports) => {
+  const filings = new Map();
+  for (const fact of reports.flatMap(report => Object.values(report?.facts || {}).flat())) {
+    filings.set(fact.accn, { accn: fact.accn, form: fact.form, filed: fact.filed });
+  }
+  return {
+    provider: providerName,
+    label: DATA_SOURCE_LABELS[providerName] || providerName,
+    filings: [...filings.values()].sort((a, b) => b.filed.localeCompare(a.filed))
+  };
+};
+
+// Sources /api/analyze can't do without; earnings only enrich the prompt
+const REQUIRED_SOURCES = ['profile', 'incomeStatement', 'balanceSheet', 'cashFlow'];
+
+const SOURCE_LABELS = {
+  profile: 'company profile',
+  incomeStatement: 'income statement',
+  balanceSheet: 'balance sheet',
+  cashFlow: 'cash flow statement',
+  earnings: 'earnings data'
+};
+
+/**
+ * Fetch every source for a company from one provider and build companyData
+ * @param {object} provider - Data provider
+ * @param {string} symbol
+ * @param {string} period - 'annual' | 'ttm'
+ * @param {object} [options]
+ * @param {object} [options.fx] - Rates table (see lib/fx.js); market data quoted in another currency
+ *   than the statements is converted into the statements' currency when the table has the rate
+ * @returns {Promise<{companyData: object|null, sources: object, failure: ProviderError|null}>}
+ *   sources maps each source to { status: 'ok' | 'error', error? }; companyData is null
+ *   when a required source failed, and failure is the first such error
+ */
+export const loadCompanyData = async (provider, symbol, period, { fx } = {}) => {
+  const requests = {
+    profile: provider.getProfile(symbol),
+    incomeStatement: getStatements(provider, 'income-statement', symbol, period),
+    balanceSheet: getStatements(provider, 'balance-sheet', symbol, period),
+    cashFlow: getStatements(provider, 'cash-flow', symbol, period),
+    earnings: provider.getEarnings(symbol)
+  };
+
+  const names = Object.keys(requests);
+  const settled = await Promise.allSettled(Object.values(requests));
+
+  const results = {};
+  const sources = {};
+  let failure = null;
+
+  names.forEach((name, index) => {
+    const { status, value, reason } = settled[index];
+    let error = status === 'rejected' ? reason : null;
+
+    if (!error && Array.isArray(value) && value.length === 0) {
+      error = new ProviderError(`No ${SOURCE_LABELS[name]} data available`, 404);
+    }
+
+    if (error) {
+      const message = error instanceof ProviderError ? error.message : `Failed to fetch ${SOURCE_LABELS[name]}`;
+      sources[name] = { status: 'error', error: message };
+      if (!failure && REQUIRED_SOURCES.includes(name)) {
+        failure = error instanceof ProviderError ? error : new ProviderError(message, 502);
+      }
+    } else {
+      sources[name] = { status: 'ok' };
+      results[name] = value;
+    }
+  });
+
+  if (failure) {
+    return { companyData: null, sources, failure };
+  }
+
+  let companyData = buildCompanyData({
+    symbol,
+    profile: results.profile,
+    incomeStatements: results.incomeStatement,
+    balanceSheets: results.balanceSheet,
+    cashFlows: results.cashFlow,
+    earnings: results.earnings || null
+  });
+  companyData.dataSource = describeDataSource(provider.name, [
+    results.incomeStatement[0],
+    results.balanceSheet[0],
+    results.cashFlow[0]
+  ]);
+
+  // Market cap and debt must be in one currency for the WACC weights and reverse DCF
+  if (fx) {
+    try {
+      companyData = convertCompanyData(companyData, companyData.currency, fx);
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+      // Without a rate the market data stays in its own currency
+      console.error(`${symbol}: ${error.message}`);
+    }
+  }
+
+  return { companyData, sources, failure: null };
+};
+
+// Periods /api/company serves
+export const COMPANY_PERIODS = ['annual', 'ttm'];
+
+/**
+ * Cache key for a company's /api/company data, shared by that route, the analysis routes that
+ * reuse its entries and the invalidation after an upload, so that every spelling of a request
+ * (aapl or AAPL, no period or period=annual, the default provider or its name) maps to one entry
+ * @param {object} request
+ * @param {string} request.symbol
+ * @param {string} [request.period] - As for parsePeriod; default annual
+ * @param {string} [request.provider] - As for resolveProviderName; default DATA_PROVIDER
+ * @param {object} [env] - Environment (DATA_PROVIDER)
+ * @returns {string|null} null when the symbol, period or provider is invalid
+ */
+export const companyCacheKey = ({ symbol, period, provider }, env = process.env) => {
+  const ticker = parseSymbol(symbol);
+  const basis = parsePeriod(period);
+  const name = resolveProviderName(provider, env);
+  if (!ticker || !COMPANY_PERIODS.includes(basis) || !name) return null;
+  return `/api/company/${ticker}?period=${basis}&provider=${name}`;
+};
@@ -0,0 +1,293 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { buildCompanyData, loadCompanyData, describeDataSource, companyCacheKey, COMPANY_PERIODS } from './companyData.js';
+import { createPersistentCache, createCacheMiddleware } from './cache.js';
+import { ProviderError } from './providers/errors.js';
+import { createFxTable } from './fx.js';
+
+const profile = {
+  symbol: 'ACME',
+  name: 'Acme Corp',
+  description: 'Widgets',
+  currency: 'USD',
+  sector: 'Industrials',
+  industry: null,
+  marketCap: 5000,
+  price: 50,
+  beta: 1.1,
+  sharesOutstanding: 100,
+  peRatio: null,
+  forwardPE: null,
+  priceToBook: null,
+  fiftyTwoWeekHigh: null,
+  fiftyTwoWeekLow: null
+};
+
+const income = (fiscalDateEnding, revenue, period = 'annual') => ({
+  fiscalDateEnding,
+  period,
+  currency: 'USD',
+  revenue,
+  costOfRevenue: null,
+  grossProfit: revenue / 2,
+  operatingExpenses: null,
+  operatingIncome: revenue / 5,
+  ebit: revenue / 5,
+  ebitda: null,
+  interestExpense: 10,
+  incomeBeforeTax: 100,
+  incomeTaxExpense: 25,
+  netIncome: 75
+});
+
+const balance = (fiscalDateEnding) => ({
+  fiscalDateEnding,
+  period: 'annual',
+  totalAssets: 2000,
+  totalCurrentAssets: 500,
+  cash: 100,
+  totalCurrentLiabilities: 300,
+  shortTermDebt: 50,
+  totalDebt: 400,
+  totalEquity: 1200,
+  ppe: 800
+});
+
+const cashFlow = (fiscalDateEnding) => ({
+  fiscalDateEnding,
+  period: 'annual',
+  operatingCashFlow: 150,
+  capitalExpenditures: 40,
+  dividendsPaid: 20,
+  shareRepurchases: null
+});
+
+describe('buildCompanyData', () => {
+  const companyData = buildCompanyData({
+    symbol: 'ACME',
+    profile,
+    incomeStatements: [income('2024-12-31', 1000), income('2023-12-31', 900)],
+    balanceSheets: [balance('2024-12-31')],
+    cashFlows: [cashFlow('2024-12-31')],
+    earnings: null
+  });
+
+  it('maps the latest reports into the analyze payload', () => {
+    expect(companyData).toMatchObject({
+      companyName: 'Acme Corp',
+      ticker: 'ACME',
+      industry: 'Industrials',
+      fiscalPeriod: '2024-12-31',
+      basis: 'annual',
+      earningsData: null
+    });
+    expect(companyData.incomeStatement).toMatchObject({ revenue: 1000, ebit: 200, taxExpense: 25, taxRate: 0.25, ebitda: null });
+    expect(companyData.balanceSheet).toMatchObject({ currentAssets: 500, longTermDebt: 350, totalEquity: 1200, goodwill: null });
+    expect(companyData.cashFlow).toEqual({ operatingCashFlow: 150, capitalExpenditures: 40, freeCashFlow: 110 });
+    expect(companyData.capitalAllocationData).toMatchObject({ dividends: 20, repurchases: null });
+    expect(companyData.marketData).toMatchObject({ marketCap: 5000, beta: 1.1, currentPrice: 50, trailingPE: null });
+  });
+
+  it('reports which amounts were missing, derived or imputed', () => {
+    const { dataQuality } = companyData;
+
+    expect(dataQuality.fields['incomeStatement.revenue']).toEqual({ status: 'reported' });
+    expect(dataQuality.fields['cashFlow.freeCashFlow']).toEqual({ status: 'derived', from: ['operatingCashFlow', 'capitalExpenditures'] });
+    expect(dataQuality.missing).toEqual(expect.arrayContaining(['incomeStatement.ebitda', 'balanceSheet.goodwill', 'capitalAllocationData.repurchases']));
+    expect(dataQuality.imputed).toEqual([]);
+  });
+
+  it('scores the statements behind it', () => {
+    const { scorecard } = companyData.dataQuality;
+    const check = (id) => scorecard.checks.find(entry => entry.id === id);
+
+    expect(scorecard.grade).toMatch(/^(high|medium|low)$/);
+    expect(check('history')).toMatchObject({ status: 'fail', detail: '1 of 6 years in all three statements' });
+    expect(check('alignment')).toMatchObject({ status: 'warn', detail: 'No balance sheet or cash flow statement for 2023-12-31' });
+    expect(check('balanceSheet').status).toBe('n/a');
+  });
+
+  it('imputes the statutory tax rate instead of dividing by missing figures', () => {
+    const noPreTax = buildCompanyData({
+      symbol: 'ACME',
+      profile,
+      incomeStatements: [{ ...income('2024-12-31', 1000), incomeBeforeTax: null, grossProfit: null, costOfRevenue: 600 }],
+      balanceSheets: [balance('2024-12-31')],
+      cashFlows: [{ ...cashFlow('2024-12-31'), capitalExpenditures: null }],
+      earnings: null
+    });
+
+    expect(noPreTax.incomeStatement.taxRate).toBe(0.21);
+    expect(noPreTax.dataQuality.fields['incomeStatement.taxRate']).toEqual({ status: 'imputed', reason: 'Statutory rate; pre-tax income not reported' });
+    expect(noPreTax.incomeStatement.grossProfit).toBe(400);
+    expect(noPreTax.dataQuality.derived).toContain('incomeStatement.grossProfit');
+    expect(noPreTax.cashFlow.freeCashFlow).toBe(null);
+    expect(noPreTax.historicalData.cashFlows[0].freeCashFlow).toBe(null);
+  });
+
+  it('pairs statements by fiscal date when one of them skips a year', () => {
+    const gapped = buildCompanyData({
+      symbol: 'ACME',
+      profile,
+      incomeStatements: [income('2024-12-31', 1000), income('2023-12-31', 900), income('2022-12-31', 800)],
+      balanceSheets: [balance('2023-12-31'), balance('2022-12-31')],
+      cashFlows: [cashFlow('2024-12-31'), cashFlow('2023-12-31'), cashFlow('2022-12-31')],
+      earnings: null
+    });
+
+    expect(gapped.fiscalPeriod).toBe('2023-12-31');
+    expect(gapped.incomeStatement.revenue).toBe(900);
+    expect(gapped.historicalData.balanceSheets.map(yr => yr.fiscalYear)).toEqual(['2023-12-31', '2022-12-31']);
+    expect(gapped.historicalData.periods[0]).toEqual({
+      fiscalYear: '2024-12-31', lengthDays: 366, weeks: null, fiscalYearChange: false, statements: ['income', 'cashFlow']
+    });
+    expect(gapped.historicalData.gaps).toEqual([
+      { fiscalDateEnding: '2024-12-31', type: 'missingStatement', detail: 'No balance sheet for 2024-12-31' }
+    ]);
+  });
+
+  it('keeps annual history alongside a TTM latest period', () => {
+    const ttm = buildCompanyData({
+      symbol: 'ACME',
+      profile,
+      incomeStatements: [income('2025-06-30', 1100, 'TTM'), income('2024-12-31', 1000), income('2023-12-31', 900)],
+      balanceSheets: [{ ...balance('2025-06-30'), period: 'TTM' }, balance('2024-12-31')],
+      cashFlows: [{ ...cashFlow('2025-06-30'), period: 'TTM' }, cashFlow('2024-12-31')],
+      earnings: null
+    });
+
+    expect(ttm.basis).toBe('ttm');
+    expect(ttm.fiscalPeriod).toBe('TTM ending 2025-06-30');
+    expect(ttm.incomeStatement.revenue).toBe(1100);
+    expect(ttm.historicalData.incomeStatements.map(yr => yr.fiscalYear)).toEqual(['2024-12-31', '2023-12-31']);
+  });
+});
+
+describe('loadCompanyData', () => {
+  const provider = {
+    getProfile: async () => profile,
+    getIncomeStatements: async () => ({ annualReports: [income('2024-12-31', 1000)], quarterlyReports: [] }),
+    getBalanceSheets: async () => ({ annualReports: [balance('2024-12-31')], quarterlyReports: [] }),
+    getCashFlows: async () => ({ annualReports: [cashFlow('2024-12-31')], quarterlyReports: [] }),
+    getEarnings: async () => { throw new ProviderError('API rate limit reached', 429); }
+  };
+
+  it('builds companyData when only optional sources fail', async () => {
+    const { companyData, sources, failure } = await loadCompanyData(provider, 'ACME', 'annual');
+
+    expect(failure).toBe(null);
+    expect(companyData.earningsData).toBe(null);
+    expect(sources.profile).toEqual({ status: 'ok' });
+    expect(sources.earnings).toEqual({ status: 'error', error: 'API rate limit reached' });
+  });
+
+  it('normalizes market data into the statement currency', async () => {
+    const fx = createFxTable({ base: 'USD', asOf: '2025-01-31', rates: { EUR: 0.8 } });
+    const { companyData } = await loadCompanyData({
+      ...provider,
+      getIncomeStatements: async () => ({
+        annualReports: [{ ...income('2024-12-31', 1000), currency: 'EUR' }],
+        quarterlyReports: []
+      })
+    }, 'ACME', 'annual', { fx });
+
+    expect(companyData.currency).toBe('EUR');
+    expect(companyData.incomeStatement.revenue).toBe(1000);
+    expect(companyData.marketData).toMatchObject({ currency: 'EUR', marketCap: 4000, currentPrice: 40 });
+    expect(companyData.fx).toEqual({ from: 'EUR', to: 'EUR', rate: 1, asOf: '2025-01-31', market: { from: 'USD', rate: 0.8 } });
+  });
+
+  it('reports the first failed required source', async () => {
+    const { companyData, sources, failure } = await loadCompanyData(
+      { ...provider, getBalanceSheets: async () => ({ annualReports: [], quarterlyReports: [] }) },
+      'ACME',
+      'annual'
+    );
+
+    expect(companyData).toBe(null);
+    expect(failure.status).toBe(404);
+    expect(sources.balanceSheet.status).toBe('error');
+  });
+});
+
+describe('describeDataSource', () => {
+  it('lists the SEC filings behind the reports, newest first', () => {
+    const fact = (accn, form, filed) => ({ tag: 'Assets', accn, form, filed });
+    const reports = [
+      { facts: { revenue: [fact('k24', '10-K', '2024-02-20'), fact('q3', '10-Q', '2023-11-01')] } },
+      { facts: { totalAssets: [fact('k24', '10-K', '2024-02-20')] } },
+      undefined
+    ];
+
+    expect(describeDataSource('sec', reports)).toEqual({
+      provider: 'sec',
+      label: 'SEC EDGAR XBRL filings (as reported)',
+      filings: [{ accn: 'k24', form: '10-K', filed: '2024-02-20' }, { accn: 'q3', form: '10-Q', filed: '2023-11-01' }]
+    });
+    expect(describeDataSource('fmp', [{}]).filings).toEqual([]);
+  });
+});
+
+describe('companyCacheKey', () => {
+  const env = { DATA_PROVIDER: 'sec' };
+
+  it('maps every spelling of a request to one key', () => {
+    const key = '/api/company/AAPL?period=annual&provider=sec';
+
+    expect(companyCacheKey({ symbol: 'AAPL' }, env)).toBe(key);
+    expect(companyCacheKey({ symbol: 'aapl', period: 'annual' }, env)).toBe(key);
+    expect(companyCacheKey({ symbol: ' AAPL ', period: 'ANNUAL', provider: 'SEC' }, env)).toBe(key);
+    expect(companyCacheKey({ symbol: 'AAPL', period: 'ttm', provider: 'fmp' }, env)).toBe('/api/company/AAPL?period=ttm&provider=fmp');
+  });
+
+  it('returns null for requests the route rejects', () => {
+    expect(companyCacheKey({ symbol: '..' }, env)).toBe(null);
+    expect(companyCacheKey({ symbol: 'AAPL', period: 'quarterly' }, env)).toBe(null);
+    expect(companyCacheKey({ symbol: 'AAPL', provider: 'nope' }, env)).toBe(null);
+  });
+
+  describe('as the /api/company cache key', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), 'company-cache-'));
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      vi.restoreAllMocks();
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    // The route's middleware and handler, answering with the current "filings"
+    const request = async (middleware, url, body) => {
+      const { pathname, searchParams } = new URL(url, 'http://localhost');
+      const req = { originalUrl: url, params: { symbol: pathname.split('/').pop() }, query: Object.fromEntries(searchParams) };
+      const res = { statusCode: 200, headers: {}, set: (name, value) => { res.headers[name] = value; return res; } };
+      let sent;
+      res.json = (data) => { sent = data; return res; };
+      await middleware(req, res, () => res.json(body));
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return { body: sent, cache: res.headers['X-Cache'] };
+    };
+
+    it('serves the new filings after an upload, however the company was requested', async () => {
+      const cache = createPersistentCache({ dir });
+      const middleware = createCacheMiddleware(cache, {
+        keyOf: req => companyCacheKey({ symbol: req.params.symbol, period: req.query.period, provider: req.query.provider }, env)
+      });
+
+      await request(middleware, '/api/company/AAPL', { filings: 'old' });
+      expect(await request(middleware, '/api/company/aapl?period=annual', { filings: 'new' }))
+        .toEqual({ body: { filings: 'old' }, cache: 'HIT' });
+
+      // What PUT /api/sec/companyfacts/AAPL invalidates
+      await Promise.all(COMPANY_PERIODS.map(period => cache.delete(companyCacheKey({ symbol: 'AAPL', period, provider: 'sec' }, env))));
+
+      expect(await request(middleware, '/api/company/AAPL', { filings: 'new' })).toEqual({ body: { filings: 'new' }, cache: 'MISS' });
+      expect((await request(middleware, '/api/company/AAPL?provider=sec&period=annual', {})).body).toEqual({ filings: 'new' });
+    });
+  });
+});
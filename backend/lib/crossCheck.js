@@ -0,0 +1,188 @@
+/**
+ * Numeric cross-check of the analysis against its source data
+ *
+ * The model echoes figures like EBIT, current assets and invested capital as
+ * formatted strings ("$45.2B", "21.0%") and occasionally transposes or
+ * invents them. Every currency amount and percentage in the analysis is
+ * parsed and compared with companyData and the server-computed metrics:
+ *
+ *   - Fields that echo a known figure (FIELD_SOURCES) must match it; a
+ *     difference beyond the tolerance is a mismatch
+ *   - Figures anywhere else must match some known figure, or are reported as
+ *     unverified (they may be derived or from the model's own knowledge)
+ */
+
+import { formatCurrency, formatPercent, currencySymbol } from './format.js';
+
+// Relative tolerance for currency amounts, on top of the rounding of the reported figure
+export const CURRENCY_TOLERANCE = 0.02;
+
+// Absolute tolerance for percentages, in percentage points as a decimal (0.5pp)
+export const PERCENT_TOLERANCE = 0.005;
+
+// Analysis fields that echo one figure, by dot path. source reads the expected value
+// from { companyData, metrics }; absolute compares magnitudes (cash outflows are negative in the data)
+export const FIELD_SOURCES = {
+  'roicAnalysis.nopat.ebit': { kind: 'currency', source: 'metrics.roic.ebit' },
+  'roicAnalysis.nopat.taxRate': { kind: 'percent', source: 'metrics.roic.taxRate' },
+  'roicAnalysis.nopat.nopatCalculated': { kind: 'currency', source: 'metrics.roic.nopat' },
+  'roicAnalysis.investedCapital.currentAssets': { kind: 'currency', source: 'metrics.roic.investedCapital.operating.currentAssets' },
+  'roicAnalysis.investedCapital.currentLiabilities': { kind: 'currency', source: 'metrics.roic.investedCapital.operating.currentLiabilities' },
+  'roicAnalysis.investedCapital.netWorkingCapital': { kind: 'currency', source: 'metrics.roic.investedCapital.operating.netWorkingCapital' },
+  'roicAnalysis.investedCapital.ppe': { kind: 'currency', source: 'metrics.roic.investedCapital.operating.ppe' },
+  'roicAnalysis.investedCapital.goodwill': { kind: 'currency', source: 'metrics.roic.investedCapital.operating.goodwill' },
+  'roicAnalysis.investedCapital.intangibles': { kind: 'currency', source: 'metrics.roic.investedCapital.operating.intangibles' },
+  'roicAnalysis.investedCapital.totalIC': { kind: 'currency', source: 'metrics.roic.investedCapital.totalIC' },
+  'roicAnalysis.roicCalculated.percentage': { kind: 'percent', source: 'metrics.roic.roic' },
+  'roicAnalysis.dupontDecomposition.profitMargin': { kind: 'percent', source: 'metrics.roic.dupont.nopatMargin' },
+  'roicAnalysis.valueCreation.estimatedWACC': { kind: 'percent', source: 'metrics.wacc.wacc' },
+  'roicAnalysis.valueCreation.spread': { kind: 'percent', source: 'metrics.roic.valueCreation.spread' },
+  'capitalAllocation.operatingCashFlow': { kind: 'currency', source: 'companyData.capitalAllocationData.operatingCashFlow' },
+  'capitalAllocation.capex': { kind: 'currency', source: 'companyData.capitalAllocationData.capitalExpenditures', absolute: true },
+  'capitalAllocation.acquisitions': { kind: 'currency', source: 'companyData.capitalAllocationData.acquisitions', absolute: true },
+  'capitalAllocation.buybacks': { kind: 'currency', source: 'companyData.capitalAllocationData.repurchases', absolute: true },
+  'capitalAllocation.dividends': { kind: 'currency', source: 'companyData.capitalAllocationData.dividends', absolute: true },
+  'capitalAllocation.debtRepayment': { kind: 'currency', source: 'companyData.capitalAllocationData.debtRepayment', absolute: true }
+};
+
+const SCALES = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, mm: 1e6, b: 1e9, bn: 1e9, billion: 1e9, t: 1e12, trillion: 1e12 };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "$45.2B", "-$1.3 billion", "($820M)", "$1,234", and for other currencies "€45.2B" or "EUR 45.2B"
+// ($ is always recognized; the format examples in the prompt use it)
+const currencyPattern = (currency) => {
+  const prefixes = [...new Set([currencySymbol(currency).trim(), currency, '$'].filter(Boolean))]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  return new RegExp(
+    `(\\(|[-−])?\\s?(?:${prefixes})\\s?([-−])?(\\d[\\d,]*(?:\\.\\d+)?)(?:\\s?(trillion|billion|million|thousand|bn|mm|[tbmk])\\b)?\\)?`,
+    'gi'
+  );
+};
+
+// "21.0%", "+14.4%", "-3%"
+const PERCENT_PATTERN = /([+\-−])?(\d+(?:\.\d+)?)\s?%/g;
+
+const decimalsOf = (digits) => (digits.includes('.') ? digits.split('.')[1].length : 0);
+
+/**
+ * Every currency amount and percentage in a piece of text
+ * @param {string} text
+ * @param {string} [currency] - ISO code of the amounts (default USD)
+ * @returns {Array<{kind: 'currency'|'percent', text: string, value: number, precision: number}>}
+ *   value in reporting units (percentages as decimals); precision is half the last reported digit
+ */
+export const parseFigures = (text, currency = 'USD') => {
+  if (typeof text !== 'string') return [];
+  const figures = [];
+
+  for (const match of text.matchAll(currencyPattern(currency))) {
+    const [raw, before, after, digits, suffix] = match;
+    const scale = suffix ? SCALES[suffix.toLowerCase()] : 1;
+    const negative = Boolean(after) || (before === '(' ? raw.trim().endsWith(')') : Boolean(before));
+    const magnitude = Number(digits.replace(/,/g, '')) * scale;
+    figures.push({
+      kind: 'currency',
+      text: raw.trim(),
+      value: negative ? -magnitude : magnitude,
+      precision: (10 ** -decimalsOf(digits) * scale) / 2
+    });
+  }
+
+  for (const match of text.matchAll(PERCENT_PATTERN)) {
+    const [raw, sign, digits] = match;
+    const magnitude = Number((Number(digits) / 100).toFixed(decimalsOf(digits) + 2));
+    figures.push({
+      kind: 'percent',
+      text: raw.trim(),
+      value: sign === '-' || sign === '−' ? -magnitude : magnitude,
+      precision: 10 ** -decimalsOf(digits) / 200
+    });
+  }
+
+  return figures;
+};
+
+const readPath = (root, dotPath) => dotPath.split('.').reduce((value, key) => value?.[key], root);
+
+const matches = (figure, expected) => {
+  const tolerance = figure.kind === 'currency'
+    ? Math.abs(expected) * CURRENCY_TOLERANCE + figure.precision
+    : PERCENT_TOLERANCE + figure.precision;
+  return Math.abs(figure.value - expected) <= tolerance;
+};
+
+// Every finite number under a value, for matching narrative figures
+const collectNumbers = (value, numbers = []) => {
+  if (typeof value === 'number' && Number.isFinite(value) && value !== 0) {
+    numbers.push(value);
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(child => collectNumbers(child, numbers));
+  }
+  return numbers;
+};
+
+// Text fields of the analysis as [dotPath, text]
+const textFields = (value, prefix = '') => {
+  if (typeof value === 'string') return [[prefix, value]];
+  if (!value || typeof value !== 'object') return [];
+  return Object.entries(value).flatMap(([key, child]) => textFields(child, prefix ? `${prefix}.${key}` : key));
+};
+
+/**
+ * Compare the figures in an analysis with the data it was generated from
+ * @param {object} analysis - Full analysis, or a section's values
+ * @param {object} sources
+ * @param {object} sources.companyData
+ * @param {object} sources.metrics - From computeAnalysisMetrics
+ * @returns {{checked: number, mismatches: object[], unverified: object[]}} mismatches are
+ *   { path, kind, reported, value, expected, expectedText, source } for FIELD_SOURCES fields
+ *   that disagree with their source; unverified are { path, kind, reported, value } for other
+ *   figures that match nothing in the data
+ */
+export const crossCheckAnalysis = (analysis, { companyData, metrics }) => {
+  const sources = { companyData, metrics };
+  const known = collectNumbers(sources);
+  const mismatches = [];
+  const unverified = [];
+  let checked = 0;
+
+  for (const [path, text] of textFields(analysis)) {
+    const field = FIELD_SOURCES[path];
+    const figures = parseFigures(text, companyData?.currency);
+
+    if (field) {
+      // The echoed figure is the first of its kind; calculations live in other fields
+      const figure = figures.find(candidate => candidate.kind === field.kind);
+      const source = readPath(sources, field.source);
+      if (!figure || !Number.isFinite(source)) continue;
+
+      const expected = field.absolute ? Math.abs(source) : source;
+      checked++;
+      if (!matches(figure, expected)) {
+        mismatches.push({
+          path,
+          kind: field.kind,
+          reported: figure.text,
+          value: figure.value,
+          expected,
+          expectedText: field.kind === 'currency' ? formatCurrency(expected, 1, companyData?.currency) : formatPercent(expected),
+          source: field.source
+        });
+      }
+      continue;
+    }
+
+    for (const figure of figures.filter(candidate => candidate.value !== 0)) {
+      checked++;
+      const candidates = figure.kind === 'currency' ? known : known.filter(number => Math.abs(number) <= 10);
+      if (!candidates.some(number => matches(figure, number) || matches(figure, -number))) {
+        unverified.push({ path, kind: figure.kind, reported: figure.text, value: figure.value });
+      }
+    }
+  }
+
+  return { checked, mismatches, unverified };
+};
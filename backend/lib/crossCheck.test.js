@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { parseFigures, crossCheckAnalysis } from './crossCheck.js';
+import { computeAnalysisMetrics } from './analysisPrompt.js';
+
+const companyData = {
+  ticker: 'ACME',
+  marketData: { marketCap: 50e9, beta: 1.1, sharesOutstanding: 1e9 },
+  incomeStatement: { revenue: 10e9, ebit: 2e9, operatingIncome: 2e9, interestExpense: 0.1e9, taxExpense: 0.25e9, netIncome: 0.75e9, taxRate: 0.25 },
+  balanceSheet: { currentAssets: 5e9, cash: 1e9, currentLiabilities: 3e9, shortTermDebt: 0.5e9, longTermDebt: 3.5e9, ppe: 8e9, goodwill: 0, intangibleAssets: 0, totalEquity: 12e9 },
+  cashFlow: { operatingCashFlow: 1.5e9, capitalExpenditures: -0.4e9, freeCashFlow: 1.1e9 },
+  capitalAllocationData: { operatingCashFlow: 1.5e9, capitalExpenditures: -0.4e9, dividends: -0.2e9, repurchases: 0, acquisitions: 0, debtRepayment: 0 }
+};
+
+const metrics = computeAnalysisMetrics(companyData, null);
+
+describe('parseFigures', () => {
+  it('reads currency amounts with scale words and accounting negatives', () => {
+    expect(parseFigures('EBIT $45.2B, a loss of ($820M), -$1.3 billion and $1,234').map(figure => figure.value))
+      .toEqual([45.2e9, -820e6, -1.3e9, 1234]);
+  });
+
+  it('reads signed percentages as decimals', () => {
+    expect(parseFigures('ROIC 22.9% vs WACC 8.5% = +14.4%, margin -3%').map(figure => figure.value))
+      .toEqual([0.229, 0.085, 0.144, -0.03]);
+  });
+
+  it('reads amounts in the reporting currency', () => {
+    expect(parseFigures('Revenue €12.5B, EUR 3.1M and ($0.4B)', 'EUR').map(figure => figure.value))
+      .toEqual([12.5e9, 3.1e6, -0.4e9]);
+  });
+
+  it('records the rounding of the reported figure', () => {
+    const [figure] = parseFigures('$45.2B');
+    expect(figure.precision).toBeCloseTo(0.05e9);
+  });
+});
+
+describe('crossCheckAnalysis', () => {
+  it('accepts echoed figures within the rounding and tolerance', () => {
+    const result = crossCheckAnalysis({
+      roicAnalysis: {
+        nopat: { ebit: '$2.0B', taxRate: '25.0%', nopatCalculated: '$1.5B' },
+        investedCapital: { currentAssets: '$5.0B', totalIC: `$${(metrics.roic.investedCapital.totalIC / 1e9).toFixed(1)}B` }
+      },
+      capitalAllocation: { capex: '$400M', dividends: '$0.2B' }
+    }, { companyData, metrics });
+
+    expect(result.mismatches).toEqual([]);
+    expect(result.checked).toBe(7);
+  });
+
+  it('flags echoed figures that disagree with their source', () => {
+    const { mismatches } = crossCheckAnalysis({
+      roicAnalysis: {
+        nopat: { ebit: '$3.0B (operating income)', taxRate: '21.0%' },
+        investedCapital: { currentAssets: '$3.0B', currentLiabilities: '$5.0B' }
+      }
+    }, { companyData, metrics });
+
+    expect(mismatches.map(mismatch => mismatch.path)).toEqual([
+      'roicAnalysis.nopat.ebit',
+      'roicAnalysis.nopat.taxRate',
+      'roicAnalysis.investedCapital.currentAssets',
+      'roicAnalysis.investedCapital.currentLiabilities'
+    ]);
+    expect(mismatches[0]).toMatchObject({
+      kind: 'currency',
+      reported: '$3.0B',
+      value: 3e9,
+      expected: 2e9,
+      expectedText: '$2.0B',
+      source: 'metrics.roic.ebit'
+    });
+  });
+
+  it('reports narrative figures that match nothing in the data as unverified', () => {
+    const { mismatches, unverified } = crossCheckAnalysis({
+      conclusion: { investmentThesis: 'Revenue of $10.0B and free cash flow of $1.1B; a $7.5B acquisition would add 37.0% to sales' }
+    }, { companyData, metrics });
+
+    expect(mismatches).toEqual([]);
+    expect(unverified).toEqual([
+      { path: 'conclusion.investmentThesis', kind: 'currency', reported: '$7.5B', value: 7.5e9 },
+      { path: 'conclusion.investmentThesis', kind: 'percent', reported: '37.0%', value: 0.37 }
+    ]);
+  });
+
+  it('skips echoed fields without a figure', () => {
+    const result = crossCheckAnalysis({ roicAnalysis: { nopat: { ebit: 'Not available' } } }, { companyData, metrics });
+
+    expect(result).toEqual({ checked: 0, mismatches: [], unverified: [] });
+  });
+});
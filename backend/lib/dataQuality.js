@@ -0,0 +1,312 @@
+/**
+ * Per-field data-quality report
+ *
+ * Providers return null for amounts a filing doesn't report (see
+ * providers/schema.js). companyData keeps those nulls rather than turning them
+ * into 0, so "not reported" and "reported as zero" stay distinguishable, and
+ * records how it got every amount:
+ *
+ *   reported - taken from the filing as is
+ *   derived  - computed from other reported fields (e.g. FCF = OCF - capex)
+ *   imputed  - a stand-in value (e.g. the statutory tax rate)
+ *   missing  - unavailable; the field is null
+ *
+ * Paths are companyData dot paths; history rows are keyed by fiscal year, e.g.
+ * 'historicalData.incomeStatements.2023-12-31.revenue'.
+ *
+ * scoreDataQuality turns the statements and that report into a deterministic
+ * scorecard (coverage, history, accounting identities, fiscal-year alignment),
+ * which is what the analysis reports as its data quality.
+ */
+
+export const FIELD_STATUSES = ['reported', 'derived', 'imputed', 'missing'];
+
+// Names for the prompt and UI, by field (the last path segment)
+export const FIELD_LABELS = {
+  revenue: 'Revenue',
+  costOfRevenue: 'Cost of Revenue',
+  grossProfit: 'Gross Profit',
+  grossMargin: 'Gross Margin',
+  operatingExpenses: 'Operating Expenses',
+  operatingIncome: 'Operating Income',
+  ebitda: 'EBITDA',
+  ebit: 'EBIT',
+  interestExpense: 'Interest Expense',
+  taxExpense: 'Tax Expense',
+  taxRate: 'Effective Tax Rate',
+  netIncome: 'Net Income',
+  totalAssets: 'Total Assets',
+  currentAssets: 'Current Assets',
+  cash: 'Cash',
+  accountsReceivable: 'Accounts Receivable',
+  inventory: 'Inventory',
+  ppe: 'PP&E',
+  goodwill: 'Goodwill',
+  intangibleAssets: 'Intangible Assets',
+  totalLiabilities: 'Total Liabilities',
+  currentLiabilities: 'Current Liabilities',
+  accountsPayable: 'Accounts Payable',
+  shortTermDebt: 'Short-term Debt',
+  longTermDebt: 'Long-term Debt',
+  totalDebt: 'Total Debt',
+  totalEquity: 'Total Equity',
+  operatingCashFlow: 'Operating Cash Flow',
+  capitalExpenditures: 'Capital Expenditures',
+  capex: 'Capital Expenditures',
+  freeCashFlow: 'Free Cash Flow',
+  dividends: 'Dividends',
+  repurchases: 'Buybacks',
+  acquisitions: 'Acquisitions',
+  debtRepayment: 'Debt Repayment',
+  marketCap: 'Market Cap',
+  sharesOutstanding: 'Shares Outstanding'
+};
+
+const HISTORY_PATH = /^historicalData\.\w+\.([^.]+)\.(\w+)$/;
+
+/**
+ * @param {string} path - companyData dot path
+ * @returns {string} e.g. 'Goodwill' or 'Revenue (2023-12-31)'
+ */
+export const describeField = (path) => {
+  const history = path.match(HISTORY_PATH);
+  const field = history ? history[2] : path.split('.').pop();
+  const label = FIELD_LABELS[field] || field;
+  return history ? `${label} (${history[1]})` : label;
+};
+
+/**
+ * Collects the status of each amount while companyData is built
+ * @returns {object} { reported, derived, imputed, report }: reported(path, value) and
+ *   derived(path, value, from) return the value, or null (recorded as missing) when it isn't a
+ *   finite number; imputed(path, value, reason) records the stand-in and returns it
+ */
+export const createDataQualityReport = () => {
+  const fields = {};
+
+  const settle = (path, value, entry) => {
+    if (Number.isFinite(value)) {
+      fields[path] = entry;
+      return value;
+    }
+    fields[path] = { status: 'missing', ...(entry.from ? { from: entry.from } : {}) };
+    return null;
+  };
+
+  const pathsWith = (status) => Object.keys(fields).filter(path => fields[path].status === status);
+
+  return {
+    reported: (path, value) => settle(path, value, { status: 'reported' }),
+    derived: (path, value, from) => settle(path, value, { status: 'derived', from }),
+    imputed: (path, value, reason) => {
+      fields[path] = { status: 'imputed', reason };
+      return value;
+    },
+    /**
+     * @returns {{fields: object, missing: string[], derived: string[], imputed: string[]}} fields maps
+     *   each path to { status, from?, reason? }: from lists the fields a derived value was computed from,
+     *   reason says why a value was imputed
+     */
+    report: () => ({
+      fields,
+      missing: pathsWith('missing'),
+      derived: pathsWith('derived'),
+      imputed: pathsWith('imputed')
+    })
+  };
+};
+
+// Weighted checks; a check that can't be run (n/a) doesn't count
+const CHECK_POINTS = { pass: 1, warn: 0.5, fail: 0 };
+
+// Minimum score per grade, best first
+export const DATA_QUALITY_GRADES = [
+  { grade: 'high', minScore: 85 },
+  { grade: 'medium', minScore: 60 },
+  { grade: 'low', minScore: 0 }
+];
+
+// Inputs ROIC and WACC can't be computed without (ebit falls back to operating income)
+const KEY_INPUTS = [
+  ['incomeStatement.revenue'],
+  ['incomeStatement.ebit', 'incomeStatement.operatingIncome'],
+  ['balanceSheet.currentAssets'],
+  ['balanceSheet.currentLiabilities'],
+  ['balanceSheet.ppe'],
+  ['balanceSheet.totalEquity'],
+  ['marketData.marketCap']
+];
+
+// Share of the identity's scale an identity may be off by, for pass and warn
+const TOLERANCES = {
+  balanceSheet: { pass: 0.01, warn: 0.05 },
+  grossProfit: { pass: 0.005, warn: 0.02 },
+  freeCashFlow: { pass: 0.01, warn: 0.05 }
+};
+
+const statusFor = (value, { pass, warn }, higherIsBetter = false) => {
+  if (higherIsBetter) return value >= pass ? 'pass' : value >= warn ? 'warn' : 'fail';
+  return value <= pass ? 'pass' : value <= warn ? 'warn' : 'fail';
+};
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Reports of one statement, without the missing ones and the latest twice when it's also a history year
+const periodsOf = (reports) => reports.filter((report, index) =>
+  report && reports.findIndex(other => other?.fiscalDateEnding === report.fiscalDateEnding) === index);
+
+/**
+ * An accounting identity checked over every period that reports all of its terms
+ * @param {Array} reports - Canonical reports
+ * @param {string[]} fields - The identity's terms; periods missing any of them are skipped
+ * @param {Function} terms - (report) -> { actual, expected, scale }
+ * @param {object} tolerance - From TOLERANCES
+ * @returns {{status: string, detail: string}}
+ */
+const identityCheck = (reports, fields, terms, tolerance) => {
+  const gaps = reports.flatMap(report => {
+    if (!fields.every(field => Number.isFinite(report[field]))) return [];
+    const values = terms(report);
+    if (values.scale === 0) return [];
+    return [{ period: report.fiscalDateEnding, gap: Math.abs(values.actual - values.expected) / Math.abs(values.scale) }];
+  });
+  if (gaps.length === 0) return { status: 'n/a', detail: 'Not every term is reported' };
+
+  const worst = gaps.reduce((a, b) => (b.gap > a.gap ? b : a));
+  const status = statusFor(worst.gap, tolerance);
+  return {
+    status,
+    detail: status === 'pass'
+      ? `Holds within ${percent(tolerance.pass)} in ${gaps.length} period${gaps.length === 1 ? '' : 's'}`
+      : `Off by ${percent(worst.gap)} in ${worst.period}`
+  };
+};
+
+/**
+ * Score the data behind companyData
+ * @param {object} sources
+ * @param {object} sources.statements - From mergeStatements (lib/statements.js)
+ * @param {object} sources.dataQuality - From createDataQualityReport().report()
+ * @param {number} sources.targetYears - Years of history the analysis asks for
+ * @returns {object} { score, grade, checks }: score 0-100, grade from DATA_QUALITY_GRADES, and checks
+ *   as { id, label, category, weight, status: 'pass'|'warn'|'fail'|'n/a', detail }
+ */
+export const scoreDataQuality = ({ statements, dataQuality, targetYears }) => {
+  const latestPaths = Object.keys(dataQuality.fields).filter(path => !path.startsWith('historicalData.'));
+  const latestMissing = latestPaths.filter(path => dataQuality.fields[path].status === 'missing');
+  const coverage = latestPaths.length ? 1 - latestMissing.length / latestPaths.length : 0;
+
+  const isMissing = (path) => !dataQuality.fields[path] || dataQuality.fields[path].status === 'missing';
+  const missingInputs = KEY_INPUTS.filter(paths => paths.every(isMissing)).map(paths => describeField(paths[0]));
+
+  const { latest, history, gaps } = statements;
+  const years = history.filter(row => row.income && row.balance && row.cashFlow).length;
+  // The latest period's report of a statement, then its history years'
+  const reportsOf = (name) => periodsOf([latest[name], ...history.map(row => row[name])]);
+
+  const checks = [
+    {
+      id: 'coverage',
+      label: 'Field coverage',
+      category: 'coverage',
+      weight: 2,
+      status: statusFor(coverage, { pass: 0.9, warn: 0.7 }, true),
+      detail: `${percent(coverage)} of latest-period fields reported${latestMissing.length ? ` (missing: ${latestMissing.map(describeField).join(', ')})` : ''}`
+    },
+    {
+      id: 'keyInputs',
+      label: 'ROIC and WACC inputs',
+      category: 'coverage',
+      weight: 3,
+      status: missingInputs.length ? 'fail' : 'pass',
+      detail: missingInputs.length ? `Not reported: ${missingInputs.join(', ')}` : 'All reported'
+    },
+    {
+      id: 'history',
+      label: 'Years of history',
+      category: 'history',
+      weight: 2,
+      status: statusFor(years, { pass: targetYears, warn: 3 }, true),
+      detail: `${years} of ${targetYears} years in all three statements`
+    },
+    {
+      id: 'balanceSheet',
+      label: 'Assets = liabilities + equity',
+      category: 'consistency',
+      weight: 2,
+      ...identityCheck(
+        reportsOf('balance'),
+        ['totalAssets', 'totalLiabilities', 'totalEquity'],
+        report => ({
+          actual: report.totalAssets,
+          expected: report.totalLiabilities + report.totalEquity,
+          scale: report.totalAssets
+        }),
+        TOLERANCES.balanceSheet
+      )
+    },
+    {
+      id: 'grossProfit',
+      label: 'Gross profit = revenue - COGS',
+      category: 'consistency',
+      weight: 1,
+      ...identityCheck(
+        reportsOf('income'),
+        ['grossProfit', 'revenue', 'costOfRevenue'],
+        report => ({
+          actual: report.grossProfit,
+          expected: report.revenue - report.costOfRevenue,
+          scale: report.revenue
+        }),
+        TOLERANCES.grossProfit
+      )
+    },
+    {
+      id: 'freeCashFlow',
+      label: 'OCF - capex = FCF',
+      category: 'consistency',
+      weight: 1,
+      ...identityCheck(
+        reportsOf('cashFlow'),
+        ['freeCashFlow', 'operatingCashFlow', 'capitalExpenditures'],
+        report => ({
+          actual: report.freeCashFlow,
+          expected: report.operatingCashFlow - report.capitalExpenditures,
+          scale: report.operatingCashFlow
+        }),
+        TOLERANCES.freeCashFlow
+      )
+    },
+    {
+      id: 'alignment',
+      label: 'Fiscal years aligned across statements',
+      category: 'alignment',
+      weight: 3,
+      status: !latest.aligned ? 'fail' : gaps.length ? 'warn' : 'pass',
+      detail: gaps.length ? gaps.map(gap => gap.detail).join('; ') : `All statements end ${latest.fiscalDateEnding}`
+    }
+  ];
+
+  const scored = checks.filter(check => check.status !== 'n/a');
+  const weight = scored.reduce((sum, check) => sum + check.weight, 0);
+  const points = scored.reduce((sum, check) => sum + check.weight * CHECK_POINTS[check.status], 0);
+  const score = weight ? Math.round((points / weight) * 100) : 0;
+
+  return {
+    score,
+    grade: DATA_QUALITY_GRADES.find(({ minScore }) => score >= minScore).grade,
+    checks
+  };
+};
+
+/**
+ * @param {object} scorecard - From scoreDataQuality
+ * @returns {string} e.g. 'Medium confidence (72/100): Years of history - 3 of 5 years in all three statements'
+ */
+export const describeScorecard = ({ score, grade, checks }) => {
+  const failing = checks.filter(check => check.status === 'fail' || check.status === 'warn');
+  const findings = failing.length
+    ? failing.map(check => `${check.label} - ${check.detail}`).join('; ')
+    : 'all checks passed';
+  return `${grade[0].toUpperCase()}${grade.slice(1)} confidence (${score}/100): ${findings}`;
+};
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { createDataQualityReport, describeField, scoreDataQuality, describeScorecard } from './dataQuality.js';
+import { mergeStatements } from './statements.js';
+
+describe('createDataQualityReport', () => {
+  it('keeps reported zeros and records unreported amounts as missing', () => {
+    const quality = createDataQualityReport();
+
+    expect(quality.reported('balanceSheet.inventory', 0)).toBe(0);
+    expect(quality.reported('balanceSheet.goodwill', null)).toBe(null);
+    expect(quality.derived('cashFlow.freeCashFlow', 110, ['operatingCashFlow', 'capitalExpenditures'])).toBe(110);
+    expect(quality.derived('incomeStatement.grossProfit', NaN, ['revenue', 'costOfRevenue'])).toBe(null);
+    expect(quality.imputed('incomeStatement.taxRate', 0.21, 'Statutory rate')).toBe(0.21);
+
+    expect(quality.report()).toEqual({
+      fields: {
+        'balanceSheet.inventory': { status: 'reported' },
+        'balanceSheet.goodwill': { status: 'missing' },
+        'cashFlow.freeCashFlow': { status: 'derived', from: ['operatingCashFlow', 'capitalExpenditures'] },
+        'incomeStatement.grossProfit': { status: 'missing', from: ['revenue', 'costOfRevenue'] },
+        'incomeStatement.taxRate': { status: 'imputed', reason: 'Statutory rate' }
+      },
+      missing: ['balanceSheet.goodwill', 'incomeStatement.grossProfit'],
+      derived: ['cashFlow.freeCashFlow'],
+      imputed: ['incomeStatement.taxRate']
+    });
+  });
+});
+
+describe('describeField', () => {
+  it('names latest-period and history fields', () => {
+    expect(describeField('balanceSheet.ppe')).toBe('PP&E');
+    expect(describeField('historicalData.incomeStatements.2023-12-31.revenue')).toBe('Revenue (2023-12-31)');
+  });
+});
+
+describe('scoreDataQuality', () => {
+  const years = ['2024-12-31', '2023-12-31', '2022-12-31', '2021-12-31', '2020-12-31'];
+  const reports = (dates, values) => dates.map(fiscalDateEnding => ({ fiscalDateEnding, period: 'annual', ...values }));
+  const income = reports(years, { revenue: 1000, costOfRevenue: 600, grossProfit: 400 });
+  const balance = reports(years, { totalAssets: 2000, totalLiabilities: 800, totalEquity: 1200 });
+  const cashFlow = reports(years, { operatingCashFlow: 150, capitalExpenditures: 40, freeCashFlow: 110 });
+  const merge = (overrides = {}) => mergeStatements({ income, balance, cashFlow, ...overrides });
+
+  const quality = createDataQualityReport();
+  for (const path of [
+    'incomeStatement.revenue', 'incomeStatement.ebit', 'balanceSheet.currentAssets', 'balanceSheet.currentLiabilities',
+    'balanceSheet.ppe', 'balanceSheet.totalEquity', 'marketData.marketCap'
+  ]) {
+    quality.reported(path, 1);
+  }
+  const dataQuality = quality.report();
+  const statusOf = (scorecard) => Object.fromEntries(scorecard.checks.map(check => [check.id, check.status]));
+
+  it('scores complete, consistent and aligned statements high', () => {
+    const scorecard = scoreDataQuality({ statements: merge(), dataQuality, targetYears: 5 });
+
+    expect(scorecard).toMatchObject({ score: 100, grade: 'high' });
+    expect(new Set(scorecard.checks.map(check => check.status))).toEqual(new Set(['pass']));
+    expect(describeScorecard(scorecard)).toBe('High confidence (100/100): all checks passed');
+  });
+
+  it('flags broken identities, short history and gaps between statements', () => {
+    const scorecard = scoreDataQuality({
+      statements: merge({
+        balance: reports(years.slice(0, 3), { totalAssets: 2000, totalLiabilities: 600, totalEquity: 1200 }),
+        cashFlow: reports(years.slice(1), { operatingCashFlow: 150, capitalExpenditures: 40, freeCashFlow: null })
+      }),
+      dataQuality,
+      targetYears: 5
+    });
+
+    expect(statusOf(scorecard)).toMatchObject({
+      balanceSheet: 'fail',
+      grossProfit: 'pass',
+      freeCashFlow: 'n/a',
+      history: 'fail',
+      alignment: 'warn'
+    });
+    expect(scorecard.checks.find(check => check.id === 'balanceSheet').detail).toBe('Off by 10.0% in 2023-12-31');
+    expect(scorecard.checks.find(check => check.id === 'alignment').detail).toBe(
+      'No cash flow statement for 2024-12-31; No balance sheet for 2021-12-31; No balance sheet for 2020-12-31'
+    );
+    expect(scorecard.grade).toBe('low');
+    expect(describeScorecard(scorecard)).toMatch(/^Low confidence \(\d+\/100\): Years of history - 2 of 5 years/);
+  });
+
+  it('fails alignment when no period is in all three statements', () => {
+    const scorecard = scoreDataQuality({
+      statements: merge({ balance: reports(['2019-12-31'], { totalAssets: 2000, totalLiabilities: 800, totalEquity: 1200 }) }),
+      dataQuality,
+      targetYears: 5
+    });
+
+    expect(statusOf(scorecard).alignment).toBe('fail');
+  });
+
+  it('fails coverage when ROIC and WACC inputs are missing', () => {
+    const sparse = createDataQualityReport();
+    sparse.reported('incomeStatement.revenue', 1000);
+    sparse.reported('incomeStatement.ebit', null);
+    sparse.reported('incomeStatement.operatingIncome', 200);
+    sparse.reported('balanceSheet.ppe', null);
+
+    const scorecard = scoreDataQuality({ statements: merge(), dataQuality: sparse.report(), targetYears: 5 });
+    const keyInputs = scorecard.checks.find(check => check.id === 'keyInputs');
+
+    expect(statusOf(scorecard)).toMatchObject({ coverage: 'fail', keyInputs: 'fail' });
+    expect(keyInputs.detail).toBe('Not reported: Current Assets, Current Liabilities, PP&E, Total Equity, Market Cap');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Per-ticker JSON documents on disk
+ *
+ * Storage shared by the transcript and annual report stores: one JSON file per
+ * ticker and period key (a fiscal quarter, a fiscal year, ...):
+ *
+ *   <dir>/AAPL/<key>.json
+ *
+ * The stores add the parsing and summaries; this module only reads, lists,
+ * writes and deletes the files, and validates the keys of the routes serving them.
+ */
+
+import { mkdir, readFile, writeFile, readdir, unlink, rename } from 'fs/promises';
+import path from 'path';
+import { parseSymbol, symbolDir } from './symbols.js';
+
+/**
+ * Create a per-ticker document store
+ * @param {object} options
+ * @param {string} options.dir - Directory for the documents (created on first write)
+ * @param {Function} options.parseKey - (value) => normalized key or null; files whose name isn't
+ *   already a normalized key are ignored
+ * @param {string} options.label - Document kind for log messages, e.g. 'Transcript'
+ * @returns {object} { read, keysOf, write, remove }
+ */
+export const createDocumentStore = ({ dir, parseKey, label }) => {
+  // symbolDir rejects symbols like '..' that would leave dir
+  const fileFor = (symbol, key) => path.join(symbolDir(dir, symbol), `${key}.json`);
+
+  return {
+    /**
+     * @returns {Promise<object|null>} null when missing or unreadable
+     * @throws {ProviderError} 400 for an invalid symbol
+     */
+    async read(symbol, key) {
+      const file = fileFor(symbol, key);
+      try {
+        return JSON.parse(await readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`${label} ${symbol} ${key} unreadable:`, error.message);
+        return null;
+      }
+    },
+
+    /**
+     * @param {string} symbol
+     * @returns {Promise<string[]>} Stored keys, newest (highest) first
+     */
+    async keysOf(symbol) {
+      try {
+        return (await readdir(symbolDir(dir, symbol)))
+          .filter(name => name.endsWith('.json'))
+          .map(name => name.slice(0, -'.json'.length))
+          .filter(key => parseKey(key) === key)
+          .sort()
+          .reverse();
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    /**
+     * Store a document, replacing any under the same key
+     * @returns {Promise<void>}
+     */
+    async write(symbol, key, document) {
+      const file = fileFor(symbol, key);
+      await mkdir(path.dirname(file), { recursive: true });
+      // Write-then-rename so a crash never leaves half a file
+      await writeFile(`${file}.tmp`, JSON.stringify(document));
+      await rename(`${file}.tmp`, file);
+    },
+
+    /**
+     * @returns {Promise<boolean>} false if there was no such document
+     */
+    async remove(symbol, key) {
+      try {
+        await unlink(fileFor(symbol, key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+};
+
+/**
+ * Middleware validating the :symbol and optional period parameter of a document route
+ * into req.documentKey = { symbol, [param]? }
+ * @param {object} options
+ * @param {string} options.param - Route parameter holding the key, e.g. 'quarter'
+ * @param {Function} options.parseKey - As for createDocumentStore
+ * @param {string} options.invalidMessage - 400 error for a key parseKey rejects
+ * @returns {Function} (req, res, next) middleware
+ */
+export const createDocumentKeyMiddleware = ({ param, parseKey, invalidMessage }) => (req, res, next) => {
+  const symbol = parseSymbol(req.params.symbol);
+  if (!symbol) {
+    return res.status(400).json({ error: 'Invalid ticker symbol' });
+  }
+  if (req.params[param] === undefined) {
+    req.documentKey = { symbol };
+    return next();
+  }
+  const key = parseKey(req.params[param]);
+  if (!key) {
+    return res.status(400).json({ error: invalidMessage });
+  }
+  req.documentKey = { symbol, [param]: key };
+  next();
+};
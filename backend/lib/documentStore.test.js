@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile, readdir, mkdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createDocumentStore, createDocumentKeyMiddleware } from './documentStore.js';
+
+// Four-digit years, e.g. 2024
+const parseKey = (value) => (/^\d{4}$/.test(String(value).trim()) ? String(value).trim() : null);
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'documents-'));
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('createDocumentStore', () => {
+  it('writes, reads and removes a document under the upper-cased symbol', async () => {
+    const store = createDocumentStore({ dir, parseKey, label: 'Report' });
+
+    await store.write('aapl', '2024', { value: 1 });
+
+    expect(await readdir(path.join(dir, 'AAPL'))).toEqual(['2024.json']);
+    expect(await store.read('AAPL', '2024')).toEqual({ value: 1 });
+    expect(await store.remove('AAPL', '2024')).toBe(true);
+    expect(await store.remove('AAPL', '2024')).toBe(false);
+    expect(await store.read('AAPL', '2024')).toBe(null);
+  });
+
+  it('lists valid keys newest first and ignores other files', async () => {
+    const store = createDocumentStore({ dir, parseKey, label: 'Report' });
+    await store.write('AAPL', '2023', {});
+    await store.write('AAPL', '2024', {});
+    await writeFile(path.join(dir, 'AAPL', 'notes.json'), '{}');
+    await writeFile(path.join(dir, 'AAPL', '2022.json.tmp'), '{}');
+
+    expect(await store.keysOf('AAPL')).toEqual(['2024', '2023']);
+    expect(await store.keysOf('MSFT')).toEqual([]);
+  });
+
+  it('reports an unreadable document as missing', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const store = createDocumentStore({ dir, parseKey, label: 'Report' });
+    await mkdir(path.join(dir, 'AAPL'));
+    await writeFile(path.join(dir, 'AAPL', '2024.json'), '{not json');
+
+    expect(await store.read('AAPL', '2024')).toBe(null);
+    expect(error.mock.calls[0][0]).toBe('Report AAPL 2024 unreadable:');
+  });
+
+  it('rejects symbols that would leave the directory', async () => {
+    const store = createDocumentStore({ dir, parseKey, label: 'Report' });
+
+    await expect(store.read('..', '2024')).rejects.toMatchObject({ status: 400 });
+    await expect(store.write('..', '2024', {})).rejects.toMatchObject({ status: 400 });
+    await expect(store.keysOf('..')).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('createDocumentKeyMiddleware', () => {
+  const middleware = createDocumentKeyMiddleware({ param: 'fiscalYear', parseKey, invalidMessage: 'Invalid fiscal year' });
+
+  const run = (params) => {
+    const req = { params };
+    const res = { status: vi.fn(() => res), json: vi.fn(() => res) };
+    const next = vi.fn();
+    middleware(req, res, next);
+    return { req, res, next };
+  };
+
+  it('normalizes the symbol and key into req.documentKey', () => {
+    expect(run({ symbol: 'aapl', fiscalYear: ' 2024 ' }).req.documentKey).toEqual({ symbol: 'AAPL', fiscalYear: '2024' });
+    expect(run({ symbol: 'aapl' }).req.documentKey).toEqual({ symbol: 'AAPL' });
+  });
+
+  it('answers 400 for an invalid symbol or key', () => {
+    const badSymbol = run({ symbol: '..' });
+    const badKey = run({ symbol: 'AAPL', fiscalYear: 'FY24' });
+
+    expect(badSymbol.res.status).toHaveBeenCalledWith(400);
+    expect(badSymbol.res.json).toHaveBeenCalledWith({ error: 'Invalid ticker symbol' });
+    expect(badKey.res.json).toHaveBeenCalledWith({ error: 'Invalid fiscal year' });
+    expect(badKey.next).not.toHaveBeenCalled();
+  });
+});
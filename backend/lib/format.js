@@ -0,0 +1,70 @@
+/**
+ * Prompt formatting helpers
+ */
+
+// Symbols for common reporting currencies; any other ISO code is printed as "CHF 45.2B"
+export const CURRENCY_SYMBOLS = {
+  USD: '$',
+  EUR: '€',
+  GBP: '£',
+  JPY: '¥',
+  CNY: 'CN¥',
+  INR: '₹',
+  KRW: '₩',
+  CAD: 'C$',
+  AUD: 'A$',
+  HKD: 'HK$',
+  SGD: 'S$',
+  TWD: 'NT$',
+  BRL: 'R$'
+};
+
+/**
+ * @param {string} [currency] - ISO 4217 code; missing means USD
+ * @returns {string} What precedes an amount, e.g. '€' or 'CHF '
+ */
+export const currencySymbol = (currency) => {
+  const code = String(currency || 'USD').toUpperCase();
+  return CURRENCY_SYMBOLS[code] || `${code} `;
+};
+
+// 45.2B style, after the given prefix; N/A for amounts that weren't reported (null)
+const formatCompact = (value, decimals, symbol) => {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  if (value === 0) return `${symbol}0`;
+
+  const absValue = Math.abs(value);
+  const sign = value < 0 ? '-' : '';
+
+  if (absValue >= 1e12) {
+    return `${sign}${symbol}${(absValue / 1e12).toFixed(decimals)}T`;
+  } else if (absValue >= 1e9) {
+    return `${sign}${symbol}${(absValue / 1e9).toFixed(decimals)}B`;
+  } else if (absValue >= 1e6) {
+    return `${sign}${symbol}${(absValue / 1e6).toFixed(decimals)}M`;
+  } else if (absValue >= 1e3) {
+    return `${sign}${symbol}${(absValue / 1e3).toFixed(decimals)}K`;
+  }
+
+  return `${sign}${symbol}${absValue.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
+};
+
+// Currency formatting ($45.2B style, matching the format the prompt asks the model for)
+export const formatCurrency = (value, decimals = 1, currency = 'USD') => formatCompact(value, decimals, currencySymbol(currency));
+
+// Counts such as shares outstanding (15.2B style, no currency)
+export const formatCount = (value, decimals = 1) => formatCompact(value, decimals, '');
+
+// Percentage formatting for decimal ratios (0.229 -> "22.9%")
+export const formatPercent = (value, decimals = 1) => {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  return `${(value * 100).toFixed(decimals)}%`;
+};
+
+// Ordinal for percentile ranks (3 -> "3rd", 11 -> "11th", 42 -> "42nd")
+export const formatOrdinal = (value) => {
+  if (!Number.isFinite(value)) return 'N/A';
+  const n = Math.round(value);
+  const suffix = Math.floor(n / 10) % 10 === 1 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  return `${n}${suffix}`;
+};
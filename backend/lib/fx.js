@@ -0,0 +1,183 @@
+/**
+ * Currency conversion from a local FX rates table
+ *
+ * Foreign filers report in their own currency, so their figures aren't
+ * comparable with US peers until converted. Rates come from a local table
+ * (DEFAULT_FX_RATES, or the JSON file named by FX_RATES_FILE) in the form
+ *
+ *   { "base": "USD", "asOf": "2025-01-31", "rates": { "EUR": 0.9642, ... } }
+ *
+ * where each rate is units of that currency per one unit of base. Every
+ * period is converted at the same rate, so trends show the business rather
+ * than currency moves; ratios (margins, ROIC, multiples) are unaffected.
+ */
+
+import { readFile } from 'fs/promises';
+
+// Reference rates (units per USD) at the asOf date; point FX_RATES_FILE at a
+// fresher table for production use
+export const DEFAULT_FX_RATES = {
+  base: 'USD',
+  asOf: '2025-01-31',
+  rates: {
+    EUR: 0.9642,
+    GBP: 0.8064,
+    JPY: 154.94,
+    CNY: 7.2468,
+    INR: 86.62,
+    KRW: 1452.1,
+    CAD: 1.4532,
+    AUD: 1.6068,
+    HKD: 7.7905,
+    SGD: 1.3568,
+    TWD: 32.81,
+    CHF: 0.9108,
+    SEK: 11.052,
+    NOK: 11.318,
+    DKK: 7.1930,
+    BRL: 5.8372,
+    MXN: 20.685,
+    ZAR: 18.668
+  }
+};
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * @param {*} value
+ * @returns {string|null} The ISO 4217 code upper-cased, or null if it isn't one
+ */
+export const parseCurrency = (value) => {
+  const code = String(value ?? '').trim().toUpperCase();
+  return CURRENCY_CODE.test(code) ? code : null;
+};
+
+/**
+ * Create a rates table
+ * @param {object} table - { base, asOf, rates }, see the module comment
+ * @returns {object} { base, asOf, currencies, rate(from, to), convert(value, from, to) }
+ * @throws {TypeError} When the table is malformed
+ */
+export const createFxTable = ({ base, asOf, rates }) => {
+  if (!parseCurrency(base) || !rates || typeof rates !== 'object') {
+    throw new TypeError('FX rates table needs a base currency and a rates object');
+  }
+  const perBase = { [base]: 1 };
+  for (const [code, rate] of Object.entries(rates)) {
+    if (!parseCurrency(code) || !Number.isFinite(rate) || rate <= 0) {
+      throw new TypeError(`Invalid FX rate for ${code}: ${rate}`);
+    }
+    perBase[code] = rate;
+  }
+
+  /**
+   * @returns {number|null} Units of `to` per unit of `from`, or null when either is not in the table
+   */
+  const rate = (from, to) => {
+    if (from === to) return 1;
+    if (!perBase[from] || !perBase[to]) return null;
+    return perBase[to] / perBase[from];
+  };
+
+  return {
+    base,
+    asOf: asOf || null,
+    currencies: Object.keys(perBase).sort(),
+    rate,
+    convert: (value, from, to) => {
+      const factor = rate(from, to);
+      return Number.isFinite(value) && factor !== null ? value * factor : null;
+    }
+  };
+};
+
+/**
+ * Read a rates table from a JSON file
+ * @param {string} file
+ * @returns {Promise<object>} As createFxTable
+ */
+export const loadFxTable = async (file) => createFxTable(JSON.parse(await readFile(file, 'utf8')));
+
+// Amounts in companyData, by group; everything else (ratios, counts, dates) is left alone
+const STATEMENT_MONEY_FIELDS = {
+  incomeStatement: [
+    'revenue', 'costOfRevenue', 'grossProfit', 'operatingExpenses', 'operatingIncome', 'ebitda', 'ebit',
+    'interestExpense', 'taxExpense', 'netIncome'
+  ],
+  balanceSheet: [
+    'totalAssets', 'currentAssets', 'cash', 'accountsReceivable', 'inventory', 'ppe', 'goodwill', 'intangibleAssets',
+    'totalLiabilities', 'currentLiabilities', 'accountsPayable', 'shortTermDebt', 'longTermDebt', 'totalEquity'
+  ],
+  cashFlow: ['operatingCashFlow', 'capitalExpenditures', 'freeCashFlow'],
+  capitalAllocationData: ['operatingCashFlow', 'capitalExpenditures', 'dividends', 'repurchases', 'acquisitions', 'debtRepayment']
+};
+const HISTORY_MONEY_FIELDS = {
+  incomeStatements: ['revenue', 'operatingIncome', 'ebit', 'netIncome'],
+  balanceSheets: [
+    'totalAssets', 'totalEquity', 'totalDebt', 'ppe', 'currentAssets', 'currentLiabilities', 'cash', 'shortTermDebt',
+    'goodwill', 'intangibleAssets'
+  ],
+  cashFlows: ['operatingCashFlow', 'capex', 'freeCashFlow']
+};
+const MARKET_MONEY_FIELDS = ['marketCap', 'enterpriseValue', 'currentPrice', 'fiftyTwoWeekHigh', 'fiftyTwoWeekLow'];
+const EARNINGS_MONEY_FIELDS = ['reportedEPS', 'estimatedEPS', 'surprise'];
+
+const scaleFields = (object, fields, factor) => (object ? {
+  ...object,
+  ...Object.fromEntries(fields
+    .filter(field => Number.isFinite(object[field]))
+    .map(field => [field, object[field] * factor]))
+} : object);
+
+/**
+ * Convert companyData's amounts into another currency
+ * @param {object} companyData - From buildCompanyData; statements are in companyData.currency and
+ *   market data in marketData.currency (the listing's currency, which can differ for foreign listings)
+ * @param {string} to - ISO 4217 code
+ * @param {object} fx - From createFxTable
+ * @returns {object} companyData in `to`, with fx: { from, to, rate, asOf, market? } where market is
+ *   { from, rate } when market data was converted from a different currency; unchanged when
+ *   everything already is in `to`
+ * @throws {RangeError} When the table has no rate for a currency involved
+ */
+export const convertCompanyData = (companyData, to, fx) => {
+  const from = companyData.currency;
+  const marketFrom = companyData.marketData?.currency || from;
+  if (from === to && marketFrom === to) return companyData;
+
+  const rate = fx.rate(from, to);
+  const marketRate = fx.rate(marketFrom, to);
+  const missing = [rate === null && from, marketRate === null && marketFrom].filter(Boolean);
+  if (missing.length) {
+    throw new RangeError(`No exchange rate from ${[...new Set(missing)].join(' or ')} to ${to} in the FX rates table`);
+  }
+
+  const { historicalData, earningsData } = companyData;
+  return {
+    ...companyData,
+    ...Object.fromEntries(Object.entries(STATEMENT_MONEY_FIELDS)
+      .map(([group, fields]) => [group, scaleFields(companyData[group], fields, rate)])),
+    currency: to,
+    marketData: companyData.marketData && {
+      ...scaleFields(companyData.marketData, MARKET_MONEY_FIELDS, marketRate),
+      currency: to
+    },
+    earningsData: earningsData && {
+      ...earningsData,
+      quarterlyEarnings: earningsData.quarterlyEarnings?.map(quarter => scaleFields(quarter, EARNINGS_MONEY_FIELDS, rate)),
+      annualEarnings: earningsData.annualEarnings?.map(year => scaleFields(year, EARNINGS_MONEY_FIELDS, rate))
+    },
+    historicalData: historicalData && {
+      ...historicalData,
+      ...Object.fromEntries(Object.entries(HISTORY_MONEY_FIELDS)
+        .map(([group, fields]) => [group, historicalData[group]?.map(year => scaleFields(year, fields, rate))]))
+    },
+    fx: {
+      from,
+      to,
+      rate,
+      asOf: fx.asOf,
+      ...(marketFrom !== from ? { market: { from: marketFrom, rate: marketRate } } : {})
+    }
+  };
+};
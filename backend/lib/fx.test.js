@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { createFxTable, parseCurrency, convertCompanyData } from './fx.js';
+
+const fx = createFxTable({ base: 'USD', asOf: '2025-01-31', rates: { EUR: 0.8, GBP: 0.5 } });
+
+describe('createFxTable', () => {
+  it('quotes direct, inverse and cross rates', () => {
+    expect(fx.rate('USD', 'EUR')).toBe(0.8);
+    expect(fx.rate('EUR', 'USD')).toBe(1.25);
+    expect(fx.rate('EUR', 'GBP')).toBeCloseTo(0.625);
+    expect(fx.rate('JPY', 'USD')).toBe(null);
+    expect(fx.convert(100, 'GBP', 'USD')).toBe(200);
+    expect(fx.currencies).toEqual(['EUR', 'GBP', 'USD']);
+  });
+
+  it('rejects malformed tables', () => {
+    expect(() => createFxTable({ base: 'US', rates: {} })).toThrow(TypeError);
+    expect(() => createFxTable({ base: 'USD', rates: { EUR: -1 } })).toThrow(TypeError);
+  });
+});
+
+describe('parseCurrency', () => {
+  it('accepts ISO codes in any case', () => {
+    expect(parseCurrency(' eur ')).toBe('EUR');
+    expect(parseCurrency('euro')).toBe(null);
+    expect(parseCurrency(undefined)).toBe(null);
+  });
+});
+
+describe('convertCompanyData', () => {
+  const companyData = {
+    ticker: 'ACME',
+    currency: 'EUR',
+    marketData: { currency: 'USD', marketCap: 5000, currentPrice: 50, beta: 1.1, sharesOutstanding: 100 },
+    incomeStatement: { revenue: 1000, taxRate: 0.25 },
+    balanceSheet: { cash: 100 },
+    cashFlow: { freeCashFlow: 80 },
+    capitalAllocationData: null,
+    earningsData: { quarterlyEarnings: [{ fiscalDateEnding: '2024-12-31', reportedEPS: 2 }], annualEarnings: [] },
+    historicalData: { incomeStatements: [{ fiscalYear: '2023-12-31', revenue: 900 }], balanceSheets: [], cashFlows: [] }
+  };
+
+  it('converts statements and market data from their own currencies', () => {
+    const converted = convertCompanyData(companyData, 'GBP', fx);
+
+    expect(converted.currency).toBe('GBP');
+    expect(converted.incomeStatement).toEqual({ revenue: 625, taxRate: 0.25 });
+    expect(converted.historicalData.incomeStatements[0].revenue).toBeCloseTo(562.5);
+    expect(converted.earningsData.quarterlyEarnings[0].reportedEPS).toBeCloseTo(1.25);
+    expect(converted.marketData).toMatchObject({ currency: 'GBP', marketCap: 2500, currentPrice: 25, beta: 1.1, sharesOutstanding: 100 });
+    expect(converted.fx).toEqual({ from: 'EUR', to: 'GBP', rate: 0.625, asOf: '2025-01-31', market: { from: 'USD', rate: 0.5 } });
+  });
+
+  it('leaves data already in the target currency alone', () => {
+    const inEuros = { ...companyData, marketData: { ...companyData.marketData, currency: 'EUR' } };
+    expect(convertCompanyData(inEuros, 'EUR', fx)).toBe(inEuros);
+  });
+
+  it('throws a RangeError when a rate is missing', () => {
+    expect(() => convertCompanyData(companyData, 'JPY', fx)).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Growth analytics
+ *
+ * Year-over-year growth and 3/5-year CAGRs for revenue, operating income,
+ * free cash flow and EPS from the annual history, and where the company's
+ * sales growth and the reverse DCF's implied growth fall in the sales-growth
+ * base rates (lib/baseRates.js).
+ *
+ * Growth is only meaningful from a positive base: YoY against a zero or
+ * negative prior year, and a CAGR with a non-positive endpoint, are null.
+ * Spans are measured between fiscal dates, so a missing year or a moved year
+ * end (see lib/statements.js) lengthens the period rather than counting as
+ * one year.
+ */
+
+import {
+  SALES_GROWTH_BASE_RATES,
+  PERCENTILES,
+  matchSector,
+  nearestHorizon,
+  sizeBucketFor,
+  percentileOf
+} from './baseRates.js';
+import { createFxTable, DEFAULT_FX_RATES } from './fx.js';
+
+export const CAGR_YEARS = [3, 5];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+// Consecutive fiscal years, including 52/53-week and leap years
+const YOY_DAYS = { min: 357, max: 378 };
+// How far the start of an N-year CAGR may be from exactly N years before the latest year
+const CAGR_WINDOW_DAYS = 45;
+
+const daysBetween = (later, earlier) => (new Date(later) - new Date(earlier)) / DAY_MS;
+
+// Annual values of each measure, by where companyData keeps them
+const MEASURES = {
+  revenue: {
+    label: 'Revenue',
+    points: (companyData) => (companyData.historicalData?.incomeStatements || [])
+      .map(yr => ({ fiscalYear: yr.fiscalYear, value: yr.revenue }))
+  },
+  operatingIncome: {
+    label: 'Operating Income',
+    points: (companyData) => (companyData.historicalData?.incomeStatements || [])
+      .map(yr => ({ fiscalYear: yr.fiscalYear, value: yr.operatingIncome }))
+  },
+  freeCashFlow: {
+    label: 'Free Cash Flow',
+    points: (companyData) => (companyData.historicalData?.cashFlows || [])
+      .map(yr => ({ fiscalYear: yr.fiscalYear, value: yr.freeCashFlow }))
+  },
+  eps: {
+    label: 'EPS',
+    points: (companyData) => (companyData.earningsData?.annualEarnings || [])
+      .map(year => ({ fiscalYear: year.fiscalDateEnding, value: year.reportedEPS }))
+  }
+};
+
+/**
+ * @param {number|null} current
+ * @param {number|null} prior
+ * @returns {number|null} Growth as a decimal, or null without a positive prior value
+ */
+export const growthRate = (current, prior) => (Number.isFinite(current) && prior > 0 ? current / prior - 1 : null);
+
+/**
+ * Compound annual growth rate
+ * @param {number|null} end
+ * @param {number|null} start
+ * @param {number} years
+ * @returns {number|null} null unless both values are positive
+ */
+export const cagr = (end, start, years) => (end > 0 && start > 0 && years > 0 ? Math.pow(end / start, 1 / years) - 1 : null);
+
+/**
+ * YoY growth and CAGRs of one measure
+ * @param {Array} points - { fiscalYear, value } in any order
+ * @returns {object} { series, cagr }: series is { fiscalYear, value, yoy } oldest first, yoy null
+ *   when the prior year is missing or isn't a positive value; cagr maps each of CAGR_YEARS to
+ *   { value, from, startValue, years } (years being the actual span) or null when the history
+ *   doesn't reach that far
+ */
+export const analyzeSeries = (points) => {
+  const known = points
+    .filter(point => point.fiscalYear && Number.isFinite(point.value))
+    .sort((a, b) => String(a.fiscalYear).localeCompare(String(b.fiscalYear)));
+
+  const series = known.map((point, index) => {
+    const prior = known[index - 1];
+    const span = prior ? daysBetween(point.fiscalYear, prior.fiscalYear) : null;
+    return {
+      fiscalYear: point.fiscalYear,
+      value: point.value,
+      yoy: span >= YOY_DAYS.min && span <= YOY_DAYS.max ? growthRate(point.value, prior.value) : null
+    };
+  });
+
+  const latest = known[known.length - 1];
+  const cagrs = Object.fromEntries(CAGR_YEARS.map(years => {
+    const start = latest && known.find(point =>
+      Math.abs(daysBetween(latest.fiscalYear, point.fiscalYear) - years * YEAR_DAYS) <= CAGR_WINDOW_DAYS);
+    if (!start) return [years, null];
+    const span = daysBetween(latest.fiscalYear, start.fiscalYear) / YEAR_DAYS;
+    const value = cagr(latest.value, start.value, span);
+    return [years, value === null ? null : { value, from: start.fiscalYear, startValue: start.value, years: span }];
+  }));
+
+  return { series, cagr: cagrs };
+};
+
+/**
+ * Place growth rates in the sales-growth base rates
+ * @param {object} options
+ * @param {Array} options.rates - { measure: 'historical'|'implied', label, growth, horizon, startingSales }
+ * @param {string|null} options.sector - Key of SALES_GROWTH_BASE_RATES.bySector
+ * @param {Function} options.toUSD - (amount) -> USD amount or null
+ * @returns {Array} { measure, label, growth, horizon, cohort: { type: 'size'|'sector', label },
+ *   distribution, percentile }, a size and a sector placement per rate where they apply
+ */
+const placeInBaseRates = ({ rates, sector, toUSD }) => rates.flatMap(rate => {
+  const horizon = nearestHorizon(rate.horizon);
+  const salesUSD = toUSD(rate.startingSales);
+  const cohorts = [
+    Number.isFinite(salesUSD) && salesUSD > 0 && { type: 'size', ...sizeBucketFor(salesUSD) },
+    sector && { type: 'sector', ...SALES_GROWTH_BASE_RATES.bySector[sector] }
+  ].filter(Boolean);
+
+  return cohorts.map(cohort => ({
+    measure: rate.measure,
+    label: rate.label,
+    growth: rate.growth,
+    horizon,
+    cohort: { type: cohort.type, label: cohort.label },
+    distribution: cohort.growth[horizon],
+    percentile: percentileOf(rate.growth, cohort.growth[horizon])
+  }));
+});
+
+/**
+ * Growth of the company's key measures and its sales growth against the base rates
+ * @param {object} companyData - From buildCompanyData
+ * @param {object} [options]
+ * @param {number|null} [options.impliedGrowth] - Reverse DCF implied sales growth
+ * @param {number} [options.forecastYears] - Its horizon
+ * @param {object} [options.fx] - Rates table (see lib/fx.js) for sizing the company in USD; the
+ *   bundled reference rates by default
+ * @returns {object} { measures, baseRates }: measures maps revenue, operatingIncome, freeCashFlow and
+ *   eps to { label, series, cagr } (see analyzeSeries); baseRates is { source, percentiles, sector,
+ *   comparisons } with comparisons as placeInBaseRates returns them
+ */
+export const calculateGrowth = (companyData, { impliedGrowth = null, forecastYears, fx } = {}) => {
+  const measures = Object.fromEntries(Object.entries(MEASURES).map(([id, measure]) => [
+    id,
+    { label: measure.label, ...analyzeSeries(measure.points(companyData)) }
+  ]));
+
+  const rates = CAGR_YEARS
+    .filter(years => measures.revenue.cagr[years])
+    .map(years => ({
+      measure: 'historical',
+      label: `${years}-year sales CAGR`,
+      growth: measures.revenue.cagr[years].value,
+      horizon: years,
+      startingSales: measures.revenue.cagr[years].startValue
+    }));
+  if (Number.isFinite(impliedGrowth) && Number.isFinite(forecastYears)) {
+    rates.push({
+      measure: 'implied',
+      label: `Market-implied sales growth (${forecastYears} years)`,
+      growth: impliedGrowth,
+      horizon: forecastYears,
+      startingSales: companyData.incomeStatement?.revenue
+    });
+  }
+
+  const table = fx || createFxTable(DEFAULT_FX_RATES);
+  const sector = matchSector(companyData.sector, companyData.industry);
+  return {
+    measures,
+    baseRates: {
+      source: SALES_GROWTH_BASE_RATES.source,
+      percentiles: PERCENTILES,
+      sector: sector ? SALES_GROWTH_BASE_RATES.bySector[sector].label : null,
+      comparisons: placeInBaseRates({
+        rates,
+        sector,
+        toUSD: (amount) => table.convert(amount, companyData.currency || 'USD', 'USD')
+      })
+    }
+  };
+};
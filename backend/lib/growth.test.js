@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { growthRate, cagr, analyzeSeries, calculateGrowth } from './growth.js';
+import { createFxTable } from './fx.js';
+
+const years = (values, lastYear = 2024) => values.map((value, index) => ({
+  fiscalYear: `${lastYear - index}-12-31`,
+  value
+}));
+
+const companyData = (revenues, extra = {}) => ({
+  currency: 'USD',
+  sector: 'Technology',
+  industry: 'Software - Application',
+  incomeStatement: { revenue: revenues[0] },
+  historicalData: {
+    incomeStatements: years(revenues).map(({ fiscalYear, value }) => ({ fiscalYear, revenue: value, operatingIncome: value / 5 })),
+    cashFlows: years(revenues).map(({ fiscalYear, value }) => ({ fiscalYear, freeCashFlow: value / 10 }))
+  },
+  earningsData: null,
+  ...extra
+});
+
+describe('growthRate and cagr', () => {
+  it('needs a positive base', () => {
+    expect(growthRate(110, 100)).toBeCloseTo(0.1);
+    expect(growthRate(110, 0)).toBe(null);
+    expect(growthRate(110, -50)).toBe(null);
+    expect(cagr(133.1, 100, 3)).toBeCloseTo(0.1);
+    expect(cagr(-10, 100, 3)).toBe(null);
+  });
+});
+
+describe('analyzeSeries', () => {
+  it('computes YoY oldest first and 3/5-year CAGRs', () => {
+    const { series, cagr: rates } = analyzeSeries(years([161.051, 146.41, 133.1, 121, 110, 100]));
+
+    expect(series.map(entry => entry.fiscalYear)).toEqual(['2019-12-31', '2020-12-31', '2021-12-31', '2022-12-31', '2023-12-31', '2024-12-31']);
+    expect(series[0].yoy).toBe(null);
+    expect(series[5].yoy).toBeCloseTo(0.1);
+    expect(rates[3]).toMatchObject({ from: '2021-12-31', startValue: 121 });
+    expect(rates[3].value).toBeCloseTo(0.1, 3);
+    expect(rates[5].value).toBeCloseTo(0.1, 3);
+  });
+
+  it('leaves growth across a missing year or from a loss out', () => {
+    const { series, cagr: rates } = analyzeSeries([
+      { fiscalYear: '2024-12-31', value: 120 },
+      { fiscalYear: '2023-12-31', value: -20 },
+      { fiscalYear: '2021-12-31', value: 100 },
+      { fiscalYear: '2020-12-31', value: null }
+    ]);
+
+    expect(series.map(entry => entry.yoy)).toEqual([null, null, null]);
+    expect(rates[3]).toMatchObject({ from: '2021-12-31' });
+    expect(rates[5]).toBe(null);
+  });
+});
+
+describe('calculateGrowth', () => {
+  it('measures each series and places sales growth in the base rates', () => {
+    const growth = calculateGrowth(companyData([2e9, 1.8e9, 1.6e9, 1.4e9]), { impliedGrowth: 0.12, forecastYears: 10 });
+
+    expect(growth.measures.operatingIncome.cagr[3].value).toBeCloseTo(growth.measures.revenue.cagr[3].value);
+    expect(growth.measures.eps.series).toEqual([]);
+    expect(growth.baseRates.sector).toBe('Information Technology');
+    expect(growth.baseRates.comparisons.map(comparison => [comparison.measure, comparison.horizon, comparison.cohort.label])).toEqual([
+      ['historical', 3, '$700M-1.5B'],
+      ['historical', 3, 'Information Technology'],
+      ['implied', 10, '$1.5-3B'],
+      ['implied', 10, 'Information Technology']
+    ]);
+    expect(growth.baseRates.comparisons[2].percentile).toBeGreaterThan(75);
+  });
+
+  it('sizes the company in USD', () => {
+    const inYen = companyData([300e9, 280e9, 260e9, 250e9], { currency: 'JPY', sector: null, industry: null });
+    const fx = createFxTable({ base: 'USD', rates: { JPY: 150 } });
+    const growth = calculateGrowth(inYen, { fx });
+
+    expect(growth.baseRates.sector).toBe(null);
+    expect(growth.baseRates.comparisons).toHaveLength(1);
+    expect(growth.baseRates.comparisons[0].cohort).toEqual({ type: 'size', label: '$1.5-3B' });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Incremental section extraction from a streamed JSON object
+ *
+ * The analysis arrives token by token as one large JSON object. This scanner
+ * follows string and nesting state as text is pushed and hands back each
+ * top-level member ("roicAnalysis": {...}) as soon as it closes, so clients
+ * can render sections before the whole response is done. Text before the
+ * opening brace (e.g. a ```json fence) is ignored.
+ */
+
+/**
+ * @param {Function} onSection - Called with (key, value) for each completed top-level member
+ * @returns {{push: Function}} push(text) feeds the next chunk
+ */
+export const createSectionParser = (onSection) => {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let done = false;
+  let member = null;
+
+  const emit = () => {
+    const text = member.trim();
+    member = '';
+    if (!text) return;
+    try {
+      const [[key, value]] = Object.entries(JSON.parse(`{${text}}`));
+      onSection(key, value);
+    } catch {
+      // A malformed member is left for the final parse to report
+    }
+  };
+
+  return {
+    push(text) {
+      for (const char of text) {
+        if (done) return;
+
+        if (depth === 0) {
+          if (char === '{') {
+            depth = 1;
+            member = '';
+          }
+          continue;
+        }
+
+        if (inString) {
+          member += char;
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') inString = false;
+          continue;
+        }
+
+        if (char === '"') inString = true;
+        else if (char === '{' || char === '[') depth++;
+        else if (char === '}' || char === ']') depth--;
+
+        if (depth === 0) {
+          emit();
+          done = true;
+        } else if (depth === 1 && char === ',') {
+          emit();
+        } else {
+          member += char;
+        }
+      }
+    }
+  };
+};
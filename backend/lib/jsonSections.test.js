@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { createSectionParser } from './jsonSections.js';
+
+const collect = (chunks) => {
+  const sections = [];
+  const parser = createSectionParser((key, value) => sections.push([key, value]));
+  chunks.forEach(chunk => parser.push(chunk));
+  return sections;
+};
+
+describe('createSectionParser', () => {
+  it('emits each top-level member as soon as it closes', () => {
+    const sections = [];
+    const parser = createSectionParser((key, value) => sections.push(key));
+
+    parser.push('```json\n{"ticker": "ACME", "roicAnalysis": {"nopat": {"ebit": "$1');
+    expect(sections).toEqual(['ticker']);
+
+    parser.push('.0B"}, "trend": [1, 2]}, "conclusion": {"recommendation": "Hold"}}\n```');
+    expect(sections).toEqual(['ticker', 'roicAnalysis', 'conclusion']);
+  });
+
+  it('ignores structural characters inside strings, split across chunks', () => {
+    const text = '{"moatAnalysis": {"summary": "Brand {wide}, \\"sticky\\", [scale]"}, "x": 1}';
+    const chunks = text.match(/.{1,3}/g);
+
+    expect(collect(chunks)).toEqual([
+      ['moatAnalysis', { summary: 'Brand {wide}, "sticky", [scale]' }],
+      ['x', 1]
+    ]);
+  });
+
+  it('skips members that are not valid JSON', () => {
+    expect(collect(['{"a": oops, "b": true}'])).toEqual([['b', true]]);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Anthropic Messages API adapter
+ *
+ * complete returns the whole completion; stream reports text deltas as they
+ * arrive and resolves with the full text. Both report the tokens the request
+ * used through onUsage.
+ */
+
+import { parseEventStream } from '../sse.js';
+import { LLMError } from './errors.js';
+import { estimateUsage } from './tokens.js';
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+export const ANTHROPIC_MODEL = 'claude-sonnet-4-20250514';
+
+const failed = async (response) => {
+  const details = await response.json().catch(() => null);
+  console.error('Anthropic API error:', details);
+  return new LLMError('Failed to analyze company', response.status, details);
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {Function} options.fetch
+ * @param {string} options.model
+ * @param {number} options.maxTokens
+ * @param {number} [options.temperature] - Provider default when omitted
+ * @returns {{complete: Function, stream: Function}}
+ * @throws {LLMError} When no API key is configured
+ */
+export const createAnthropicLLM = ({ apiKey, fetch, model, maxTokens, temperature }) => {
+  if (!apiKey) {
+    throw new LLMError('Anthropic API key not configured', 500);
+  }
+
+  const request = ({ messages, stream, signal }) =>
+    fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        ...(temperature !== undefined ? { temperature } : {}),
+        stream,
+        messages
+      }),
+      signal
+    });
+
+  return {
+    /**
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @param {Function} [options.onUsage] - Called with { inputTokens, outputTokens }
+     * @returns {Promise<string>} Completion text
+     * @throws {LLMError}
+     */
+    async complete(messages, { signal, onUsage = () => {} } = {}) {
+      const response = await request({ messages, stream: false, signal });
+      if (!response.ok) {
+        throw await failed(response);
+      }
+      const data = await response.json();
+      onUsage({ inputTokens: data.usage?.input_tokens ?? 0, outputTokens: data.usage?.output_tokens ?? 0 });
+      return data.content[0].text;
+    },
+
+    /**
+     * @param {object} options
+     * @param {string} options.prompt - Single user message
+     * @param {Function} options.onText - Called with each text delta
+     * @param {AbortSignal} [options.signal] - Aborts the upstream request
+     * @param {Function} [options.onUsage] - Called with { inputTokens, outputTokens } once the stream ends,
+     *   estimated (with estimated: true) when it's aborted or fails partway
+     * @returns {Promise<string>} Full completion text
+     * @throws {LLMError}
+     */
+    async stream({ prompt, onText, signal, onUsage = () => {} }) {
+      const response = await request({ messages: [{ role: 'user', content: prompt }], stream: true, signal });
+      if (!response.ok) {
+        throw await failed(response);
+      }
+
+      // Input tokens arrive with message_start, the running output count with each message_delta
+      let text = '';
+      let finished = false;
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      try {
+        for await (const { event, data } of parseEventStream(response.body)) {
+          if (event === 'message_start') {
+            const { message } = JSON.parse(data);
+            usage.inputTokens = message?.usage?.input_tokens ?? 0;
+            usage.outputTokens = message?.usage?.output_tokens ?? 0;
+          } else if (event === 'message_delta') {
+            const { usage: delta } = JSON.parse(data);
+            usage.outputTokens = delta?.output_tokens ?? usage.outputTokens;
+          } else if (event === 'content_block_delta') {
+            const { delta } = JSON.parse(data);
+            if (delta?.type === 'text_delta') {
+              text += delta.text;
+              onText(delta.text);
+            }
+          } else if (event === 'error') {
+            const { error } = JSON.parse(data);
+            throw new LLMError(error?.message || 'Analysis stream failed', 502, error);
+          } else if (event === 'message_stop') {
+            break;
+          }
+        }
+        finished = true;
+      } finally {
+        // Tokens streamed before an abort or error are billed too; the final count never arrived,
+        // so estimate whatever the stream hadn't reported yet
+        if (finished) {
+          onUsage(usage);
+        } else {
+          const estimate = estimateUsage([{ content: prompt }], text);
+          onUsage({
+            inputTokens: usage.inputTokens || estimate.inputTokens,
+            outputTokens: Math.max(usage.outputTokens, estimate.outputTokens),
+            estimated: true
+          });
+        }
+      }
+      return text;
+    }
+  };
+};
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createAnthropicLLM } from './anthropic.js';
+import { LLMError } from './errors.js';
+
+const encoder = new TextEncoder();
+
+const sse = (events) => ({
+  ok: true,
+  status: 200,
+  body: (async function* () {
+    for (const [event, data] of events) {
+      yield encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  })()
+});
+
+const delta = (text) => ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } }];
+
+const settings = { model: 'claude-test', maxTokens: 1000 };
+
+describe('stream', () => {
+  it('reports text deltas and resolves with the full text', async () => {
+    const fetch = vi.fn(async () => sse([
+      ['message_start', { type: 'message_start', message: { usage: { input_tokens: 12, output_tokens: 1 } } }],
+      delta('{"a":'),
+      delta(' 1}'),
+      ['message_delta', { type: 'message_delta', usage: { output_tokens: 5 } }],
+      ['message_stop', { type: 'message_stop' }]
+    ]));
+    const onText = vi.fn();
+    const onUsage = vi.fn();
+
+    const text = await createAnthropicLLM({ apiKey: 'key', fetch, ...settings }).stream({ prompt: 'Hi', onText, onUsage });
+
+    expect(text).toBe('{"a": 1}');
+    expect(onText.mock.calls).toEqual([['{"a":'], [' 1}']]);
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 12, outputTokens: 5 });
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      model: 'claude-test',
+      max_tokens: 1000,
+      stream: true,
+      messages: [{ role: 'user', content: 'Hi' }]
+    });
+  });
+
+  it('raises stream errors', async () => {
+    const fetch = async () => sse([['error', { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }]]);
+
+    await expect(createAnthropicLLM({ apiKey: 'key', fetch, ...settings }).stream({ prompt: 'Hi', onText: () => {} }))
+      .rejects.toMatchObject({ message: 'Overloaded', status: 502 });
+  });
+
+  it('reports the tokens streamed before an abort', async () => {
+    const abort = new AbortController();
+    const fetch = async () => ({
+      ok: true,
+      status: 200,
+      body: (async function* () {
+        yield encoder.encode(`event: message_start\ndata: ${JSON.stringify({ message: { usage: { input_tokens: 12, output_tokens: 1 } } })}\n\n`);
+        yield encoder.encode(`event: content_block_delta\ndata: ${JSON.stringify(delta('x'.repeat(40))[1])}\n\n`);
+        abort.abort();
+        throw new DOMException('This operation was aborted', 'AbortError');
+      })()
+    });
+    const onUsage = vi.fn();
+
+    await expect(createAnthropicLLM({ apiKey: 'key', fetch, ...settings })
+      .stream({ prompt: 'Hi', onText: () => {}, signal: abort.signal, onUsage }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+
+    // The final message_delta never came, so the output is estimated from the text
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 12, outputTokens: 10, estimated: true });
+  });
+});
+
+describe('complete', () => {
+  it('sends the temperature when set', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, json: async () => ({ content: [{ type: 'text', text: 'Done' }] }) }));
+
+    const text = await createAnthropicLLM({ apiKey: 'key', fetch, ...settings, temperature: 0.2 })
+      .complete([{ role: 'user', content: 'Hi' }]);
+
+    expect(text).toBe('Done');
+    expect(JSON.parse(fetch.mock.calls[0][1].body).temperature).toBe(0.2);
+  });
+
+  it('passes the API status through as an LLMError', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const fetch = async () => ({ ok: false, status: 401, json: async () => ({ error: { message: 'invalid x-api-key' } }) });
+
+    const error = await createAnthropicLLM({ apiKey: 'bad', fetch, ...settings })
+      .complete([{ role: 'user', content: 'Hi' }])
+      .catch(err => err);
+
+    expect(error).toBeInstanceOf(LLMError);
+    expect(error.status).toBe(401);
+    expect(error.details).toEqual({ error: { message: 'invalid x-api-key' } });
+    vi.restoreAllMocks();
+  });
+
+  it('requires an API key', () => {
+    expect(() => createAnthropicLLM({ fetch: vi.fn(), ...settings })).toThrow('Anthropic API key not configured');
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Error raised by model provider adapters
+ *
+ * Carries the HTTP status the API route should respond with, plus the
+ * provider's error body when there is one.
+ */
+export class LLMError extends Error {
+  /**
+   * @param {string} message - Safe to return to the client
+   * @param {number} status - 500 not configured, otherwise the provider's status (502 for stream failures)
+   * @param {object} [details] - Error body from the provider
+   */
+  constructor(message, status = 502, details = null) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.details = details;
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Model provider registry
+ *
+ * Picks the model backend per request (`llm.provider` in the request body) or
+ * from LLM_PROVIDER, and resolves the model, max_tokens and temperature from
+ * the request, then the environment, then per-provider defaults. Adapters
+ * implement:
+ *
+ *   complete(messages, { signal, onUsage })     -> Promise<string>
+ *   stream({ prompt, onText, signal, onUsage }) -> Promise<string>
+ *
+ * onUsage receives { inputTokens, outputTokens } for each request. createLLM
+ * adds `provider`, `model` and `pricing` so callers can record what produced
+ * an analysis and what it cost.
+ */
+
+import { createAnthropicLLM, ANTHROPIC_MODEL } from './anthropic.js';
+import { createOpenAICompatibleLLM } from './openai.js';
+import { createStubLLM, STUB_MODEL } from './stub.js';
+import { LLMError } from './errors.js';
+
+export { LLMError };
+
+export const LLM_PROVIDERS = ['anthropic', 'openai', 'stub'];
+
+export const DEFAULT_LLM_PROVIDER = 'anthropic';
+
+export const DEFAULT_MODELS = {
+  anthropic: ANTHROPIC_MODEL,
+  openai: 'gpt-4o-mini',
+  stub: STUB_MODEL
+};
+
+export const DEFAULT_MAX_TOKENS = 8000;
+
+export const MAX_TOKENS_LIMIT = 64000;
+
+// USD per million tokens, matched by model-name prefix. Models not listed (self-hosted ones,
+// the stub) count as free; LLM_PRICES ('{"model": {"input": 1, "output": 2}}') adds or overrides
+export const MODEL_PRICES = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 }
+};
+
+// Anthropic accepts 0-1, the OpenAI API 0-2
+const TEMPERATURE_BOUNDS = {
+  anthropic: [0, 1],
+  openai: [0, 2],
+  stub: [0, 2]
+};
+
+/**
+ * Resolve which model provider to use
+ * @param {string|undefined} requested - Per-request choice
+ * @param {object} env - Environment (LLM_PROVIDER)
+ * @returns {string|null} A value from LLM_PROVIDERS, or null if the name is unknown
+ */
+export const resolveLLMProviderName = (requested, env = process.env) => {
+  const name = String(requested || env.LLM_PROVIDER || DEFAULT_LLM_PROVIDER).toLowerCase();
+  return LLM_PROVIDERS.includes(name) ? name : null;
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Model settings for a request; unset or invalid env values fall back to defaults
+ * @param {string} provider - A value from LLM_PROVIDERS
+ * @param {object} [overrides] - Validated per-request { model, maxTokens, temperature }
+ * @param {object} env - Environment (LLM_MODEL, LLM_MAX_TOKENS, LLM_TEMPERATURE)
+ * @returns {{model: string, maxTokens: number, temperature: number|undefined}}
+ */
+export const resolveModelSettings = (provider, overrides = {}, env = process.env) => {
+  const envMaxTokens = parseNumber(env.LLM_MAX_TOKENS);
+  const envTemperature = parseNumber(env.LLM_TEMPERATURE);
+  const [minTemperature, maxTemperature] = TEMPERATURE_BOUNDS[provider];
+
+  return {
+    model: overrides.model || env.LLM_MODEL || DEFAULT_MODELS[provider],
+    maxTokens: overrides.maxTokens
+      ?? (Number.isInteger(envMaxTokens) && envMaxTokens > 0 && envMaxTokens <= MAX_TOKENS_LIMIT ? envMaxTokens : DEFAULT_MAX_TOKENS),
+    temperature: overrides.temperature
+      ?? (envTemperature >= minTemperature && envTemperature <= maxTemperature ? envTemperature : undefined)
+  };
+};
+
+const parsePriceTable = (value) => {
+  if (!value) return {};
+  try {
+    const table = JSON.parse(value);
+    return table && typeof table === 'object' && !Array.isArray(table) ? table : {};
+  } catch {
+    console.error('Ignoring invalid LLM_PRICES');
+    return {};
+  }
+};
+
+/**
+ * Price of a model: an exact match, else the longest matching prefix
+ * @param {string} model
+ * @param {object} env - Environment (LLM_PRICES)
+ * @returns {{input: number, output: number, known: boolean}} USD per million tokens
+ */
+export const resolvePricing = (model, env = process.env) => {
+  const table = { ...MODEL_PRICES, ...parsePriceTable(env.LLM_PRICES) };
+  const match = table[model] ? model : Object.keys(table)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  const price = table[match];
+  if (!price || !Number.isFinite(price.input) || !Number.isFinite(price.output)) {
+    return { input: 0, output: 0, known: false };
+  }
+  return { input: price.input, output: price.output, known: true };
+};
+
+/**
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @param {{input: number, output: number}} pricing - From resolvePricing
+ * @returns {number} USD, rounded to a millionth of a dollar
+ */
+export const costOf = (usage, pricing) =>
+  Math.round(usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1e6;
+
+/**
+ * Validate the per-request `llm` body field
+ * @param {object|undefined} requested - { provider?, model?, maxTokens?, temperature? }
+ * @param {object} env - Environment, for the default provider
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateModelSettings = (requested, env = process.env) => {
+  if (requested === undefined || requested === null) return null;
+
+  if (typeof requested !== 'object' || Array.isArray(requested)) {
+    return 'llm must be an object';
+  }
+
+  const provider = resolveLLMProviderName(requested.provider, env);
+  if (!provider) {
+    return `Invalid llm.provider. Use ${LLM_PROVIDERS.join(', ')}`;
+  }
+
+  const { model, maxTokens, temperature } = requested;
+  if (model !== undefined && (typeof model !== 'string' || !model.trim() || model.length > 200)) {
+    return 'llm.model must be a non-empty string';
+  }
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_TOKENS_LIMIT)) {
+    return `llm.maxTokens must be an integer between 1 and ${MAX_TOKENS_LIMIT}`;
+  }
+  const [minTemperature, maxTemperature] = TEMPERATURE_BOUNDS[provider];
+  if (temperature !== undefined && (typeof temperature !== 'number' || !(temperature >= minTemperature && temperature <= maxTemperature))) {
+    return `llm.temperature must be between ${minTemperature} and ${maxTemperature} for ${provider}`;
+  }
+
+  return null;
+};
+
+/**
+ * Instantiate a model adapter
+ * @param {string} name - A value from LLM_PROVIDERS
+ * @param {object} options
+ * @param {object} [options.env] - Environment with ANTHROPIC_API_KEY, OPENAI_BASE_URL, OPENAI_API_KEY
+ * @param {Function} options.fetch
+ * @param {object} [options.overrides] - Validated per-request settings (see validateModelSettings)
+ * @returns {object} Adapter plus { provider, model, maxTokens, temperature, pricing }
+ * @throws {LLMError} When the provider is unknown or not configured
+ */
+export const createLLM = (name, { env = process.env, fetch, overrides = {} } = {}) => {
+  if (!LLM_PROVIDERS.includes(name)) {
+    throw new LLMError(`Unknown model provider: ${name}`, 500);
+  }
+
+  const settings = resolveModelSettings(name, overrides, env);
+  let adapter;
+  switch (name) {
+    case 'anthropic':
+      adapter = createAnthropicLLM({ apiKey: env.ANTHROPIC_API_KEY, fetch, ...settings });
+      break;
+    case 'openai':
+      adapter = createOpenAICompatibleLLM({ baseUrl: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY, fetch, ...settings });
+      break;
+    default:
+      adapter = createStubLLM();
+  }
+
+  return { ...adapter, provider: name, ...settings, pricing: resolvePricing(settings.model, env) };
+};
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  resolveLLMProviderName,
+  resolveModelSettings,
+  validateModelSettings,
+  createLLM,
+  resolvePricing,
+  costOf,
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_MODELS
+} from './index.js';
+
+describe('resolveLLMProviderName', () => {
+  it('prefers the request, then LLM_PROVIDER, then anthropic', () => {
+    expect(resolveLLMProviderName('OpenAI', { LLM_PROVIDER: 'stub' })).toBe('openai');
+    expect(resolveLLMProviderName(undefined, { LLM_PROVIDER: 'stub' })).toBe('stub');
+    expect(resolveLLMProviderName(undefined, {})).toBe('anthropic');
+    expect(resolveLLMProviderName('gemini', {})).toBe(null);
+  });
+});
+
+describe('resolveModelSettings', () => {
+  it('layers request settings over env over defaults', () => {
+    const env = { LLM_MODEL: 'env-model', LLM_MAX_TOKENS: '4000', LLM_TEMPERATURE: '0.3' };
+
+    expect(resolveModelSettings('openai', { maxTokens: 100 }, env)).toEqual({ model: 'env-model', maxTokens: 100, temperature: 0.3 });
+    expect(resolveModelSettings('anthropic', {}, {})).toEqual({
+      model: DEFAULT_MODELS.anthropic,
+      maxTokens: DEFAULT_MAX_TOKENS,
+      temperature: undefined
+    });
+  });
+
+  it('ignores invalid env values', () => {
+    expect(resolveModelSettings('anthropic', {}, { LLM_MAX_TOKENS: 'lots', LLM_TEMPERATURE: '1.5' })).toMatchObject({
+      maxTokens: DEFAULT_MAX_TOKENS,
+      temperature: undefined
+    });
+  });
+});
+
+describe('validateModelSettings', () => {
+  it('accepts missing and valid settings', () => {
+    expect(validateModelSettings(undefined, {})).toBe(null);
+    expect(validateModelSettings({ provider: 'openai', model: 'llama', maxTokens: 2000, temperature: 1.5 }, {})).toBe(null);
+  });
+
+  it('rejects invalid settings', () => {
+    expect(validateModelSettings('fast', {})).toBe('llm must be an object');
+    expect(validateModelSettings({ provider: 'gemini' }, {})).toContain('Invalid llm.provider');
+    expect(validateModelSettings({ maxTokens: 0 }, {})).toContain('llm.maxTokens');
+    expect(validateModelSettings({ temperature: 1.5 }, {})).toBe('llm.temperature must be between 0 and 1 for anthropic');
+  });
+});
+
+describe('resolvePricing', () => {
+  it('matches the longest model prefix, with LLM_PRICES taking precedence', () => {
+    expect(resolvePricing('gpt-4o-mini-2024-07-18', {})).toEqual({ input: 0.15, output: 0.6, known: true });
+    expect(resolvePricing('gpt-4o-2024-08-06', {})).toEqual({ input: 2.5, output: 10, known: true });
+    expect(resolvePricing('llama-3.1-8b', {})).toEqual({ input: 0, output: 0, known: false });
+    expect(resolvePricing('llama-3.1-8b', { LLM_PRICES: '{"llama": {"input": 0.1, "output": 0.2}}' }).known).toBe(true);
+  });
+});
+
+describe('costOf', () => {
+  it('prices tokens per million', () => {
+    expect(costOf({ inputTokens: 10000, outputTokens: 2000 }, { input: 3, output: 15 })).toBe(0.06);
+  });
+});
+
+describe('createLLM', () => {
+  it('reports the resolved provider and model', async () => {
+    const llm = createLLM('stub', { env: {}, fetch: vi.fn() });
+
+    expect(llm).toMatchObject({ provider: 'stub', model: DEFAULT_MODELS.stub, maxTokens: DEFAULT_MAX_TOKENS });
+    expect(await llm.complete([{ role: 'user', content: 'Hi' }])).toContain('Stub response');
+  });
+
+  it('raises configuration errors with a 500 status', () => {
+    expect(() => createLLM('openai', { env: {}, fetch: vi.fn() })).toThrow(expect.objectContaining({ status: 500 }));
+  });
+});
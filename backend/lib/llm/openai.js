@@ -0,0 +1,118 @@
+/**
+ * OpenAI-compatible Chat Completions adapter
+ *
+ * Works with any server that implements POST {baseUrl}/chat/completions,
+ * including self-hosted llama.cpp, vLLM and Ollama, so analyses can run
+ * without sending company data to a third-party API. The API key is optional
+ * for servers that don't require one. Token usage is estimated when the
+ * server doesn't report it.
+ */
+
+import { parseEventStream } from '../sse.js';
+import { LLMError } from './errors.js';
+import { estimateUsage } from './tokens.js';
+
+const failed = async (response) => {
+  const details = await response.json().catch(() => null);
+  console.error('OpenAI-compatible API error:', details);
+  return new LLMError('Failed to analyze company', response.status, details);
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.baseUrl - e.g. http://localhost:8080/v1
+ * @param {string} [options.apiKey] - Sent as a Bearer token when set
+ * @param {Function} options.fetch
+ * @param {string} options.model
+ * @param {number} options.maxTokens
+ * @param {number} [options.temperature] - Server default when omitted
+ * @returns {{complete: Function, stream: Function}}
+ * @throws {LLMError} When no base URL is configured
+ */
+export const createOpenAICompatibleLLM = ({ baseUrl, apiKey, fetch, model, maxTokens, temperature }) => {
+  if (!baseUrl) {
+    throw new LLMError('OpenAI-compatible base URL not configured', 500);
+  }
+
+  const request = ({ messages, stream, signal }) =>
+    fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        ...(temperature !== undefined ? { temperature } : {}),
+        stream,
+        ...(stream ? { stream_options: { include_usage: true } } : {}),
+        messages
+      }),
+      signal
+    });
+
+  const toUsage = (usage) => ({ inputTokens: usage.prompt_tokens ?? 0, outputTokens: usage.completion_tokens ?? 0 });
+
+  return {
+    /**
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @param {Function} [options.onUsage] - Called with { inputTokens, outputTokens, estimated? }
+     * @returns {Promise<string>} Completion text
+     * @throws {LLMError}
+     */
+    async complete(messages, { signal, onUsage = () => {} } = {}) {
+      const response = await request({ messages, stream: false, signal });
+      if (!response.ok) {
+        throw await failed(response);
+      }
+      const data = await response.json();
+      const text = data.choices?.[0]?.message?.content ?? '';
+      onUsage(data.usage ? toUsage(data.usage) : estimateUsage(messages, text));
+      return text;
+    },
+
+    /**
+     * @param {object} options
+     * @param {string} options.prompt - Single user message
+     * @param {Function} options.onText - Called with each text delta
+     * @param {AbortSignal} [options.signal] - Aborts the upstream request
+     * @param {Function} [options.onUsage] - Called with { inputTokens, outputTokens, estimated? } once the stream ends,
+     *   including when it's aborted or fails partway
+     * @returns {Promise<string>} Full completion text
+     * @throws {LLMError}
+     */
+    async stream({ prompt, onText, signal, onUsage = () => {} }) {
+      const messages = [{ role: 'user', content: prompt }];
+      const response = await request({ messages, stream: true, signal });
+      if (!response.ok) {
+        throw await failed(response);
+      }
+
+      // With include_usage the last chunk before [DONE] carries the totals
+      let text = '';
+      let usage = null;
+      try {
+        for await (const { data } of parseEventStream(response.body)) {
+          if (data === '[DONE]') break;
+          const chunk = JSON.parse(data);
+          if (chunk.error) {
+            throw new LLMError(chunk.error.message || 'Analysis stream failed', 502, chunk.error);
+          }
+          if (chunk.usage) usage = toUsage(chunk.usage);
+          const content = chunk.choices?.[0]?.delta?.content;
+          if (content) {
+            text += content;
+            onText(content);
+          }
+        }
+      } finally {
+        // Also on an abort or error: the tokens streamed so far are billed
+        onUsage(usage || estimateUsage(messages, text));
+      }
+      return text;
+    }
+  };
+};
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createOpenAICompatibleLLM } from './openai.js';
+
+const encoder = new TextEncoder();
+
+const sse = (chunks) => ({
+  ok: true,
+  status: 200,
+  body: (async function* () {
+    for (const chunk of chunks) {
+      yield encoder.encode(`data: ${typeof chunk === 'string' ? chunk : JSON.stringify(chunk)}\n\n`);
+    }
+  })()
+});
+
+const delta = (content) => ({ choices: [{ index: 0, delta: { content } }] });
+
+const settings = { model: 'llama-3.1-8b', maxTokens: 500 };
+
+describe('createOpenAICompatibleLLM', () => {
+  it('posts chat completions to the configured server', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, json: async () => ({ choices: [{ message: { content: 'Done' } }] }) }));
+    const llm = createOpenAICompatibleLLM({ baseUrl: 'http://localhost:8080/v1/', fetch, ...settings, temperature: 0 });
+
+    const text = await llm.complete([{ role: 'user', content: 'Hi' }]);
+
+    expect(text).toBe('Done');
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(request.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(request.body)).toEqual({
+      model: 'llama-3.1-8b',
+      max_tokens: 500,
+      temperature: 0,
+      stream: false,
+      messages: [{ role: 'user', content: 'Hi' }]
+    });
+  });
+
+  it('streams content deltas until [DONE]', async () => {
+    const fetch = vi.fn(async () => sse([delta('{"a":'), { choices: [{ delta: { role: 'assistant' } }] }, delta(' 1}'), '[DONE]']));
+    const onText = vi.fn();
+
+    const text = await createOpenAICompatibleLLM({ baseUrl: 'http://vllm/v1', apiKey: 'key', fetch, ...settings })
+      .stream({ prompt: 'Hi', onText });
+
+    expect(text).toBe('{"a": 1}');
+    expect(onText).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer key');
+  });
+
+  it('reports an estimate for a stream that fails partway', async () => {
+    const fetch = async () => sse([delta('x'.repeat(40)), { error: { message: 'Model crashed' } }]);
+    const onUsage = vi.fn();
+
+    await expect(createOpenAICompatibleLLM({ baseUrl: 'http://vllm/v1', fetch, ...settings })
+      .stream({ prompt: 'Hi', onText: () => {}, onUsage }))
+      .rejects.toMatchObject({ message: 'Model crashed', status: 502 });
+
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 1, outputTokens: 10, estimated: true });
+  });
+
+  it('reports the usage the server returns, else an estimate', async () => {
+    const reply = (usage) => async () => ({ ok: true, json: async () => ({ choices: [{ message: { content: 'Done' } }], usage }) });
+    const onUsage = vi.fn();
+
+    await createOpenAICompatibleLLM({ baseUrl: 'http://vllm/v1', fetch: reply({ prompt_tokens: 40, completion_tokens: 2 }), ...settings })
+      .complete([{ role: 'user', content: 'Hi' }], { onUsage });
+    await createOpenAICompatibleLLM({ baseUrl: 'http://vllm/v1', fetch: reply(undefined), ...settings })
+      .complete([{ role: 'user', content: 'Hi' }], { onUsage });
+
+    expect(onUsage.mock.calls[0][0]).toEqual({ inputTokens: 40, outputTokens: 2 });
+    expect(onUsage.mock.calls[1][0]).toMatchObject({ estimated: true });
+  });
+
+  it('raises errors sent mid-stream', async () => {
+    const fetch = async () => sse([{ error: { message: 'Context length exceeded' } }]);
+
+    await expect(createOpenAICompatibleLLM({ baseUrl: 'http://vllm/v1', fetch, ...settings }).stream({ prompt: 'Hi', onText: () => {} }))
+      .rejects.toMatchObject({ message: 'Context length exceeded', status: 502 });
+  });
+
+  it('requires a base URL', () => {
+    expect(() => createOpenAICompatibleLLM({ fetch: vi.fn(), ...settings })).toThrow('base URL not configured');
+  });
+});
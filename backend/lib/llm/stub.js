@@ -0,0 +1,66 @@
+/**
+ * Deterministic stub adapter
+ *
+ * Answers without network access, for tests and offline demos. The reply
+ * fills in the JSON format the prompt asks for (the last block between a
+ * line "{" and a line "}" of the last user message) with placeholder text
+ * derived from each field's path, so a given prompt always gets the same
+ * answer. Prompts without a format get a fixed sentence. Usage is reported
+ * as a character-based estimate.
+ */
+
+import { estimateUsage } from './tokens.js';
+
+export const STUB_MODEL = 'stub-v1';
+
+// Characters per simulated stream delta
+const STREAM_CHUNK_SIZE = 80;
+
+const fill = (template, path) => {
+  if (template !== null && typeof template === 'object' && !Array.isArray(template)) {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) =>
+      [key, fill(value, path ? `${path}.${key}` : key)]));
+  }
+  return `Stub analysis for ${path || 'this request'}`;
+};
+
+/**
+ * The stub's reply to a prompt
+ * @param {string} prompt
+ * @returns {string}
+ */
+export const stubCompletion = (prompt) => {
+  const lines = String(prompt).split('\n');
+  const end = lines.lastIndexOf('}');
+  const start = end === -1 ? -1 : lines.lastIndexOf('{', end);
+
+  if (start !== -1) {
+    try {
+      return JSON.stringify(fill(JSON.parse(lines.slice(start, end + 1).join('\n')), ''), null, 2);
+    } catch {
+      // Not a JSON format block
+    }
+  }
+  return 'Stub response: no output format was requested.';
+};
+
+/**
+ * @returns {{complete: Function, stream: Function}}
+ */
+export const createStubLLM = () => ({
+  async complete(messages, { onUsage = () => {} } = {}) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const text = stubCompletion(lastUser?.content ?? '');
+    onUsage(estimateUsage(messages, text));
+    return text;
+  },
+
+  async stream({ prompt, onText, onUsage = () => {} }) {
+    const text = stubCompletion(prompt);
+    for (let index = 0; index < text.length; index += STREAM_CHUNK_SIZE) {
+      onText(text.slice(index, index + STREAM_CHUNK_SIZE));
+    }
+    onUsage(estimateUsage([{ content: prompt }], text));
+    return text;
+  }
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createStubLLM, stubCompletion } from './stub.js';
+
+const prompt = `Analyze this.
+
+{
+  "moat": {
+    "summary": "2-3 sentences"
+  }
+}
+
+CRITICAL: Return ONLY valid JSON.`;
+
+describe('stubCompletion', () => {
+  it('fills the requested format with path-derived text', () => {
+    expect(JSON.parse(stubCompletion(prompt))).toEqual({ moat: { summary: 'Stub analysis for moat.summary' } });
+    expect(stubCompletion(prompt)).toBe(stubCompletion(prompt));
+  });
+
+  it('answers prompts without a format', () => {
+    expect(stubCompletion('Hello')).toContain('Stub response');
+  });
+});
+
+describe('createStubLLM', () => {
+  it('answers the last user message and streams the same text', async () => {
+    const llm = createStubLLM();
+    const onText = vi.fn();
+
+    const completed = await llm.complete([{ role: 'user', content: 'Hello' }, { role: 'assistant', content: '{}' }, { role: 'user', content: prompt }]);
+    const streamed = await llm.stream({ prompt, onText });
+
+    expect(streamed).toBe(completed);
+    expect(onText.mock.calls.map(([text]) => text).join('')).toBe(completed);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Token estimates for servers that don't report usage
+ *
+ * Roughly four characters per token for English text; only used when the
+ * provider's response has no usage block.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text) => Math.ceil(String(text ?? '').length / CHARS_PER_TOKEN);
+
+/**
+ * Estimated usage of one request
+ * @param {Array<{content: string}>} messages - Prompt messages
+ * @param {string} output - Completion text
+ * @returns {{inputTokens: number, outputTokens: number, estimated: true}}
+ */
+export const estimateUsage = (messages, output) => ({
+  inputTokens: messages.reduce((total, message) => total + estimateTokens(message.content), 0),
+  outputTokens: estimateTokens(output),
+  estimated: true
+});
@@ -0,0 +1,117 @@
+/**
+ * Reporting periods for Alpha Vantage statements
+ *
+ * Alpha Vantage returns both annualReports and quarterlyReports (newest first).
+ * Annual figures can be up to a year stale, so a trailing-twelve-month (TTM)
+ * view sums the last four quarters for flow statements (income, cash flow) and
+ * takes the latest quarterly balance sheet, since balances are point-in-time.
+ */
+
+export const PERIODS = ['annual', 'quarterly', 'ttm'];
+
+export const DEFAULT_PERIOD = 'annual';
+
+// Fields that describe a report rather than measure a flow; never summed
+const DESCRIPTIVE_FIELDS = new Set(['fiscalDateEnding', 'reportedCurrency', 'currency', 'period']);
+
+// Four consecutive quarter-ends span roughly 9 months (allowing for 52/53-week calendars)
+const MIN_TTM_SPAN_DAYS = 250;
+const MAX_TTM_SPAN_DAYS = 300;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize the `period` query parameter
+ * @param {string|undefined} value
+ * @returns {string|null} A value from PERIODS, or null if it isn't one
+ */
+export const parsePeriod = (value) => {
+  if (value === undefined || value === '') return DEFAULT_PERIOD;
+  const period = String(value).toLowerCase();
+  return PERIODS.includes(period) ? period : null;
+};
+
+// Alpha Vantage reports numbers as strings and missing values as "None";
+// canonical provider reports use numbers and null
+const sumField = (reports, field, numeric) => {
+  let total = 0;
+  for (const report of reports) {
+    const value = parseFloat(report[field]);
+    if (!Number.isFinite(value)) return numeric ? null : 'None';
+    total += value;
+  }
+  return numeric ? total : String(total);
+};
+
+const spanDays = (latest, oldest) =>
+  (new Date(latest.fiscalDateEnding) - new Date(oldest.fiscalDateEnding)) / DAY_MS;
+
+/**
+ * Sum the most recent four quarters of a flow statement
+ * @param {Array} quarterlyReports - Quarterly reports, newest first
+ * @param {object} [options]
+ * @param {boolean} [options.numeric=false] - Reports hold numbers/null (canonical) rather than Alpha Vantage strings
+ * @returns {object|null} A report in the input's shape, or null if four consecutive quarters aren't available
+ */
+export const buildTTMFlowReport = (quarterlyReports, { numeric = false } = {}) => {
+  const quarters = (quarterlyReports || []).slice(0, 4);
+  if (quarters.length < 4) return null;
+
+  const span = spanDays(quarters[0], quarters[3]);
+  if (!(span >= MIN_TTM_SPAN_DAYS && span <= MAX_TTM_SPAN_DAYS)) return null;
+
+  const report = {};
+  for (const field of Object.keys(quarters[0])) {
+    if (field === 'facts') continue;
+    report[field] = DESCRIPTIVE_FIELDS.has(field) ? quarters[0][field] : sumField(quarters, field, numeric);
+  }
+  // Per-field provenance (SEC adapter): a TTM value comes from every quarter's facts
+  if (quarters[0].facts) {
+    report.facts = Object.fromEntries(Object.keys(quarters[0].facts)
+      .filter(field => quarters.every(quarter => quarter.facts?.[field]))
+      .map(field => [field, quarters.flatMap(quarter => quarter.facts[field])]));
+  }
+
+  return {
+    ...report,
+    period: 'TTM',
+    quartersIncluded: quarters.map(quarter => quarter.fiscalDateEnding)
+  };
+};
+
+/**
+ * Select the reports to return for a statement and period
+ *
+ * For `ttm` the first element is the TTM report and the rest are the annual
+ * reports, so callers keep full-year history for trend analysis. When a TTM
+ * figure can't be built the annual reports are returned unchanged.
+ *
+ * @param {object} data - Raw Alpha Vantage statement response, or a canonical one from a data provider
+ * @param {string} period - One of PERIODS
+ * @param {object} options
+ * @param {boolean} options.isFlow - true for income statement and cash flow, false for balance sheet
+ * @param {boolean} [options.numeric=false] - Reports hold numbers/null rather than strings
+ * @returns {Array}
+ */
+export const selectReports = (data, period, { isFlow, numeric = false }) => {
+  const annualReports = data.annualReports || [];
+  const quarterlyReports = data.quarterlyReports || [];
+
+  if (period === 'quarterly') return quarterlyReports;
+  if (period !== 'ttm') return annualReports;
+
+  const latestQuarter = quarterlyReports[0];
+  if (!latestQuarter) return annualReports;
+
+  const ttmReport = isFlow
+    ? buildTTMFlowReport(quarterlyReports, { numeric })
+    : { ...latestQuarter, period: 'TTM', quartersIncluded: [latestQuarter.fiscalDateEnding] };
+  if (!ttmReport) return annualReports;
+
+  // Nothing newer than the last 10-K to add
+  const latestAnnual = annualReports[0];
+  if (latestAnnual && latestAnnual.fiscalDateEnding >= ttmReport.fiscalDateEnding) {
+    return annualReports;
+  }
+
+  return [ttmReport, ...annualReports];
+};
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { parsePeriod, buildTTMFlowReport, selectReports } from './periods.js';
+
+const quarter = (fiscalDateEnding, totalRevenue, ebit = '10') => ({
+  fiscalDateEnding,
+  reportedCurrency: 'USD',
+  totalRevenue,
+  ebit
+});
+
+const quarterlyReports = [
+  quarter('2025-06-30', '130'),
+  quarter('2025-03-31', '120'),
+  quarter('2024-12-31', '110'),
+  quarter('2024-09-30', '100'),
+  quarter('2024-06-30', '90')
+];
+
+const annualReports = [
+  { fiscalDateEnding: '2024-12-31', reportedCurrency: 'USD', totalRevenue: '400', ebit: '40' },
+  { fiscalDateEnding: '2023-12-31', reportedCurrency: 'USD', totalRevenue: '350', ebit: '35' }
+];
+
+describe('parsePeriod', () => {
+  it('defaults to annual and accepts any case', () => {
+    expect(parsePeriod(undefined)).toBe('annual');
+    expect(parsePeriod('TTM')).toBe('ttm');
+    expect(parsePeriod('quarterly')).toBe('quarterly');
+  });
+
+  it('rejects unknown periods', () => {
+    expect(parsePeriod('monthly')).toBe(null);
+  });
+});
+
+describe('buildTTMFlowReport', () => {
+  it('sums the last four quarters and keeps the latest date', () => {
+    const report = buildTTMFlowReport(quarterlyReports);
+
+    expect(report.totalRevenue).toBe('460');
+    expect(report.ebit).toBe('40');
+    expect(report.fiscalDateEnding).toBe('2025-06-30');
+    expect(report.reportedCurrency).toBe('USD');
+    expect(report.period).toBe('TTM');
+    expect(report.quartersIncluded).toHaveLength(4);
+  });
+
+  it('marks a field missing if any quarter lacks it', () => {
+    const reports = [...quarterlyReports];
+    reports[2] = { ...reports[2], ebit: 'None' };
+
+    expect(buildTTMFlowReport(reports).ebit).toBe('None');
+  });
+
+  it('keeps numbers and null for canonical reports', () => {
+    const reports = quarterlyReports.map(report => ({ ...report, totalRevenue: Number(report.totalRevenue), ebit: null }));
+    const ttm = buildTTMFlowReport(reports, { numeric: true });
+
+    expect(ttm.totalRevenue).toBe(460);
+    expect(ttm.ebit).toBe(null);
+  });
+
+  it('requires four consecutive quarters', () => {
+    expect(buildTTMFlowReport(quarterlyReports.slice(0, 3))).toBe(null);
+    expect(buildTTMFlowReport([quarterlyReports[0], quarterlyReports[1], quarterlyReports[2], quarter('2023-12-31', '80')])).toBe(null);
+  });
+});
+
+describe('selectReports', () => {
+  const data = { annualReports, quarterlyReports };
+
+  it('returns annual or quarterly reports as requested', () => {
+    expect(selectReports(data, 'annual', { isFlow: true })).toBe(annualReports);
+    expect(selectReports(data, 'quarterly', { isFlow: true })).toBe(quarterlyReports);
+  });
+
+  it('prepends the TTM flow report to annual history', () => {
+    const reports = selectReports(data, 'ttm', { isFlow: true });
+
+    expect(reports).toHaveLength(3);
+    expect(reports[0].totalRevenue).toBe('460');
+    expect(reports.slice(1)).toEqual(annualReports);
+  });
+
+  it('uses the latest quarterly balance sheet for TTM', () => {
+    const reports = selectReports(data, 'ttm', { isFlow: false });
+
+    expect(reports[0].totalRevenue).toBe('130');
+    expect(reports[0].period).toBe('TTM');
+  });
+
+  it('falls back to annual reports when the 10-K is the latest filing', () => {
+    const stale = { annualReports, quarterlyReports: quarterlyReports.slice(2) };
+
+    expect(selectReports(stale, 'ttm', { isFlow: true })).toBe(annualReports);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Alpha Vantage adapter
+ *
+ * Free keys allow 5 calls/minute and 25/day; pass the server's scheduler
+ * (lib/avScheduler.js) as `fetch` so every call is queued against the quotas. One call per statement returns both
+ * annual and quarterly reports.
+ */
+
+import { ProviderError } from './errors.js';
+import {
+  toCanonicalProfile,
+  toCanonicalReport,
+  toCanonicalEarnings,
+  toMagnitude,
+  toNumberOrNull
+} from './schema.js';
+
+const BASE_URL = 'https://www.alphavantage.co/query';
+
+const mapIncome = (report, period) => toCanonicalReport('income', {
+  fiscalDateEnding: report.fiscalDateEnding,
+  period,
+  currency: report.reportedCurrency,
+  revenue: report.totalRevenue,
+  costOfRevenue: report.costOfRevenue,
+  grossProfit: report.grossProfit,
+  operatingExpenses: report.operatingExpenses,
+  operatingIncome: report.operatingIncome,
+  ebit: report.ebit,
+  ebitda: report.ebitda,
+  interestExpense: report.interestExpense,
+  incomeBeforeTax: report.incomeBeforeTax,
+  incomeTaxExpense: report.incomeTaxExpense,
+  netIncome: report.netIncome
+});
+
+const mapBalance = (report, period) => toCanonicalReport('balance', {
+  fiscalDateEnding: report.fiscalDateEnding,
+  period,
+  currency: report.reportedCurrency,
+  totalAssets: report.totalAssets,
+  totalCurrentAssets: report.totalCurrentAssets,
+  cash: report.cashAndCashEquivalentsAtCarryingValue,
+  receivables: report.currentNetReceivables,
+  inventory: report.inventory,
+  ppe: report.propertyPlantEquipment,
+  goodwill: report.goodwill,
+  intangibleAssets: report.intangibleAssets,
+  totalLiabilities: report.totalLiabilities,
+  totalCurrentLiabilities: report.totalCurrentLiabilities,
+  accountsPayable: report.currentAccountsPayable,
+  shortTermDebt: report.shortTermDebt,
+  totalDebt: report.shortLongTermDebtTotal,
+  totalEquity: report.totalShareholderEquity,
+  sharesOutstanding: report.commonStockSharesOutstanding
+});
+
+const mapCashFlow = (report, period) => toCanonicalReport('cashFlow', {
+  fiscalDateEnding: report.fiscalDateEnding,
+  period,
+  currency: report.reportedCurrency,
+  operatingCashFlow: report.operatingCashflow,
+  capitalExpenditures: toMagnitude(report.capitalExpenditures),
+  dividendsPaid: toMagnitude(report.dividendPayout, report.paymentOfDividends),
+  shareRepurchases: toMagnitude(report.paymentsForRepurchaseOfCommonStock, report.paymentsForRepurchaseOfEquity),
+  acquisitions: toMagnitude(report.paymentsForAcquisitionOfBusinesses, report.acquisitionOfBusiness),
+  debtRepayment: toMagnitude(report.paymentsForRepurchaseOfLongTermDebt, report.repaymentOfLongTermDebt)
+});
+
+const mapStatements = (data, mapReport) => ({
+  annualReports: (data.annualReports || []).map(report => mapReport(report, 'annual')),
+  quarterlyReports: (data.quarterlyReports || []).map(report => mapReport(report, 'quarterly'))
+});
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey - ALPHA_VANTAGE_API_KEY
+ * @param {Function} options.fetch - fetch-compatible function (the server passes its scheduler)
+ * @returns {object} Data provider
+ */
+export const createAlphaVantageProvider = ({ apiKey, fetch }) => {
+  if (!apiKey) {
+    throw new ProviderError('Alpha Vantage API key not configured', 500);
+  }
+
+  const query = async (params) => {
+    const search = new URLSearchParams({ ...params, apikey: apiKey });
+    const response = await fetch(`${BASE_URL}?${search}`);
+    const data = await response.json();
+
+    // Alpha Vantage signals throttling with a 200 and a Note/Information message
+    if (data.Note || data.Information) {
+      throw new ProviderError('API rate limit reached. Please wait a minute or check your daily limit.', 429);
+    }
+    if (data['Error Message']) {
+      throw new ProviderError(`No Alpha Vantage data for ${params.symbol || params.keywords}`, 404);
+    }
+    return data;
+  };
+
+  return {
+    name: 'alphavantage',
+
+    async search(keywords) {
+      const data = await query({ function: 'SYMBOL_SEARCH', keywords });
+      return (data.bestMatches || []).map(match => ({
+        symbol: match['1. symbol'],
+        name: match['2. name'],
+        type: match['3. type'] || null,
+        region: match['4. region'] || null,
+        currency: match['8. currency'] || null,
+        matchScore: toNumberOrNull(match['9. matchScore'])
+      }));
+    },
+
+    async getProfile(symbol) {
+      const data = await query({ function: 'OVERVIEW', symbol });
+      if (!data.Symbol) {
+        throw new ProviderError('Company not found', 404);
+      }
+      return toCanonicalProfile({
+        symbol: data.Symbol,
+        name: data.Name,
+        description: data.Description,
+        exchange: data.Exchange,
+        currency: data.Currency,
+        country: data.Country,
+        sector: data.Sector,
+        industry: data.Industry,
+        fiscalYearEnd: data.FiscalYearEnd,
+        marketCap: data.MarketCapitalization,
+        // OVERVIEW has no quote; price stays null
+        price: null,
+        beta: data.Beta,
+        sharesOutstanding: data.SharesOutstanding,
+        peRatio: data.PERatio,
+        forwardPE: data.ForwardPE,
+        priceToBook: data.PriceToBookRatio,
+        fiftyTwoWeekHigh: data['52WeekHigh'],
+        fiftyTwoWeekLow: data['52WeekLow']
+      });
+    },
+
+    async getIncomeStatements(symbol) {
+      return mapStatements(await query({ function: 'INCOME_STATEMENT', symbol }), mapIncome);
+    },
+
+    async getBalanceSheets(symbol) {
+      return mapStatements(await query({ function: 'BALANCE_SHEET', symbol }), mapBalance);
+    },
+
+    async getCashFlows(symbol) {
+      return mapStatements(await query({ function: 'CASH_FLOW', symbol }), mapCashFlow);
+    },
+
+    async getEarnings(symbol) {
+      const data = await query({ function: 'EARNINGS', symbol });
+      return {
+        quarterly: (data.quarterlyEarnings || []).map(toCanonicalEarnings),
+        annual: (data.annualEarnings || []).map(toCanonicalEarnings)
+      };
+    }
+  };
+};
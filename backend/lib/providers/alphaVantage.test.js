@@ -0,0 +1,85 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createAlphaVantageProvider } from './alphaVantage.js';
+import { ProviderError } from './errors.js';
+
+const respond = (data) => vi.fn().mockResolvedValue({ ok: true, json: async () => data });
+
+describe('createAlphaVantageProvider', () => {
+  it('requires an API key', () => {
+    expect(() => createAlphaVantageProvider({ apiKey: '', fetch: vi.fn() })).toThrow(ProviderError);
+  });
+
+  it('maps statements to the canonical schema with null for "None"', async () => {
+    const fetch = respond({
+      annualReports: [{
+        fiscalDateEnding: '2024-09-30',
+        reportedCurrency: 'USD',
+        totalRevenue: '391035000000',
+        ebit: '123216000000',
+        interestExpense: 'None'
+      }],
+      quarterlyReports: [{ fiscalDateEnding: '2024-12-31', reportedCurrency: 'USD', totalRevenue: '124300000000' }]
+    });
+    const provider = createAlphaVantageProvider({ apiKey: 'key', fetch });
+
+    const { annualReports, quarterlyReports } = await provider.getIncomeStatements('AAPL');
+
+    expect(fetch.mock.calls[0][0]).toContain('function=INCOME_STATEMENT');
+    expect(fetch.mock.calls[0][0]).toContain('symbol=AAPL');
+    expect(annualReports[0]).toMatchObject({
+      fiscalDateEnding: '2024-09-30',
+      period: 'annual',
+      currency: 'USD',
+      revenue: 391035000000,
+      ebit: 123216000000,
+      interestExpense: null,
+      netIncome: null
+    });
+    expect(quarterlyReports[0].period).toBe('quarterly');
+  });
+
+  it('stores cash outflows as positive magnitudes', async () => {
+    const provider = createAlphaVantageProvider({
+      apiKey: 'key',
+      fetch: respond({
+        annualReports: [{ fiscalDateEnding: '2024-09-30', operatingCashflow: '118254000000', capitalExpenditures: '-9447000000', dividendPayout: '15234000000' }]
+      })
+    });
+
+    const [report] = (await provider.getCashFlows('AAPL')).annualReports;
+
+    expect(report.capitalExpenditures).toBe(9447000000);
+    expect(report.dividendsPaid).toBe(15234000000);
+    expect(report.shareRepurchases).toBe(null);
+  });
+
+  it('maps the overview to a canonical profile', async () => {
+    const provider = createAlphaVantageProvider({
+      apiKey: 'key',
+      fetch: respond({ Symbol: 'AAPL', Name: 'Apple Inc', MarketCapitalization: '3000000000000', Beta: '1.24', '52WeekHigh': '237.23' })
+    });
+
+    const profile = await provider.getProfile('AAPL');
+
+    expect(profile).toMatchObject({ symbol: 'AAPL', name: 'Apple Inc', marketCap: 3e12, beta: 1.24, fiftyTwoWeekHigh: 237.23, price: null });
+  });
+
+  it('raises 429 on throttle notes and 404 for unknown companies', async () => {
+    const throttled = createAlphaVantageProvider({ apiKey: 'key', fetch: respond({ Note: 'Thank you for using Alpha Vantage!' }) });
+    const missing = createAlphaVantageProvider({ apiKey: 'key', fetch: respond({}) });
+
+    await expect(throttled.getProfile('AAPL')).rejects.toMatchObject({ status: 429 });
+    await expect(missing.getProfile('NOPE')).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('maps search matches', async () => {
+    const provider = createAlphaVantageProvider({
+      apiKey: 'key',
+      fetch: respond({ bestMatches: [{ '1. symbol': 'AAPL', '2. name': 'Apple Inc', '4. region': 'United States', '9. matchScore': '0.8889' }] })
+    });
+
+    expect(await provider.search('apple')).toEqual([
+      { symbol: 'AAPL', name: 'Apple Inc', type: null, region: 'United States', currency: null, matchScore: 0.8889 }
+    ]);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Error raised by data provider adapters
+ *
+ * Carries the HTTP status the API route should respond with, so routes can
+ * surface "not found" and "rate limited" without knowing which vendor failed.
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Safe to return to the client
+   * @param {number} status - 404 not found, 429 rate limited, 500 not configured, 502 vendor failure
+   */
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+/**
+ * Answer an API request with a provider failure
+ *
+ * ProviderErrors keep their status (and Retry-After when rate limited); anything
+ * else is logged and answered with a 500 and the fallback message. Does nothing
+ * once the response is sent, since setting headers then throws, except while
+ * createCacheMiddleware revalidates a stale hit: it captures the answer then.
+ *
+ * @param {object} res - Express response
+ * @param {Error} error
+ * @param {string} fallbackMessage - Safe to return to the client
+ */
+export const sendProviderError = (res, error, fallbackMessage) => {
+  if (res.headersSent && !res.locals?.revalidating) {
+    console.warn(`${fallbackMessage} (response already sent):`, error.message);
+    return;
+  }
+  if (error instanceof ProviderError) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ error: error.message, retryAfter: error.retryAfter });
+    }
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
@@ -0,0 +1,200 @@
+/**
+ * Financial Modeling Prep adapter
+ *
+ * FMP serves annual and quarterly statements from separate calls and signs
+ * cash outflows negative; both are normalized here.
+ */
+
+import { ProviderError } from './errors.js';
+import {
+  toCanonicalProfile,
+  toCanonicalReport,
+  toCanonicalEarnings,
+  toMagnitude,
+  toNumberOrNull
+} from './schema.js';
+
+const BASE_URL = 'https://financialmodelingprep.com/api/v3';
+
+// Six year ends for the 5-year CAGRs (see lib/growth.js)
+const ANNUAL_LIMIT = 6;
+// Enough quarters for TTM plus a year-ago comparison
+const QUARTERLY_LIMIT = 8;
+
+const mapIncome = (report, period) => toCanonicalReport('income', {
+  fiscalDateEnding: report.date,
+  period,
+  currency: report.reportedCurrency,
+  revenue: report.revenue,
+  costOfRevenue: report.costOfRevenue,
+  grossProfit: report.grossProfit,
+  operatingExpenses: report.operatingExpenses,
+  operatingIncome: report.operatingIncome,
+  // FMP doesn't report EBIT separately; consumers fall back to operating income
+  ebit: null,
+  ebitda: report.ebitda,
+  interestExpense: report.interestExpense,
+  incomeBeforeTax: report.incomeBeforeTax,
+  incomeTaxExpense: report.incomeTaxExpense,
+  netIncome: report.netIncome
+});
+
+const mapBalance = (report, period) => toCanonicalReport('balance', {
+  fiscalDateEnding: report.date,
+  period,
+  currency: report.reportedCurrency,
+  totalAssets: report.totalAssets,
+  totalCurrentAssets: report.totalCurrentAssets,
+  cash: report.cashAndCashEquivalents,
+  receivables: report.netReceivables,
+  inventory: report.inventory,
+  ppe: report.propertyPlantEquipmentNet,
+  goodwill: report.goodwill,
+  intangibleAssets: report.intangibleAssets,
+  totalLiabilities: report.totalLiabilities,
+  totalCurrentLiabilities: report.totalCurrentLiabilities,
+  accountsPayable: report.accountPayables,
+  shortTermDebt: report.shortTermDebt,
+  totalDebt: report.totalDebt,
+  totalEquity: report.totalStockholdersEquity,
+  sharesOutstanding: null
+});
+
+const mapCashFlow = (report, period) => toCanonicalReport('cashFlow', {
+  fiscalDateEnding: report.date,
+  period,
+  currency: report.reportedCurrency,
+  operatingCashFlow: report.operatingCashFlow,
+  capitalExpenditures: toMagnitude(report.capitalExpenditure),
+  dividendsPaid: toMagnitude(report.dividendsPaid),
+  shareRepurchases: toMagnitude(report.commonStockRepurchased),
+  acquisitions: toMagnitude(report.acquisitionsNet),
+  debtRepayment: toMagnitude(report.debtRepayment),
+  freeCashFlow: report.freeCashFlow
+});
+
+// FMP quotes the 52-week range as "low-high"
+const parseRange = (range) => {
+  const [low, high] = String(range || '').split('-');
+  return { low: toNumberOrNull(low), high: toNumberOrNull(high) };
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey - FMP_API_KEY
+ * @param {Function} options.fetch - fetch-compatible function
+ * @returns {object} Data provider
+ */
+export const createFmpProvider = ({ apiKey, fetch }) => {
+  if (!apiKey) {
+    throw new ProviderError('FMP API key not configured', 500);
+  }
+
+  const get = async (path, params = {}) => {
+    const search = new URLSearchParams({ ...params, apikey: apiKey });
+    const response = await fetch(`${BASE_URL}/${path}?${search}`);
+
+    if (response.status === 429) {
+      throw new ProviderError('FMP rate limit reached. Please try again later.', 429);
+    }
+
+    const data = await response.json();
+    if (!response.ok || data?.['Error Message']) {
+      throw new ProviderError(data?.['Error Message'] || `FMP request failed (${response.status})`, 502);
+    }
+    return data;
+  };
+
+  const getStatements = async (path, symbol, mapReport) => {
+    const [annual, quarterly] = await Promise.all([
+      get(`${path}/${symbol}`, { limit: ANNUAL_LIMIT }),
+      get(`${path}/${symbol}`, { period: 'quarter', limit: QUARTERLY_LIMIT })
+    ]);
+    return {
+      annualReports: (annual || []).map(report => mapReport(report, 'annual')),
+      quarterlyReports: (quarterly || []).map(report => mapReport(report, 'quarterly'))
+    };
+  };
+
+  return {
+    name: 'fmp',
+
+    async search(query) {
+      const data = await get('search', { query, limit: 10 });
+      return (data || []).map(match => ({
+        symbol: match.symbol,
+        name: match.name,
+        type: null,
+        region: match.exchangeShortName || match.stockExchange || null,
+        currency: match.currency || null,
+        matchScore: null
+      }));
+    },
+
+    async getProfile(symbol) {
+      const data = await get(`profile/${symbol}`);
+      const profile = data?.[0];
+      if (!profile) {
+        throw new ProviderError('Company not found', 404);
+      }
+
+      const range = parseRange(profile.range);
+      const price = toNumberOrNull(profile.price);
+      const marketCap = toNumberOrNull(profile.mktCap);
+
+      return toCanonicalProfile({
+        symbol: profile.symbol,
+        name: profile.companyName,
+        description: profile.description,
+        exchange: profile.exchangeShortName,
+        currency: profile.currency,
+        country: profile.country,
+        sector: profile.sector,
+        industry: profile.industry,
+        fiscalYearEnd: null,
+        marketCap,
+        price,
+        beta: profile.beta,
+        sharesOutstanding: price && marketCap ? marketCap / price : null,
+        peRatio: null,
+        forwardPE: null,
+        priceToBook: null,
+        fiftyTwoWeekHigh: range.high,
+        fiftyTwoWeekLow: range.low
+      });
+    },
+
+    getIncomeStatements(symbol) {
+      return getStatements('income-statement', symbol, mapIncome);
+    },
+
+    getBalanceSheets(symbol) {
+      return getStatements('balance-sheet-statement', symbol, mapBalance);
+    },
+
+    getCashFlows(symbol) {
+      return getStatements('cash-flow-statement', symbol, mapCashFlow);
+    },
+
+    async getEarnings(symbol) {
+      const data = await get(`earnings-surprises/${symbol}`);
+      return {
+        quarterly: (data || []).map(item => {
+          const reported = toNumberOrNull(item.actualEarningResult);
+          const estimated = toNumberOrNull(item.estimatedEarning);
+          const surprise = reported !== null && estimated !== null ? reported - estimated : null;
+          return toCanonicalEarnings({
+            fiscalDateEnding: item.date,
+            reportedDate: item.date,
+            reportedEPS: reported,
+            estimatedEPS: estimated,
+            surprise,
+            surprisePercentage: surprise !== null && estimated ? (surprise / Math.abs(estimated)) * 100 : null
+          });
+        }),
+        // Not available from the surprises endpoint
+        annual: []
+      };
+    }
+  };
+};
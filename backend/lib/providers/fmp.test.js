@@ -0,0 +1,62 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createFmpProvider } from './fmp.js';
+
+const respond = (data, status = 200) => vi.fn().mockResolvedValue({ ok: status < 400, status, json: async () => data });
+
+describe('createFmpProvider', () => {
+  it('fetches annual and quarterly statements separately', async () => {
+    const fetch = vi.fn(async (url) => ({
+      ok: true,
+      status: 200,
+      json: async () => [{
+        date: url.includes('period=quarter') ? '2024-12-28' : '2024-09-28',
+        reportedCurrency: 'USD',
+        operatingCashFlow: 100,
+        capitalExpenditure: -20,
+        commonStockRepurchased: -50
+      }]
+    }));
+    const provider = createFmpProvider({ apiKey: 'key', fetch });
+
+    const { annualReports, quarterlyReports } = await provider.getCashFlows('AAPL');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(annualReports[0]).toMatchObject({ fiscalDateEnding: '2024-09-28', period: 'annual', capitalExpenditures: 20, shareRepurchases: 50 });
+    expect(quarterlyReports[0]).toMatchObject({ fiscalDateEnding: '2024-12-28', period: 'quarterly' });
+  });
+
+  it('leaves EBIT null so consumers fall back to operating income', async () => {
+    const provider = createFmpProvider({ apiKey: 'key', fetch: respond([{ date: '2024-09-28', revenue: 1000, operatingIncome: 300 }]) });
+
+    const [report] = (await provider.getIncomeStatements('AAPL')).annualReports;
+
+    expect(report.operatingIncome).toBe(300);
+    expect(report.ebit).toBe(null);
+  });
+
+  it('maps the profile and parses the 52-week range', async () => {
+    const provider = createFmpProvider({
+      apiKey: 'key',
+      fetch: respond([{ symbol: 'AAPL', companyName: 'Apple Inc.', mktCap: 3000, price: 200, beta: 1.2, range: '164.08-237.49' }])
+    });
+
+    const profile = await provider.getProfile('AAPL');
+
+    expect(profile).toMatchObject({ name: 'Apple Inc.', marketCap: 3000, price: 200, sharesOutstanding: 15, fiftyTwoWeekLow: 164.08, fiftyTwoWeekHigh: 237.49 });
+  });
+
+  it('derives earnings surprises', async () => {
+    const provider = createFmpProvider({ apiKey: 'key', fetch: respond([{ date: '2025-01-30', actualEarningResult: 2.4, estimatedEarning: 2.0 }]) });
+
+    const { quarterly } = await provider.getEarnings('AAPL');
+
+    expect(quarterly[0].surprise).toBeCloseTo(0.4, 6);
+    expect(quarterly[0].surprisePercentage).toBeCloseTo(20, 6);
+  });
+
+  it('maps HTTP errors to provider errors', async () => {
+    await expect(createFmpProvider({ apiKey: 'key', fetch: respond({}, 429) }).getProfile('AAPL')).rejects.toMatchObject({ status: 429 });
+    await expect(createFmpProvider({ apiKey: 'key', fetch: respond({ 'Error Message': 'Invalid API KEY.' }, 401) }).getProfile('AAPL')).rejects.toMatchObject({ status: 502 });
+    await expect(createFmpProvider({ apiKey: 'key', fetch: respond([]) }).getProfile('NOPE')).rejects.toMatchObject({ status: 404 });
+  });
+});
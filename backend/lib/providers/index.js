@@ -0,0 +1,92 @@
+/**
+ * Financial data provider registry
+ *
+ * Picks an adapter per request (`?provider=`) or from DATA_PROVIDER, and
+ * applies period selection (annual / quarterly / TTM) on top of the canonical
+ * statements every adapter returns. Adapters implement:
+ *
+ *   search(query)               -> [{ symbol, name, type, region, currency, matchScore }]
+ *   getProfile(symbol)          -> canonical profile
+ *   getIncomeStatements(symbol) -> { annualReports, quarterlyReports }
+ *   getBalanceSheets(symbol)    -> { annualReports, quarterlyReports }
+ *   getCashFlows(symbol)        -> { annualReports, quarterlyReports }
+ *   getEarnings(symbol)         -> { quarterly, annual }
+ */
+
+import { createAlphaVantageProvider } from './alphaVantage.js';
+import { createFmpProvider } from './fmp.js';
+import { createLocalProvider } from './local.js';
+import { createSecProvider } from './sec.js';
+import { ProviderError, sendProviderError } from './errors.js';
+import { selectReports } from '../periods.js';
+
+export { ProviderError, sendProviderError };
+
+export const PROVIDERS = ['alphavantage', 'fmp', 'local', 'sec'];
+
+export const DEFAULT_PROVIDER = 'alphavantage';
+
+// Where each provider's figures come from, as shown in prompts and reports
+export const DATA_SOURCE_LABELS = {
+  alphavantage: 'SEC filings via Alpha Vantage API',
+  fmp: 'Financial Modeling Prep API',
+  local: 'local data files',
+  sec: 'SEC EDGAR XBRL filings (as reported)'
+};
+
+// Route segment -> adapter method, and whether the statement is a flow (summed for TTM)
+export const STATEMENTS = {
+  'income-statement': { method: 'getIncomeStatements', isFlow: true },
+  'balance-sheet': { method: 'getBalanceSheets', isFlow: false },
+  'cash-flow': { method: 'getCashFlows', isFlow: true }
+};
+
+/**
+ * Resolve which provider to use
+ * @param {string|undefined} requested - Per-request choice, e.g. the `provider` query parameter
+ * @param {object} env - Environment (DATA_PROVIDER)
+ * @returns {string|null} A value from PROVIDERS, or null if the name is unknown
+ */
+export const resolveProviderName = (requested, env = process.env) => {
+  const name = String(requested || env.DATA_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  return PROVIDERS.includes(name) ? name : null;
+};
+
+/**
+ * Instantiate a provider adapter
+ * @param {string} name - A value from PROVIDERS
+ * @param {object} options
+ * @param {object} [options.env] - Environment with the vendor keys, LOCAL_DATA_DIR and SEC_DATA_DIR
+ * @param {Function} options.fetch - fetch-compatible function for FMP
+ * @param {Function} [options.alphaVantageFetch] - Rate-limited fetch for Alpha Vantage (defaults to fetch)
+ * @returns {object} Data provider
+ * @throws {ProviderError} When the provider is unknown or not configured
+ */
+export const createProvider = (name, { env = process.env, fetch, alphaVantageFetch = fetch } = {}) => {
+  switch (name) {
+    case 'alphavantage':
+      return createAlphaVantageProvider({ apiKey: env.ALPHA_VANTAGE_API_KEY, fetch: alphaVantageFetch });
+    case 'fmp':
+      return createFmpProvider({ apiKey: env.FMP_API_KEY, fetch });
+    case 'local':
+      return createLocalProvider({ dataDir: env.LOCAL_DATA_DIR });
+    case 'sec':
+      return createSecProvider({ dataDir: env.SEC_DATA_DIR || env.LOCAL_DATA_DIR });
+    default:
+      throw new ProviderError(`Unknown data provider: ${name}. Use one of ${PROVIDERS.join(', ')}`, 400);
+  }
+};
+
+/**
+ * Fetch one statement type for the requested period
+ * @param {object} provider - Data provider
+ * @param {string} statement - Key of STATEMENTS
+ * @param {string} symbol
+ * @param {string} period - 'annual' | 'quarterly' | 'ttm'
+ * @returns {Promise<Array>} Canonical reports, newest first (TTM report first when requested)
+ */
+export const getStatements = async (provider, statement, symbol, period) => {
+  const { method, isFlow } = STATEMENTS[statement];
+  const data = await provider[method](symbol);
+  return selectReports(data, period, { isFlow, numeric: true });
+};
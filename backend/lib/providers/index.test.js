@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+import { resolveProviderName, createProvider, getStatements, ProviderError } from './index.js';
+
+describe('resolveProviderName', () => {
+  it('prefers the per-request choice, then DATA_PROVIDER, then Alpha Vantage', () => {
+    expect(resolveProviderName('FMP', { DATA_PROVIDER: 'local' })).toBe('fmp');
+    expect(resolveProviderName(undefined, { DATA_PROVIDER: 'local' })).toBe('local');
+    expect(resolveProviderName(undefined, {})).toBe('alphavantage');
+  });
+
+  it('returns null for unknown providers', () => {
+    expect(resolveProviderName('bloomberg', {})).toBe(null);
+  });
+});
+
+describe('createProvider', () => {
+  it('routes Alpha Vantage through its rate-limited fetch', async () => {
+    const fetch = vi.fn();
+    const alphaVantageFetch = vi.fn().mockResolvedValue({ json: async () => ({ bestMatches: [] }) });
+    const provider = createProvider('alphavantage', { env: { ALPHA_VANTAGE_API_KEY: 'key' }, fetch, alphaVantageFetch });
+
+    await provider.search('apple');
+
+    expect(alphaVantageFetch).toHaveBeenCalledTimes(1);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('throws a provider error when the vendor is not configured', () => {
+    expect(() => createProvider('fmp', { env: {} })).toThrow(ProviderError);
+    expect(() => createProvider('fmp', { env: {} })).toThrow(/FMP API key/);
+  });
+});
+
+describe('getStatements', () => {
+  const quarter = (fiscalDateEnding, revenue) => ({ fiscalDateEnding, period: 'quarterly', currency: 'USD', revenue });
+  const provider = {
+    getIncomeStatements: async () => ({
+      annualReports: [{ fiscalDateEnding: '2024-12-31', period: 'annual', currency: 'USD', revenue: 400 }],
+      quarterlyReports: [quarter('2025-06-30', 130), quarter('2025-03-31', 120), quarter('2024-12-31', 110), quarter('2024-09-30', null)]
+    })
+  };
+
+  it('returns annual reports by default period', async () => {
+    expect(await getStatements(provider, 'income-statement', 'ACME', 'annual')).toHaveLength(1);
+  });
+
+  it('builds a numeric TTM report from canonical quarters', async () => {
+    const [ttm] = await getStatements(provider, 'income-statement', 'ACME', 'ttm');
+
+    expect(ttm.period).toBe('TTM');
+    expect(ttm.currency).toBe('USD');
+    // One quarter is missing revenue, so the TTM figure is unavailable rather than understated
+    expect(ttm.revenue).toBe(null);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Local directory adapter
+ *
+ * Serves canonical data from disk, for offline development, tests and
+ * companies no vendor covers. Layout (one directory per symbol):
+ *
+ *   <dataDir>/AAPL/profile.json
+ *   <dataDir>/AAPL/income-statement.json | .csv
+ *   <dataDir>/AAPL/balance-sheet.json    | .csv
+ *   <dataDir>/AAPL/cash-flow.json        | .csv
+ *   <dataDir>/AAPL/earnings.json         | .csv
+ *   <dataDir>/AAPL/transcripts/2024Q4.txt  (imported by lib/transcripts.js, not served here)
+ *
+ * JSON files use the canonical shapes from schema.js. CSV files have a header
+ * row of canonical field names plus a `period` column ('annual' | 'quarterly').
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import path from 'path';
+import { ProviderError } from './errors.js';
+import { symbolDir } from '../symbols.js';
+import {
+  toCanonicalProfile,
+  toCanonicalReport,
+  toCanonicalEarnings,
+  sortNewestFirst
+} from './schema.js';
+
+// Minimal RFC 4180 parsing: quoted fields, escaped quotes, CRLF
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) return [];
+  const keys = header.map(key => key.trim());
+  return records.map(record => Object.fromEntries(keys.map((key, index) => [key, record[index]?.trim() ?? ''])));
+};
+
+const isMissingFile = (error) => error.code === 'ENOENT';
+
+/**
+ * @param {object} options
+ * @param {string} options.dataDir - LOCAL_DATA_DIR
+ * @returns {object} Data provider
+ */
+export const createLocalProvider = ({ dataDir }) => {
+  if (!dataDir) {
+    throw new ProviderError('Local data directory not configured', 500);
+  }
+
+  // Reads <name>.json, falling back to <name>.csv; null when neither exists
+  const readDataFile = async (symbol, name) => {
+    const base = path.join(symbolDir(dataDir, symbol), name);
+    try {
+      return { format: 'json', data: JSON.parse(await readFile(`${base}.json`, 'utf8')) };
+    } catch (error) {
+      if (!isMissingFile(error)) throw new ProviderError(`Invalid ${name}.json for ${symbol}`, 502);
+    }
+    try {
+      return { format: 'csv', data: parseCSV(await readFile(`${base}.csv`, 'utf8')) };
+    } catch (error) {
+      if (!isMissingFile(error)) throw error;
+    }
+    return null;
+  };
+
+  const readStatements = async (symbol, name, statement) => {
+    const file = await readDataFile(symbol, name);
+    if (!file) {
+      throw new ProviderError(`No local ${name} data for ${symbol}`, 404);
+    }
+
+    const toReports = (rows, period) =>
+      sortNewestFirst(rows.map(row => toCanonicalReport(statement, { ...row, period })));
+
+    if (file.format === 'csv') {
+      return {
+        annualReports: toReports(file.data.filter(row => row.period !== 'quarterly'), 'annual'),
+        quarterlyReports: toReports(file.data.filter(row => row.period === 'quarterly'), 'quarterly')
+      };
+    }
+    return {
+      annualReports: toReports(file.data.annualReports || [], 'annual'),
+      quarterlyReports: toReports(file.data.quarterlyReports || [], 'quarterly')
+    };
+  };
+
+  const readProfile = async (symbol) => {
+    const file = await readDataFile(symbol, 'profile');
+    if (!file || file.format !== 'json') {
+      throw new ProviderError('Company not found', 404);
+    }
+    return toCanonicalProfile({ symbol: String(symbol).toUpperCase(), ...file.data });
+  };
+
+  return {
+    name: 'local',
+
+    async search(query) {
+      let entries;
+      try {
+        entries = await readdir(dataDir, { withFileTypes: true });
+      } catch (error) {
+        if (isMissingFile(error)) return [];
+        throw error;
+      }
+
+      const needle = String(query || '').toLowerCase();
+      const matches = [];
+      for (const entry of entries.filter(e => e.isDirectory())) {
+        const profile = await readProfile(entry.name).catch(() => null);
+        if (!profile) continue;
+        if (profile.symbol.toLowerCase().includes(needle) || profile.name?.toLowerCase().includes(needle)) {
+          matches.push({
+            symbol: profile.symbol,
+            name: profile.name,
+            type: null,
+            region: profile.country,
+            currency: profile.currency,
+            matchScore: null
+          });
+        }
+      }
+      return matches;
+    },
+
+    getProfile(symbol) {
+      return readProfile(symbol);
+    },
+
+    getIncomeStatements(symbol) {
+      return readStatements(symbol, 'income-statement', 'income');
+    },
+
+    getBalanceSheets(symbol) {
+      return readStatements(symbol, 'balance-sheet', 'balance');
+    },
+
+    getCashFlows(symbol) {
+      return readStatements(symbol, 'cash-flow', 'cashFlow');
+    },
+
+    async getEarnings(symbol) {
+      const file = await readDataFile(symbol, 'earnings');
+      if (!file) {
+        throw new ProviderError(`No local earnings data for ${symbol}`, 404);
+      }
+
+      if (file.format === 'csv') {
+        return {
+          quarterly: sortNewestFirst(file.data.filter(row => row.period !== 'annual').map(toCanonicalEarnings)),
+          annual: sortNewestFirst(file.data.filter(row => row.period === 'annual').map(toCanonicalEarnings))
+        };
+      }
+      return {
+        quarterly: sortNewestFirst((file.data.quarterly || []).map(toCanonicalEarnings)),
+        annual: sortNewestFirst((file.data.annual || []).map(toCanonicalEarnings))
+      };
+    }
+  };
+};
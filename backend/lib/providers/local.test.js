@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createLocalProvider, parseCSV } from './local.js';
+
+let dataDir;
+
+beforeAll(async () => {
+  dataDir = await mkdtemp(path.join(tmpdir(), 'local-provider-'));
+  const acme = path.join(dataDir, 'ACME');
+  await mkdir(acme);
+  await writeFile(path.join(acme, 'profile.json'), JSON.stringify({ name: 'Acme Corp', currency: 'USD', marketCap: 5000 }));
+  await writeFile(path.join(acme, 'income-statement.csv'), [
+    'fiscalDateEnding,period,currency,revenue,operatingIncome',
+    '2023-12-31,annual,USD,900,90',
+    '2024-12-31,annual,USD,1000,',
+    '2025-03-31,quarterly,USD,260,30'
+  ].join('\n'));
+  await writeFile(path.join(acme, 'balance-sheet.json'), JSON.stringify({
+    annualReports: [{ fiscalDateEnding: '2024-12-31', totalAssets: '2000', totalEquity: 1200 }]
+  }));
+});
+
+afterAll(async () => {
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+describe('parseCSV', () => {
+  it('handles quoted fields and CRLF line endings', () => {
+    expect(parseCSV('name,note\r\n"Acme, Inc","said ""hi"""\r\n')).toEqual([{ name: 'Acme, Inc', note: 'said "hi"' }]);
+  });
+});
+
+describe('createLocalProvider', () => {
+  it('reads statements from CSV, newest first, with blanks as null', async () => {
+    const provider = createLocalProvider({ dataDir });
+
+    const { annualReports, quarterlyReports } = await provider.getIncomeStatements('acme');
+
+    expect(annualReports.map(r => r.fiscalDateEnding)).toEqual(['2024-12-31', '2023-12-31']);
+    expect(annualReports[0]).toMatchObject({ revenue: 1000, operatingIncome: null, ebit: null });
+    expect(quarterlyReports).toHaveLength(1);
+  });
+
+  it('normalizes JSON statements and profiles', async () => {
+    const provider = createLocalProvider({ dataDir });
+
+    const { annualReports } = await provider.getBalanceSheets('ACME');
+    const profile = await provider.getProfile('ACME');
+
+    expect(annualReports[0]).toMatchObject({ period: 'annual', totalAssets: 2000, totalEquity: 1200, cash: null });
+    expect(profile).toMatchObject({ symbol: 'ACME', name: 'Acme Corp', marketCap: 5000, beta: null });
+  });
+
+  it('returns 404 for missing data and rejects path-like symbols', async () => {
+    const provider = createLocalProvider({ dataDir });
+
+    await expect(provider.getCashFlows('ACME')).rejects.toMatchObject({ status: 404 });
+    await expect(provider.getProfile('../ACME')).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('searches profiles by symbol or name', async () => {
+    const provider = createLocalProvider({ dataDir });
+
+    expect((await provider.search('acme')).map(match => match.symbol)).toEqual(['ACME']);
+    expect(await provider.search('globex')).toEqual([]);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Canonical financial data schema
+ *
+ * Every data provider adapter maps its vendor's payloads into these shapes so
+ * the rest of the backend never sees vendor field names. Amounts are numbers in
+ * the reporting currency; anything the vendor doesn't report is null (never 0).
+ * Outflows (capex, dividends, buybacks...) are stored as positive magnitudes.
+ *
+ * Statements: { annualReports: Report[], quarterlyReports: Report[] }, newest first,
+ * where Report = { fiscalDateEnding, period: 'annual'|'quarterly', currency, ...fields }.
+ */
+
+export const PROFILE_FIELDS = [
+  'symbol',
+  'name',
+  'description',
+  'exchange',
+  'currency',
+  'country',
+  'sector',
+  'industry',
+  'fiscalYearEnd',
+  'marketCap',
+  'price',
+  'beta',
+  'sharesOutstanding',
+  'peRatio',
+  'forwardPE',
+  'priceToBook',
+  'fiftyTwoWeekHigh',
+  'fiftyTwoWeekLow'
+];
+
+// Profile fields kept as text; all others are numeric
+const PROFILE_TEXT_FIELDS = new Set([
+  'symbol', 'name', 'description', 'exchange', 'currency', 'country', 'sector', 'industry', 'fiscalYearEnd'
+]);
+
+export const STATEMENT_FIELDS = {
+  income: [
+    'revenue',
+    'costOfRevenue',
+    'grossProfit',
+    'operatingExpenses',
+    'operatingIncome',
+    'ebit',
+    'ebitda',
+    'interestExpense',
+    'incomeBeforeTax',
+    'incomeTaxExpense',
+    'netIncome'
+  ],
+  balance: [
+    'totalAssets',
+    'totalCurrentAssets',
+    'cash',
+    'receivables',
+    'inventory',
+    'ppe',
+    'goodwill',
+    'intangibleAssets',
+    'totalLiabilities',
+    'totalCurrentLiabilities',
+    'accountsPayable',
+    'shortTermDebt',
+    'totalDebt',
+    'totalEquity',
+    'sharesOutstanding'
+  ],
+  cashFlow: [
+    'operatingCashFlow',
+    'capitalExpenditures',
+    'dividendsPaid',
+    'shareRepurchases',
+    'acquisitions',
+    'debtRepayment',
+    // The vendor's own figure, where it reports one; companyData derives OCF - capex regardless
+    'freeCashFlow'
+  ]
+};
+
+export const EARNINGS_FIELDS = ['reportedEPS', 'estimatedEPS', 'surprise', 'surprisePercentage'];
+
+/**
+ * Parse a vendor value into a number, treating blanks and "None" as missing
+ * @param {*} value
+ * @returns {number|null}
+ */
+export const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '' || value === 'None') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Absolute value of the first reported value, for outflows vendors sign inconsistently
+ * @param {...*} values - Candidate vendor values, in order of preference
+ * @returns {number|null}
+ */
+export const toMagnitude = (...values) => {
+  for (const value of values) {
+    const number = toNumberOrNull(value);
+    if (number !== null) return Math.abs(number);
+  }
+  return null;
+};
+
+const toTextOrNull = (value) => (value === null || value === undefined || value === '' || value === 'None' ? null : String(value));
+
+/**
+ * Build a canonical profile, filling unreported fields with null
+ * @param {object} values - Canonical field values
+ * @returns {object}
+ */
+export const toCanonicalProfile = (values) =>
+  Object.fromEntries(PROFILE_FIELDS.map(field => [
+    field,
+    PROFILE_TEXT_FIELDS.has(field) ? toTextOrNull(values[field]) : toNumberOrNull(values[field])
+  ]));
+
+/**
+ * Build a canonical statement report, filling unreported fields with null
+ * @param {string} statement - 'income' | 'balance' | 'cashFlow'
+ * @param {object} values - Canonical field values plus fiscalDateEnding, period and currency
+ * @returns {object}
+ */
+export const toCanonicalReport = (statement, values) => ({
+  fiscalDateEnding: values.fiscalDateEnding,
+  period: values.period,
+  currency: toTextOrNull(values.currency),
+  ...Object.fromEntries(STATEMENT_FIELDS[statement].map(field => [field, toNumberOrNull(values[field])]))
+});
+
+/**
+ * Build a canonical earnings record
+ * @param {object} values - fiscalDateEnding, reportedDate and EARNINGS_FIELDS
+ * @returns {object}
+ */
+export const toCanonicalEarnings = (values) => ({
+  fiscalDateEnding: values.fiscalDateEnding,
+  reportedDate: toTextOrNull(values.reportedDate),
+  ...Object.fromEntries(EARNINGS_FIELDS.map(field => [field, toNumberOrNull(values[field])]))
+});
+
+// Newest first, matching how vendors return reports
+export const sortNewestFirst = (reports) =>
+  [...reports].sort((a, b) => String(b.fiscalDateEnding).localeCompare(String(a.fiscalDateEnding)));
@@ -0,0 +1,382 @@
+/**
+ * SEC EDGAR companyfacts adapter
+ *
+ * Reads the XBRL "companyfacts" JSON the SEC publishes per filer
+ * (https://data.sec.gov/api/xbrl/companyfacts/CIK##########.json), dropped
+ * into the data directory or uploaded through /api/sec/companyfacts/:symbol:
+ *
+ *   <dataDir>/AAPL/companyfacts.json
+ *   <dataDir>/AAPL/profile.json    (optional, market data; see local.js)
+ *   <dataDir>/AAPL/earnings.json   (optional; see local.js)
+ *
+ * US-GAAP tags are mapped to the canonical statement fields (TAGS). Each value
+ * is taken as originally reported - from the earliest filing that reports it,
+ * so later restatements don't rewrite history - and every report carries
+ * `facts`: per field, the facts it came from as { tag, unit, accn, form, filed,
+ * start, end, val, sign }. Q4 is rarely filed on its own, so it is derived as
+ * the fiscal year less the nine-month year-to-date figure (sign -1).
+ */
+
+import { readFile, writeFile, mkdir, readdir, rename } from 'fs/promises';
+import path from 'path';
+import { ProviderError } from './errors.js';
+import { createLocalProvider } from './local.js';
+import { symbolDir } from '../symbols.js';
+import { toCanonicalProfile, toCanonicalReport, sortNewestFirst } from './schema.js';
+
+export const COMPANY_FACTS_FILE = 'companyfacts.json';
+
+// Candidate US-GAAP tags per canonical field, in order of preference; the first
+// one reported for a period is used. Fields without tags are left null.
+export const TAGS = {
+  income: {
+    revenue: [
+      'RevenueFromContractWithCustomerExcludingAssessedTax',
+      'Revenues',
+      'SalesRevenueNet',
+      'RevenueFromContractWithCustomerIncludingAssessedTax'
+    ],
+    costOfRevenue: ['CostOfRevenue', 'CostOfGoodsAndServicesSold', 'CostOfGoodsSold'],
+    grossProfit: ['GrossProfit'],
+    operatingExpenses: ['OperatingExpenses', 'CostsAndExpenses'],
+    operatingIncome: ['OperatingIncomeLoss'],
+    interestExpense: ['InterestExpense', 'InterestExpenseNonoperating', 'InterestExpenseDebt'],
+    incomeBeforeTax: [
+      'IncomeLossFromContinuingOperationsBeforeIncomeTaxesExtraordinaryItemsNoncontrollingInterest',
+      'IncomeLossFromContinuingOperationsBeforeIncomeTaxesMinorityInterestAndIncomeLossFromEquityMethodInvestments'
+    ],
+    incomeTaxExpense: ['IncomeTaxExpenseBenefit'],
+    netIncome: ['NetIncomeLoss']
+  },
+  balance: {
+    totalAssets: ['Assets'],
+    totalCurrentAssets: ['AssetsCurrent'],
+    cash: ['CashAndCashEquivalentsAtCarryingValue'],
+    receivables: ['AccountsReceivableNetCurrent'],
+    inventory: ['InventoryNet'],
+    ppe: ['PropertyPlantAndEquipmentNet'],
+    goodwill: ['Goodwill'],
+    intangibleAssets: ['IntangibleAssetsNetExcludingGoodwill', 'FiniteLivedIntangibleAssetsNet'],
+    totalLiabilities: ['Liabilities'],
+    totalCurrentLiabilities: ['LiabilitiesCurrent'],
+    accountsPayable: ['AccountsPayableCurrent'],
+    shortTermDebt: ['DebtCurrent', 'LongTermDebtCurrent'],
+    totalDebt: ['DebtLongtermAndShorttermCombinedAmount', 'LongTermDebt'],
+    totalEquity: ['StockholdersEquity', 'StockholdersEquityIncludingPortionAttributableToNoncontrollingInterest'],
+    sharesOutstanding: ['CommonStockSharesOutstanding']
+  },
+  cashFlow: {
+    operatingCashFlow: ['NetCashProvidedByUsedInOperatingActivities'],
+    capitalExpenditures: ['PaymentsToAcquirePropertyPlantAndEquipment', 'PaymentsToAcquireProductiveAssets'],
+    dividendsPaid: ['PaymentsOfDividends', 'PaymentsOfDividendsCommonStock'],
+    shareRepurchases: ['PaymentsForRepurchaseOfCommonStock'],
+    acquisitions: ['PaymentsToAcquireBusinessesNetOfCashAcquired'],
+    debtRepayment: ['RepaymentsOfLongTermDebt', 'RepaymentsOfDebt']
+  }
+};
+
+// Canonical outflows are positive magnitudes (see schema.js)
+const OUTFLOWS = new Set(['capitalExpenditures', 'dividendsPaid', 'shareRepurchases', 'acquisitions', 'debtRepayment']);
+
+// Flows whose annual periods define the fiscal years
+const ANCHORS = { income: ['revenue', 'netIncome'], cashFlow: ['operatingCashFlow'] };
+
+const SHARE_UNITS = new Set(['shares']);
+
+const ANNUAL_FORMS = /^(10-K|10-KT|20-F|40-F)(\/A)?$/;
+const QUARTERLY_FORMS = /^10-Q(\/A)?$/;
+
+// Duration windows in days, allowing for 52/53-week calendars
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isQuarter = (days) => days >= 80 && days <= 100;
+const isNineMonths = (days) => days >= 260 && days <= 285;
+const isYear = (days) => days >= 350 && days <= 380;
+
+// History kept, newest first
+const ANNUAL_LIMIT = 10;
+const QUARTERLY_LIMIT = 12;
+
+const durationDays = (fact) => (new Date(fact.end) - new Date(fact.start)) / DAY_MS;
+
+// The unit a tag reports in: USD when available, else its only currency
+const pickUnit = (units, shares) => {
+  const names = Object.keys(units || {}).filter(unit => (shares ? SHARE_UNITS.has(unit) : /^[A-Z]{3}$/.test(unit)));
+  return names.includes('USD') ? 'USD' : names[0] || null;
+};
+
+// Facts for one tag, originally reported values only: per period, the earliest filing's
+const factsFor = (json, tag, shares = false) => {
+  const units = json.facts?.['us-gaap']?.[tag]?.units;
+  const unit = pickUnit(units, shares);
+  if (!unit) return [];
+
+  const byPeriod = new Map();
+  for (const fact of units[unit]) {
+    if (!ANNUAL_FORMS.test(fact.form) && !QUARTERLY_FORMS.test(fact.form)) continue;
+    if (!Number.isFinite(fact.val)) continue;
+    const key = `${fact.start || ''}/${fact.end}`;
+    const existing = byPeriod.get(key);
+    if (!existing || fact.filed < existing.filed) byPeriod.set(key, fact);
+  }
+  return [...byPeriod.values()].map(fact => ({
+    tag,
+    unit,
+    accn: fact.accn,
+    form: fact.form,
+    filed: fact.filed,
+    start: fact.start || null,
+    end: fact.end,
+    val: fact.val,
+    sign: 1
+  }));
+};
+
+// The first tag with a fact matching `match`, as a list of the facts the value is built from
+const firstMatch = (factsByTag, tags, match) => {
+  for (const tag of tags) {
+    const found = match(factsByTag.get(tag));
+    if (found) return found;
+  }
+  return null;
+};
+
+const valueOf = (facts) => facts.reduce((sum, fact) => sum + fact.sign * fact.val, 0);
+
+// Flow value for the fiscal year ending `end`
+const annualFlow = (facts, end) => {
+  const fact = facts.find(candidate => candidate.end === end && candidate.start && isYear(durationDays(candidate)));
+  return fact ? [fact] : null;
+};
+
+// Flow value for the quarter ending `end`: reported directly, else FY less nine months YTD
+const quarterlyFlow = (facts, end) => {
+  const quarter = facts.find(candidate => candidate.end === end && candidate.start && isQuarter(durationDays(candidate)));
+  if (quarter) return [quarter];
+
+  const [year] = annualFlow(facts, end) || [];
+  if (!year) return null;
+  const nineMonths = facts.find(candidate =>
+    candidate.start === year.start && candidate.end < end && isNineMonths(durationDays(candidate)));
+  return nineMonths ? [year, { ...nineMonths, sign: -1 }] : null;
+};
+
+const instant = (facts, end) => {
+  const fact = facts.find(candidate => !candidate.start && candidate.end === end);
+  return fact ? [fact] : null;
+};
+
+const buildReports = (statement, factsByTag, ends, period, pick) => sortNewestFirst(ends.map(end => {
+  const values = {};
+  const sources = {};
+  let currency = null;
+
+  for (const [field, tags] of Object.entries(TAGS[statement])) {
+    const facts = firstMatch(factsByTag, tags, (candidates) => candidates && pick(candidates, end));
+    if (!facts) continue;
+    const value = valueOf(facts);
+    values[field] = OUTFLOWS.has(field) ? Math.abs(value) : value;
+    sources[field] = facts;
+    if (!currency && !SHARE_UNITS.has(facts[0].unit)) currency = facts[0].unit;
+  }
+
+  return { ...toCanonicalReport(statement, { ...values, fiscalDateEnding: end, period, currency }), facts: sources };
+}));
+
+/**
+ * Map a companyfacts document to canonical statements
+ * @param {object} json - companyfacts JSON
+ * @returns {object} { cik, entityName, income, balance, cashFlow, sharesOutstanding }: statements are
+ *   { annualReports, quarterlyReports } with per-field `facts` on each report; sharesOutstanding is
+ *   the latest dei cover-page figure, or null
+ * @throws {ProviderError} When the document has no US-GAAP facts
+ */
+export const parseCompanyFacts = (json) => {
+  if (!json?.facts?.['us-gaap']) {
+    throw new ProviderError('Not an SEC companyfacts document with US-GAAP facts', 422);
+  }
+
+  const factsByTag = new Map(Object.values(TAGS)
+    .flatMap(fields => Object.entries(fields))
+    .flatMap(([field, tags]) => tags.map(tag => [tag, factsFor(json, tag, field === 'sharesOutstanding')])));
+
+  // Fiscal years: ends of annual anchor flows filed on an annual form
+  const anchorFacts = Object.entries(ANCHORS)
+    .flatMap(([statement, fields]) => fields.flatMap(field => TAGS[statement][field]))
+    .flatMap(tag => factsByTag.get(tag));
+  const newest = (ends, limit) => [...new Set(ends)].sort().reverse().slice(0, limit);
+  const annualEnds = newest(anchorFacts
+    .filter(fact => fact.start && ANNUAL_FORMS.test(fact.form) && isYear(durationDays(fact)))
+    .map(fact => fact.end), ANNUAL_LIMIT);
+  const quarterEnds = newest([
+    ...anchorFacts.filter(fact => fact.start && isQuarter(durationDays(fact))).map(fact => fact.end),
+    ...annualEnds
+  ], QUARTERLY_LIMIT);
+
+  const statements = (statement, flowPick) => ({
+    annualReports: buildReports(statement, factsByTag, annualEnds, 'annual', flowPick ? annualFlow : instant),
+    quarterlyReports: buildReports(statement, factsByTag, quarterEnds, 'quarterly', flowPick ? quarterlyFlow : instant)
+      // A Q4 whose nine months weren't filed can't be derived; drop quarters with no anchor value
+      .filter(report => !flowPick || ANCHORS[statement].some(field => report[field] !== null))
+  });
+
+  const cover = json.facts.dei?.EntityCommonStockSharesOutstanding?.units?.shares || [];
+  const latestCover = [...cover].sort((a, b) => String(b.end).localeCompare(String(a.end)))[0];
+
+  return {
+    cik: json.cik ?? null,
+    entityName: json.entityName ?? null,
+    income: statements('income', true),
+    balance: statements('balance', false),
+    cashFlow: statements('cashFlow', true),
+    sharesOutstanding: latestCover?.val ?? null
+  };
+};
+
+/**
+ * What a companyfacts document covers, for the import routes
+ * @param {string} symbol
+ * @param {object} parsed - From parseCompanyFacts
+ * @returns {object} { symbol, cik, entityName, annualPeriods, quarterlyPeriods, missingFields } where
+ *   missingFields are canonical fields the latest annual report has no tag for
+ */
+export const summarizeCompanyFacts = (symbol, parsed) => {
+  const latest = ['income', 'balance', 'cashFlow'].map(statement => [statement, parsed[statement].annualReports[0]]);
+  return {
+    symbol,
+    cik: parsed.cik,
+    entityName: parsed.entityName,
+    annualPeriods: parsed.income.annualReports.map(report => report.fiscalDateEnding),
+    quarterlyPeriods: parsed.income.quarterlyReports.map(report => report.fiscalDateEnding),
+    missingFields: latest.flatMap(([statement, report]) =>
+      Object.keys(TAGS[statement]).filter(field => !report || report[field] === null))
+  };
+};
+
+/**
+ * Store an uploaded companyfacts document for a symbol, replacing any existing one
+ * @param {string} dataDir
+ * @param {string} symbol
+ * @param {object} json - companyfacts JSON
+ * @returns {Promise<object>} From summarizeCompanyFacts
+ * @throws {ProviderError} 400 for a bad symbol, 422 when the document isn't companyfacts
+ */
+export const saveCompanyFacts = async (dataDir, symbol, json) => {
+  const dir = symbolDir(dataDir, symbol);
+  const summary = summarizeCompanyFacts(String(symbol).toUpperCase(), parseCompanyFacts(json));
+
+  const file = path.join(dir, COMPANY_FACTS_FILE);
+  await mkdir(dir, { recursive: true });
+  await writeFile(`${file}.tmp`, JSON.stringify(json));
+  await rename(`${file}.tmp`, file);
+  return summary;
+};
+
+/**
+ * Read and parse the stored companyfacts document for a symbol
+ * @param {string} dataDir
+ * @param {string} symbol
+ * @returns {Promise<object>} From parseCompanyFacts
+ * @throws {ProviderError} 404 when there is none, 502 when it isn't valid companyfacts JSON
+ */
+export const loadCompanyFacts = async (dataDir, symbol) => {
+  const key = String(symbol).toUpperCase();
+  let text;
+  try {
+    text = await readFile(path.join(symbolDir(dataDir, symbol), COMPANY_FACTS_FILE), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new ProviderError(`No SEC companyfacts data for ${key}`, 404);
+    throw error;
+  }
+  try {
+    return parseCompanyFacts(JSON.parse(text));
+  } catch (error) {
+    throw error instanceof ProviderError ? error : new ProviderError(`Invalid ${COMPANY_FACTS_FILE} for ${key}`, 502);
+  }
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.dataDir - SEC_DATA_DIR, else LOCAL_DATA_DIR
+ * @returns {object} Data provider
+ */
+export const createSecProvider = ({ dataDir }) => {
+  if (!dataDir) {
+    throw new ProviderError('SEC data directory not configured', 500);
+  }
+  const local = createLocalProvider({ dataDir });
+
+  // Parsed once per provider, i.e. per request; the statements are read in parallel
+  const parsed = new Map();
+  const load = (symbol) => {
+    const key = String(symbol).toUpperCase();
+    if (!parsed.has(key)) parsed.set(key, loadCompanyFacts(dataDir, symbol));
+    return parsed.get(key);
+  };
+
+  const statement = (name) => async (symbol) => {
+    const { annualReports, quarterlyReports } = (await load(symbol))[name];
+    if (annualReports.length === 0 && quarterlyReports.length === 0) {
+      throw new ProviderError(`No ${name} facts in the SEC data for ${String(symbol).toUpperCase()}`, 404);
+    }
+    return { annualReports, quarterlyReports };
+  };
+
+  // Name and shares from the filings; market data from profile.json when present
+  const readProfile = async (symbol) => {
+    const facts = await load(symbol);
+    const profile = await local.getProfile(symbol).catch(() => null);
+    const reported = Object.fromEntries(Object.entries(profile || {}).filter(([, value]) => value !== null));
+    return toCanonicalProfile({
+      symbol: String(symbol).toUpperCase(),
+      name: facts.entityName,
+      currency: facts.income.annualReports[0]?.currency,
+      sharesOutstanding: facts.sharesOutstanding,
+      ...reported
+    });
+  };
+
+  return {
+    name: 'sec',
+
+    async search(query) {
+      let entries;
+      try {
+        entries = await readdir(dataDir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const needle = String(query || '').toLowerCase();
+      const matches = [];
+      for (const entry of entries.filter(e => e.isDirectory())) {
+        const profile = await readProfile(entry.name).catch(() => null);
+        if (!profile) continue;
+        if (profile.symbol.toLowerCase().includes(needle) || profile.name?.toLowerCase().includes(needle)) {
+          matches.push({
+            symbol: profile.symbol,
+            name: profile.name,
+            type: null,
+            region: profile.country,
+            currency: profile.currency,
+            matchScore: null
+          });
+        }
+      }
+      return matches;
+    },
+
+    getProfile(symbol) {
+      return readProfile(symbol);
+    },
+
+    getIncomeStatements: statement('income'),
+    getBalanceSheets: statement('balance'),
+    getCashFlows: statement('cashFlow'),
+
+    // companyfacts has no estimates; use earnings.json when present
+    getEarnings(symbol) {
+      return local.getEarnings(symbol);
+    }
+  };
+};
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { parseCompanyFacts, summarizeCompanyFacts, saveCompanyFacts, createSecProvider } from './sec.js';
+import { selectReports } from '../periods.js';
+
+const fact = (val, end, accn, form, filed, start) => ({ val, end, accn, form, filed, ...(start ? { start } : {}) });
+
+const K24 = ['0000000001-24-000010', '10-K', '2024-02-20'];
+const K23 = ['0000000001-23-000010', '10-K', '2023-02-21'];
+const Q3 = ['0000000001-23-000030', '10-Q', '2023-11-01'];
+const Q2 = ['0000000001-23-000020', '10-Q', '2023-08-01'];
+const Q1 = ['0000000001-23-000005', '10-Q', '2023-05-01'];
+
+// Fiscal years 2022 and 2023 (calendar), with 2023's quarters filed on 10-Qs
+const companyFacts = {
+  cik: 1,
+  entityName: 'Acme Corp',
+  facts: {
+    dei: {
+      EntityCommonStockSharesOutstanding: { units: { shares: [fact(98, '2024-02-01', ...K24), fact(100, '2023-02-01', ...K23)] } }
+    },
+    'us-gaap': {
+      // The tag changed between years; each year uses the one it was filed under
+      Revenues: { units: { USD: [fact(900, '2022-12-31', ...K23, '2022-01-01')] } },
+      RevenueFromContractWithCustomerExcludingAssessedTax: {
+        units: {
+          USD: [
+            fact(1000, '2023-12-31', ...K24, '2023-01-01'),
+            fact(240, '2023-03-31', ...Q1, '2023-01-01'),
+            fact(250, '2023-06-30', ...Q2, '2023-04-01'),
+            fact(255, '2023-09-30', ...Q3, '2023-07-01'),
+            fact(745, '2023-09-30', ...Q3, '2023-01-01')
+          ]
+        }
+      },
+      NetIncomeLoss: {
+        units: {
+          USD: [
+            fact(100, '2023-12-31', ...K24, '2023-01-01'),
+            // Restated in the next 10-K; the original figure is kept
+            fact(80, '2022-12-31', ...K23, '2022-01-01'),
+            fact(75, '2022-12-31', ...K24, '2022-01-01')
+          ]
+        }
+      },
+      PaymentsToAcquirePropertyPlantAndEquipment: {
+        units: { USD: [fact(120, '2023-12-31', ...K24, '2023-01-01'), fact(90, '2023-09-30', ...Q3, '2023-01-01')] }
+      },
+      NetCashProvidedByUsedInOperatingActivities: {
+        units: { USD: [fact(300, '2023-12-31', ...K24, '2023-01-01'), fact(200, '2023-09-30', ...Q3, '2023-01-01')] }
+      },
+      Assets: {
+        units: {
+          USD: [
+            fact(2000, '2023-12-31', ...K24),
+            fact(1900, '2022-12-31', ...K23),
+            fact(1900, '2022-12-31', ...Q1),
+            fact(1950, '2023-09-30', ...Q3)
+          ]
+        }
+      },
+      // Filed on an 8-K, which isn't a periodic report
+      StockholdersEquity: { units: { USD: [fact(1200, '2023-12-31', '0000000001-24-000001', '8-K', '2024-01-30')] } }
+    }
+  }
+};
+
+describe('parseCompanyFacts', () => {
+  const parsed = parseCompanyFacts(companyFacts);
+
+  it('maps each fiscal year from the tag it was filed under, as originally reported', () => {
+    const [fy2023, fy2022] = parsed.income.annualReports;
+
+    expect(fy2023).toMatchObject({ fiscalDateEnding: '2023-12-31', period: 'annual', currency: 'USD', revenue: 1000, netIncome: 100, ebit: null });
+    expect(fy2022).toMatchObject({ fiscalDateEnding: '2022-12-31', revenue: 900, netIncome: 80 });
+    expect(fy2022.facts.revenue).toEqual([{
+      tag: 'Revenues', unit: 'USD', accn: K23[0], form: '10-K', filed: '2023-02-21', start: '2022-01-01', end: '2022-12-31', val: 900, sign: 1
+    }]);
+    expect(fy2022.facts.netIncome[0].accn).toBe(K23[0]);
+  });
+
+  it('derives Q4 as the fiscal year less nine months year to date', () => {
+    const quarters = parsed.income.quarterlyReports;
+
+    expect(quarters.map(report => [report.fiscalDateEnding, report.revenue])).toEqual([
+      ['2023-12-31', 255],
+      ['2023-09-30', 255],
+      ['2023-06-30', 250],
+      ['2023-03-31', 240]
+    ]);
+    expect(quarters[0].facts.revenue.map(source => [source.accn, source.sign])).toEqual([[K24[0], 1], [Q3[0], -1]]);
+
+    // Quarters whose figures were never filed are left out
+    expect(parsed.cashFlow.quarterlyReports.map(report => [report.fiscalDateEnding, report.operatingCashFlow, report.capitalExpenditures]))
+      .toEqual([['2023-12-31', 100, 30]]);
+  });
+
+  it('reads balances at period ends and ignores non-periodic filings', () => {
+    expect(parsed.balance.annualReports.map(report => [report.fiscalDateEnding, report.totalAssets, report.totalEquity]))
+      .toEqual([['2023-12-31', 2000, null], ['2022-12-31', 1900, null]]);
+    expect(parsed.balance.annualReports[1].facts.totalAssets[0].accn).toBe(K23[0]);
+    expect(parsed.sharesOutstanding).toBe(98);
+  });
+
+  it('sums TTM figures and cites every quarter', () => {
+    const [ttm] = selectReports(parsed.income, 'ttm', { isFlow: true, numeric: true });
+
+    expect(ttm).toMatchObject({ period: 'annual', revenue: 1000 });
+    const [fromQuarters] = selectReports(
+      { ...parsed.income, annualReports: parsed.income.annualReports.slice(1) }, 'ttm', { isFlow: true, numeric: true }
+    );
+    expect(fromQuarters).toMatchObject({ period: 'TTM', revenue: 1000 });
+    expect(fromQuarters.facts.revenue.map(source => source.accn)).toEqual([K24[0], Q3[0], Q3[0], Q2[0], Q1[0]]);
+    expect(fromQuarters.facts.netIncome).toBeUndefined();
+  });
+
+  it('summarizes coverage and rejects other documents', () => {
+    expect(summarizeCompanyFacts('ACME', parsed)).toMatchObject({
+      symbol: 'ACME',
+      cik: 1,
+      entityName: 'Acme Corp',
+      annualPeriods: ['2023-12-31', '2022-12-31'],
+      quarterlyPeriods: ['2023-12-31', '2023-09-30', '2023-06-30', '2023-03-31']
+    });
+    expect(summarizeCompanyFacts('ACME', parsed).missingFields).toContain('totalEquity');
+    expect(() => parseCompanyFacts({ facts: { 'ifrs-full': {} } })).toThrow(/US-GAAP/);
+  });
+});
+
+describe('createSecProvider', () => {
+  let dataDir;
+
+  beforeAll(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'sec-provider-'));
+  });
+
+  afterAll(async () => {
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('serves uploaded companyfacts with market data from profile.json', async () => {
+    await saveCompanyFacts(dataDir, 'acme', companyFacts);
+    await mkdir(path.join(dataDir, 'ACME'), { recursive: true });
+    await writeFile(path.join(dataDir, 'ACME', 'profile.json'), JSON.stringify({ marketCap: 5000, beta: 1.1 }));
+    const provider = createSecProvider({ dataDir });
+
+    expect(await provider.getProfile('ACME')).toMatchObject({ symbol: 'ACME', name: 'Acme Corp', marketCap: 5000, sharesOutstanding: 98 });
+    expect((await provider.getIncomeStatements('acme')).annualReports[0].revenue).toBe(1000);
+    expect((await provider.search('acme')).map(match => match.symbol)).toEqual(['ACME']);
+  });
+
+  it('returns 404 without a companyfacts file and 400 for path-like symbols', async () => {
+    const provider = createSecProvider({ dataDir });
+
+    await expect(provider.getBalanceSheets('NONE')).rejects.toMatchObject({ status: 404 });
+    await expect(provider.getProfile('../ACME')).rejects.toMatchObject({ status: 400 });
+    await expect(saveCompanyFacts(dataDir, 'ACME', { facts: {} })).rejects.toMatchObject({ status: 422 });
+  });
+});
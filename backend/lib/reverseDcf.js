@@ -0,0 +1,166 @@
+/**
+ * Reverse DCF ("market-implied expectations")
+ *
+ * Following Mauboussin and Rappaport's Expectations Investing: rather than
+ * forecasting cash flows to get a value, start from the price the market is
+ * paying and solve for the growth and competitive advantage period (CAP) it
+ * implies. Operating margin is held at today's level, so NOPAT grows with sales.
+ *
+ * Value = Σ FCF_t / (1 + WACC)^t + (NOPAT_CAP / WACC) / (1 + WACC)^CAP
+ * FCF_t = NOPAT_t × (1 - reinvestment rate)
+ * After the CAP, new investment earns only its cost of capital, so the residual
+ * value is a no-growth perpetuity.
+ */
+
+// Forecast horizon used when solving for implied growth
+export const DEFAULT_FORECAST_YEARS = 10;
+
+// Share of NOPAT reinvested when history doesn't let us derive it
+export const DEFAULT_REINVESTMENT_RATE = 0.3;
+
+const MAX_CAP_YEARS = 60;
+const GROWTH_BOUNDS = [-0.5, 1];
+const SOLVER_TOLERANCE = 1e-7;
+const SOLVER_ITERATIONS = 200;
+
+const toNumber = (value) => (Number.isFinite(value) ? value : 0);
+
+/**
+ * Present value of the firm's operations for a given growth path
+ * @param {object} params
+ * @param {number} params.nopat - Current NOPAT
+ * @param {number} params.growth - Annual sales (and NOPAT) growth
+ * @param {number} params.years - Competitive advantage period
+ * @param {number} params.wacc - Discount rate
+ * @param {number} params.reinvestmentRate - Share of NOPAT reinvested each year
+ * @returns {number}
+ */
+export const valueOperations = ({ nopat, growth, years, wacc, reinvestmentRate }) => {
+  let value = 0;
+  let yearNopat = nopat;
+
+  for (let t = 1; t <= years; t++) {
+    yearNopat *= 1 + growth;
+    value += (yearNopat * (1 - reinvestmentRate)) / Math.pow(1 + wacc, t);
+  }
+
+  const residualValue = yearNopat / wacc;
+  return value + residualValue / Math.pow(1 + wacc, years);
+};
+
+/**
+ * Reinvestment rate from the most recent change in invested capital, if plausible
+ * @param {object|null} historicalROIC - Output of calculateHistoricalROIC
+ * @returns {{rate: number, source: 'historical'|'default'}}
+ */
+export const deriveReinvestmentRate = (historicalROIC) => {
+  const years = historicalROIC?.years || [];
+  if (years.length >= 2) {
+    const last = years[years.length - 1];
+    const prior = years[years.length - 2];
+    if (last.nopat > 0 && Number.isFinite(last.investedCapital) && Number.isFinite(prior.investedCapital)) {
+      const rate = (last.investedCapital - prior.investedCapital) / last.nopat;
+      if (rate >= 0 && rate < 1) {
+        return { rate, source: 'historical' };
+      }
+    }
+  }
+  return { rate: DEFAULT_REINVESTMENT_RATE, source: 'default' };
+};
+
+// Bisection on an increasing function; null when the target is outside the bracket
+const solveIncreasing = (fn, target, [low, high]) => {
+  let lo = low;
+  let hi = high;
+  if (fn(lo) > target || fn(hi) < target) return null;
+
+  for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2;
+    if (fn(mid) < target) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+    if (hi - lo < SOLVER_TOLERANCE) break;
+  }
+  return (lo + hi) / 2;
+};
+
+/**
+ * Solve for the expectations embedded in the current market value
+ * @param {object} inputs
+ * @param {number} inputs.marketCap - Equity market value
+ * @param {number} inputs.netDebt - Total debt less cash
+ * @param {number} inputs.nopat - Current NOPAT
+ * @param {number} inputs.wacc - Cost of capital (decimal)
+ * @param {number} inputs.roic - Current ROIC, used for the self-funded baseline growth
+ * @param {number} inputs.reinvestmentRate - Share of NOPAT reinvested
+ * @param {number} inputs.forecastYears - Horizon for the implied growth solve
+ * @returns {object} Structured implied expectations, or { available: false, reason }
+ */
+export const solveReverseDCF = ({
+  marketCap,
+  netDebt = 0,
+  nopat,
+  wacc,
+  roic = null,
+  reinvestmentRate = DEFAULT_REINVESTMENT_RATE,
+  forecastYears = DEFAULT_FORECAST_YEARS
+}) => {
+  if (!(marketCap > 0)) return { available: false, reason: 'Market capitalization not available' };
+  if (!(nopat > 0)) return { available: false, reason: 'NOPAT is not positive' };
+  if (!(wacc > 0)) return { available: false, reason: 'WACC not available' };
+
+  const enterpriseValue = marketCap + toNumber(netDebt);
+  if (!(enterpriseValue > 0)) return { available: false, reason: 'Enterprise value is not positive' };
+
+  const base = { nopat, wacc, reinvestmentRate };
+  const horizon = Number.isFinite(forecastYears) ? Math.max(1, Math.round(forecastYears)) : DEFAULT_FORECAST_YEARS;
+
+  // Value of today's NOPAT as a perpetuity; anything above it is priced-in future value creation
+  const steadyStateValue = nopat / wacc;
+
+  const impliedGrowth = reinvestmentRate < 1
+    ? solveIncreasing(
+      growth => valueOperations({ ...base, growth, years: horizon }),
+      enterpriseValue,
+      GROWTH_BOUNDS
+    )
+    : null;
+
+  // Implied CAP at the growth the business can fund itself: reinvestment rate × ROIC
+  const baselineGrowth = Number.isFinite(roic) ? reinvestmentRate * roic : null;
+  let impliedCAP = null;
+  if (baselineGrowth !== null) {
+    for (let years = 0; years <= MAX_CAP_YEARS; years++) {
+      if (valueOperations({ ...base, growth: baselineGrowth, years }) >= enterpriseValue) {
+        impliedCAP = years;
+        break;
+      }
+    }
+  }
+
+  return {
+    available: true,
+    inputs: {
+      marketCap,
+      netDebt: toNumber(netDebt),
+      enterpriseValue,
+      nopat,
+      wacc,
+      reinvestmentRate,
+      forecastYears: horizon
+    },
+    steadyStateValue,
+    futureValueShare: 1 - steadyStateValue / enterpriseValue,
+    // null when no growth within growthBounds reproduces the enterprise value (or reinvestment is 100%+)
+    impliedGrowth,
+    growthBounds: GROWTH_BOUNDS,
+    // Return on new capital needed to produce the implied growth with this much reinvestment
+    impliedROIC: impliedGrowth !== null && reinvestmentRate > 0 ? impliedGrowth / reinvestmentRate : null,
+    // impliedCAP is null either way: beyond maxCAPYears, or not computed without ROIC (baselineGrowth null)
+    baselineGrowth,
+    impliedCAP,
+    maxCAPYears: MAX_CAP_YEARS
+  };
+};
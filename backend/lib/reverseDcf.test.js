@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  solveReverseDCF,
+  valueOperations,
+  deriveReinvestmentRate,
+  DEFAULT_REINVESTMENT_RATE
+} from './reverseDcf.js';
+
+describe('valueOperations', () => {
+  it('reduces to NOPAT / WACC with no growth period', () => {
+    expect(valueOperations({ nopat: 100, growth: 0.1, years: 0, wacc: 0.1, reinvestmentRate: 0.3 })).toBeCloseTo(1000, 6);
+  });
+
+  it('increases with growth', () => {
+    const params = { nopat: 100, years: 10, wacc: 0.08, reinvestmentRate: 0.3 };
+
+    expect(valueOperations({ ...params, growth: 0.1 })).toBeGreaterThan(valueOperations({ ...params, growth: 0.05 }));
+  });
+});
+
+describe('deriveReinvestmentRate', () => {
+  it('uses the latest change in invested capital', () => {
+    const result = deriveReinvestmentRate({
+      years: [
+        { nopat: 90, investedCapital: 1000 },
+        { nopat: 100, investedCapital: 1040 }
+      ]
+    });
+
+    expect(result.rate).toBeCloseTo(0.4, 6);
+    expect(result.source).toBe('historical');
+  });
+
+  it('falls back to the default for implausible or missing history', () => {
+    expect(deriveReinvestmentRate(null)).toEqual({ rate: DEFAULT_REINVESTMENT_RATE, source: 'default' });
+    expect(deriveReinvestmentRate({
+      years: [
+        { nopat: 90, investedCapital: 1000 },
+        { nopat: 100, investedCapital: 900 }
+      ]
+    }).source).toBe('default');
+  });
+});
+
+describe('solveReverseDCF', () => {
+  const inputs = { marketCap: 2000, netDebt: 0, nopat: 100, wacc: 0.08, roic: 0.2, reinvestmentRate: 0.3 };
+
+  it('reports unavailable without market cap or positive NOPAT', () => {
+    expect(solveReverseDCF({ ...inputs, marketCap: null }).available).toBe(false);
+    expect(solveReverseDCF({ ...inputs, nopat: -5 }).reason).toMatch(/NOPAT/);
+  });
+
+  it('solves for the growth that reproduces the enterprise value', () => {
+    const result = solveReverseDCF(inputs);
+    const value = valueOperations({ nopat: 100, growth: result.impliedGrowth, years: 10, wacc: 0.08, reinvestmentRate: 0.3 });
+
+    expect(result.available).toBe(true);
+    expect(value).toBeCloseTo(2000, 2);
+    expect(result.impliedROIC).toBeCloseTo(result.impliedGrowth / 0.3, 6);
+  });
+
+  it('implies negative growth when the price is below steady-state value', () => {
+    const result = solveReverseDCF({ ...inputs, marketCap: 1000 });
+
+    expect(result.futureValueShare).toBeLessThan(0);
+    expect(result.impliedGrowth).toBeLessThan(0);
+    expect(result.impliedCAP).toBe(0);
+  });
+
+  it('solves for the competitive advantage period at self-funded growth', () => {
+    const result = solveReverseDCF(inputs);
+
+    expect(result.baselineGrowth).toBeCloseTo(0.06, 6);
+    expect(result.impliedCAP).toBeGreaterThan(0);
+    const atCap = valueOperations({ nopat: 100, growth: 0.06, years: result.impliedCAP, wacc: 0.08, reinvestmentRate: 0.3 });
+    const beforeCap = valueOperations({ nopat: 100, growth: 0.06, years: result.impliedCAP - 1, wacc: 0.08, reinvestmentRate: 0.3 });
+    expect(atCap).toBeGreaterThanOrEqual(2000);
+    expect(beforeCap).toBeLessThan(2000);
+  });
+
+  it('leaves growth and CAP null when the solver has nothing to report', () => {
+    const outOfRange = solveReverseDCF({ ...inputs, marketCap: 1e9 });
+    const withoutROIC = solveReverseDCF({ ...inputs, roic: null });
+
+    expect(outOfRange.impliedGrowth).toBe(null);
+    expect(outOfRange.growthBounds).toEqual([-0.5, 1]);
+    expect(withoutROIC.baselineGrowth).toBe(null);
+    expect(withoutROIC.impliedCAP).toBe(null);
+  });
+
+  it('includes net debt in the enterprise value', () => {
+    const result = solveReverseDCF({ ...inputs, netDebt: 500 });
+
+    expect(result.inputs.enterpriseValue).toBe(2500);
+  });
+});
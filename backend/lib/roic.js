@@ -0,0 +1,257 @@
+/**
+ * Deterministic ROIC engine
+ *
+ * Computes NOPAT, invested capital, ROIC and its DuPont drivers directly from
+ * the companyData payload sent to /api/analyze, so the figures are identical on
+ * every run and can be injected into the prompt as verified inputs.
+ */
+
+// Fallback when the reported effective rate is unusable (tax benefit, no pre-tax income, etc.)
+export const STATUTORY_TAX_RATE = 0.21;
+
+const toNumber = (value) => (Number.isFinite(value) ? value : 0);
+
+const difference = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? a - b : null);
+
+// Reads reported amounts for one calculation; unreported ones are listed in missing
+const createInputs = (source = {}) => {
+  const missing = [];
+  return {
+    missing,
+    // The amount, or null when it isn't reported
+    required: (field) => {
+      if (Number.isFinite(source[field])) return source[field];
+      missing.push(field);
+      return null;
+    },
+    // The amount, or 0 when it isn't reported (e.g. no goodwill line)
+    optional: (field) => {
+      if (Number.isFinite(source[field])) return source[field];
+      missing.push(field);
+      return 0;
+    }
+  };
+};
+
+const safeDivide = (numerator, denominator) => {
+  if (!Number.isFinite(numerator) || !Number.isFinite(denominator) || denominator === 0) {
+    return null;
+  }
+  return numerator / denominator;
+};
+
+/**
+ * Use the reported effective tax rate when it is plausible, otherwise the statutory rate
+ * @param {number} taxRate - Effective tax rate as a decimal
+ * @returns {number}
+ */
+export const resolveTaxRate = (taxRate) => {
+  if (Number.isFinite(taxRate) && taxRate >= 0 && taxRate < 1) {
+    return taxRate;
+  }
+  return STATUTORY_TAX_RATE;
+};
+
+/**
+ * NOPAT = EBIT × (1 - tax rate)
+ * @param {object} incomeStatement - companyData.incomeStatement
+ * @returns {{ebit: number|null, taxRate: number, nopat: number|null, missingInputs: string[]}}
+ *   ebit and nopat are null when neither EBIT nor operating income is reported; missingInputs
+ *   names the unreported fields (a missing tax rate falls back to the statutory rate)
+ */
+export const calculateNOPAT = (incomeStatement = {}) => {
+  const { ebit: reportedEbit, operatingIncome } = incomeStatement;
+  // Alpha Vantage leaves ebit empty for some filers; operating income is the closest proxy
+  const ebit = [reportedEbit, operatingIncome].find(value => Number.isFinite(value) && value !== 0)
+    ?? [reportedEbit, operatingIncome].find(Number.isFinite)
+    ?? null;
+  const taxRate = resolveTaxRate(incomeStatement.taxRate);
+
+  return {
+    ebit,
+    taxRate,
+    nopat: ebit === null ? null : ebit * (1 - taxRate),
+    missingInputs: [
+      ...(ebit === null ? ['ebit'] : []),
+      ...(Number.isFinite(incomeStatement.taxRate) ? [] : ['taxRate'])
+    ]
+  };
+};
+
+/**
+ * Invested capital from both sides of the balance sheet.
+ * Operating approach: operating working capital + PP&E + goodwill + intangibles
+ * Financing approach: total equity + total debt - cash
+ * All cash is treated as excess (non-operating) since we cannot split it reliably.
+ * Current assets, current liabilities, PP&E and equity are required; the other lines count
+ * as 0 when unreported, since filers without goodwill or debt often omit the line.
+ * @param {object} balanceSheet - companyData.balanceSheet
+ * @returns {{operating: object, financing: object, totalIC: number|null, missingInputs: string[]}}
+ *   a total is null when one of its required lines is unreported
+ */
+export const calculateInvestedCapital = (balanceSheet = {}) => {
+  const inputs = createInputs(balanceSheet);
+  const currentAssets = inputs.required('currentAssets');
+  const currentLiabilities = inputs.required('currentLiabilities');
+  const cash = inputs.optional('cash');
+  const shortTermDebt = inputs.optional('shortTermDebt');
+  const longTermDebt = inputs.optional('longTermDebt');
+  const ppe = inputs.required('ppe');
+  const goodwill = inputs.optional('goodwill');
+  const intangibles = inputs.optional('intangibleAssets');
+  const totalEquity = inputs.required('totalEquity');
+
+  // Interest-bearing debt is financing, not operating, so it comes out of current liabilities
+  const netWorkingCapital = difference(difference(currentAssets, cash), difference(currentLiabilities, shortTermDebt));
+  const operatingTotal = netWorkingCapital === null || ppe === null ? null : netWorkingCapital + ppe + goodwill + intangibles;
+
+  const totalDebt = shortTermDebt + longTermDebt;
+  const financingTotal = totalEquity === null ? null : totalEquity + totalDebt - cash;
+
+  return {
+    operating: {
+      currentAssets,
+      currentLiabilities,
+      cash,
+      shortTermDebt,
+      netWorkingCapital,
+      ppe,
+      goodwill,
+      intangibles,
+      total: operatingTotal
+    },
+    financing: {
+      totalEquity,
+      totalDebt,
+      cash,
+      total: financingTotal
+    },
+    totalIC: operatingTotal,
+    missingInputs: inputs.missing
+  };
+};
+
+/**
+ * Full ROIC calculation for the current fiscal year
+ * @param {object} companyData - Payload accepted by /api/analyze
+ * @param {object} options
+ * @param {number|null} options.wacc - Cost of capital (decimal) for the economic spread
+ * @returns {object} Numeric ROIC metrics (ratios as decimals, currency in reporting units); figures
+ *   whose inputs are unreported are null, and missingInputs lists those inputs as companyData paths
+ */
+export const calculateROIC = (companyData = {}, { wacc = null } = {}) => {
+  const { ebit, taxRate, nopat, missingInputs: incomeMissing } = calculateNOPAT(companyData.incomeStatement);
+  const { missingInputs: balanceMissing, ...investedCapital } = calculateInvestedCapital(companyData.balanceSheet);
+  const revenue = Number.isFinite(companyData.incomeStatement?.revenue) ? companyData.incomeStatement.revenue : null;
+
+  // Negative invested capital (e.g. large negative working capital) makes ROIC meaningless
+  const roic = investedCapital.totalIC > 0 ? safeDivide(nopat, investedCapital.totalIC) : null;
+  const roicFinancing = investedCapital.financing.total > 0
+    ? safeDivide(nopat, investedCapital.financing.total)
+    : null;
+
+  const nopatMargin = safeDivide(nopat, revenue);
+  const capitalTurnover = investedCapital.totalIC > 0 ? safeDivide(revenue, investedCapital.totalIC) : null;
+
+  const hasWacc = Number.isFinite(wacc) && roic !== null;
+  const spread = hasWacc ? roic - wacc : null;
+
+  return {
+    ebit,
+    taxRate,
+    nopat,
+    revenue,
+    investedCapital,
+    roic,
+    roicFinancing,
+    dupont: {
+      nopatMargin,
+      capitalTurnover
+    },
+    valueCreation: {
+      wacc: Number.isFinite(wacc) ? wacc : null,
+      spread,
+      economicProfit: spread !== null ? spread * investedCapital.totalIC : null
+    },
+    missingInputs: [
+      ...incomeMissing.map(field => `incomeStatement.${field}`),
+      ...(revenue === null ? ['incomeStatement.revenue'] : []),
+      ...balanceMissing.map(field => `balanceSheet.${field}`)
+    ]
+  };
+};
+
+// Change in ROIC (percentage points) below which the trend counts as stable
+const TREND_THRESHOLD = 0.02;
+
+/**
+ * ROIC, NOPAT and invested capital for every year in historicalData, plus
+ * incremental ROIC (ΔNOPAT / ΔIC) between consecutive years.
+ * Years are paired across statements by fiscal date and returned oldest first.
+ * @param {object} historicalData - companyData.historicalData
+ * @returns {object|null} Yearly series and summary, or null without history
+ */
+export const calculateHistoricalROIC = (historicalData) => {
+  const incomeStatements = historicalData?.incomeStatements || [];
+  const balanceSheets = historicalData?.balanceSheets || [];
+  if (incomeStatements.length === 0 || balanceSheets.length === 0) return null;
+
+  const balanceByYear = new Map(balanceSheets.map(bs => [bs.fiscalYear, bs]));
+
+  const years = incomeStatements
+    .filter(income => balanceByYear.has(income.fiscalYear))
+    .map(income => {
+      const balance = balanceByYear.get(income.fiscalYear);
+      const { nopat, taxRate } = calculateNOPAT(income);
+      const { operating, financing } = calculateInvestedCapital({
+        ...balance,
+        // Historical rows carry total debt; the current-year shape splits it
+        longTermDebt: Number.isFinite(balance.totalDebt) ? balance.totalDebt - toNumber(balance.shortTermDebt) : null
+      });
+
+      // Older payloads only have equity/debt per year, and some years lack a required
+      // operating line, so use the financing approach for them
+      const hasOperatingDetail = balance.currentAssets !== undefined && operating.total !== null;
+      const investedCapital = hasOperatingDetail ? operating.total : financing.total;
+
+      return {
+        fiscalYear: income.fiscalYear,
+        revenue: Number.isFinite(income.revenue) ? income.revenue : null,
+        taxRate,
+        nopat,
+        investedCapital,
+        method: hasOperatingDetail ? 'operating' : 'financing',
+        roic: investedCapital > 0 ? safeDivide(nopat, investedCapital) : null
+      };
+    })
+    .sort((a, b) => String(a.fiscalYear).localeCompare(String(b.fiscalYear)));
+
+  if (years.length === 0) return null;
+
+  years.forEach((year, i) => {
+    const prior = years[i - 1];
+    year.incrementalROIC = prior
+      ? safeDivide(difference(year.nopat, prior.nopat), difference(year.investedCapital, prior.investedCapital))
+      : null;
+  });
+
+  const first = years[0];
+  const last = years[years.length - 1];
+  const roics = years.map(y => y.roic).filter(r => r !== null);
+
+  let trend = null;
+  if (years.length > 1 && first.roic !== null && last.roic !== null) {
+    const change = last.roic - first.roic;
+    trend = change > TREND_THRESHOLD ? 'improving' : change < -TREND_THRESHOLD ? 'declining' : 'stable';
+  }
+
+  return {
+    years,
+    averageROIC: roics.length > 0 ? roics.reduce((sum, r) => sum + r, 0) / roics.length : null,
+    // Whole-period incremental ROIC smooths out single-year noise in ΔIC
+    cumulativeIncrementalROIC: years.length > 1
+      ? safeDivide(difference(last.nopat, first.nopat), difference(last.investedCapital, first.investedCapital))
+      : null,
+    trend
+  };
+};
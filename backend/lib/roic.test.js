@@ -0,0 +1,198 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateNOPAT,
+  calculateInvestedCapital,
+  calculateROIC,
+  calculateHistoricalROIC,
+  resolveTaxRate,
+  STATUTORY_TAX_RATE
+} from './roic.js';
+
+const companyData = {
+  incomeStatement: {
+    revenue: 1000,
+    ebit: 200,
+    operatingIncome: 190,
+    taxRate: 0.25
+  },
+  balanceSheet: {
+    currentAssets: 400,
+    cash: 100,
+    currentLiabilities: 250,
+    shortTermDebt: 50,
+    longTermDebt: 300,
+    ppe: 500,
+    goodwill: 80,
+    intangibleAssets: 20,
+    totalEquity: 500
+  }
+};
+
+describe('resolveTaxRate', () => {
+  it('keeps plausible effective rates', () => {
+    expect(resolveTaxRate(0.15)).toBe(0.15);
+    expect(resolveTaxRate(0)).toBe(0);
+  });
+
+  it('falls back to the statutory rate for unusable values', () => {
+    expect(resolveTaxRate(-0.3)).toBe(STATUTORY_TAX_RATE);
+    expect(resolveTaxRate(1.4)).toBe(STATUTORY_TAX_RATE);
+    expect(resolveTaxRate(NaN)).toBe(STATUTORY_TAX_RATE);
+    expect(resolveTaxRate(undefined)).toBe(STATUTORY_TAX_RATE);
+  });
+});
+
+describe('calculateNOPAT', () => {
+  it('applies the tax rate to EBIT', () => {
+    const result = calculateNOPAT(companyData.incomeStatement);
+
+    expect(result.ebit).toBe(200);
+    expect(result.nopat).toBeCloseTo(150, 6);
+  });
+
+  it('falls back to operating income when EBIT is missing', () => {
+    const result = calculateNOPAT({ operatingIncome: 100, ebit: 0, taxRate: 0.2 });
+
+    expect(result.ebit).toBe(100);
+    expect(result.nopat).toBeCloseTo(80, 6);
+  });
+
+  it('reports NOPAT as unknown rather than zero without EBIT or operating income', () => {
+    const result = calculateNOPAT({ ebit: null, operatingIncome: null });
+
+    expect(result.nopat).toBe(null);
+    expect(result.missingInputs).toEqual(['ebit', 'taxRate']);
+  });
+});
+
+describe('calculateInvestedCapital', () => {
+  it('computes the operating approach', () => {
+    const { operating } = calculateInvestedCapital(companyData.balanceSheet);
+
+    // (400 - 100) - (250 - 50) = 100
+    expect(operating.netWorkingCapital).toBe(100);
+    expect(operating.total).toBe(700);
+  });
+
+  it('computes the financing approach', () => {
+    const { financing } = calculateInvestedCapital(companyData.balanceSheet);
+
+    // 500 + 350 - 100
+    expect(financing.totalDebt).toBe(350);
+    expect(financing.total).toBe(750);
+  });
+
+  it('leaves the totals unknown without their required lines', () => {
+    const result = calculateInvestedCapital({});
+
+    expect(result.totalIC).toBe(null);
+    expect(result.financing.total).toBe(null);
+    expect(result.missingInputs).toContain('ppe');
+  });
+
+  it('counts unreported optional lines as zero and lists them', () => {
+    const { goodwill, intangibleAssets, ...balanceSheet } = companyData.balanceSheet;
+    const result = calculateInvestedCapital(balanceSheet);
+
+    expect(result.totalIC).toBe(700 - goodwill - intangibleAssets);
+    expect(result.missingInputs).toEqual(['goodwill', 'intangibleAssets']);
+  });
+});
+
+describe('calculateROIC', () => {
+  it('returns ROIC and DuPont drivers that reconcile', () => {
+    const result = calculateROIC(companyData);
+
+    expect(result.roic).toBeCloseTo(150 / 700, 6);
+    expect(result.roicFinancing).toBeCloseTo(150 / 750, 6);
+    expect(result.dupont.nopatMargin).toBeCloseTo(0.15, 6);
+    expect(result.dupont.nopatMargin * result.dupont.capitalTurnover).toBeCloseTo(result.roic, 6);
+  });
+
+  it('computes the economic spread when a WACC is supplied', () => {
+    const result = calculateROIC(companyData, { wacc: 0.09 });
+
+    expect(result.valueCreation.spread).toBeCloseTo(150 / 700 - 0.09, 6);
+    expect(result.valueCreation.economicProfit).toBeCloseTo((150 / 700 - 0.09) * 700, 6);
+  });
+
+  it('leaves the spread empty without a WACC', () => {
+    const result = calculateROIC(companyData);
+
+    expect(result.valueCreation.spread).toBe(null);
+    expect(result.valueCreation.economicProfit).toBe(null);
+  });
+
+  it('returns null ROIC when invested capital is not positive', () => {
+    const result = calculateROIC({
+      incomeStatement: { ebit: 100, taxRate: 0.2, revenue: 500 },
+      balanceSheet: { currentAssets: 10, currentLiabilities: 500 }
+    });
+
+    expect(result.roic).toBe(null);
+    expect(result.dupont.capitalTurnover).toBe(null);
+  });
+});
+
+describe('calculateHistoricalROIC', () => {
+  const historicalData = {
+    incomeStatements: [
+      { fiscalYear: '2024-12-31', ebit: 300, revenue: 1500, taxRate: 0.2 },
+      { fiscalYear: '2023-12-31', ebit: 250, revenue: 1200, taxRate: 0.2 },
+      { fiscalYear: '2022-12-31', ebit: 200, revenue: 1000, taxRate: 0.2 }
+    ],
+    balanceSheets: [
+      { fiscalYear: '2024-12-31', currentAssets: 300, currentLiabilities: 200, cash: 100, shortTermDebt: 0, ppe: 1000, totalDebt: 0, totalEquity: 1000 },
+      { fiscalYear: '2023-12-31', currentAssets: 300, currentLiabilities: 200, cash: 100, shortTermDebt: 0, ppe: 800, totalDebt: 0, totalEquity: 800 },
+      { fiscalYear: '2022-12-31', currentAssets: 300, currentLiabilities: 200, cash: 100, shortTermDebt: 0, ppe: 800, totalDebt: 0, totalEquity: 800 }
+    ]
+  };
+
+  it('returns null without history', () => {
+    expect(calculateHistoricalROIC(null)).toBe(null);
+    expect(calculateHistoricalROIC({ incomeStatements: [], balanceSheets: [] })).toBe(null);
+  });
+
+  it('computes ROIC for every year, oldest first', () => {
+    const result = calculateHistoricalROIC(historicalData);
+
+    expect(result.years.map(y => y.fiscalYear)).toEqual(['2022-12-31', '2023-12-31', '2024-12-31']);
+    expect(result.years[0].investedCapital).toBe(800);
+    expect(result.years[0].roic).toBeCloseTo(0.2, 6);
+    expect(result.years[2].roic).toBeCloseTo(0.24, 6);
+  });
+
+  it('computes incremental ROIC between consecutive years', () => {
+    const result = calculateHistoricalROIC(historicalData);
+
+    expect(result.years[0].incrementalROIC).toBe(null);
+    // ΔIC is zero from 2022 to 2023
+    expect(result.years[1].incrementalROIC).toBe(null);
+    // (240 - 200) / (1000 - 800)
+    expect(result.years[2].incrementalROIC).toBeCloseTo(0.2, 6);
+    expect(result.cumulativeIncrementalROIC).toBeCloseTo(80 / 200, 6);
+  });
+
+  it('classifies the trend', () => {
+    expect(calculateHistoricalROIC(historicalData).trend).toBe('improving');
+  });
+
+  it('pairs statements by fiscal year and skips unmatched years', () => {
+    const result = calculateHistoricalROIC({
+      incomeStatements: historicalData.incomeStatements,
+      balanceSheets: historicalData.balanceSheets.slice(0, 2)
+    });
+
+    expect(result.years.map(y => y.fiscalYear)).toEqual(['2023-12-31', '2024-12-31']);
+  });
+
+  it('uses the financing approach when operating detail is missing', () => {
+    const result = calculateHistoricalROIC({
+      incomeStatements: [{ fiscalYear: '2024', ebit: 100, taxRate: 0 }],
+      balanceSheets: [{ fiscalYear: '2024', totalEquity: 400, totalDebt: 100 }]
+    });
+
+    expect(result.years[0].method).toBe('financing');
+    expect(result.years[0].roic).toBeCloseTo(0.2, 6);
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * Capital Allocation section
+ */
+
+export const capitalAllocationSection = {
+  id: 'capitalAllocation',
+  title: 'Capital Allocation',
+  keys: ['capitalAllocation'],
+  task: `Assess CAPITAL ALLOCATION using the capital allocation data above:
+- Where operating cash flow goes: reinvestment (CapEx), acquisitions, buybacks, dividends, debt repayment
+- Whether that mix suits the company's lifecycle stage and its ROIC versus the VERIFIED WACC
+- How the company's ROIC and capital allocation compare with its industry base rate`,
+  format: `  "capitalAllocation": {
+    "operatingCashFlow": "Currency formatted",
+    "capex": "Currency formatted",
+    "acquisitions": "Currency formatted",
+    "buybacks": "Currency formatted",
+    "dividends": "Currency formatted",
+    "debtRepayment": "Currency formatted",
+    "assessment": "Evaluate management's skill. Are they reinvesting for growth (high CapEx), returning cash (Buybacks/Divs), or empire building (Acquisitions)? Is this appropriate for their lifecycle stage?",
+    "baseRateComparison": "MANDATORY: Compare the company's ROIC and Capital Allocation to the industry base rate. (e.g., 'Google's 25% ROIC is in the top decile for Tech' or 'Ford's 4% ROIC is typical for Autos'). Use your internal knowledge of industry averages."
+  }`
+};
@@ -0,0 +1,21 @@
+/**
+ * Investment Conclusion section
+ */
+
+export const conclusionSection = {
+  id: 'conclusion',
+  title: 'Investment Conclusion',
+  keys: ['conclusion'],
+  usesFindings: true,
+  task: `Write the CONCLUSION of the analysis. The other sections are already written and given above as FINDINGS - synthesize them rather than starting over:
+- An investment thesis connecting the moat, ROIC versus WACC and market expectations
+- The top risks, drawn from the moat threats, expectations gap and key uncertainties
+- What would change the view
+- A recommendation consistent with the findings`,
+  format: `  "conclusion": {
+    "investmentThesis": "3-5 sentence thesis",
+    "keyRisks": "Top 3 risks",
+    "whatWouldChange": "What would change your view?",
+    "recommendation": "Context-dependent recommendation"
+  }`
+};
@@ -0,0 +1,43 @@
+/**
+ * Earnings Call Sentiment section
+ *
+ * Reads management's own words when transcripts were uploaded or imported
+ * (see lib/transcripts.js), citing the passages it relies on; otherwise it
+ * falls back to the beat/miss pattern.
+ */
+
+import { buildTranscriptContext } from '../transcripts.js';
+
+export const earningsSection = {
+  id: 'earnings',
+  title: 'Earnings Call Sentiment',
+  keys: ['earningsCallSentiment'],
+  // Only when quarterly earnings or transcripts were provided (see buildDataContext)
+  isApplicable: (companyData) =>
+    Boolean(companyData.earningsData?.quarterlyEarnings || companyData.transcripts?.length),
+  extraContext: (companyData) => buildTranscriptContext(companyData.transcripts),
+  task: `Perform an EARNINGS CALL SENTIMENT ANALYSIS based on the earnings call transcripts and the recent earnings trend above:
+- Sentiment of management's prepared remarks versus their unscripted answers in the Q&A
+- Forward guidance tone (optimistic, cautious, or deteriorating?) and whether it changed between calls
+- Management credibility: do answers address the question asked, are past commitments met, are they sandbagging or overpromising?
+- Consistency of beat/miss patterns, and whether the trajectory is improving or deteriorating
+- Earnings quality (are beats driven by one-time items or sustainable operations?)
+- Red flags (evasive answers, repeated misses, declining margins, weakening demand signals)
+- Positive signals (consistent beats, margin expansion, strong guidance)
+
+When transcripts are provided, base every judgement on what was actually said: quote management
+verbatim and cite each quote or claim with its passage id in square brackets, e.g. [2024Q4-Q3].
+Cite only ids that appear in the transcripts. Without transcripts, base the analysis on the
+earnings trend and set keyQuotes to "No transcripts provided".`,
+  format: `  "earningsCallSentiment": {
+    "overallSentiment": "Positive / Neutral / Negative - based on the calls and the recent earnings pattern, with citations",
+    "managementCredibility": "High / Medium / Low - Are they sandbagging or overpromising? Do they answer analysts directly? Track record of meeting guidance, with citations",
+    "earningsQuality": "Sustainable / Mixed / Concerning - Are beats from operations or one-time items?",
+    "forwardGuidance": "Optimistic / Cautious / Deteriorating - Tone and substance of management commentary, with citations",
+    "beatMissPattern": "Detailed analysis of the X beats / Y misses pattern - what does it reveal?",
+    "redFlags": "List specific red flags: evasive answers, repeated misses, margin pressure, weakening demand signals, accounting concerns",
+    "positiveSignals": "List positive signals: consistent beats, margin expansion, strong guidance, market share gains",
+    "keyQuotes": "2-4 verbatim quotes that best show management's tone, each followed by its citation, e.g. \\"We expect margins to expand\\" [2024Q4-R2]",
+    "sentimentScore": "Rate management credibility and earnings quality from 1-10 where 10 is impeccable"
+  }`
+};
@@ -0,0 +1,24 @@
+/**
+ * Expectations Investing section
+ */
+
+export const expectationsSection = {
+  id: 'expectations',
+  title: 'Expectations Investing',
+  keys: ['expectationsAnalysis'],
+  task: `Apply EXPECTATIONS INVESTING:
+- Interpret the VERIFIED REVERSE DCF: is the implied growth, ROIC and CAP plausible for this business, given its VERIFIED GROWTH and how rarely companies of its size and sector sustain that growth (SALES GROWTH BASE RATES)?
+- Build scenarios: What needs to go RIGHT (bull), WRONG (bear), or STAY THE COURSE (base)
+- Probability-weight outcomes`,
+  format: `  "expectationsAnalysis": {
+    "impliedExpectations": "Quote the VERIFIED REVERSE DCF implied growth, ROIC and competitive advantage period, and judge whether they are achievable",
+    "currentValuation": "Use provided P/E, Price-to-Book, or calculate EV/EBITDA",
+    "scenarioAnalysis": {
+      "bull": "Optimistic case: assumptions and probability",
+      "base": "Most likely case: assumptions and probability",
+      "bear": "Pessimistic case: assumptions and probability"
+    },
+    "probabilityWeighted": "Expected value across scenarios",
+    "marketView": "Is the market too optimistic, pessimistic, or about right?"
+  }`
+};
@@ -0,0 +1,396 @@
+/**
+ * Analysis sections
+ *
+ * The analysis is split into sections that each wrap the shared data context
+ * (buildDataContext) with their own task and slice of ANALYSIS_SCHEMA. They
+ * run in parallel and are cached separately, so a single card can be
+ * regenerated without re-running the rest. The cache key is the model,
+ * PROMPT_VERSION and a hash of the normalized input (see prepareAnalysisInput),
+ * so the same company analyzed twice with identical data hits the cache no
+ * matter how the request was formatted.
+ * Sections that use findings (the conclusion) run last, with the other
+ * sections' output quoted in their prompt. A section is:
+ *
+ *   id            - Section id, matching the UI card (e.g. 'moat')
+ *   title
+ *   keys          - Top-level ANALYSIS_SCHEMA properties it returns
+ *   task, format  - See buildSectionPrompt
+ *   isApplicable  - Optional (companyData) -> boolean; skipped when false
+ *   usesFindings  - Optional; runs after the others and builds on their output
+ *   extraContext  - Optional (companyData) -> string appended to the shared context
+ *                   for this section only (e.g. the earnings call transcripts or
+ *                   annual report excerpts)
+ *   fromData      - Optional (values, companyData) -> values; sets fields computed from
+ *                   the data rather than asked of the model (e.g. the data-quality
+ *                   scorecard), applied to cached results too
+ *
+ * The model is reached through an `llm` object (see lib/llm); only complete
+ * is required:
+ *
+ *   complete(messages, { signal, onUsage })     -> Promise<string>
+ *   stream({ prompt, onText, signal, onUsage }) -> Promise<string>
+ *   provider, model                             -> part of the cache key
+ *   pricing                                     -> { input, output } USD per million tokens
+ *
+ * Each section result carries the tokens and cost that produced it and when
+ * it was generated, cached along with its values.
+ */
+
+import { createHash } from 'crypto';
+import { buildDataContext, buildSectionPrompt, PROMPT_VERSION } from '../analysisPrompt.js';
+import { finalizeAnalysis, sectionSchema, applyDefaults } from '../analysisSchema.js';
+import { resolveCachePolicy } from '../cache.js';
+import { costOf } from '../llm/index.js';
+import { overviewSection } from './overview.js';
+import { roicSection } from './roic.js';
+import { capitalAllocationSection } from './capitalAllocation.js';
+import { moatSection } from './moat.js';
+import { earningsSection } from './earnings.js';
+import { marketEfficiencySection } from './marketEfficiency.js';
+import { expectationsSection } from './expectations.js';
+import { probabilisticSection } from './probabilistic.js';
+import { managementSection } from './management.js';
+import { conclusionSection } from './conclusion.js';
+
+// In display order
+export const SECTIONS = [
+  overviewSection,
+  roicSection,
+  capitalAllocationSection,
+  moatSection,
+  earningsSection,
+  marketEfficiencySection,
+  expectationsSection,
+  probabilisticSection,
+  managementSection,
+  conclusionSection
+];
+
+// Section requests in flight at once per analysis
+export const ANALYSIS_CONCURRENCY = 4;
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export const getSection = (id) => SECTIONS.find(section => section.id === id) || null;
+
+/**
+ * Sections that apply to a company, in display order
+ * @param {object} companyData
+ * @returns {object[]}
+ */
+export const applicableSections = (companyData) =>
+  SECTIONS.filter(section => !section.isApplicable || section.isApplicable(companyData));
+
+/**
+ * The output of the sections that findings-based sections build on
+ * @param {object} analysis - Full or partial analysis
+ * @returns {object}
+ */
+export const collectFindings = (analysis) => Object.fromEntries(
+  SECTIONS
+    .filter(section => !section.usesFindings)
+    .flatMap(section => section.keys)
+    .filter(key => analysis?.[key] !== undefined)
+    .map(key => [key, analysis[key]])
+);
+
+const FREE = { input: 0, output: 0 };
+
+const emptyUsage = () => ({ inputTokens: 0, outputTokens: 0, calls: 0, costUSD: 0 });
+
+// Significant digits kept when hashing numbers, so float noise doesn't miss the cache
+const HASH_PRECISION = 10;
+
+/**
+ * Canonical form of analysis input: keys sorted, strings trimmed, numbers
+ * rounded to HASH_PRECISION digits and undefined members dropped
+ * @param {*} value
+ * @returns {*}
+ */
+export const normalizeAnalysisInput = (value) => {
+  if (Array.isArray(value)) return value.map(normalizeAnalysisInput);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => [key, normalizeAnalysisInput(value[key])]));
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) return Number(value.toPrecision(HASH_PRECISION));
+  if (typeof value === 'string') return value.trim();
+  return value;
+};
+
+const hashOf = (value) => createHash('sha256').update(JSON.stringify(normalizeAnalysisInput(value))).digest('hex');
+
+/**
+ * The data context and its cache identity for one company and set of metrics
+ * @param {object} companyData - Transcripts and the annual report (companyData.transcripts,
+ *   companyData.annualReport) are left out of inputHash; only the sections that quote them
+ *   key on them (see extraContext)
+ * @param {object} metrics - From computeAnalysisMetrics (covers the assumptions)
+ * @returns {{context: string, inputHash: string, companyData: object}}
+ */
+export const prepareAnalysisInput = (companyData, metrics) => {
+  const { transcripts: _transcripts, annualReport: _annualReport, ...shared } = companyData;
+  return {
+    context: buildDataContext(companyData, metrics),
+    inputHash: hashOf({ companyData: { ...shared, ticker: shared.ticker?.toUpperCase() }, metrics }),
+    companyData
+  };
+};
+
+const cacheKeyFor = (section, input, findings, extra, llm) => [
+  `/api/analyze/section/${section.id}?model=${encodeURIComponent(`${llm.provider}/${llm.model}`)}`,
+  `version=${PROMPT_VERSION}`,
+  `input=${input.inputHash}`,
+  ...(extra ? [`extra=${hashOf(extra)}`] : []),
+  ...(section.usesFindings ? [`findings=${hashOf(findings || {})}`] : [])
+].join('&');
+
+/**
+ * Run one section
+ * @param {object} section - From SECTIONS
+ * @param {object} options
+ * @param {object} options.input - From prepareAnalysisInput
+ * @param {object} [options.findings] - From collectFindings; required for usesFindings sections
+ * @param {object} options.llm
+ * @param {object} [options.cache] - From createPersistentCache
+ * @param {boolean} [options.fresh] - Skip the cache lookup; the new result still replaces the cached one
+ * @param {number} [options.ttl] - Seconds to cache the result, default the analysisSection policy's
+ * @param {Function} [options.onText] - Text deltas, when llm.stream is available
+ * @param {AbortSignal} [options.signal] - Aborts the model requests
+ * @param {Function} [options.onUsage] - ({ inputTokens, outputTokens, costUSD }) after each model request
+ * @param {boolean} [options.cacheOnly] - Don't call the model; a cache miss returns typed defaults
+ *   with validation.skipped set (used when the budget is spent)
+ * @returns {Promise<object>} { values, validation, usage, generatedAt, expiresAt, cached }: values holds
+ *   the section's keys; usage is { inputTokens, outputTokens, calls, costUSD } of the run that produced
+ *   them; generatedAt and expiresAt are ISO timestamps (expiresAt null when not cached)
+ */
+export const runSection = async (section, {
+  input,
+  findings,
+  llm,
+  cache,
+  fresh = false,
+  ttl,
+  onText,
+  signal,
+  onUsage = () => {},
+  cacheOnly = false
+}) => {
+  const extra = section.extraContext?.(input.companyData || {}) || '';
+  const prompt = buildSectionPrompt({
+    context: `${input.context}${extra}`,
+    task: section.task,
+    format: section.format,
+    findings: section.usesFindings ? findings : undefined,
+    currency: input.companyData?.currency
+  });
+  const withData = (result) => (section.fromData
+    ? { ...result, values: section.fromData(result.values, input.companyData || {}) }
+    : result);
+  const cacheKey = cacheKeyFor(section, input, findings, extra, llm);
+  const basePolicy = resolveCachePolicy(cacheKey);
+  const policy = ttl ? { ...basePolicy, ttl } : basePolicy;
+
+  if (cache && !fresh) {
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      cache.record(policy.name, 'hits');
+      return withData({ ...cached.data, cached: true });
+    }
+    cache.record(policy.name, 'misses');
+  }
+
+  const schema = sectionSchema(section.keys);
+  if (cacheOnly) {
+    const { value: values, defaulted } = applyDefaults({}, schema);
+    return withData({
+      values,
+      validation: { valid: false, truncated: false, repaired: [], defaulted, skipped: true },
+      usage: emptyUsage(),
+      generatedAt: new Date().toISOString(),
+      expiresAt: null,
+      cached: false
+    });
+  }
+
+  const usage = emptyUsage();
+  const track = (call) => {
+    const costUSD = costOf(call, llm.pricing || FREE);
+    usage.inputTokens += call.inputTokens;
+    usage.outputTokens += call.outputTokens;
+    usage.calls++;
+    usage.costUSD = Math.round((usage.costUSD + costUSD) * 1e6) / 1e6;
+    onUsage({ inputTokens: call.inputTokens, outputTokens: call.outputTokens, costUSD });
+  };
+
+  const text = llm.stream && onText
+    ? await llm.stream({ prompt, onText, signal, onUsage: track })
+    : await llm.complete([{ role: 'user', content: prompt }], { signal, onUsage: track });
+
+  const { analysis: values, validation } = await finalizeAnalysis({
+    text,
+    prompt,
+    complete: (messages) => llm.complete(messages, { signal, onUsage: track }),
+    schema
+  });
+
+  // Incomplete output is not cached, so the next run asks again
+  const cacheable = Boolean(cache) && validation.defaulted.length === 0;
+  const generatedAt = Date.now();
+  const result = {
+    values,
+    validation,
+    usage,
+    generatedAt: new Date(generatedAt).toISOString(),
+    expiresAt: cacheable ? new Date(generatedAt + policy.ttl * 1000).toISOString() : null
+  };
+  if (cacheable) {
+    await cache.set(cacheKey, result, policy);
+  }
+  return withData({ ...result, cached: false });
+};
+
+// Run fn over items with at most `limit` calls pending
+// After a failure no more calls start, and the ones already running are awaited before it's
+// rethrown, so usage they report (e.g. from an aborted stream) arrives before the caller records it
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  const outcomes = await Promise.allSettled(Array.from({ length: Math.min(limit, items.length) }, worker));
+  const rejected = outcomes.find(outcome => outcome.status === 'rejected');
+  if (rejected) throw rejected.reason;
+  return results;
+};
+
+/**
+ * Run every applicable section and assemble the full analysis
+ * @param {object} options
+ * @param {object} options.companyData
+ * @param {object} options.metrics - From computeAnalysisMetrics
+ * @param {object} options.llm
+ * @param {object} [options.cache]
+ * @param {boolean} [options.fresh] - See runSection; every section is regenerated
+ * @param {number} [options.ttl] - See runSection
+ * @param {number} [options.concurrency]
+ * @param {Function} [options.onStart] - (section) before each section runs
+ * @param {Function} [options.onText] - (section, text) for each streamed delta
+ * @param {Function} [options.onSection] - (section, result) as each section completes
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onUsage] - See runSection
+ * @param {boolean} [options.cacheOnly] - See runSection
+ * @returns {Promise<{analysis: object, validation: object, usage: object, provenance: object}>} analysis
+ *   matches ANALYSIS_SCHEMA; validation merges the sections' results, with per-section detail under
+ *   `sections`; usage totals what this run spent (cached sections cost nothing) with each section's own
+ *   usage under `sections`; provenance is { promptVersion, inputHash, model, cached, generatedAt,
+ *   expiresAt, sections } - cached when every section came from the cache, generatedAt the oldest
+ *   section's and expiresAt the first expiry
+ */
+export const runAnalysis = async ({
+  companyData,
+  metrics,
+  llm,
+  cache,
+  fresh = false,
+  ttl,
+  concurrency = ANALYSIS_CONCURRENCY,
+  onStart = () => {},
+  onText,
+  onSection = () => {},
+  signal,
+  onUsage,
+  cacheOnly = false
+}) => {
+  const input = prepareAnalysisInput(companyData, metrics);
+  const sections = applicableSections(companyData);
+  const results = {};
+
+  const run = async (section, findings) => {
+    onStart(section);
+    const result = await runSection(section, {
+      input,
+      findings,
+      llm,
+      cache,
+      fresh,
+      ttl,
+      onText: onText && ((text) => onText(section, text)),
+      signal,
+      onUsage,
+      cacheOnly
+    });
+    results[section.id] = result;
+    onSection(section, result);
+  };
+
+  await mapWithConcurrency(sections.filter(section => !section.usesFindings), concurrency, section => run(section));
+
+  const findings = collectFindings(Object.assign({}, ...Object.values(results).map(result => result.values)));
+  await mapWithConcurrency(sections.filter(section => section.usesFindings), concurrency, section => run(section, findings));
+
+  // Identity fields come from the data, not the model
+  const { value: analysis, defaulted } = applyDefaults({
+    companyName: companyData.companyName,
+    ticker: companyData.ticker,
+    industry: companyData.industry,
+    fiscalYear: companyData.fiscalPeriod,
+    ...Object.assign({}, ...sections.map(section => results[section.id].values))
+  });
+
+  const ordered = sections.map(section => results[section.id].validation);
+  const spent = sections.map(section => results[section.id]).filter(result => !result.cached);
+  const total = (field) => spent.reduce((sum, result) => sum + result.usage[field], 0);
+  const timestamps = (field) => sections.map(section => results[section.id][field]).filter(Boolean).sort();
+
+  return {
+    analysis,
+    validation: {
+      valid: ordered.every(validation => validation.valid),
+      truncated: ordered.some(validation => validation.truncated),
+      repaired: ordered.flatMap(validation => validation.repaired),
+      defaulted: [...new Set([...ordered.flatMap(validation => validation.defaulted), ...defaulted])],
+      sections: Object.fromEntries(sections.map(section => [
+        section.id,
+        { ...results[section.id].validation, cached: results[section.id].cached }
+      ]))
+    },
+    usage: {
+      inputTokens: total('inputTokens'),
+      outputTokens: total('outputTokens'),
+      calls: total('calls'),
+      costUSD: Math.round(total('costUSD') * 1e6) / 1e6,
+      sections: Object.fromEntries(sections.map(section => [
+        section.id,
+        { ...results[section.id].usage, cached: results[section.id].cached }
+      ]))
+    },
+    provenance: {
+      promptVersion: PROMPT_VERSION,
+      inputHash: input.inputHash,
+      model: { provider: llm.provider, model: llm.model },
+      cached: sections.every(section => results[section.id].cached),
+      generatedAt: timestamps('generatedAt')[0],
+      expiresAt: timestamps('expiresAt')[0] || null,
+      sections: Object.fromEntries(sections.map(section => [section.id, {
+        cached: results[section.id].cached,
+        generatedAt: results[section.id].generatedAt,
+        expiresAt: results[section.id].expiresAt
+      }]))
+    }
+  };
+};
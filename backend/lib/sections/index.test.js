@@ -0,0 +1,365 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { SECTIONS, getSection, runSection, runAnalysis, prepareAnalysisInput, normalizeAnalysisInput } from './index.js';
+import { computeAnalysisMetrics, PROMPT_VERSION } from '../analysisPrompt.js';
+import { sectionSchema, MISSING_TEXT } from '../analysisSchema.js';
+import { createPersistentCache } from '../cache.js';
+import { createLLM } from '../llm/index.js';
+import { createUsageLedger, createUsageMeter } from '../usageLedger.js';
+
+const companyData = {
+  companyName: 'Acme Corp',
+  ticker: 'ACME',
+  industry: 'Industrials',
+  fiscalPeriod: '2024-12-31',
+  basis: 'annual',
+  currency: 'USD',
+  marketData: { marketCap: 5000, beta: 1.1, sharesOutstanding: 100 },
+  incomeStatement: { revenue: 1000, ebit: 200, operatingIncome: 200, interestExpense: 10, taxExpense: 25, netIncome: 75, taxRate: 0.25 },
+  balanceSheet: { currentAssets: 500, cash: 100, currentLiabilities: 300, shortTermDebt: 50, longTermDebt: 350, ppe: 800, goodwill: 0, intangibleAssets: 0, totalEquity: 1200 },
+  cashFlow: { operatingCashFlow: 150, capitalExpenditures: 40, freeCashFlow: 110 },
+  earningsData: null,
+  historicalData: null
+};
+
+const metrics = computeAnalysisMetrics(companyData, null);
+
+const fill = (schema, text) => (schema.type === 'object'
+  ? Object.fromEntries(Object.keys(schema.properties).map(key => [key, fill(schema.properties[key], text)]))
+  : text);
+
+// Answers each section prompt with a complete object for that section's keys
+const sectionFor = (prompt) => SECTIONS.find(section => prompt.includes(section.format));
+const createFakeLLM = () => ({
+  provider: 'fake',
+  model: 'fake-1',
+  complete: vi.fn(async ([{ content }]) => {
+    const section = sectionFor(content);
+    return JSON.stringify(fill(sectionSchema(section.keys), `${section.id} text`));
+  })
+});
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'sections-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('runAnalysis', () => {
+  it('runs each applicable section and builds the conclusion from the others', async () => {
+    const llm = createFakeLLM();
+
+    const { analysis, validation } = await runAnalysis({ companyData, metrics, llm });
+
+    const prompts = llm.complete.mock.calls.map(([[message]]) => message.content);
+    expect(prompts).toHaveLength(SECTIONS.length - 1);
+    expect(prompts.some(prompt => sectionFor(prompt).id === 'earnings')).toBe(false);
+    expect(sectionFor(prompts[prompts.length - 1]).id).toBe('conclusion');
+    expect(prompts[prompts.length - 1]).toContain('"summary": "moat text"');
+
+    expect(analysis.ticker).toBe('ACME');
+    expect(analysis.fiscalYear).toBe('2024-12-31');
+    expect(analysis.moatAnalysis.summary).toBe('moat text');
+    expect(analysis.conclusion.recommendation).toBe('conclusion text');
+    expect(analysis.earningsCallSentiment).toBeUndefined();
+    expect(validation.valid).toBe(true);
+    expect(validation.defaulted).toEqual([]);
+    expect(validation.sections.moat).toMatchObject({ valid: true, cached: false });
+  });
+
+  it('limits the number of section requests in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const llm = createFakeLLM();
+    const { complete } = llm;
+    llm.complete = async (messages) => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      inFlight--;
+      return complete(messages);
+    };
+
+    await runAnalysis({ companyData, metrics, llm, concurrency: 2 });
+
+    expect(peak).toBe(2);
+  });
+
+  it('produces a valid analysis with the stub model', async () => {
+    const { analysis, validation } = await runAnalysis({ companyData, metrics, llm: createLLM('stub', { env: {} }) });
+
+    expect(validation.valid).toBe(true);
+    expect(analysis.moatAnalysis.summary).toBe('Stub analysis for moatAnalysis.summary');
+  });
+
+  it('serves unchanged sections from the cache', async () => {
+    const cache = createPersistentCache({ dir });
+    await runAnalysis({ companyData, metrics, llm: createFakeLLM(), cache });
+
+    const llm = createFakeLLM();
+    const { validation } = await runAnalysis({ companyData, metrics, llm, cache });
+
+    expect(llm.complete).not.toHaveBeenCalled();
+    expect(validation.sections.roic.cached).toBe(true);
+
+    const otherModel = { ...createFakeLLM(), model: 'fake-2' };
+    await runAnalysis({ companyData, metrics, llm: otherModel, cache });
+    expect(otherModel.complete).toHaveBeenCalled();
+  });
+
+  it('hits the cache for the same input however it is formatted', async () => {
+    const cache = createPersistentCache({ dir });
+    await runAnalysis({ companyData, metrics, llm: createFakeLLM(), cache });
+
+    // Same figures, different key order, whitespace and float noise
+    const { incomeStatement, ...rest } = companyData;
+    const reordered = {
+      incomeStatement: { ...incomeStatement, revenue: 1000.0000000001 },
+      ...rest,
+      ticker: ' acme ',
+      unused: undefined
+    };
+    const llm = createFakeLLM();
+    const { provenance } = await runAnalysis({ companyData: reordered, metrics, llm, cache });
+
+    expect(llm.complete).not.toHaveBeenCalled();
+    expect(provenance.cached).toBe(true);
+
+    const changed = { ...companyData, incomeStatement: { ...incomeStatement, revenue: 1100 } };
+    const changedLLM = createFakeLLM();
+    await runAnalysis({ companyData: changed, metrics: computeAnalysisMetrics(changed, null), llm: changedLLM, cache });
+    expect(changedLLM.complete).toHaveBeenCalled();
+  });
+
+  it('regenerates every section when asked for a fresh analysis', async () => {
+    const cache = createPersistentCache({ dir });
+    await runAnalysis({ companyData, metrics, llm: createFakeLLM(), cache });
+
+    const llm = createFakeLLM();
+    const { provenance } = await runAnalysis({ companyData, metrics, llm, cache, fresh: true });
+
+    expect(llm.complete).toHaveBeenCalledTimes(SECTIONS.length - 1);
+    expect(provenance.cached).toBe(false);
+  });
+
+  it('reports when and from what the analysis was generated', async () => {
+    const cache = createPersistentCache({ dir });
+    const before = new Date().toISOString();
+
+    const { provenance } = await runAnalysis({ companyData, metrics, llm: createFakeLLM(), cache, ttl: 60 });
+
+    expect(provenance).toMatchObject({
+      promptVersion: PROMPT_VERSION,
+      inputHash: prepareAnalysisInput(companyData, metrics).inputHash,
+      model: { provider: 'fake', model: 'fake-1' },
+      cached: false
+    });
+    expect(provenance.generatedAt >= before).toBe(true);
+    const { moat } = provenance.sections;
+    expect(Date.parse(moat.expiresAt) - Date.parse(moat.generatedAt)).toBe(60 * 1000);
+    expect(provenance.expiresAt <= moat.expiresAt).toBe(true);
+    expect(moat.cached).toBe(false);
+  });
+
+  it('totals the tokens and cost of the sections it ran', async () => {
+    const cache = createPersistentCache({ dir });
+    const metered = () => {
+      const llm = createFakeLLM();
+      const { complete } = llm;
+      llm.pricing = { input: 3, output: 15 };
+      llm.complete = async (messages, { onUsage }) => {
+        onUsage({ inputTokens: 1000, outputTokens: 100 });
+        return complete(messages);
+      };
+      return llm;
+    };
+    const onUsage = vi.fn();
+
+    const { usage } = await runAnalysis({ companyData, metrics, llm: metered(), cache, onUsage });
+
+    const ran = SECTIONS.length - 1;
+    expect(onUsage).toHaveBeenCalledTimes(ran);
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 1000, outputTokens: 100, costUSD: 0.0045 });
+    expect(usage).toMatchObject({ inputTokens: 1000 * ran, outputTokens: 100 * ran, calls: ran, costUSD: 0.0405 });
+    expect(usage.sections.moat).toEqual({ inputTokens: 1000, outputTokens: 100, calls: 1, costUSD: 0.0045, cached: false });
+
+    const again = await runAnalysis({ companyData, metrics, llm: metered(), cache });
+    expect(again.usage).toMatchObject({ calls: 0, costUSD: 0 });
+    expect(again.usage.sections.moat).toMatchObject({ costUSD: 0.0045, cached: true });
+  });
+
+  it('records the tokens of streams aborted partway in the ledger', async () => {
+    const abort = new AbortController();
+    const encoder = new TextEncoder();
+    const event = (name, data) => encoder.encode(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Every section streams a little, then the client disconnects
+    let requests = 0;
+    const fetch = async (url, { signal }) => {
+      requests++;
+      return {
+        ok: true,
+        status: 200,
+        body: (async function* () {
+          yield event('message_start', { message: { usage: { input_tokens: 1000, output_tokens: 1 } } });
+          yield event('content_block_delta', { delta: { type: 'text_delta', text: 'x'.repeat(400) } });
+          if (!signal.aborted) await new Promise(resolve => signal.addEventListener('abort', resolve));
+          throw new DOMException('This operation was aborted', 'AbortError');
+        })()
+      };
+    };
+    const llm = createLLM('anthropic', { env: { ANTHROPIC_API_KEY: 'key' }, fetch });
+    const meter = createUsageMeter();
+    const ledger = createUsageLedger({ file: path.join(dir, 'usage.jsonl') });
+
+    await expect(runAnalysis({
+      companyData,
+      metrics,
+      llm,
+      signal: abort.signal,
+      onUsage: meter.add,
+      onText: () => abort.abort()
+    })).rejects.toMatchObject({ name: 'AbortError' });
+    await ledger.record({ route: '/api/analyze/stream', ticker: 'ACME', clientId: 'client', ...meter.totals() });
+
+    const { totals } = await ledger.report();
+    expect(totals.calls).toBe(requests);
+    expect(totals.inputTokens).toBe(1000 * totals.calls);
+    expect(totals.outputTokens).toBe(100 * totals.calls);
+    expect(totals.costUSD).toBeGreaterThan(0);
+  });
+
+  it('waits for the sections still running after one fails, so their usage is reported', async () => {
+    const llm = createFakeLLM();
+    const complete = llm.complete.getMockImplementation();
+    llm.complete.mockImplementation(async (messages, { onUsage }) => {
+      if (sectionFor(messages[0].content).id === 'moat') throw new Error('Model crashed');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      onUsage({ inputTokens: 10, outputTokens: 5 });
+      return complete(messages);
+    });
+    const meter = createUsageMeter();
+
+    await expect(runAnalysis({ companyData, metrics, llm, onUsage: meter.add })).rejects.toThrow('Model crashed');
+
+    // Sections already running finish, and none start after the failure
+    expect(meter.totals().calls).toBe(llm.complete.mock.calls.length - 1);
+    expect(meter.totals().calls).toBeGreaterThan(0);
+  });
+
+  it('skips the model for uncached sections in cache-only mode', async () => {
+    const llm = createFakeLLM();
+
+    const { analysis, validation, usage } = await runAnalysis({ companyData, metrics, llm, cacheOnly: true });
+
+    expect(llm.complete).not.toHaveBeenCalled();
+    expect(analysis.moatAnalysis.summary).toBe(MISSING_TEXT);
+    expect(validation.sections.moat.skipped).toBe(true);
+    expect(usage.calls).toBe(0);
+  });
+
+  it('quotes transcripts only to the earnings section, which alone reruns when they change', async () => {
+    const cache = createPersistentCache({ dir });
+    const transcript = (text) => ({
+      quarter: '2024Q4',
+      preparedRemarks: [{ id: 'R1', speaker: 'Jane Smith', role: 'CEO', text }],
+      qa: []
+    });
+    const llm = createFakeLLM();
+    await runAnalysis({ companyData: { ...companyData, transcripts: [transcript('Record quarter.')] }, metrics, llm, cache });
+
+    const prompts = llm.complete.mock.calls.map(([[message]]) => message.content);
+    const earningsPrompt = prompts.find(prompt => sectionFor(prompt).id === 'earnings');
+    expect(earningsPrompt).toContain('[2024Q4-R1] Jane Smith (CEO): Record quarter.');
+    expect(prompts.filter(prompt => prompt.includes('[2024Q4-R1]'))).toHaveLength(1);
+
+    const rerun = createFakeLLM();
+    const { validation } = await runAnalysis({
+      companyData: { ...companyData, transcripts: [transcript('Tough quarter.')] }, metrics, llm: rerun, cache
+    });
+    expect(rerun.complete).toHaveBeenCalledTimes(1);
+    expect(validation.sections.earnings.cached).toBe(false);
+    expect(validation.sections.moat.cached).toBe(true);
+  });
+
+  it('quotes the annual report to the moat and management sections only', async () => {
+    const annualReport = {
+      fiscalYear: '2024',
+      sections: {
+        business: { title: 'Item 1. Business', excerpts: [{ id: 'B1', text: 'Customers renew above 95% given high switching costs.' }] },
+        mdna: { title: "Item 7. Management's Discussion and Analysis", excerpts: [{ id: 'MD1', text: 'Buybacks and dividends returned $400 million.' }] }
+      }
+    };
+    const llm = createFakeLLM();
+    await runAnalysis({ companyData: { ...companyData, annualReport }, metrics, llm });
+
+    const prompts = llm.complete.mock.calls.map(([[message]]) => message.content);
+    const quoting = (id) => prompts.filter(prompt => prompt.includes(`[10K-2024-${id}] (`)).map(prompt => sectionFor(prompt).id);
+    expect(quoting('B1')).toEqual(['moat']);
+    expect(quoting('MD1')).toEqual(['management']);
+    expect(prepareAnalysisInput({ ...companyData, annualReport }, metrics).inputHash)
+      .toBe(prepareAnalysisInput(companyData, metrics).inputHash);
+  });
+});
+
+describe('normalizeAnalysisInput', () => {
+  it('sorts keys, trims strings, rounds numbers and drops undefined members', () => {
+    expect(JSON.stringify(normalizeAnalysisInput({ b: [' x ', 0.1 + 0.2], a: undefined, c: null })))
+      .toBe('{"b":["x",0.3],"c":null}');
+  });
+});
+
+describe('runSection', () => {
+  it('regenerates a cached section when asked for a fresh copy', async () => {
+    const cache = createPersistentCache({ dir });
+    const input = prepareAnalysisInput(companyData, metrics);
+    await runSection(getSection('moat'), { input, llm: createFakeLLM(), cache });
+
+    const llm = createFakeLLM();
+    const result = await runSection(getSection('moat'), { input, llm, cache, fresh: true });
+
+    expect(llm.complete).toHaveBeenCalledTimes(1);
+    expect(result.cached).toBe(false);
+    expect(Object.keys(result.values)).toEqual(['moatAnalysis']);
+  });
+
+  it('reports the data-quality scorecard rather than the model\'s view, cached or not', async () => {
+    const cache = createPersistentCache({ dir });
+    const scorecard = { score: 100, grade: 'high', checks: [] };
+    const input = prepareAnalysisInput({ ...companyData, dataQuality: { fields: {}, missing: [], derived: [], imputed: [], scorecard } }, metrics);
+
+    const fresh = await runSection(getSection('roic'), { input, llm: createFakeLLM(), cache });
+    const cached = await runSection(getSection('roic'), { input, llm: createFakeLLM(), cache });
+    const unscored = await runSection(getSection('roic'), { input: prepareAnalysisInput(companyData, metrics), llm: createFakeLLM() });
+
+    expect(cached.cached).toBe(true);
+    expect(fresh.values.roicAnalysis.dataQuality).toBe('High confidence (100/100): all checks passed');
+    expect(cached.values.roicAnalysis.dataQuality).toBe('High confidence (100/100): all checks passed');
+    expect(unscored.values.roicAnalysis.dataQuality).toMatch(/^Not scored/);
+  });
+
+  it('streams when the model supports it', async () => {
+    const onText = vi.fn();
+    const llm = {
+      ...createFakeLLM(),
+      stream: async ({ onText: send }) => {
+        const text = JSON.stringify(fill(sectionSchema(['management']), 'streamed'));
+        send(text);
+        return text;
+      }
+    };
+
+    const result = await runSection(getSection('management'), {
+      input: prepareAnalysisInput(companyData, metrics),
+      llm,
+      onText
+    });
+
+    expect(onText).toHaveBeenCalledTimes(1);
+    expect(result.values.management.overallAssessment).toBe('streamed');
+  });
+});
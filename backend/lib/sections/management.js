@@ -0,0 +1,27 @@
+/**
+ * Management Assessment section
+ *
+ * Quotes the capital allocation and strategy passages of an uploaded 10-K
+ * (see lib/annualReports.js).
+ */
+
+import { buildAnnualReportContext } from '../annualReports.js';
+
+export const managementSection = {
+  id: 'management',
+  title: 'Management Assessment',
+  keys: ['management'],
+  extraContext: (companyData) => buildAnnualReportContext(companyData.annualReport, ['management']),
+  task: `Assess MANAGEMENT as stewards of capital:
+- Capital allocation track record and quality
+- Evidence of long-term strategic thinking
+- Whether shareholders can trust them with capital
+
+When annual report excerpts are provided, cite the ones you rely on by their id in square
+brackets, e.g. [10K-2024-MD2].`,
+  format: `  "management": {
+    "capitalAllocation": "Track record and quality",
+    "strategicThinking": "Evidence of long-term focus",
+    "overallAssessment": "Trust them with capital?"
+  }`
+};
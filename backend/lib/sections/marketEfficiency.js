@@ -0,0 +1,32 @@
+/**
+ * Market Efficiency & Narratives section
+ */
+
+export const marketEfficiencySection = {
+  id: 'marketEfficiency',
+  title: 'Market Efficiency & Narratives',
+  keys: ['marketEfficiency'],
+  task: `Assess MARKET EFFICIENCY & NARRATIVES ("WHO IS ON THE OTHER SIDE?" - 2026):
+- **BAIT Framework**: Assess inefficiencies:
+  - **B**ehavioral: Panic/Euphoria/Aversion?
+  - **A**nalytical: Complexity/Time-horizon edge?
+  - **I**nformational: Hidden data?
+  - **T**echnical: Forced selling/Flows?
+- **Time Arbitrage**: Is the market discounting a temporary issue as permanent?
+- **Counterparty**: Who is taking the other side? (Retail/Indexer/Algo)
+- **Narrative**: What is the dominant story vs reality?`,
+  format: `  "marketEfficiency": {
+    "bait": {
+      "behavioral": "Assessment of behavioral bias (e.g., Recency bias, Loss aversion)",
+      "analytical": "Assessment of analytical edge (e.g., 'Market missing standard deviation of outcome')",
+      "informational": "Assessment of informational differential",
+      "technical": "Assessment of technical pressures (e.g., 'Forced selling by ETFs')"
+    },
+    "counterparty": "Who is the likely counterparty? (e.g., 'Passive flows', 'Retail panic', 'Hedge fund short')",
+    "timeArbitrage": "Is there a time horizon edge? (e.g., 'Arb opportunity: Quarter vs Decade')",
+    "narrative": {
+      "currentStory": "The dominant narrative driving price",
+      "realityGap": "Where the narrative diverges from fundamental reality"
+    }
+  }`
+};
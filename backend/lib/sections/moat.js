@@ -0,0 +1,42 @@
+/**
+ * Measuring the Moat section
+ *
+ * When a 10-K was uploaded (see lib/annualReports.js), the evidence and the
+ * threats are grounded in its Business, MD&A and Risk Factors excerpts, and
+ * each claim cites the excerpt it rests on.
+ */
+
+import { buildAnnualReportContext } from '../annualReports.js';
+
+export const moatSection = {
+  id: 'moat',
+  title: 'Measuring the Moat',
+  keys: ['moatAnalysis'],
+  extraContext: (companyData) => buildAnnualReportContext(companyData.annualReport, ['moat', 'threats']),
+  task: `Perform a MEASURING THE MOAT (Mauboussin) competitive moat assessment:
+- Identify PRIMARY moat source: Network effects / Scale economies / Intangible assets / Switching costs / Cost advantages
+- Assess moat STRENGTH: Wide (sustainable 10+ years) / Narrow (5-10 years) / None (< 5 years)
+- Classify advantage type: Supply-side (scale, network) or Demand-side (brand, habit, search costs)
+- Evaluate moat TRAJECTORY: WIDENING (strengthening) / STABLE (maintaining) / NARROWING (weakening)
+- Provide QUANTITATIVE evidence: gross margins vs peers, customer retention rates, market share trends, pricing power metrics
+- Connect moat strength directly to sustained ROIC > WACC and explain the causal mechanism
+- Identify threats to the moat and timeline for potential erosion
+
+When annual report excerpts are provided, take customer, market share, pricing and competitor
+evidence from them and cite each claim with its excerpt id in square brackets, e.g. [10K-2024-B3];
+base the threats on the Risk Factors excerpts. Cite only ids that appear in the excerpts, and say a
+figure is not disclosed rather than estimating it.`,
+  format: `  "moatAnalysis": {
+    "summary": "2-3 sentence executive summary of the competitive moat",
+    "moatType": "Primary moat source (choose one or ranked combination): Network effects / Scale economies / Intangible assets (brand, patents) / Switching costs / Cost advantages",
+    "moatStrength": "Wide (10+ years sustainable) / Narrow (5-10 years) / None (< 5 years) - with detailed justification",
+    "moatStrengthRating": "Rate from 1-10 where 10 is an unassailable moat",
+    "supplyOrDemandAdvantage": "Classify as: Supply-side (scale, network effects) or Demand-side (brand, habit, search costs) or Both",
+    "evidenceForMoat": "QUANTITATIVE evidence REQUIRED: gross margins %, customer retention %, market share %, pricing power examples, historical stability, with citations",
+    "moatDurability": "Trajectory: WIDENING (moat strengthening over time) / STABLE (maintaining position) / NARROWING (competitive threats eroding advantages)",
+    "threatsToMoat": "Specific competitive threats and timeline for potential erosion (e.g., technological disruption, regulatory changes, new entrants), with citations",
+    "linkToROIC": "Detailed mechanism: how does this moat create pricing power, cost advantages, or capital efficiency that sustains ROIC > WACC?",
+    "comparativeMoat": "How does this moat compare to key competitors? Better/Similar/Worse?",
+    "measurability": "How easy is it to measure this moat objectively? High/Medium/Low with explanation"
+  }`
+};
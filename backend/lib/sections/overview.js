@@ -0,0 +1,11 @@
+/**
+ * Business Overview section
+ */
+
+export const overviewSection = {
+  id: 'overview',
+  title: 'Business Overview',
+  keys: ['businessModel'],
+  task: `Describe the business model: how the company makes money, who pays for its products, and which activities earn its returns on capital.`,
+  format: `  "businessModel": "2-3 sentence description of how the company makes money"`
+};
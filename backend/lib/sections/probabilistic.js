@@ -0,0 +1,19 @@
+/**
+ * Probabilistic Thinking section
+ */
+
+export const probabilisticSection = {
+  id: 'probabilistic',
+  title: 'Probabilistic Thinking',
+  keys: ['probabilistic'],
+  task: `Apply PROBABILISTIC THINKING:
+- Base rates: 59% of stocks fail to beat T-bills - what share of industry peers sustain high ROIC?
+- Sales growth base rates: where do the company's CAGRs and the market-implied growth fall in the SALES GROWTH BASE RATES?
+- Skill versus luck: how much of the track record is replicable?
+- The 2-3 uncertainties that matter most for the outcome`,
+  format: `  "probabilistic": {
+    "baseRates": "MANDATORY REF: '59% of stocks fail to beat T-bills'. What % of industry peers sustain high ROIC? Quote the SALES GROWTH BASE RATES percentiles of the historical and implied growth",
+    "skillVsLuck": "How much is replicable skill vs luck?",
+    "keyUncertainties": "Top 2-3 uncertainties"
+  }`
+};
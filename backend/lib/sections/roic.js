@@ -0,0 +1,69 @@
+/**
+ * ROIC Analysis section
+ *
+ * roicAnalysis.dataQuality is the deterministic scorecard from lib/dataQuality.js,
+ * not the model's opinion.
+ */
+
+import { describeScorecard } from '../dataQuality.js';
+
+export const roicSection = {
+  id: 'roic',
+  title: 'ROIC Analysis',
+  keys: ['roicAnalysis'],
+  task: `Perform the ROIC ANALYSIS. ROIC has already been calculated above - report the VERIFIED figures exactly and focus your effort on interpreting them.
+
+- Use the VERIFIED ROIC CALCULATION figures exactly as given, showing all steps
+- Use DuPont decomposition to understand drivers (margin vs turnover)
+- Compare ROIC to the VERIFIED WACC
+- Assess value creation: ROIC - WACC = Economic Profit spread
+- If VERIFIED HISTORICAL ROIC is provided, interpret its trend and the incremental ROIC figures`,
+  format: `  "roicAnalysis": {
+    "nopat": {
+      "ebit": "Currency formatted (e.g., $45.2B)",
+      "taxRate": "Percentage (e.g., 21.0%)",
+      "nopatCalculated": "Currency formatted (e.g., $35.7B)",
+      "calculationShown": "Show step with currency format: EBIT $45.2B × (1 - 21.0%) = NOPAT $35.7B"
+    },
+    "investedCapital": {
+      "method": "Operating approach: NWC + Net Fixed Assets",
+      "currentAssets": "Currency formatted (e.g., $123.5B)",
+      "currentLiabilities": "Currency formatted (e.g., $78.2B)",
+      "netWorkingCapital": "Currency formatted (e.g., $45.3B)",
+      "ppe": "Currency formatted (e.g., $89.4B)",
+      "goodwill": "Currency formatted (e.g., $12.3B)",
+      "intangibles": "Currency formatted (e.g., $8.7B)",
+      "totalIC": "Currency formatted total (e.g., $155.7B)",
+      "calculationShown": "Show all components with currency format: NWC $45.3B + PP&E $89.4B + Goodwill $12.3B + Intangibles $8.7B = IC $155.7B",
+      "alternativeMethod": "Also show with currency format: Total Equity + Total Debt - Excess Cash"
+    },
+    "roicCalculated": {
+      "percentage": "ROIC as percentage (e.g., 22.9%)",
+      "calculation": "Show with currency format: NOPAT $35.7B / IC $155.7B = 22.9%",
+      "interpretation": "Assessment vs industry and cost of capital"
+    },
+    "dupontDecomposition": {
+      "profitMargin": "NOPAT / Revenue as % (e.g., 18.5%)",
+      "capitalTurnover": "Revenue / IC as ratio (e.g., 1.24x)",
+      "validation": "Margin × Turnover = ROIC",
+      "strategyInsight": "High margin (differentiation) or high turnover (cost leadership)?"
+    },
+    "valueCreation": {
+      "estimatedWACC": "The VERIFIED WACC as percentage (e.g., 8.5%)",
+      "spread": "The VERIFIED economic spread in percentage points (e.g., +14.4%)",
+      "verdict": "Creating/destroying value? If possible show economic profit with currency format (e.g., Annual value creation: $22.3B)",
+      "context": "How does moat enable this ROIC?"
+    },
+    "incrementalROIC": "If VERIFIED HISTORICAL ROIC is provided: interpret the incremental ROIC figures - are new investments earning more or less than the existing base?",
+    "historicalTrend": "One sentence on the direction of ROIC over the VERIFIED HISTORICAL ROIC years (e.g., 'Rising from 18.2% to 24.5% as margins expanded'), or 'Insufficient history' if not provided"
+  }`,
+  fromData: (values, companyData) => ({
+    ...values,
+    roicAnalysis: {
+      ...values.roicAnalysis,
+      dataQuality: companyData.dataQuality?.scorecard
+        ? describeScorecard(companyData.dataQuality.scorecard)
+        : 'Not scored (no data-quality report for this company data)'
+    }
+  })
+};
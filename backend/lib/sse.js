@@ -0,0 +1,80 @@
+/**
+ * Server-Sent Events helpers
+ *
+ * openEventStream writes events to an Express response; parseEventStream reads
+ * them from an upstream response body (e.g. Anthropic's streaming API).
+ */
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * Switch a response to an event stream
+ * @param {object} res - Express response
+ * @returns {{send: Function, close: Function}} send(event, data) writes one JSON event
+ */
+export const openEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': keep-alive\n\n');
+  }, HEARTBEAT_MS);
+  heartbeat.unref?.();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+};
+
+// One "event:/data:" block; data lines are joined with newlines per the spec
+const parseBlock = (block) => {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    if (field === 'data') data.push(value);
+  }
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+};
+
+/**
+ * Read events from a streaming response body
+ * @param {AsyncIterable<Uint8Array|string>} body - node-fetch or WHATWG body
+ * @yields {{event: string, data: string}}
+ */
+export async function* parseEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    buffer = buffer.replace(/\r\n?/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) yield parsed;
+    }
+  }
+
+  const rest = parseBlock(buffer.trim());
+  if (rest) yield rest;
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { parseEventStream, openEventStream } from './sse.js';
+
+const encoder = new TextEncoder();
+
+async function* chunks(...parts) {
+  for (const part of parts) yield encoder.encode(part);
+}
+
+const readAll = async (body) => {
+  const events = [];
+  for await (const event of parseEventStream(body)) events.push(event);
+  return events;
+};
+
+describe('parseEventStream', () => {
+  it('reassembles events split across chunks', async () => {
+    const events = await readAll(chunks('event: ping\ndata: {"a"', ':1}\n\n: comment\n\nda', 'ta: tail'));
+
+    expect(events).toEqual([
+      { event: 'ping', data: '{"a":1}' },
+      { event: 'message', data: 'tail' }
+    ]);
+  });
+
+  it('joins multi-line data and accepts CRLF', async () => {
+    expect(await readAll(chunks('data: one\r\ndata: two\r\n\r\n'))).toEqual([{ event: 'message', data: 'one\ntwo' }]);
+  });
+});
+
+describe('openEventStream', () => {
+  it('writes named JSON events and stops after close', () => {
+    const written = [];
+    const res = {
+      writableEnded: false,
+      headers: {},
+      set: (headers) => Object.assign(res.headers, headers),
+      write: (text) => written.push(text),
+      end: () => { res.writableEnded = true; }
+    };
+
+    const stream = openEventStream(res);
+    stream.send('stage', { step: 1 });
+    stream.close();
+    stream.send('late', {});
+
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+    expect(written).toEqual(['event: stage\ndata: {"step":1}\n\n']);
+  });
+});
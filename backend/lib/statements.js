@@ -0,0 +1,164 @@
+/**
+ * Statement merging
+ *
+ * Providers return the income statement, balance sheet and cash flow
+ * statement as separate lists, and a year missing from one of them shifts
+ * every later index, so pairing reports by position mixes years. This joins
+ * the three on fiscalDateEnding instead:
+ *
+ * - Dates within MATCH_WINDOW_DAYS are the same fiscal year, since vendors
+ *   and 52/53-week calendars don't always agree on the exact end date
+ * - A period of 357-378 days is a normal year (365/366 days or 52/53 weeks);
+ *   53-week years are marked, as their flows run a week long
+ * - A shorter period is the transition period of a fiscal-year change and
+ *   is left out of the history, since its flows cover a partial year; a
+ *   longer one means the year end moved without a transition report, or
+ *   (from MISSING_YEAR_DAYS) that whole years are missing
+ *
+ * TTM reports (see periods.js) are merged separately from the annual ones.
+ */
+
+export const MATCH_WINDOW_DAYS = 7;
+
+const YEAR_DAYS = { min: 357, max: 378 };
+const WEEK_53_MIN_DAYS = 369;
+// Two years or more between reports means years are missing, not a moved year end
+const MISSING_YEAR_DAYS = 2 * YEAR_DAYS.min;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const STATEMENT_NAMES = ['income', 'balance', 'cashFlow'];
+
+const STATEMENT_LABELS = {
+  income: 'income statement',
+  balance: 'balance sheet',
+  cashFlow: 'cash flow statement'
+};
+
+const daysBetween = (later, earlier) => Math.round((new Date(later) - new Date(earlier)) / DAY_MS);
+
+/**
+ * Join reports of the three statements that end within MATCH_WINDOW_DAYS of each other
+ * @param {object} statements - { income, balance, cashFlow } canonical reports
+ * @returns {Array} Rows { fiscalDateEnding, income, balance, cashFlow }, newest first; a statement
+ *   without a report for the row is null, and the row's date is the income statement's when it has one
+ */
+const joinByDate = (statements) => {
+  const entries = STATEMENT_NAMES
+    .flatMap(name => statements[name].map(report => ({ name, report })))
+    .sort((a, b) => b.report.fiscalDateEnding.localeCompare(a.report.fiscalDateEnding));
+
+  const rows = [];
+  for (const { name, report } of entries) {
+    const row = rows[rows.length - 1];
+    if (row && !row[name] && daysBetween(row.anchor, report.fiscalDateEnding) <= MATCH_WINDOW_DAYS) {
+      row[name] = report;
+    } else {
+      rows.push({ anchor: report.fiscalDateEnding, income: null, balance: null, cashFlow: null, [name]: report });
+    }
+  }
+
+  return rows.map(({ anchor, ...reports }) => ({
+    fiscalDateEnding: (reports.income || reports.balance || reports.cashFlow || { fiscalDateEnding: anchor }).fiscalDateEnding,
+    ...reports
+  }));
+};
+
+const missingFrom = (row) => STATEMENT_NAMES.filter(name => !row[name]);
+
+const isComplete = (row) => missingFrom(row).length === 0;
+
+/**
+ * Merge the three statements by fiscal date
+ * @param {object} statements
+ * @param {Array} statements.income - Canonical reports, newest first (a TTM report may lead)
+ * @param {Array} statements.balance
+ * @param {Array} statements.cashFlow
+ * @param {object} [options]
+ * @param {number} [options.years=5] - Annual rows kept as history
+ * @returns {object} { latest, history, gaps }:
+ *   latest - { fiscalDateEnding, period, income, balance, cashFlow, aligned }: the newest period all
+ *     three statements report (TTM when complete, else annual); when none does, each statement's
+ *     newest report with aligned false
+ *   history - annual rows { fiscalDateEnding, lengthDays, weeks, fiscalYearChange, income, balance,
+ *     cashFlow }, newest first, transition periods left out; statements missing a year are null;
+ *     lengthDays is null for the oldest row and weeks 53 for 53-week years, else null
+ *   gaps - { fiscalDateEnding, type: 'missingStatement'|'missingYears'|'fiscalYearChange'|'misaligned', detail }
+ */
+export const mergeStatements = ({ income, balance, cashFlow }, { years = 5 } = {}) => {
+  const byPeriod = (isTTM) => joinByDate(Object.fromEntries(Object.entries({ income, balance, cashFlow })
+    .map(([name, reports]) => [name, reports.filter(report => (report.period === 'TTM') === isTTM)])));
+  const ttmRows = byPeriod(true);
+  const annualRows = byPeriod(false);
+  const gaps = [];
+
+  const noteMissing = (row, label) => {
+    const missing = missingFrom(row);
+    if (missing.length === 0) return;
+    gaps.push({
+      fiscalDateEnding: row.fiscalDateEnding,
+      type: 'missingStatement',
+      detail: `No ${missing.map(name => STATEMENT_LABELS[name]).join(' or ')} for ${label}`
+    });
+  };
+
+  // Only the years kept as history are checked, so older gaps aren't reported
+  const history = [];
+  for (const [index, row] of annualRows.entries()) {
+    if (history.length === years) break;
+    const older = annualRows[index + 1];
+    const lengthDays = older ? daysBetween(row.fiscalDateEnding, older.fiscalDateEnding) : null;
+
+    if (lengthDays !== null && lengthDays < YEAR_DAYS.min) {
+      gaps.push({
+        fiscalDateEnding: row.fiscalDateEnding,
+        type: 'fiscalYearChange',
+        detail: `${lengthDays}-day transition period ending ${row.fiscalDateEnding} left out (fiscal year end changed)`
+      });
+      continue;
+    }
+    if (lengthDays >= MISSING_YEAR_DAYS) {
+      gaps.push({
+        fiscalDateEnding: row.fiscalDateEnding,
+        type: 'missingYears',
+        detail: `No reports between ${older.fiscalDateEnding} and ${row.fiscalDateEnding}`
+      });
+    } else if (lengthDays > YEAR_DAYS.max) {
+      gaps.push({
+        fiscalDateEnding: row.fiscalDateEnding,
+        type: 'fiscalYearChange',
+        detail: `Fiscal year end moved from ${older.fiscalDateEnding.slice(5)} to ${row.fiscalDateEnding.slice(5)}; no transition period reported`
+      });
+    }
+    history.push({
+      ...row,
+      lengthDays,
+      weeks: lengthDays >= WEEK_53_MIN_DAYS && lengthDays <= YEAR_DAYS.max ? 53 : null,
+      fiscalYearChange: lengthDays > YEAR_DAYS.max && lengthDays < MISSING_YEAR_DAYS
+    });
+    noteMissing(row, row.fiscalDateEnding);
+  }
+
+  const ttm = ttmRows[0];
+  if (ttm) noteMissing(ttm, `the TTM period ending ${ttm.fiscalDateEnding}; using annual figures`);
+
+  let latest = [ttm, ...history].find(row => row && isComplete(row));
+  if (latest) {
+    latest = { ...latest, period: latest.income.period, aligned: true };
+  } else {
+    latest = {
+      fiscalDateEnding: (income[0] || balance[0] || cashFlow[0]).fiscalDateEnding,
+      period: income[0]?.period || 'annual',
+      income: income[0] || null,
+      balance: balance[0] || null,
+      cashFlow: cashFlow[0] || null,
+      aligned: false
+    };
+    gaps.push({
+      fiscalDateEnding: latest.fiscalDateEnding,
+      type: 'misaligned',
+      detail: 'No period is reported in all three statements; the newest report of each is used'
+    });
+  }
+
+  return { latest, history, gaps };
+};
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { mergeStatements } from './statements.js';
+
+const report = (fiscalDateEnding, period = 'annual') => ({ fiscalDateEnding, period, revenue: 1 });
+const dates = (rows) => rows.map(row => row.fiscalDateEnding);
+
+describe('mergeStatements', () => {
+  it('pairs statements by date, not position, when one skips a year', () => {
+    const merged = mergeStatements({
+      income: [report('2024-12-31'), report('2023-12-31'), report('2022-12-31')],
+      balance: [report('2024-12-31'), report('2022-12-31')],
+      cashFlow: [report('2024-12-31'), report('2023-12-31'), report('2022-12-31')]
+    });
+
+    expect(dates(merged.history)).toEqual(['2024-12-31', '2023-12-31', '2022-12-31']);
+    expect(merged.history[1].balance).toBe(null);
+    expect(merged.history[2].balance.fiscalDateEnding).toBe('2022-12-31');
+    expect(merged.gaps).toEqual([
+      { fiscalDateEnding: '2023-12-31', type: 'missingStatement', detail: 'No balance sheet for 2023-12-31' }
+    ]);
+  });
+
+  it('uses the newest period every statement reports as the latest', () => {
+    const merged = mergeStatements({
+      income: [report('2024-12-31'), report('2023-12-31')],
+      balance: [report('2023-12-31')],
+      cashFlow: [report('2024-12-31'), report('2023-12-31')]
+    });
+
+    expect(merged.latest).toMatchObject({ fiscalDateEnding: '2023-12-31', period: 'annual', aligned: true });
+  });
+
+  it('falls back to annual figures when the TTM period is incomplete', () => {
+    const merged = mergeStatements({
+      income: [report('2025-06-30', 'TTM'), report('2024-12-31')],
+      balance: [report('2025-06-30', 'TTM'), report('2024-12-31')],
+      cashFlow: [report('2024-12-31')]
+    });
+
+    expect(merged.latest).toMatchObject({ fiscalDateEnding: '2024-12-31', period: 'annual' });
+    expect(merged.gaps[0].detail).toBe('No cash flow statement for the TTM period ending 2025-06-30; using annual figures');
+  });
+
+  it('matches 52/53-week year ends that differ by a few days and marks 53-week years', () => {
+    const merged = mergeStatements({
+      income: [report('2023-09-30'), report('2022-09-24'), report('2021-09-25')],
+      balance: [report('2023-09-30'), report('2022-09-24'), report('2021-09-25')],
+      cashFlow: [report('2023-09-28'), report('2022-09-24'), report('2021-09-25')]
+    });
+
+    expect(dates(merged.history)).toEqual(['2023-09-30', '2022-09-24', '2021-09-25']);
+    expect(merged.history.map(row => [row.lengthDays, row.weeks])).toEqual([[371, 53], [364, null], [null, null]]);
+    expect(merged.history[0].cashFlow.fiscalDateEnding).toBe('2023-09-28');
+    expect(merged.gaps).toEqual([]);
+  });
+
+  it('leaves out transition periods and flags fiscal-year changes and missing years', () => {
+    const statement = [report('2024-12-31'), report('2023-12-31'), report('2023-06-30'), report('2022-06-30'), report('2019-06-30')];
+    const merged = mergeStatements({ income: statement, balance: statement, cashFlow: statement });
+
+    expect(dates(merged.history)).toEqual(['2024-12-31', '2023-06-30', '2022-06-30', '2019-06-30']);
+    expect(merged.gaps.map(gap => gap.type)).toEqual(['fiscalYearChange', 'missingYears']);
+    expect(merged.gaps[0].detail).toBe('184-day transition period ending 2023-12-31 left out (fiscal year end changed)');
+  });
+
+  it('flags a year end that moved without a transition period', () => {
+    const statement = [report('2024-12-31'), report('2023-06-30')];
+    const merged = mergeStatements({ income: statement, balance: statement, cashFlow: statement });
+
+    expect(merged.history[0]).toMatchObject({ lengthDays: 550, fiscalYearChange: true });
+    expect(merged.gaps[0].detail).toBe('Fiscal year end moved from 06-30 to 12-31; no transition period reported');
+  });
+});
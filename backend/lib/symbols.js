@@ -0,0 +1,36 @@
+/**
+ * Ticker symbols
+ *
+ * Symbols name the directories stored data lives in (local provider files,
+ * SEC companyfacts, transcripts, 10-Ks), so they are limited to ticker
+ * characters, starting with a letter or digit so that '.' and '..' can't walk
+ * out of the directory.
+ */
+
+import path from 'path';
+import { ProviderError } from './providers/errors.js';
+
+export const VALID_SYMBOL = /^[A-Za-z0-9][A-Za-z0-9.-]{0,14}$/;
+
+/**
+ * @param {string} value
+ * @returns {string|null} Upper-cased symbol, or null if it isn't one
+ */
+export const parseSymbol = (value) => {
+  const symbol = String(value || '').trim();
+  return VALID_SYMBOL.test(symbol) ? symbol.toUpperCase() : null;
+};
+
+/**
+ * A symbol's directory under dir
+ * @param {string} dir
+ * @param {string} symbol
+ * @returns {string}
+ * @throws {ProviderError} 400 when symbol isn't a valid ticker
+ */
+export const symbolDir = (dir, symbol) => {
+  if (!VALID_SYMBOL.test(String(symbol))) {
+    throw new ProviderError('Invalid symbol', 400);
+  }
+  return path.join(dir, String(symbol).toUpperCase());
+};
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { parseSymbol, symbolDir } from './symbols.js';
+
+describe('parseSymbol', () => {
+  it('normalizes ticker symbols', () => {
+    expect(parseSymbol(' brk.b ')).toBe('BRK.B');
+    expect(parseSymbol('9984.T')).toBe('9984.T');
+  });
+
+  it('rejects symbols that could escape the store directory', () => {
+    expect(parseSymbol('../etc')).toBe(null);
+    expect(parseSymbol('..')).toBe(null);
+    expect(parseSymbol('.')).toBe(null);
+    expect(parseSymbol('')).toBe(null);
+  });
+});
+
+describe('symbolDir', () => {
+  it('joins the upper-cased symbol and rejects others with a 400', () => {
+    expect(symbolDir('/data', 'aapl')).toBe('/data/AAPL');
+    expect(() => symbolDir('/data', '..')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
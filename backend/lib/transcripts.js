@@ -0,0 +1,316 @@
+/**
+ * Earnings call transcripts
+ *
+ * Transcripts are uploaded or imported as plain text per ticker and fiscal
+ * quarter, split into passages (one per paragraph, with its speaker) under
+ * prepared remarks and Q&A, and stored as JSON on disk:
+ *
+ *   <dir>/AAPL/2024Q4.json
+ *
+ * Passages are numbered R1, R2, ... (prepared remarks) and Q1, Q2, ... (Q&A),
+ * and cited as <quarter>-<passage>, e.g. [2024Q4-Q3]. The earnings section
+ * quotes them, and resolveCitations maps its citations back to the text.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { symbolDir } from './symbols.js';
+import { createDocumentStore } from './documentStore.js';
+
+// Quarters included in the earnings prompt, newest first
+export const TRANSCRIPT_QUARTERS = 2;
+
+// Characters of transcript text quoted in the prompt (~4 characters per token)
+export const TRANSCRIPT_CHAR_BUDGET = 60000;
+
+// Longest passage quoted in full; longer ones are cut
+const PASSAGE_CHAR_LIMIT = 1500;
+
+// "2024Q4", "2024-Q4", "Q4 2024", "q4-2024", "Q4FY2024"
+const QUARTER_PATTERNS = [/^(\d{4})[\s_-]?Q([1-4])$/i, /^Q([1-4])[\s_-]?(?:FY)?(\d{4})$/i];
+
+// A speaker on a line of their own: "Tim Cook -- Chief Executive Officer", "Operator"
+const SPEAKER_LINE = /^([A-Z][\w.'’ -]{1,50}?)\s+(?:--|—|–|-)\s+([^.!?]{2,80})$|^(Operator)$/;
+
+// A speaker introducing their own paragraph: "Tim Cook: Thank you." or "Tim Cook (CEO): ..."
+const INLINE_SPEAKER = /^([A-Z][\w.'’ -]{1,50}?)(?:\s*\(([^)]{2,80})\))?:\s+(.+)$/;
+
+// A heading that starts the Q&A, or the operator opening it
+const QA_HEADING = /^(questions?[\s-]+(and|&)[\s-]+answers?|q\s?&\s?a)(\s+session)?:?$/i;
+const QA_CUE = /(begin|open|start|move to|turn to)\s+(the\s+)?(question[\s-]+and[\s-]+answer|q\s?&\s?a)|first question (comes|is) from/i;
+
+// Citation ids inside square brackets, alone or in a list: [2024Q4-R2] or [2024Q4-R2, 2024Q3-Q1]
+const CITATION_GROUP = /\[([^\]]+)\]/g;
+const CITATION_ID = /^(\d{4}Q[1-4])-([RQ]\d+)$/;
+
+/**
+ * Normalize a fiscal quarter
+ * @param {string} value
+ * @returns {string|null} e.g. '2024Q4', or null if unrecognized
+ */
+export const parseQuarter = (value) => {
+  const text = String(value || '').trim();
+  const [yearFirst, quarterFirst] = QUARTER_PATTERNS.map(pattern => text.match(pattern));
+  if (yearFirst) return `${yearFirst[1]}Q${yearFirst[2]}`;
+  if (quarterFirst) return `${quarterFirst[2]}Q${quarterFirst[1]}`;
+  return null;
+};
+
+/**
+ * Split a transcript into prepared remarks and Q&A passages
+ * @param {string} text - Plain text, paragraphs separated by blank lines
+ * @returns {{preparedRemarks: object[], qa: object[]}} passages are { id, speaker, role, text };
+ *   everything is prepared remarks when no Q&A heading or cue is found
+ */
+export const parseTranscript = (text) => {
+  const preparedRemarks = [];
+  const qa = [];
+  let inQA = false;
+  let speaker = null;
+  let role = null;
+  let paragraph = [];
+
+  const flush = () => {
+    const body = paragraph.join(' ').replace(/\s+/g, ' ').trim();
+    paragraph = [];
+    if (!body) return;
+    if (!inQA && QA_CUE.test(body)) inQA = true;
+
+    const passages = inQA ? qa : preparedRemarks;
+    passages.push({ id: `${inQA ? 'Q' : 'R'}${passages.length + 1}`, speaker, role, text: body });
+  };
+
+  for (const rawLine of String(text).replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.trim();
+
+    if (!line) {
+      flush();
+      continue;
+    }
+    if (QA_HEADING.test(line)) {
+      flush();
+      inQA = true;
+      continue;
+    }
+
+    const header = line.match(SPEAKER_LINE);
+    if (header) {
+      flush();
+      speaker = header[1] || header[3];
+      role = header[2] || null;
+      continue;
+    }
+
+    const inline = line.match(INLINE_SPEAKER);
+    if (inline && inline[1].split(' ').length <= 6) {
+      flush();
+      speaker = inline[1];
+      role = inline[2] || null;
+      paragraph.push(inline[3]);
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+  flush();
+
+  return { preparedRemarks, qa };
+};
+
+const summarize = (transcript) => ({
+  symbol: transcript.symbol,
+  quarter: transcript.quarter,
+  source: transcript.source,
+  filename: transcript.filename,
+  importedAt: transcript.importedAt,
+  passages: { preparedRemarks: transcript.preparedRemarks.length, qa: transcript.qa.length }
+});
+
+/**
+ * Create a file-backed transcript store
+ * @param {object} options
+ * @param {string} options.dir - Directory for transcript files (created on first write)
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {object} Store with save, get, list, latest and remove
+ */
+export const createTranscriptStore = ({ dir, now = Date.now }) => {
+  const documents = createDocumentStore({ dir, parseKey: parseQuarter, label: 'Transcript' });
+  const read = documents.read;
+
+  return {
+    /**
+     * Parse and store a transcript, replacing any for the same quarter
+     * @param {object} transcript - { symbol, quarter, text, source: 'upload'|'import', filename? };
+     *   symbol and quarter already normalized (see parseSymbol in lib/symbols.js, parseQuarter)
+     * @returns {Promise<object>} Summary: { symbol, quarter, source, filename, importedAt, passages }
+     */
+    async save({ symbol, quarter, text, source, filename = null }) {
+      const transcript = {
+        symbol,
+        quarter,
+        source,
+        filename,
+        importedAt: new Date(now()).toISOString(),
+        ...parseTranscript(text),
+        text
+      };
+
+      await documents.write(symbol, quarter, transcript);
+      return summarize(transcript);
+    },
+
+    /**
+     * @returns {Promise<object|null>} The stored transcript with its passages and original text
+     */
+    get: read,
+
+    /**
+     * @param {string} symbol
+     * @returns {Promise<object[]>} Summaries, newest quarter first
+     */
+    async list(symbol) {
+      const transcripts = await Promise.all((await documents.keysOf(symbol)).map(quarter => read(symbol, quarter)));
+      return transcripts.filter(Boolean).map(summarize);
+    },
+
+    /**
+     * The most recent transcripts, without their original text
+     * @param {string} symbol
+     * @param {number} [count]
+     * @returns {Promise<object[]>} Newest quarter first
+     */
+    async latest(symbol, count = TRANSCRIPT_QUARTERS) {
+      const quarters = (await documents.keysOf(symbol)).slice(0, count);
+      const transcripts = await Promise.all(quarters.map(quarter => read(symbol, quarter)));
+      return transcripts.filter(Boolean).map(({ text: _text, ...transcript }) => transcript);
+    },
+
+    /**
+     * @returns {Promise<boolean>} false if there was no such transcript
+     */
+    remove: documents.remove
+  };
+};
+
+/**
+ * Import every <dir>/<SYMBOL>/transcripts/<quarter>.txt file for a symbol
+ * (the local data provider's layout, see lib/providers/local.js)
+ * @param {object} store - From createTranscriptStore
+ * @param {string} dir
+ * @param {string} symbol
+ * @returns {Promise<{imported: object[], skipped: object[]}>} skipped are { file, reason }
+ */
+export const importTranscripts = async (store, dir, symbol) => {
+  const folder = path.join(symbolDir(dir, symbol), 'transcripts');
+  let files;
+  try {
+    files = (await readdir(folder)).filter(name => name.toLowerCase().endsWith('.txt')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return { imported: [], skipped: [] };
+    throw error;
+  }
+
+  const imported = [];
+  const skipped = [];
+  for (const file of files) {
+    const quarter = parseQuarter(file.slice(0, -'.txt'.length));
+    if (!quarter) {
+      skipped.push({ file, reason: 'File name is not a fiscal quarter (e.g. 2024Q4.txt)' });
+      continue;
+    }
+    const text = await readFile(path.join(folder, file), 'utf8');
+    if (!text.trim()) {
+      skipped.push({ file, reason: 'Empty file' });
+      continue;
+    }
+    imported.push(await store.save({ symbol, quarter, text, source: 'import', filename: file }));
+  }
+  return { imported, skipped };
+};
+
+const clip = (text) => (text.length > PASSAGE_CHAR_LIMIT ? `${text.slice(0, PASSAGE_CHAR_LIMIT)}…` : text);
+
+const passageLine = (quarter, passage) =>
+  `[${quarter}-${passage.id}] ${passage.speaker || 'Unknown speaker'}${passage.role ? ` (${passage.role})` : ''}: ${clip(passage.text)}`;
+
+/**
+ * Transcript passages for the earnings prompt, newest quarter first, within the character budget
+ * @param {object[]} [transcripts] - From store.latest
+ * @param {number} [charBudget]
+ * @returns {string} Empty without transcripts
+ */
+export const buildTranscriptContext = (transcripts, charBudget = TRANSCRIPT_CHAR_BUDGET) => {
+  if (!transcripts?.length) return '';
+
+  // Split the budget evenly so older quarters are represented too
+  const perQuarter = Math.floor(charBudget / transcripts.length);
+  const blocks = transcripts.map(transcript => {
+    let used = 0;
+    const fit = (passages) => passages
+      .map(passage => passageLine(transcript.quarter, passage))
+      .filter(line => {
+        used += line.length;
+        return used <= perQuarter;
+      });
+
+    // Q&A first: unscripted answers say more about credibility than the script
+    const qa = fit(transcript.qa);
+    const remarks = fit(transcript.preparedRemarks);
+    const omitted = transcript.qa.length + transcript.preparedRemarks.length - qa.length - remarks.length;
+
+    return `--- ${transcript.quarter} EARNINGS CALL ---
+PREPARED REMARKS:
+${remarks.join('\n') || '(none)'}
+
+QUESTIONS AND ANSWERS:
+${qa.join('\n') || '(none)'}${omitted > 0 ? `\n(${omitted} passages omitted for length)` : ''}`;
+  });
+
+  return `
+=== EARNINGS CALL TRANSCRIPTS (cite passages by their id, e.g. [${transcripts[0].quarter}-Q1]) ===
+
+${blocks.join('\n\n')}
+`;
+};
+
+// Every string under a value
+const stringsIn = (value) => {
+  if (typeof value === 'string') return [value];
+  if (!value || typeof value !== 'object') return [];
+  return Object.values(value).flatMap(stringsIn);
+};
+
+/**
+ * Map the passage ids an analysis cites back to the transcripts
+ * @param {*} value - Analysis, or any part of it
+ * @param {object[]} [transcripts] - Those the analysis was given (store.latest)
+ * @returns {{passages: object, unknown: string[]}} passages by citation id, as
+ *   { quarter, part: 'preparedRemarks'|'qa', speaker, role, text }; unknown are cited ids
+ *   that match no passage
+ */
+export const resolveCitations = (value, transcripts = []) => {
+  const byQuarter = new Map(transcripts.map(transcript => [transcript.quarter, transcript]));
+  const passages = {};
+  const unknown = new Set();
+
+  for (const text of stringsIn(value)) {
+    for (const [, group] of text.matchAll(CITATION_GROUP)) {
+      for (const id of group.split(/[,;]/).map(part => part.trim())) {
+        const match = id.match(CITATION_ID);
+        if (!match) continue;
+
+        const [, quarter, passageId] = match;
+        const transcript = byQuarter.get(quarter);
+        const part = passageId.startsWith('R') ? 'preparedRemarks' : 'qa';
+        const passage = transcript?.[part].find(candidate => candidate.id === passageId);
+        if (passage) {
+          passages[id] = { quarter, part, speaker: passage.speaker, role: passage.role, text: passage.text };
+        } else {
+          unknown.add(id);
+        }
+      }
+    }
+  }
+
+  return { passages, unknown: [...unknown] };
+};
@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm, mkdir, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  parseQuarter,
+  parseTranscript,
+  createTranscriptStore,
+  importTranscripts,
+  buildTranscriptContext,
+  resolveCitations
+} from './transcripts.js';
+
+const TRANSCRIPT = `Operator
+Good afternoon and welcome to the ACME fourth quarter earnings call.
+
+Jane Smith -- Chief Executive Officer
+Thank you. Revenue grew 12% this quarter.
+We expect margins to expand next year.
+
+John Doe -- Chief Financial Officer
+Free cash flow was $1.1 billion.
+
+Questions and Answers
+
+Operator
+Our first question comes from Sam Lee with Big Bank.
+
+Sam Lee: How sustainable is the margin expansion?
+
+Jane Smith (CEO): Very. Most of it is pricing.`;
+
+describe('parseQuarter', () => {
+  it('normalizes common spellings', () => {
+    expect(parseQuarter('2024Q4')).toBe('2024Q4');
+    expect(parseQuarter('2024-q4')).toBe('2024Q4');
+    expect(parseQuarter('Q4 2024')).toBe('2024Q4');
+    expect(parseQuarter('Q3FY2023')).toBe('2023Q3');
+    expect(parseQuarter('2024Q5')).toBe(null);
+    expect(parseQuarter('latest')).toBe(null);
+  });
+});
+
+describe('parseTranscript', () => {
+  it('splits prepared remarks from Q&A and keeps speakers', () => {
+    const { preparedRemarks, qa } = parseTranscript(TRANSCRIPT);
+
+    expect(preparedRemarks).toEqual([
+      { id: 'R1', speaker: 'Operator', role: null, text: 'Good afternoon and welcome to the ACME fourth quarter earnings call.' },
+      { id: 'R2', speaker: 'Jane Smith', role: 'Chief Executive Officer', text: 'Thank you. Revenue grew 12% this quarter. We expect margins to expand next year.' },
+      { id: 'R3', speaker: 'John Doe', role: 'Chief Financial Officer', text: 'Free cash flow was $1.1 billion.' }
+    ]);
+    expect(qa.map(passage => [passage.id, passage.speaker, passage.role])).toEqual([
+      ['Q1', 'Operator', null],
+      ['Q2', 'Sam Lee', null],
+      ['Q3', 'Jane Smith', 'CEO']
+    ]);
+  });
+
+  it('starts the Q&A at the operator cue when there is no heading', () => {
+    const { preparedRemarks, qa } = parseTranscript(`CEO: Great quarter.
+
+Operator: We will now begin the question-and-answer session.
+
+Analyst: What about China?`);
+
+    expect(preparedRemarks).toHaveLength(1);
+    expect(qa.map(passage => passage.speaker)).toEqual(['Operator', 'Analyst']);
+  });
+});
+
+describe('createTranscriptStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'transcripts-'));
+    store = createTranscriptStore({ dir, now: () => Date.UTC(2025, 0, 30) });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('rejects symbols that would leave the store directory with a 400', async () => {
+    const escape = { status: 400 };
+
+    await expect(store.save({ symbol: '..', quarter: '2024Q1', text: TRANSCRIPT, source: 'upload' })).rejects.toMatchObject(escape);
+    await expect(store.remove('..', '2024Q1')).rejects.toMatchObject(escape);
+    await expect(store.list('.')).rejects.toMatchObject(escape);
+  });
+
+  it('saves, lists newest first and removes transcripts', async () => {
+    const summary = await store.save({ symbol: 'ACME', quarter: '2024Q4', text: TRANSCRIPT, source: 'upload' });
+    await store.save({ symbol: 'ACME', quarter: '2024Q3', text: 'CEO: Fine quarter.', source: 'upload' });
+
+    expect(summary).toEqual({
+      symbol: 'ACME',
+      quarter: '2024Q4',
+      source: 'upload',
+      filename: null,
+      importedAt: '2025-01-30T00:00:00.000Z',
+      passages: { preparedRemarks: 3, qa: 3 }
+    });
+    expect((await store.list('ACME')).map(transcript => transcript.quarter)).toEqual(['2024Q4', '2024Q3']);
+    expect((await store.get('ACME', '2024Q4')).text).toBe(TRANSCRIPT);
+
+    const [latest] = await store.latest('ACME', 1);
+    expect(latest.quarter).toBe('2024Q4');
+    expect(latest.text).toBeUndefined();
+
+    expect(await store.remove('ACME', '2024Q3')).toBe(true);
+    expect(await store.remove('ACME', '2024Q3')).toBe(false);
+    expect(await store.list('OTHER')).toEqual([]);
+  });
+
+  it('imports quarter-named text files and skips the rest', async () => {
+    const folder = path.join(dir, 'import', 'ACME', 'transcripts');
+    await mkdir(folder, { recursive: true });
+    await writeFile(path.join(folder, 'Q4 2024.txt'), TRANSCRIPT);
+    await writeFile(path.join(folder, 'notes.txt'), 'not a call');
+
+    const { imported, skipped } = await importTranscripts(store, path.join(dir, 'import'), 'ACME');
+
+    expect(imported).toMatchObject([{ quarter: '2024Q4', source: 'import', filename: 'Q4 2024.txt' }]);
+    expect(skipped).toEqual([{ file: 'notes.txt', reason: 'File name is not a fiscal quarter (e.g. 2024Q4.txt)' }]);
+    expect(await importTranscripts(store, path.join(dir, 'import'), 'NONE')).toEqual({ imported: [], skipped: [] });
+  });
+});
+
+describe('buildTranscriptContext', () => {
+  const transcripts = [{ quarter: '2024Q4', ...parseTranscript(TRANSCRIPT) }];
+
+  it('labels each passage with its citation id', () => {
+    const context = buildTranscriptContext(transcripts);
+
+    expect(context).toContain('[2024Q4-R2] Jane Smith (Chief Executive Officer): Thank you.');
+    expect(context).toContain('[2024Q4-Q3] Jane Smith (CEO): Very. Most of it is pricing.');
+    expect(buildTranscriptContext([])).toBe('');
+  });
+
+  it('keeps Q&A first when the budget runs out', () => {
+    const context = buildTranscriptContext(transcripts, 250);
+
+    expect(context).toContain('[2024Q4-Q1]');
+    expect(context).not.toContain('[2024Q4-R3]');
+    expect(context).toMatch(/passages omitted for length/);
+  });
+});
+
+describe('resolveCitations', () => {
+  it('maps cited ids to passages and reports the ones that match nothing', () => {
+    const transcripts = [{ quarter: '2024Q4', ...parseTranscript(TRANSCRIPT) }];
+    const analysis = {
+      earningsCallSentiment: {
+        forwardGuidance: 'Optimistic: "We expect margins to expand" [2024Q4-R2]',
+        managementCredibility: 'High [2024Q4-Q3, 2024Q4-Q9] [2023Q1-R1]',
+        sentimentScore: 8
+      }
+    };
+
+    const { passages, unknown } = resolveCitations(analysis, transcripts);
+
+    expect(Object.keys(passages)).toEqual(['2024Q4-R2', '2024Q4-Q3']);
+    expect(passages['2024Q4-Q3']).toEqual({
+      quarter: '2024Q4', part: 'qa', speaker: 'Jane Smith', role: 'CEO', text: 'Very. Most of it is pricing.'
+    });
+    expect(unknown).toEqual(['2024Q4-Q9', '2023Q1-R1']);
+  });
+});
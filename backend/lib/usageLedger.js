@@ -0,0 +1,180 @@
+/**
+ * LLM usage ledger and budget caps
+ *
+ * Each analysis request appends one record (tokens, cost, ticker, client) to
+ * a JSON Lines file that is replayed on startup, so spend survives restarts.
+ * Spend for the current UTC day and month is compared against optional caps;
+ * the server switches the analysis routes to a degraded mode while either cap
+ * is reached.
+ */
+
+import { mkdir, readFile, appendFile } from 'fs/promises';
+import { createHmac, randomBytes } from 'crypto';
+import path from 'path';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Default report window
+const REPORT_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a budget from the environment
+ * @param {string|undefined} value - USD
+ * @returns {number|null} null when unset or invalid (no cap)
+ */
+export const parseBudget = (value) => {
+  const budget = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(budget) && budget >= 0 ? budget : null;
+};
+
+/**
+ * Accumulates the model requests of one API request
+ * @returns {{add: Function, totals: Function}} add({ inputTokens, outputTokens, costUSD })
+ */
+export const createUsageMeter = () => {
+  const totals = { inputTokens: 0, outputTokens: 0, calls: 0, costUSD: 0 };
+  return {
+    add({ inputTokens, outputTokens, costUSD }) {
+      totals.inputTokens += inputTokens;
+      totals.outputTokens += outputTokens;
+      totals.calls++;
+      totals.costUSD = Math.round((totals.costUSD + costUSD) * 1e6) / 1e6;
+    },
+    totals: () => ({ ...totals })
+  };
+};
+
+const sumInto = (group, entry) => {
+  group.requests++;
+  group.calls += entry.calls;
+  group.inputTokens += entry.inputTokens;
+  group.outputTokens += entry.outputTokens;
+  group.costUSD = Math.round((group.costUSD + entry.costUSD) * 1e6) / 1e6;
+  return group;
+};
+
+const emptyGroup = () => ({ requests: 0, calls: 0, inputTokens: 0, outputTokens: 0, costUSD: 0 });
+
+// Totals per key, as [{ [name]: key, ...totals }]
+const groupBy = (entries, name, keyOf) => {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    groups.set(key, sumInto(groups.get(key) || { [name]: key, ...emptyGroup() }, entry));
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Create a file-backed usage ledger
+ * @param {object} options
+ * @param {string} options.file - JSON Lines file (created on first write)
+ * @param {{daily?: number|null, monthly?: number|null}} [options.budgets] - Caps in USD; null for none
+ * @param {Function} [options.now] - Clock, for tests
+ * @param {Buffer|string} [options.clientKey] - Key for the pseudonyms of IP-identified clients in
+ *   reports; random per ledger by default, so they only group a client within one process
+ * @returns {object} Ledger with record, getBudgetStatus and report
+ */
+export const createUsageLedger = ({ file, budgets = {}, now = Date.now, clientKey = randomBytes(32) }) => {
+  let loaded = null;
+
+  // Clients without a request id are recorded by IP; reports show a keyed hash instead, since a
+  // plain hash of an IPv4 address is easily reversed
+  const reportedClient = (clientId) => (clientId?.startsWith('ip:')
+    ? `ip:${createHmac('sha256', clientKey).update(clientId.slice(3)).digest('hex').slice(0, 12)}`
+    : clientId || 'unknown');
+
+  // Replay the file once; unreadable lines are skipped
+  const entries = () => {
+    loaded = loaded || readFile(file, 'utf8')
+      .then(text => text.split('\n').filter(Boolean).flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      }))
+      .catch(error => {
+        if (error.code !== 'ENOENT') console.error('Usage ledger read failed:', error.message);
+        return [];
+      });
+    return loaded;
+  };
+
+  const spentSince = (list, prefix) => Math.round(list
+    .filter(entry => entry.at.startsWith(prefix))
+    .reduce((sum, entry) => sum + entry.costUSD, 0) * 1e6) / 1e6;
+
+  return {
+    /**
+     * @param {object} usage - { route, ticker, clientId, provider, model, inputTokens, outputTokens, calls, costUSD, degraded }
+     * @returns {Promise<object>} The stored entry
+     */
+    async record(usage) {
+      const entry = { at: new Date(now()).toISOString(), ...usage };
+      (await entries()).push(entry);
+
+      try {
+        await mkdir(path.dirname(file), { recursive: true });
+        await appendFile(file, `${JSON.stringify(entry)}\n`);
+      } catch (error) {
+        // Still counted in memory for this process
+        console.error('Usage ledger write failed:', error.message);
+      }
+      return entry;
+    },
+
+    /**
+     * Spend against the caps for the current UTC day and month
+     * @returns {Promise<{daily: object, monthly: object, exceeded: 'daily'|'monthly'|null}>}
+     *   daily and monthly are { spentUSD, limitUSD, exceeded }
+     */
+    async getBudgetStatus() {
+      const list = await entries();
+      const today = new Date(now()).toISOString().slice(0, 10);
+
+      const status = (prefix, limitUSD) => {
+        const spentUSD = spentSince(list, prefix);
+        return { spentUSD, limitUSD: limitUSD ?? null, exceeded: limitUSD != null && spentUSD >= limitUSD };
+      };
+      const daily = status(today, budgets.daily);
+      const monthly = status(today.slice(0, 7), budgets.monthly);
+
+      return { daily, monthly, exceeded: daily.exceeded ? 'daily' : monthly.exceeded ? 'monthly' : null };
+    },
+
+    /**
+     * Usage between two UTC dates, inclusive
+     * @param {object} [range]
+     * @param {string} [range.from] - YYYY-MM-DD, default 30 days before `to`
+     * @param {string} [range.to] - YYYY-MM-DD, default today
+     * @returns {Promise<object>} { from, to, totals, byDay, byTicker, byClient }; tickers and
+     *   clients are sorted by cost, most expensive first, and IP addresses are pseudonymized
+     * @throws {RangeError} For malformed dates
+     */
+    async report({ from, to } = {}) {
+      if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        throw new RangeError('Dates must be YYYY-MM-DD');
+      }
+      const end = to || new Date(now()).toISOString().slice(0, 10);
+      const start = from || new Date(Date.parse(end) - (REPORT_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+
+      const list = (await entries()).filter(entry => {
+        const day = entry.at.slice(0, 10);
+        return day >= start && day <= end;
+      });
+      const byCost = (a, b) => b.costUSD - a.costUSD;
+
+      return {
+        from: start,
+        to: end,
+        totals: list.reduce(sumInto, emptyGroup()),
+        byDay: groupBy(list, 'day', entry => entry.at.slice(0, 10)).sort((a, b) => a.day.localeCompare(b.day)),
+        byTicker: groupBy(list, 'ticker', entry => entry.ticker || 'unknown').sort(byCost),
+        byClient: groupBy(list, 'clientId', entry => reportedClient(entry.clientId)).sort(byCost)
+      };
+    }
+  };
+};
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createUsageLedger, createUsageMeter, parseBudget } from './usageLedger.js';
+
+let dir;
+let file;
+let clock;
+
+const now = () => clock;
+
+const usage = (overrides) => ({
+  route: '/api/analyze',
+  ticker: 'ACME',
+  clientId: 'client-a',
+  provider: 'anthropic',
+  model: 'claude-sonnet-4-20250514',
+  inputTokens: 1000,
+  outputTokens: 100,
+  calls: 1,
+  costUSD: 0.5,
+  ...overrides
+});
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'usage-'));
+  file = path.join(dir, 'ledger', 'usage.jsonl');
+  clock = Date.parse('2025-03-31T12:00:00Z');
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('createUsageLedger', () => {
+  it('appends entries to the file and replays them in a new ledger', async () => {
+    await createUsageLedger({ file, now }).record(usage());
+
+    const lines = (await readFile(file, 'utf8')).trim().split('\n');
+    expect(JSON.parse(lines[0])).toMatchObject({ at: '2025-03-31T12:00:00.000Z', ticker: 'ACME', costUSD: 0.5 });
+
+    const { totals } = await createUsageLedger({ file, now }).report();
+    expect(totals).toEqual({ requests: 1, calls: 1, inputTokens: 1000, outputTokens: 100, costUSD: 0.5 });
+  });
+
+  it('checks spend against the daily and monthly caps', async () => {
+    const ledger = createUsageLedger({ file, now, budgets: { daily: 1, monthly: 2 } });
+    await ledger.record(usage({ costUSD: 0.75 }));
+    clock = Date.parse('2025-03-30T12:00:00Z');
+    await ledger.record(usage({ costUSD: 1 }));
+
+    clock = Date.parse('2025-03-31T12:00:00Z');
+    expect(await ledger.getBudgetStatus()).toEqual({
+      daily: { spentUSD: 0.75, limitUSD: 1, exceeded: false },
+      monthly: { spentUSD: 1.75, limitUSD: 2, exceeded: false },
+      exceeded: null
+    });
+
+    await ledger.record(usage({ costUSD: 0.25 }));
+    expect((await ledger.getBudgetStatus()).exceeded).toBe('daily');
+
+    // A new UTC day and month resets both
+    clock = Date.parse('2025-04-01T00:00:00Z');
+    expect((await ledger.getBudgetStatus()).exceeded).toBe(null);
+  });
+
+  it('never reports a cap as exceeded when none is set', async () => {
+    const ledger = createUsageLedger({ file, now });
+    await ledger.record(usage({ costUSD: 100 }));
+
+    expect((await ledger.getBudgetStatus()).daily).toEqual({ spentUSD: 100, limitUSD: null, exceeded: false });
+  });
+
+  it('breaks the report down by day, ticker and client', async () => {
+    const ledger = createUsageLedger({ file, now });
+    await ledger.record(usage({ costUSD: 0.5 }));
+    await ledger.record(usage({ ticker: 'MSFT', clientId: 'client-b', costUSD: 2 }));
+    clock = Date.parse('2025-04-01T09:00:00Z');
+    await ledger.record(usage({ costUSD: 0.25 }));
+
+    const report = await ledger.report({ from: '2025-03-01', to: '2025-04-30' });
+
+    expect(report.totals).toMatchObject({ requests: 3, costUSD: 2.75 });
+    expect(report.byDay.map(day => [day.day, day.costUSD])).toEqual([['2025-03-31', 2.5], ['2025-04-01', 0.25]]);
+    expect(report.byTicker.map(ticker => [ticker.ticker, ticker.requests])).toEqual([['MSFT', 1], ['ACME', 2]]);
+    expect(report.byClient[1]).toEqual({ clientId: 'client-a', requests: 2, calls: 2, inputTokens: 2000, outputTokens: 200, costUSD: 0.75 });
+
+    expect((await ledger.report({ from: '2025-04-01', to: '2025-04-01' })).totals.requests).toBe(1);
+    expect((await ledger.report()).from).toBe('2025-03-03');
+  });
+
+  it('reports IP-identified clients by a keyed hash, never the address', async () => {
+    const ledger = createUsageLedger({ file, now, clientKey: 'secret' });
+    await ledger.record(usage({ clientId: 'ip:203.0.113.7' }));
+    await ledger.record(usage({ clientId: 'ip:203.0.113.7' }));
+    await ledger.record(usage({ clientId: 'ip:198.51.100.2' }));
+
+    const { byClient } = await ledger.report();
+    const clients = byClient.map(client => client.clientId);
+
+    expect(clients).toHaveLength(2);
+    expect(clients.every(client => /^ip:[0-9a-f]{12}$/.test(client))).toBe(true);
+    expect(JSON.stringify(byClient)).not.toContain('203.0.113.7');
+    expect(byClient.find(client => client.requests === 2)).toBeDefined();
+    expect((await createUsageLedger({ file, now, clientKey: 'other' }).report()).byClient[0].clientId)
+      .not.toBe(clients[0]);
+  });
+
+  it('rejects malformed report dates', async () => {
+    await expect(createUsageLedger({ file, now }).report({ from: 'yesterday' })).rejects.toThrow(RangeError);
+  });
+});
+
+describe('createUsageMeter', () => {
+  it('sums the model requests of one API request', () => {
+    const meter = createUsageMeter();
+    meter.add({ inputTokens: 100, outputTokens: 10, costUSD: 0.1 });
+    meter.add({ inputTokens: 50, outputTokens: 5, costUSD: 0.2 });
+
+    expect(meter.totals()).toEqual({ inputTokens: 150, outputTokens: 15, calls: 2, costUSD: 0.3 });
+  });
+});
+
+describe('parseBudget', () => {
+  it('treats unset or invalid values as no cap', () => {
+    expect(parseBudget('25')).toBe(25);
+    expect(parseBudget('0')).toBe(0);
+    expect(parseBudget(undefined)).toBe(null);
+    expect(parseBudget('')).toBe(null);
+    expect(parseBudget('lots')).toBe(null);
+    expect(parseBudget('-5')).toBe(null);
+  });
+});
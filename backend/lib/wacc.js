@@ -0,0 +1,183 @@
+/**
+ * WACC calculator
+ *
+ * Cost of equity via CAPM, cost of debt from interest expense over total debt,
+ * market-value weights from market cap, and the effective tax rate for the debt
+ * shield. Capital-market assumptions come from env config and can be overridden
+ * per request.
+ */
+
+import { resolveTaxRate } from './roic.js';
+
+// 10-year Treasury yield and historical equity risk premium
+const FALLBACK_RISK_FREE_RATE = 0.045;
+const FALLBACK_EQUITY_RISK_PREMIUM = 0.08;
+
+// Spread over the risk-free rate when the filing doesn't let us imply a cost of debt
+export const DEFAULT_CREDIT_SPREAD = 0.015;
+
+// Implied rates outside this band usually mean interest and debt are from different periods
+const MAX_IMPLIED_COST_OF_DEBT = 0.2;
+
+const parseRate = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const toNumber = (value) => (Number.isFinite(value) ? value : 0);
+
+/**
+ * Capital-market assumptions from env config (RISK_FREE_RATE, EQUITY_RISK_PREMIUM)
+ * @param {object} env - Environment variables
+ * @returns {{riskFreeRate: number, equityRiskPremium: number}}
+ */
+export const getDefaultAssumptions = (env = process.env) => ({
+  riskFreeRate: parseRate(env.RISK_FREE_RATE, FALLBACK_RISK_FREE_RATE),
+  equityRiskPremium: parseRate(env.EQUITY_RISK_PREMIUM, FALLBACK_EQUITY_RISK_PREMIUM)
+});
+
+// Allowed range for each overridable assumption (decimals, beta is a multiplier)
+const ASSUMPTION_BOUNDS = {
+  riskFreeRate: [0, 0.2],
+  equityRiskPremium: [0, 0.2],
+  beta: [0, 5],
+  targetDebtWeight: [0, 0.95],
+  // Reverse DCF inputs
+  reinvestmentRate: [0, 0.99],
+  forecastYears: [1, 50]
+};
+
+/**
+ * Validate per-request assumption overrides
+ * @param {object} assumptions - Overrides from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateAssumptions = (assumptions) => {
+  if (assumptions === undefined || assumptions === null) return null;
+
+  if (typeof assumptions !== 'object' || Array.isArray(assumptions)) {
+    return 'Assumptions must be an object';
+  }
+
+  for (const [key, value] of Object.entries(assumptions)) {
+    const bounds = ASSUMPTION_BOUNDS[key];
+    if (!bounds) continue;
+    if (value === null || value === undefined) continue;
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return `Assumption ${key} must be a number`;
+    }
+    if (value < bounds[0] || value > bounds[1]) {
+      return `Assumption ${key} must be between ${bounds[0]} and ${bounds[1]}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Pre-tax cost of debt implied by the filing, falling back to risk-free + spread
+ * @returns {{rate: number, source: 'implied'|'fallback'}}
+ */
+const resolveCostOfDebt = (interestExpense, totalDebt, riskFreeRate) => {
+  if (totalDebt > 0 && interestExpense > 0) {
+    const implied = interestExpense / totalDebt;
+    if (implied > 0 && implied <= MAX_IMPLIED_COST_OF_DEBT) {
+      return { rate: implied, source: 'implied' };
+    }
+  }
+  return { rate: riskFreeRate + DEFAULT_CREDIT_SPREAD, source: 'fallback' };
+};
+
+/**
+ * Weighted average cost of capital
+ * @param {object} companyData - Payload accepted by /api/analyze
+ * @param {object} overrides - riskFreeRate, equityRiskPremium, beta, targetDebtWeight
+ * @param {object} defaults - Baseline assumptions (see getDefaultAssumptions)
+ * @returns {object} Every intermediate step so the UI can show the calculation; missingInputs lists
+ *   the unreported inputs as companyData paths
+ */
+export const calculateWACC = (companyData = {}, overrides = {}, defaults = getDefaultAssumptions()) => {
+  const riskFreeRate = overrides?.riskFreeRate ?? defaults.riskFreeRate;
+  const equityRiskPremium = overrides?.equityRiskPremium ?? defaults.equityRiskPremium;
+
+  // Market beta of 1.0 when neither the request nor the data provides one
+  const reportedBeta = companyData.marketData?.beta;
+  let beta = 1;
+  let betaSource = 'default';
+  if (Number.isFinite(overrides?.beta)) {
+    beta = overrides.beta;
+    betaSource = 'override';
+  } else if (Number.isFinite(reportedBeta) && reportedBeta > 0) {
+    beta = reportedBeta;
+    betaSource = 'reported';
+  }
+
+  const costOfEquity = riskFreeRate + beta * equityRiskPremium;
+
+  const balanceSheet = companyData.balanceSheet || {};
+  const incomeStatement = companyData.incomeStatement || {};
+  // Inputs the filing doesn't report; each falls back as commented below
+  const missingInputs = [
+    ['balanceSheet.shortTermDebt', balanceSheet.shortTermDebt],
+    ['balanceSheet.longTermDebt', balanceSheet.longTermDebt],
+    ['incomeStatement.interestExpense', incomeStatement.interestExpense],
+    ['incomeStatement.taxRate', incomeStatement.taxRate],
+    ['marketData.marketCap', companyData.marketData?.marketCap]
+  ].filter(([, value]) => !Number.isFinite(value)).map(([path]) => path);
+
+  // Unreported debt lines count as no debt
+  const totalDebt = toNumber(balanceSheet.shortTermDebt) + toNumber(balanceSheet.longTermDebt);
+  // Without interest expense the cost of debt falls back to risk-free + spread
+  const interestExpense = Number.isFinite(incomeStatement.interestExpense) ? Math.abs(incomeStatement.interestExpense) : null;
+  const costOfDebt = resolveCostOfDebt(toNumber(interestExpense), totalDebt, riskFreeRate);
+
+  const taxRate = resolveTaxRate(incomeStatement.taxRate);
+  const afterTaxCostOfDebt = costOfDebt.rate * (1 - taxRate);
+
+  // Market value of equity when we have it; book debt stands in for market debt
+  const marketCap = toNumber(companyData.marketData?.marketCap);
+  const equityValue = marketCap > 0 ? marketCap : Math.max(toNumber(balanceSheet.totalEquity), 0);
+  const equityValueSource = marketCap > 0 ? 'market' : 'book';
+
+  let debtWeight;
+  let weightSource;
+  if (Number.isFinite(overrides?.targetDebtWeight)) {
+    debtWeight = overrides.targetDebtWeight;
+    weightSource = 'target';
+  } else {
+    const totalCapital = equityValue + totalDebt;
+    debtWeight = totalCapital > 0 ? totalDebt / totalCapital : 0;
+    weightSource = equityValueSource;
+  }
+  const equityWeight = 1 - debtWeight;
+
+  const wacc = equityWeight * costOfEquity + debtWeight * afterTaxCostOfDebt;
+
+  return {
+    assumptions: {
+      riskFreeRate,
+      equityRiskPremium
+    },
+    beta,
+    betaSource,
+    costOfEquity,
+    costOfDebt: {
+      interestExpense,
+      totalDebt,
+      preTax: costOfDebt.rate,
+      afterTax: afterTaxCostOfDebt,
+      source: costOfDebt.source
+    },
+    taxRate,
+    weights: {
+      equityValue,
+      debtValue: totalDebt,
+      equity: equityWeight,
+      debt: debtWeight,
+      source: weightSource
+    },
+    wacc,
+    missingInputs
+  };
+};
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateWACC,
+  getDefaultAssumptions,
+  validateAssumptions,
+  DEFAULT_CREDIT_SPREAD
+} from './wacc.js';
+
+const defaults = { riskFreeRate: 0.045, equityRiskPremium: 0.08 };
+
+const companyData = {
+  marketData: { beta: 1.2, marketCap: 800 },
+  incomeStatement: { interestExpense: 10, taxRate: 0.25 },
+  balanceSheet: { shortTermDebt: 50, longTermDebt: 150, totalEquity: 300 }
+};
+
+describe('getDefaultAssumptions', () => {
+  it('uses the historical defaults without env config', () => {
+    expect(getDefaultAssumptions({})).toEqual(defaults);
+  });
+
+  it('reads overrides from env', () => {
+    const result = getDefaultAssumptions({ RISK_FREE_RATE: '0.04', EQUITY_RISK_PREMIUM: '0.055' });
+
+    expect(result.riskFreeRate).toBe(0.04);
+    expect(result.equityRiskPremium).toBe(0.055);
+  });
+});
+
+describe('validateAssumptions', () => {
+  it('accepts missing or valid overrides', () => {
+    expect(validateAssumptions(undefined)).toBe(null);
+    expect(validateAssumptions({ riskFreeRate: 0.04, targetDebtWeight: 0.3 })).toBe(null);
+  });
+
+  it('rejects non-numeric and out-of-range values', () => {
+    expect(validateAssumptions({ riskFreeRate: '4%' })).toMatch(/must be a number/);
+    expect(validateAssumptions({ equityRiskPremium: 0.5 })).toMatch(/between/);
+    expect(validateAssumptions([])).toMatch(/object/);
+  });
+});
+
+describe('calculateWACC', () => {
+  it('computes cost of equity with CAPM', () => {
+    const result = calculateWACC(companyData, {}, defaults);
+
+    expect(result.costOfEquity).toBeCloseTo(0.141, 6);
+    expect(result.betaSource).toBe('reported');
+  });
+
+  it('derives cost of debt from interest expense over total debt', () => {
+    const result = calculateWACC(companyData, {}, defaults);
+
+    expect(result.costOfDebt.preTax).toBeCloseTo(0.05, 6);
+    expect(result.costOfDebt.afterTax).toBeCloseTo(0.0375, 6);
+    expect(result.costOfDebt.source).toBe('implied');
+  });
+
+  it('weights by market cap and total debt', () => {
+    const result = calculateWACC(companyData, {}, defaults);
+
+    expect(result.weights.debt).toBeCloseTo(0.2, 6);
+    expect(result.wacc).toBeCloseTo(0.8 * 0.141 + 0.2 * 0.0375, 6);
+  });
+
+  it('falls back to book equity and a credit spread when data is missing', () => {
+    const result = calculateWACC({
+      incomeStatement: { taxRate: 0.2 },
+      balanceSheet: { longTermDebt: 100, totalEquity: 300 }
+    }, {}, defaults);
+
+    expect(result.betaSource).toBe('default');
+    expect(result.weights.source).toBe('book');
+    expect(result.costOfDebt.preTax).toBeCloseTo(0.045 + DEFAULT_CREDIT_SPREAD, 6);
+    expect(result.missingInputs).toEqual(['balanceSheet.shortTermDebt', 'incomeStatement.interestExpense', 'marketData.marketCap']);
+  });
+
+  it('applies per-request overrides', () => {
+    const result = calculateWACC(companyData, {
+      riskFreeRate: 0.03,
+      equityRiskPremium: 0.05,
+      beta: 1,
+      targetDebtWeight: 0.5
+    }, defaults);
+
+    expect(result.costOfEquity).toBeCloseTo(0.08, 6);
+    expect(result.weights.source).toBe('target');
+    expect(result.wacc).toBeCloseTo(0.5 * 0.08 + 0.5 * 0.0375, 6);
+  });
+});
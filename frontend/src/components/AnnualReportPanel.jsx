@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Upload, Trash2 } from 'lucide-react';
+import { listAnnualReports, uploadAnnualReport, deleteAnnualReport } from '../utils/api';
+import { formatTimeAgo } from '../utils/formatters';
+
+const SECTION_LABELS = { business: 'Business', riskFactors: 'Risk Factors', mdna: 'MD&A' };
+
+// "acme-10k-2024.htm" or "FY2024 10-K.txt" -> the fiscal year typed into the form
+const fiscalYearFromFilename = (filename) => filename.match(/(?:^|\D)((?:19|20)\d{2})(?!\d)/)?.[1] || '';
+
+/**
+ * 10-K annual reports stored for a ticker: upload the filing's HTML or text
+ * per fiscal year, list and delete them. The moat and management sections
+ * quote excerpts of the latest one.
+ * @param {string} ticker
+ * @param {Function} onAnalyze - Re-runs the sections that quote the annual report
+ * @param {boolean} busy - Those sections are being regenerated
+ * @param {boolean} disabled
+ */
+const AnnualReportPanel = ({ ticker, onAnalyze, busy = false, disabled = false }) => {
+  const [reports, setReports] = useState([]);
+  const [fiscalYear, setFiscalYear] = useState('');
+  const [file, setFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [changed, setChanged] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setReports(await listAnnualReports(ticker));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [ticker]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleFile = (event) => {
+    const selected = event.target.files?.[0] || null;
+    setFile(selected);
+    if (selected && !fiscalYear) setFiscalYear(fiscalYearFromFilename(selected.name));
+  };
+
+  const handleUpload = async (event) => {
+    event.preventDefault();
+    if (!file || !fiscalYear) return;
+    setUploading(true);
+    setError(null);
+
+    try {
+      await uploadAnnualReport(ticker, fiscalYear, await file.text(), file.name);
+      setFile(null);
+      setFiscalYear('');
+      event.target.reset();
+      setChanged(true);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (reportYear) => {
+    setError(null);
+    try {
+      await deleteAnnualReport(ticker, reportYear);
+      setChanged(true);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAnalyze = () => {
+    setChanged(false);
+    onAnalyze();
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+      <p className="text-gray-600 font-medium">Annual Reports (10-K)</p>
+
+      {reports.length > 0 ? (
+        <ul className="text-sm text-gray-700 space-y-1">
+          {reports.map((report, index) => (
+            <li key={report.fiscalYear} className="flex items-center gap-2">
+              <span className="font-semibold">FY{report.fiscalYear}</span>
+              <span className="text-gray-500">
+                {Object.entries(report.sections).map(([key, count]) => `${SECTION_LABELS[key]} ${count}`).join(', ')} excerpts
+                {report.missingSections.length > 0 && ` · no ${report.missingSections.map(key => SECTION_LABELS[key]).join(' or ')} found`}
+                {' · '}uploaded {formatTimeAgo(report.importedAt)}
+                {index === 0 && ' · quoted in the analysis'}
+              </span>
+              <button
+                onClick={() => handleDelete(report.fiscalYear)}
+                title={`Delete the FY${report.fiscalYear} annual report`}
+                aria-label={`Delete the FY${report.fiscalYear} annual report`}
+                className="ml-auto text-gray-400 hover:text-red-600"
+              >
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">
+          No 10-K yet; the moat and management assessments rest on the financial data alone.
+        </p>
+      )}
+
+      <form onSubmit={handleUpload} className="flex flex-wrap items-center gap-2 text-sm">
+        <input type="file" accept=".htm,.html,.txt,text/html,text/plain" onChange={handleFile} className="text-gray-600" />
+        <input
+          type="text"
+          value={fiscalYear}
+          onChange={(event) => setFiscalYear(event.target.value)}
+          placeholder="Fiscal year, e.g. 2024"
+          className="w-40 px-2 py-1 border border-gray-300 rounded"
+        />
+        <button
+          type="submit"
+          disabled={!file || !fiscalYear || uploading}
+          className="inline-flex items-center gap-1 px-3 py-1 rounded bg-purple-600 text-white font-semibold disabled:opacity-50"
+        >
+          <Upload size={14} />
+          {uploading ? 'Uploading...' : 'Upload'}
+        </button>
+      </form>
+      <p className="text-xs text-gray-500">HTML as filed on EDGAR, or the text of the PDF.</p>
+
+      {changed && (
+        <button
+          onClick={handleAnalyze}
+          disabled={busy || disabled}
+          className="text-sm text-purple-700 hover:text-purple-900 font-semibold disabled:opacity-50"
+        >
+          {busy ? 'Analyzing...' : 'Re-run the moat and management assessments with this 10-K'}
+        </button>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default AnnualReportPanel;
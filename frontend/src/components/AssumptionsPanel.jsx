@@ -0,0 +1,128 @@
+import React, { useState, useMemo } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { formatCurrency, formatPercentage } from '../utils/formatters';
+import { getBaseAssumptions, getReportedMetrics, recalculateMetrics } from '../utils/valuation';
+
+// Editable inputs; percent fields are edited as whole percentages (15 = 15%).
+// Sales growth is a forecast, so it stays editable when there is no reported figure to start from.
+const FIELDS = [
+  { key: 'operatingMargin', label: 'Operating Margin', percent: true },
+  { key: 'salesGrowth', label: 'Sales Growth', percent: true, forecast: true },
+  { key: 'capitalIntensity', label: 'Capital Intensity (IC / Sales)', percent: false },
+  { key: 'taxRate', label: 'Tax Rate', percent: true },
+  { key: 'riskFreeRate', label: 'Risk-Free Rate', percent: true },
+  { key: 'equityRiskPremium', label: 'Equity Risk Premium', percent: true },
+  { key: 'beta', label: 'Beta', percent: false }
+];
+
+const toInputValue = (field, value) => {
+  if (value === null || value === undefined || isNaN(value)) return '';
+  return field.percent ? String(Number((value * 100).toFixed(2))) : String(Number(value.toFixed(2)));
+};
+
+const toInputs = (assumptions) =>
+  Object.fromEntries(FIELDS.map(field => [field.key, toInputValue(field, assumptions[field.key])]));
+
+/**
+ * What-if editor: recomputes ROIC, WACC, economic profit and the reverse DCF
+ * in the browser from the server metrics, without another LLM call.
+ * @param {object} metrics - analysis.metrics from /api/analyze
+ * @param {string} [currency] - ISO code the amounts are in
+ */
+const AssumptionsPanel = ({ metrics, currency = 'USD' }) => {
+  const baseAssumptions = useMemo(() => getBaseAssumptions(metrics), [metrics]);
+  const [inputs, setInputs] = useState(() => (baseAssumptions ? toInputs(baseAssumptions) : {}));
+
+  // Fields left blank or invalid keep their base value
+  const assumptions = useMemo(() => {
+    if (!baseAssumptions) return null;
+    return Object.fromEntries(FIELDS.map(field => {
+      const parsed = parseFloat(inputs[field.key]);
+      if (!Number.isFinite(parsed)) return [field.key, baseAssumptions[field.key]];
+      return [field.key, field.percent ? parsed / 100 : parsed];
+    }));
+  }, [inputs, baseAssumptions]);
+
+  const base = useMemo(() => getReportedMetrics(metrics, baseAssumptions), [metrics, baseAssumptions]);
+  const scenario = useMemo(() => recalculateMetrics(metrics, assumptions), [metrics, assumptions]);
+
+  if (!baseAssumptions || !base || !scenario) {
+    return <p className="text-gray-600">Assumptions editor requires the server-calculated metrics.</p>;
+  }
+
+  // A reported figure the server couldn't derive can't be edited into a meaningful scenario
+  const isUnknown = (field) => !field.forecast && baseAssumptions[field.key] === null;
+  const money = (value) => formatCurrency(value, 1, currency);
+  const rows = [
+    { label: 'NOPAT', format: money, base: base.nopat, scenario: scenario.nopat },
+    { label: 'ROIC', format: formatPercentage, base: base.roic, scenario: scenario.roic },
+    { label: 'WACC', format: formatPercentage, base: base.wacc, scenario: scenario.wacc },
+    { label: 'Economic Spread', format: formatPercentage, base: base.spread, scenario: scenario.spread },
+    { label: 'Economic Profit', format: money, base: base.economicProfit, scenario: scenario.economicProfit },
+    { label: 'Implied Sales Growth', format: formatPercentage, base: base.reverseDCF?.impliedGrowth, scenario: scenario.reverseDCF?.impliedGrowth },
+    {
+      label: 'Implied CAP',
+      format: (value) => (value === null || value === undefined ? 'N/A' : `${value} yrs`),
+      base: base.reverseDCF?.impliedCAP,
+      scenario: scenario.reverseDCF?.impliedCAP
+    },
+    { label: 'Value at Your Growth', format: money, base: base.reverseDCF?.valueAtAssumptions, scenario: scenario.reverseDCF?.valueAtAssumptions },
+    { label: 'Gap vs. Market EV', format: formatPercentage, base: base.reverseDCF?.valueGap, scenario: scenario.reverseDCF?.valueGap }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {FIELDS.map(field => (
+          <label key={field.key} className="block">
+            <span className="text-sm text-gray-600">{field.label}{field.percent ? ' (%)' : ''}</span>
+            <input
+              type="number"
+              step={field.percent ? '0.1' : '0.05'}
+              value={inputs[field.key] ?? ''}
+              disabled={isUnknown(field)}
+              placeholder={isUnknown(field) ? 'N/A' : undefined}
+              onChange={(e) => setInputs(prev => ({ ...prev, [field.key]: e.target.value }))}
+              className="mt-1 w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-purple-500 disabled:bg-gray-100"
+            />
+          </label>
+        ))}
+        <div className="flex items-end">
+          <button
+            onClick={() => setInputs(toInputs(baseAssumptions))}
+            className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 rounded-lg font-medium hover:bg-gray-300 transition-all"
+          >
+            <RotateCcw size={16} />
+            Reset
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b border-gray-200">
+              <th className="py-2 pr-4">Metric</th>
+              <th className="py-2 pr-4">Reported</th>
+              <th className="py-2">Your Scenario</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.label} className="border-b border-gray-100 last:border-b-0">
+                <td className="py-2 pr-4 font-medium text-gray-800">{row.label}</td>
+                <td className="py-2 pr-4">{row.format(row.base)}</td>
+                <td className="py-2 font-bold text-purple-700">{row.format(row.scenario)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500">
+        Reported figures are the server's; your scenario is recalculated in your browser from them. The narrative above reflects the reported assumptions.
+      </p>
+    </div>
+  );
+};
+
+export default AssumptionsPanel;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { splitCitations, describePassage } from '../utils/citations';
+
+/**
+ * Text with its transcript and annual report citations shown as chips; hovering
+ * a chip shows the quoted passage, and ids the documents don't contain are flagged
+ * @param {string} text
+ * @param {object|null} citations - { passages, unknown } from the analysis response
+ */
+const CitedText = ({ text, citations }) => (
+  <>
+    {splitCitations(text).map((part, index) => {
+      if (part.text !== undefined) return <React.Fragment key={index}>{part.text}</React.Fragment>;
+
+      const passage = citations?.passages?.[part.citation];
+      return (
+        <span
+          key={index}
+          title={passage ? describePassage(passage) : 'Not found in the uploaded documents'}
+          className={`inline-block mx-0.5 px-1.5 rounded text-xs font-mono align-middle cursor-help ${
+            passage ? 'bg-green-100 text-green-800' : 'bg-amber-100 text-amber-800'
+          }`}
+        >
+          {part.citation}
+        </span>
+      );
+    })}
+  </>
+);
+
+export default CitedText;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { findMismatch } from '../utils/crossCheck';
+
+/**
+ * Flags a figure the analysis reports that disagrees with the source data;
+ * renders nothing when the field checked out
+ * @param {object|null} crossCheck - From the analysis response
+ * @param {string} path - Analysis field dot path, e.g. 'roicAnalysis.nopat.ebit'
+ */
+const CrossCheckWarning = ({ crossCheck, path }) => {
+  const mismatch = findMismatch(crossCheck, path);
+  if (!mismatch) return null;
+
+  return (
+    <span
+      className="inline-flex items-center gap-1 ml-2 px-2 py-0.5 rounded bg-amber-100 text-amber-800 text-xs font-medium align-middle"
+      title={`Checked against ${mismatch.source}`}
+    >
+      <AlertTriangle size={12} />
+      Source data: {mismatch.expectedText}
+    </span>
+  );
+};
+
+export default CrossCheckWarning;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { Info } from 'lucide-react';
+import { unavailableInputs, summarizeDataQuality } from '../utils/dataQuality';
+
+/**
+ * Which figures the filings don't report and what the verified calculations
+ * did without them; renders nothing when everything was reported
+ * @param {object|null} dataQuality - From the analysis response
+ * @param {object|null} metrics - analysis.metrics
+ */
+const DataAvailabilityNote = ({ dataQuality, metrics }) => {
+  const { missing, derived, imputed } = summarizeDataQuality(dataQuality);
+  const inputs = unavailableInputs(metrics);
+  if (missing.length === 0 && imputed.length === 0 && inputs.roic.length === 0 && inputs.wacc.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mt-4 text-sm text-amber-900 space-y-1">
+      <p className="flex items-center gap-2 font-semibold">
+        <Info size={16} />
+        Incomplete source data: N/A means not reported, not zero
+      </p>
+      {inputs.roic.length > 0 && (
+        <p>ROIC computed without {inputs.roic.join(', ')} (optional lines counted as 0, other figures N/A).</p>
+      )}
+      {inputs.wacc.length > 0 && (
+        <p>WACC computed without {inputs.wacc.join(', ')} (fallback assumptions used).</p>
+      )}
+      {imputed.length > 0 && <p>Imputed: {imputed.join('; ')}</p>}
+      {missing.length > 0 && (
+        <details>
+          <summary className="cursor-pointer">{missing.length} fields not reported</summary>
+          <p className="mt-1">{missing.join(', ')}</p>
+        </details>
+      )}
+      {derived.length > 0 && (
+        <p className="text-amber-800">Derived from other reported fields: {derived.join(', ')}</p>
+      )}
+    </div>
+  );
+};
+
+export default DataAvailabilityNote;
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { ShieldCheck, ChevronDown, ChevronUp } from 'lucide-react';
+import { readScorecard } from '../utils/dataQuality';
+
+const GRADE_STYLES = {
+  high: 'bg-green-100 text-green-800 border-green-300',
+  medium: 'bg-amber-100 text-amber-800 border-amber-300',
+  low: 'bg-red-100 text-red-800 border-red-300'
+};
+
+const STATUS_STYLES = {
+  pass: 'text-green-700',
+  warn: 'text-amber-700',
+  fail: 'text-red-700',
+  'n/a': 'text-gray-400'
+};
+
+/**
+ * Data-quality score of the fetched statements, opening a list of its checks;
+ * renders nothing for analyses without a scorecard
+ * @param {object|null} dataQuality - From the analysis response
+ */
+const DataQualityBadge = ({ dataQuality }) => {
+  const [open, setOpen] = useState(false);
+  const scorecard = readScorecard(dataQuality);
+  if (!scorecard) return null;
+
+  return (
+    <div className="relative ml-auto">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`inline-flex items-center gap-1 px-3 py-1 rounded-full border text-sm font-semibold ${GRADE_STYLES[scorecard.grade]}`}
+        title={scorecard.failing.length > 0 ? scorecard.failing.map(check => check.label).join(', ') : 'All checks passed'}
+      >
+        <ShieldCheck size={16} />
+        Data quality {scorecard.score}/100
+        {open ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 z-10 bg-white border border-gray-200 rounded-lg shadow-lg p-4 text-sm">
+          <p className="font-semibold text-gray-800 mb-2">
+            {scorecard.grade.charAt(0).toUpperCase() + scorecard.grade.slice(1)} confidence: {scorecard.failing.length} of {scorecard.checks.length} checks need attention
+          </p>
+          <ul className="space-y-2">
+            {scorecard.checks.map(check => (
+              <li key={check.id}>
+                <span className={`font-medium uppercase text-xs mr-2 ${STATUS_STYLES[check.status]}`}>{check.status}</span>
+                <span className="text-gray-800">{check.label}</span>
+                <p className="text-gray-500 text-xs">{check.detail}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataQualityBadge;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { formatPercentage, formatOrdinal } from '../utils/formatters';
+import { growthRows, placeOnStrip } from '../utils/growth';
+
+const MARKER_STYLES = {
+  historical: 'bg-blue-600',
+  implied: 'bg-purple-600'
+};
+
+const percent = (value) => (value === null ? 'N/A' : formatPercentage(value));
+
+/**
+ * Historical growth of the key measures and where the company's sales growth and the
+ * market-implied growth fall in the sales-growth base rates; renders nothing without growth metrics
+ * @param {object|null} growth - analysis.metrics.growth
+ */
+const GrowthBaseRates = ({ growth }) => {
+  const rows = growthRows(growth);
+  const comparisons = growth?.baseRates?.comparisons || [];
+  if (rows.length === 0 && comparisons.length === 0) return null;
+
+  return (
+    <div className="bg-blue-50 border-2 border-blue-200 p-6 rounded-xl">
+      <h4 className="font-bold text-lg text-blue-900 mb-4">Growth vs. Base Rates</h4>
+
+      {rows.length > 0 && (
+        <table className="w-full text-sm mb-6">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-1 font-medium">Measure</th>
+              <th className="py-1 font-medium text-right">Latest YoY</th>
+              <th className="py-1 font-medium text-right">3-yr CAGR</th>
+              <th className="py-1 font-medium text-right">5-yr CAGR</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.id} className="border-t border-blue-100">
+                <td className="py-1 text-gray-800">{row.label}</td>
+                <td className="py-1 text-right text-gray-800" title={row.latestYear}>{percent(row.yoy)}</td>
+                <td className="py-1 text-right text-gray-800">{percent(row.cagr3)}</td>
+                <td className="py-1 text-right text-gray-800">{percent(row.cagr5)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {comparisons.length > 0 && (
+        <div className="space-y-4">
+          {comparisons.map(comparison => {
+            const strip = placeOnStrip(comparison, growth.baseRates.percentiles);
+            return (
+              <div key={`${comparison.label}-${comparison.cohort.type}`}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="text-gray-800">
+                    {comparison.label} <span className="font-semibold">{formatPercentage(comparison.growth)}</span>
+                    <span className="text-gray-500"> vs. {comparison.cohort.type === 'size' ? `${comparison.cohort.label} starting sales` : comparison.cohort.label}, {comparison.horizon} yrs</span>
+                  </span>
+                  <span className="font-semibold text-gray-800">{formatOrdinal(comparison.percentile)} percentile</span>
+                </div>
+                <div className="relative h-4 bg-white rounded border border-blue-100">
+                  {/* Interquartile range and median */}
+                  <div
+                    className="absolute top-0 bottom-0 bg-blue-200"
+                    style={{ left: `${strip.box[0] * 100}%`, width: `${(strip.box[1] - strip.box[0]) * 100}%` }}
+                  />
+                  <div className="absolute top-0 bottom-0 w-0.5 bg-blue-800" style={{ left: `${strip.median * 100}%` }} />
+                  <div
+                    className={`absolute -top-1 w-3 h-6 -ml-1.5 rounded ${MARKER_STYLES[comparison.measure]}`}
+                    style={{ left: `${strip.marker * 100}%` }}
+                    title={`${formatPercentage(comparison.growth)}: ${formatOrdinal(comparison.percentile)} percentile`}
+                  />
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 mt-1">
+                  <span>5th: {percent(strip.range[0])}</span>
+                  <span>95th: {percent(strip.range[1])}</span>
+                </div>
+              </div>
+            );
+          })}
+          <p className="text-xs text-gray-500">
+            Shaded: 25th-75th percentile; line: median. {growth.baseRates.source}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GrowthBaseRates;
@@ -1,20 +1,66 @@
 import React, { useState, useEffect } from 'react';
-import { Building2, TrendingUp, Shield, Users, Brain, Target, Search, Loader, AlertCircle, ChevronDown, ChevronUp, Copy, X, Calculator, Server, Lock, Check, Zap, BarChart3, FileText, PieChart, FileDown } from 'lucide-react';
-import { parseFinancialNumber } from '../utils/formatters';
+import { Building2, TrendingUp, Shield, Users, Brain, Target, Search, Loader, AlertCircle, ChevronDown, ChevronUp, Copy, X, Calculator, Server, Lock, Check, Zap, BarChart3, FileText, PieChart, FileDown, SlidersHorizontal } from 'lucide-react';
+import { formatCurrency, formatPercentage, formatTimeAgo } from '../utils/formatters';
+import { getClientId, formatQueueWait, streamAnalysis, regenerateSection, getFxRates } from '../utils/api';
 import { loadStripe } from '@stripe/stripe-js';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
+import RoicTrendChart from './RoicTrendChart';
+import AssumptionsPanel from './AssumptionsPanel';
+import RegenerateButton from './RegenerateButton';
+import CrossCheckWarning from './CrossCheckWarning';
+import CitedText from './CitedText';
+import TranscriptPanel from './TranscriptPanel';
+import AnnualReportPanel from './AnnualReportPanel';
+import DataAvailabilityNote from './DataAvailabilityNote';
+import DataQualityBadge from './DataQualityBadge';
+import GrowthBaseRates from './GrowthBaseRates';
+import { mergeCrossCheck, describeMismatches } from '../utils/crossCheck';
+import { mergeCitations, describePassage } from '../utils/citations';
+import { summarizeDataQuality } from '../utils/dataQuality';
+import { describeImpliedGrowth, describeImpliedCAP } from '../utils/valuation';
+
+// Fields the client adds to the analysis; not sent back as section findings
+const ANALYSIS_META_KEYS = ['basis', 'dataSource', 'currency', 'fx', 'dataQuality', 'metrics', 'validation', 'crossCheck', 'citations', 'model', 'usage', 'provenance', 'degraded'];
+
+// "[id] description" lines for the cited transcript passages or 10-K excerpts, for the text report
+const citedPassageLines = (citations, source) => Object.entries(citations?.passages || {})
+  .filter(([, passage]) => (passage.source === 'annualReport') === (source === 'annualReport'))
+  .map(([id, passage]) => `[${id}] ${describePassage(passage)}`);
+
+// Where the figures came from; analyses from before the server reported it used Alpha Vantage
+const dataSourceLabel = (dataSource) => dataSource?.label || 'SEC Filings via Alpha Vantage API';
+
+// The SEC filings behind as-reported figures, e.g. "10-K 0000320193-24-000123 (filed 2024-11-01)"
+const describeFilings = (dataSource) => (dataSource?.filings || [])
+  .map(filing => `${filing.form} ${filing.accn} (filed ${filing.filed})`);
+
+// "EUR (converted from USD at 1 USD = 0.9642 EUR, FX rates as of 2025-01-31)", or just the code
+const describeCurrency = (currency, fx) => {
+  if (!fx) return currency || 'USD';
+  const rates = [[fx.from, fx.rate], ...(fx.market ? [[fx.market.from, fx.market.rate]] : [])]
+    .filter(([from]) => from !== fx.to)
+    .map(([from, rate]) => `1 ${from} = ${rate.toFixed(4)} ${fx.to}`);
+  return `${fx.to} (converted at ${[...new Set(rates)].join(', ')}; FX rates as of ${fx.asOf || 'unknown'})`;
+};
 
 const MauboussinAIAnalyzer = () => {
   const [companyInput, setCompanyInput] = useState('');
+  // 'annual' uses the latest 10-K; 'ttm' sums the last four quarters
+  const [basis, setBasis] = useState('annual');
+  // ISO code to convert every amount into; '' keeps the currency the company reports in
+  const [currency, setCurrency] = useState('');
+  const [currencies, setCurrencies] = useState([]);
   const [searchResults, setSearchResults] = useState([]);
   const [showAutocomplete, setShowAutocomplete] = useState(false);
   const [backendConnected, setBackendConnected] = useState(false);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [loadingStep, setLoadingStep] = useState('');
   const [currentStep, setCurrentStep] = useState(0);
-  const [totalSteps] = useState(7);
+  const [totalSteps, setTotalSteps] = useState(6);
   const [analysis, setAnalysis] = useState(null);
+  // Section ids currently being regenerated
+  const [regenerating, setRegenerating] = useState({});
   const [error, setError] = useState(null);
   const [showExportModal, setShowExportModal] = useState(false);
   const [copied, setCopied] = useState(false);
@@ -24,6 +70,7 @@ const MauboussinAIAnalyzer = () => {
     capitalAllocation: true,
     earnings: true,
     expectations: true,
+    assumptions: true,
     probabilistic: true,
     marketEfficiency: true,
     management: true,
@@ -43,6 +90,9 @@ const MauboussinAIAnalyzer = () => {
   useEffect(() => {
     checkBackendConnection();
     initializePaymentStatus();
+    getFxRates()
+      .then(table => setCurrencies(table.currencies))
+      .catch(err => console.warn('FX rates unavailable:', err.message));
   }, []);
 
   // Initialize payment status from localStorage
@@ -148,7 +198,8 @@ const MauboussinAIAnalyzer = () => {
     throw lastError || new Error('Max retries exceeded');
   };
 
-  const analyzeCompany = async () => {
+  // fresh: regenerate instead of reusing the server's cached analysis
+  const analyzeCompany = async ({ fresh = false } = {}) => {
     if (!companyInput.trim()) {
       setError('Please enter a company name or ticker symbol');
       return;
@@ -172,8 +223,7 @@ const MauboussinAIAnalyzer = () => {
     setLoadingStep('');
 
     try {
-      // Step 1: Get company ticker if name was provided
-      setCurrentStep(1);
+      // Get company ticker if name was provided
       setLoadingStep('Looking up company ticker');
       let ticker = companyInput.trim().toUpperCase();
 
@@ -204,242 +254,77 @@ const MauboussinAIAnalyzer = () => {
         }
       }
 
-      // Step 2: Fetch all financial data in parallel for better performance
-      setCurrentStep(2);
-      setLoadingStep(`Fetching financial data for ${ticker}`);
-
-      const [profileResponse, incomeResponse, balanceResponse, cashFlowResponse, yahooResponse, earningsResponse] = await Promise.all([
-        fetchWithRetry(`${BACKEND_URL}/api/av/overview/${ticker}`),
-        fetchWithRetry(`${BACKEND_URL}/api/av/income-statement/${ticker}`),
-        fetchWithRetry(`${BACKEND_URL}/api/av/balance-sheet/${ticker}`),
-        fetchWithRetry(`${BACKEND_URL}/api/av/cash-flow/${ticker}`),
-        fetchWithRetry(`${BACKEND_URL}/api/yf/quote/${ticker}`),
-        fetchWithRetry(`${BACKEND_URL}/api/earnings-transcript/${ticker}`)
-      ]);
-
-      // Validate all responses
-      if (!profileResponse.ok) {
-        throw new Error('Failed to fetch company profile. Check ticker symbol.');
-      }
-      if (!incomeResponse.ok) {
-        throw new Error('Failed to fetch income statement');
-      }
-      if (!balanceResponse.ok) {
-        throw new Error('Failed to fetch balance sheet');
-      }
-      if (!cashFlowResponse.ok) {
-        throw new Error('Failed to fetch cash flow statement');
-      }
-      // Yahoo Finance and earnings are optional - don't fail if they error
-      const yahooOk = yahooResponse.ok;
-      const earningsOk = earningsResponse.ok;
-
-      // Parse all data in parallel
-      const [profileData, incomeData, balanceData, cashFlowData, yahooData, earningsData] = await Promise.all([
-        profileResponse.json(),
-        incomeResponse.json(),
-        balanceResponse.json(),
-        cashFlowResponse.json(),
-        yahooOk ? yahooResponse.json() : Promise.resolve(null),
-        earningsOk ? earningsResponse.json() : Promise.resolve(null)
-      ]);
-
-      // Validate data
-      if (!profileData || profileData.length === 0) {
-        throw new Error(`No data found for ticker: ${ticker}`);
-      }
-      if (!incomeData || incomeData.length === 0) {
-        throw new Error('No income statement data available');
-      }
-      if (!balanceData || balanceData.length === 0) {
-        throw new Error('No balance sheet data available');
-      }
-      if (!cashFlowData || cashFlowData.length === 0) {
-        throw new Error('No cash flow data available');
-      }
-
-      // Get current year (most recent) and historical data (up to 5 years)
-      const profile = profileData[0];
-      const income = incomeData[0];
-      const balance = balanceData[0];
-      const cashFlow = cashFlowData[0];
-
-      // Get up to 5 years of historical data for trend analysis
-      const historicalIncome = incomeData.slice(0, Math.min(5, incomeData.length));
-      const historicalBalance = balanceData.slice(0, Math.min(5, balanceData.length));
-      const historicalCashFlow = cashFlowData.slice(0, Math.min(5, cashFlowData.length));
-
-      // Step 3: Parse and validate financial data
-      setCurrentStep(3);
-      setLoadingStep('Parsing financial data');
-
-      // Helper function to convert Alpha Vantage's "None" strings to 0
-      const parseNumber = (value) => {
-        if (value === "None" || value === null || value === undefined || value === "") {
-          return 0;
-        }
-        return parseFloat(value) || 0;
-      };
-
-      // Step 4: Prepare financial data for analysis
-      setCurrentStep(4);
-      setLoadingStep('Preparing financial data');
-
-      const financialData = {
-        companyName: profile.Name,
-        ticker: ticker,
-        industry: profile.Industry || profile.Sector,
-        description: profile.Description,
-        fiscalPeriod: income.fiscalDateEnding,
-        currency: profile.Currency || 'USD',
-
-        // Market data from Alpha Vantage
-        marketData: {
-          marketCap: parseFinancialNumber(profile.MarketCapitalization),
-          beta: parseFloat(profile.Beta) || null,
-          trailingPE: parseFloat(profile.PERatio) || null,
-          forwardPE: parseFloat(profile.ForwardPE) || null,
-          priceToBook: parseFloat(profile.PriceToBookRatio) || null,
-          fiftyTwoWeekHigh: parseFloat(profile['52WeekHigh']) || null,
-          fiftyTwoWeekLow: parseFloat(profile['52WeekLow']) || null,
-          sharesOutstanding: parseFinancialNumber(profile.SharesOutstanding),
-          // Note: enterpriseValue and currentPrice not available from Alpha Vantage
-          enterpriseValue: null,
-          currentPrice: null
+      // Remaining steps run server-side and report progress as Server-Sent Events;
+      // sections render as soon as they are complete
+      let analysisData = null;
+      let streamError = null;
+      let charactersWritten = 0;
+
+      await streamAnalysis({ ticker, period: basis, ...(currency ? { currency } : {}), ...(fresh ? { fresh: true } : {}) }, {
+        stage: ({ step, totalSteps: steps, message }) => {
+          setCurrentStep(step);
+          setTotalSteps(steps);
+          setLoadingStep(message);
         },
-
-        // Recent earnings data for qualitative analysis
-        earningsData: earningsData ? {
-          quarterlyEarnings: earningsData.quarterlyEarnings?.slice(0, 4) || [], // Last 4 quarters
-          annualEarnings: earningsData.annualEarnings?.slice(0, 3) || [] // Last 3 years
-        } : null,
-
-        incomeStatement: {
-          revenue: parseNumber(income.totalRevenue),
-          costOfRevenue: parseNumber(income.costOfRevenue),
-          grossProfit: parseNumber(income.grossProfit),
-          operatingExpenses: parseNumber(income.operatingExpenses),
-          operatingIncome: parseNumber(income.operatingIncome),
-          ebitda: parseNumber(income.ebitda),
-          ebit: parseNumber(income.ebit),
-          interestExpense: parseNumber(income.interestExpense),
-          taxExpense: parseNumber(income.incomeTaxExpense),
-          netIncome: parseNumber(income.netIncome),
-          taxRate: parseNumber(income.incomeBeforeTax) !== 0
-            ? parseNumber(income.incomeTaxExpense) / parseNumber(income.incomeBeforeTax)
-            : 0.21
-        },
-
-        balanceSheet: {
-          totalAssets: parseNumber(balance.totalAssets),
-          currentAssets: parseNumber(balance.totalCurrentAssets),
-          cash: parseNumber(balance.cashAndCashEquivalentsAtCarryingValue),
-          accountsReceivable: parseNumber(balance.currentNetReceivables),
-          inventory: parseNumber(balance.inventory),
-          ppe: parseNumber(balance.propertyPlantEquipment),
-          goodwill: parseNumber(balance.goodwill),
-          intangibleAssets: parseNumber(balance.intangibleAssets),
-
-          totalLiabilities: parseNumber(balance.totalLiabilities),
-          currentLiabilities: parseNumber(balance.totalCurrentLiabilities),
-          accountsPayable: parseNumber(balance.currentAccountsPayable),
-          shortTermDebt: parseNumber(balance.shortTermDebt),
-          longTermDebt: parseNumber(balance.shortLongTermDebtTotal) - parseNumber(balance.shortTermDebt),
-
-          totalEquity: parseNumber(balance.totalShareholderEquity)
-        },
-
-        cashFlow: {
-          operatingCashFlow: parseNumber(cashFlow.operatingCashflow),
-          capitalExpenditures: Math.abs(parseNumber(cashFlow.capitalExpenditures)),
-          freeCashFlow: parseNumber(cashFlow.operatingCashflow) - Math.abs(parseNumber(cashFlow.capitalExpenditures))
-        },
-
-        // Capital Allocation Metrics (New)
-        capitalAllocationData: {
-          operatingCashFlow: parseNumber(cashFlow.operatingCashflow),
-          capitalExpenditures: Math.abs(parseNumber(cashFlow.capitalExpenditures)),
-          // Try multiple common keys for dividends and buybacks
-          dividends: Math.abs(parseNumber(cashFlow.dividendPayout || cashFlow.paymentOfDividends || 0)),
-          repurchases: Math.abs(parseNumber(cashFlow.paymentsForRepurchaseOfCommonStock || cashFlow.paymentsForRepurchaseOfEquity || cashFlow.stockSaleAndPurchase || 0)),
-          acquisitions: Math.abs(parseNumber(cashFlow.paymentsForAcquisitionOfBusinesses || cashFlow.acquisitionOfBusiness || 0)),
-          debtRepayment: Math.abs(parseNumber(cashFlow.paymentsForRepurchaseOfLongTermDebt || cashFlow.repaymentOfLongTermDebt || 0))
+        queue: (status) => setLoadingStep(formatQueueWait(status)),
+        sources: ({ sources }) => {
+          const unavailableSources = Object.entries(sources || {})
+            .filter(([, source]) => source.status !== 'ok')
+            .map(([name]) => name);
+          if (unavailableSources.length > 0) {
+            console.warn(`Analyzing without: ${unavailableSources.join(', ')}`);
+          }
         },
-
-        // Historical data for trend analysis (up to 5 years)
-        historicalData: {
-          yearsAvailable: historicalIncome.length,
-          incomeStatements: historicalIncome.map(yr => ({
-            fiscalYear: yr.fiscalDateEnding,
-            revenue: parseNumber(yr.totalRevenue),
-            operatingIncome: parseNumber(yr.operatingIncome),
-            ebit: parseNumber(yr.ebit),
-            netIncome: parseNumber(yr.netIncome),
-            grossMargin: parseNumber(yr.grossProfit) / parseNumber(yr.totalRevenue)
-          })),
-          balanceSheets: historicalBalance.map(yr => ({
-            fiscalYear: yr.fiscalDateEnding,
-            totalAssets: parseNumber(yr.totalAssets),
-            totalEquity: parseNumber(yr.totalShareholderEquity),
-            totalDebt: parseNumber(yr.shortLongTermDebtTotal),
-            ppe: parseNumber(yr.propertyPlantEquipment)
-          })),
-          cashFlows: historicalCashFlow.map(yr => ({
-            fiscalYear: yr.fiscalDateEnding,
-            operatingCashFlow: parseNumber(yr.operatingCashflow),
-            capex: Math.abs(parseNumber(yr.capitalExpenditures)),
-            freeCashFlow: parseNumber(yr.operatingCashflow) - Math.abs(parseNumber(yr.capitalExpenditures))
-          }))
-        }
-      };
-
-      // Step 5: Calculate ROIC metrics
-      setCurrentStep(5);
-      setLoadingStep('Calculating ROIC metrics');
-
-      // Step 6: Perform AI analysis
-      setCurrentStep(6);
-      setLoadingStep('Performing AI analysis with Mauboussin framework');
-
-      const analysisResponse = await fetchWithRetry(`${BACKEND_URL}/api/analyze`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+        metrics: ({ company, metrics }) => setAnalysis({ ...company, metrics, partial: true }),
+        delta: ({ text }) => {
+          const before = Math.floor(charactersWritten / 500);
+          charactersWritten += text.length;
+          if (Math.floor(charactersWritten / 500) > before) {
+            setLoadingStep(`Writing analysis (${(charactersWritten / 1000).toFixed(1)}k characters)`);
+          }
         },
-        body: JSON.stringify({
-          companyData: financialData
-        })
-      });
+        section: ({ key, value }) => setAnalysis(prev => (prev ? { ...prev, [key]: value } : prev)),
+        result: (data) => { analysisData = data; },
+        error: (data) => { streamError = data; }
+      }, { clientId: getClientId() });
 
-      if (!analysisResponse.ok) {
-        const errorData = await analysisResponse.json();
-        throw new Error(errorData.error || `Analysis failed: ${analysisResponse.status}`);
+      if (streamError) {
+        throw new Error(streamError.error || 'Analysis failed. Please try again.');
+      }
+      if (!analysisData) {
+        throw new Error('Analysis ended unexpectedly. Please try again.');
       }
 
-      const analysisData = await analysisResponse.json();
-      let analysisText = analysisData.analysis;
-
-      // Strip markdown if present
-      analysisText = analysisText.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
-
-      let parsedAnalysis;
-      try {
-        parsedAnalysis = JSON.parse(analysisText);
-      } catch (parseError) {
-        console.error("Failed to parse analysis:", parseError);
-        console.log("Raw response:", analysisText);
+      // The server validates the analysis against its schema and fills any gaps
+      const parsedAnalysis = analysisData.analysis;
+      if (!parsedAnalysis || typeof parsedAnalysis !== 'object') {
+        console.log("Raw response:", parsedAnalysis);
         throw new Error("Could not parse analysis results. Please try again.");
       }
 
-      setAnalysis(parsedAnalysis);
+      // Attach the server-calculated figures so the UI can show verified numbers
+      setAnalysis({
+        ...parsedAnalysis,
+        basis,
+        dataSource: analysisData.dataSource || null,
+        currency: analysisData.currency || 'USD',
+        fx: analysisData.fx || null,
+        dataQuality: analysisData.dataQuality || null,
+        metrics: analysisData.metrics || null,
+        validation: analysisData.validation || null,
+        crossCheck: analysisData.crossCheck || null,
+        citations: analysisData.citations || null,
+        model: analysisData.model || null,
+        usage: analysisData.usage || null,
+        provenance: analysisData.provenance || null,
+        degraded: analysisData.degraded || null
+      });
 
       // Increment analysis count and save to localStorage
       const newCount = analysisCount + 1;
       setAnalysisCount(newCount);
       localStorage.setItem('mauboussin_analysis_count', newCount.toString());
 
-      // Step 7: Complete
-      setCurrentStep(7);
       setLoadingStep('');
 
     } catch (err) {
@@ -451,6 +336,57 @@ const MauboussinAIAnalyzer = () => {
     }
   };
 
+  // Re-run one section server-side and swap its output into the analysis
+  const handleRegenerate = async (sectionId) => {
+    setRegenerating(prev => ({ ...prev, [sectionId]: true }));
+    setError(null);
+
+    try {
+      // The conclusion is rebuilt from the other sections as currently shown
+      const sections = Object.fromEntries(
+        Object.entries(analysis).filter(([key]) => !ANALYSIS_META_KEYS.includes(key))
+      );
+      // Converted analyses keep their currency; as-reported ones need no conversion
+      const data = await regenerateSection(sectionId, {
+        ticker: analysis.ticker,
+        period: analysis.basis,
+        ...(analysis.fx ? { currency: analysis.currency } : {}),
+        analysis: sections
+      });
+      const keys = Object.keys(data.values);
+      const isReplaced = (path) => keys.some(key => path === key || path.startsWith(`${key}.`));
+
+      setAnalysis(prev => ({
+        ...prev,
+        ...data.values,
+        validation: prev.validation && {
+          ...prev.validation,
+          defaulted: [...prev.validation.defaulted.filter(path => !isReplaced(path)), ...data.validation.defaulted]
+        },
+        crossCheck: mergeCrossCheck(prev.crossCheck, data.crossCheck, keys),
+        citations: mergeCitations(prev.citations, data.citations),
+        usage: prev.usage && {
+          ...prev.usage,
+          inputTokens: prev.usage.inputTokens + data.usage.inputTokens,
+          outputTokens: prev.usage.outputTokens + data.usage.outputTokens,
+          costUSD: prev.usage.costUSD + data.usage.costUSD
+        },
+        provenance: prev.provenance && {
+          ...prev.provenance,
+          sections: {
+            ...prev.provenance.sections,
+            [sectionId]: { cached: false, generatedAt: data.generatedAt, expiresAt: data.expiresAt }
+          }
+        }
+      }));
+    } catch (err) {
+      console.error('Regeneration error:', err);
+      setError(err.message || 'Could not regenerate this section. Please try again.');
+    } finally {
+      setRegenerating(prev => ({ ...prev, [sectionId]: false }));
+    }
+  };
+
   // Handle payment via Stripe
   const handlePayment = async () => {
     try {
@@ -494,7 +430,8 @@ const MauboussinAIAnalyzer = () => {
 ║   MAUBOUSSIN COMPETITIVE ANALYSIS - CALCULATED ROIC               ║
 ║   ${analysis.companyName} (${analysis.ticker})                    ║
 ║   Fiscal Year: ${analysis.fiscalYear}                             ║
-║   Data Source: SEC Filings via Alpha Vantage API                 ║
+║   Data Source: ${dataSourceLabel(analysis.dataSource).padEnd(50)}║
+║   Currency: ${(analysis.currency || 'USD').padEnd(53)}║
 ╚════════════════════════════════════════════════════════════════════╝
 
 📊 BUSINESS OVERVIEW
@@ -603,14 +540,18 @@ ${analysis.earningsCallSentiment ? `
 ═══════════════════════════════════════════════════════════════════════
 
 Overall Sentiment: ${analysis.earningsCallSentiment.overallSentiment}
-Beat/Miss Pattern: ${analysis.earningsCallSentiment.beatMissPattern}
+${analysis.earningsCallSentiment.keyQuotes ? `Key Quotes: ${analysis.earningsCallSentiment.keyQuotes}
+` : ''}Beat/Miss Pattern: ${analysis.earningsCallSentiment.beatMissPattern}
 Management Credibility: ${analysis.earningsCallSentiment.managementCredibility}
 Earnings Quality: ${analysis.earningsCallSentiment.earningsQuality}
 Forward Guidance: ${analysis.earningsCallSentiment.forwardGuidance}
 Red Flags: ${analysis.earningsCallSentiment.redFlags}
 Positive Signals: ${analysis.earningsCallSentiment.positiveSignals}
 Sentiment Score: ${analysis.earningsCallSentiment.sentimentScore}/10
-` : ''}
+${citedPassageLines(analysis.citations, 'transcript').length > 0 ? `
+Cited Transcript Passages:
+${citedPassageLines(analysis.citations, 'transcript').join('\n')}
+` : ''}` : ''}
 
 ═══════════════════════════════════════════════════════════════════════
 4️⃣  EXPECTATIONS INVESTING
@@ -647,7 +588,10 @@ Capital Allocation: ${analysis.management.capitalAllocation}
 Strategic Thinking: ${analysis.management.strategicThinking}
 
 Assessment: ${analysis.management.overallAssessment}
-
+${citedPassageLines(analysis.citations, 'annualReport').length > 0 ? `
+Cited 10-K Excerpts:
+${citedPassageLines(analysis.citations, 'annualReport').join('\n')}
+` : ''}
 ═══════════════════════════════════════════════════════════════════════
 7️⃣  INVESTMENT CONCLUSION
 ═══════════════════════════════════════════════════════════════════════
@@ -660,9 +604,18 @@ Assessment: ${analysis.management.overallAssessment}
 
 📊 Recommendation: ${analysis.conclusion.recommendation}
 
+${analysis.crossCheck?.mismatches?.length > 0 ? `═══════════════════════════════════════════════════════════════════════
+⚠️  DATA CROSS-CHECK - figures that disagree with the source data
 ═══════════════════════════════════════════════════════════════════════
-Data: SEC Filings via Alpha Vantage API
-Analysis: Mauboussin Competitive Framework
+
+${describeMismatches(analysis.crossCheck).map(line => `- ${line}`).join('\n')}
+
+` : ''}═══════════════════════════════════════════════════════════════════════
+Data: ${dataSourceLabel(analysis.dataSource)}
+Amounts in: ${describeCurrency(analysis.currency, analysis.fx)}
+${summarizeDataQuality(analysis.dataQuality).missing.length > 0 ? `Not reported (unknown, not zero): ${summarizeDataQuality(analysis.dataQuality).missing.join(', ')}
+` : ''}${describeFilings(analysis.dataSource).length > 0 ? `Filings: ${describeFilings(analysis.dataSource).join(', ')}
+` : ''}Analysis: Mauboussin Competitive Framework
 Generated: ${new Date().toLocaleString()}
 `;
   };
@@ -685,6 +638,7 @@ Generated: ${new Date().toLocaleString()}
       ['Ticker', analysis.ticker],
       ['Industry', analysis.industry],
       ['Fiscal Year', analysis.fiscalYear],
+      ['Currency', describeCurrency(analysis.currency, analysis.fx)],
       ['Business Model', analysis.businessModel],
       [''],
       ['ROIC Analysis', ''],
@@ -719,7 +673,10 @@ Generated: ${new Date().toLocaleString()}
       [''],
       ['Conclusion', ''],
       ['Thesis', analysis.conclusion.investmentThesis],
-      ['Recommendation', analysis.conclusion.recommendation]
+      ['Recommendation', analysis.conclusion.recommendation],
+      ...(analysis.crossCheck?.mismatches?.length > 0
+        ? [[''], ['Data Cross-Check Warnings', ''], ...describeMismatches(analysis.crossCheck).map(line => ['Warning', line])]
+        : [])
     ];
 
     const csvContent = sections.map(row => row.map(cell => `"${String(cell || '').replace(/"/g, '""')}"`).join(',')).join('\n');
@@ -752,7 +709,7 @@ Generated: ${new Date().toLocaleString()}
     doc.setTextColor(0, 0, 0);
     doc.text(`${analysis.companyName} (${analysis.ticker})`, 14, 35);
     doc.setFontSize(10);
-    doc.text(`${analysis.industry} | FY: ${analysis.fiscalYear}`, 14, 40);
+    doc.text(`${analysis.industry} | FY: ${analysis.fiscalYear} | Amounts in ${analysis.currency || 'USD'}`, 14, 40);
 
     // Business Model
     doc.setFontSize(10);
@@ -853,6 +810,18 @@ Generated: ${new Date().toLocaleString()}
       }
     });
 
+    // Figures the analysis reports that disagree with the source data
+    if (analysis.crossCheck?.mismatches?.length > 0) {
+      doc.text('Data Cross-Check Warnings', 14, doc.lastAutoTable.finalY + 15);
+      autoTable(doc, {
+        startY: doc.lastAutoTable.finalY + 20,
+        head: [['Warning']],
+        body: describeMismatches(analysis.crossCheck).map(line => [line]),
+        theme: 'grid',
+        headStyles: { fillColor: [217, 119, 6] } // Amber
+      });
+    }
+
     doc.save(`${analysis.ticker}_Mauboussin_Analysis.pdf`);
   };
 
@@ -936,7 +905,7 @@ Generated: ${new Date().toLocaleString()}
                 </div>
 
                 <button
-                  onClick={analyzeCompany}
+                  onClick={() => analyzeCompany()}
                   disabled={isAnalyzing || !companyInput.trim() || !backendConnected}
                   className="px-8 py-4 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold text-lg hover:from-purple-700 hover:to-pink-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center gap-3 shadow-lg"
                 >
@@ -953,6 +922,43 @@ Generated: ${new Date().toLocaleString()}
                   )}
                 </button>
               </div>
+
+              {/* Analysis basis */}
+              <div className="flex items-center gap-3 mt-4 text-sm">
+                <span className="text-gray-600 font-medium">Basis:</span>
+                {[
+                  { value: 'annual', label: 'Latest Annual (10-K)' },
+                  { value: 'ttm', label: 'Trailing Twelve Months' }
+                ].map(option => (
+                  <button
+                    key={option.value}
+                    onClick={() => setBasis(option.value)}
+                    disabled={isAnalyzing}
+                    className={`px-4 py-2 rounded-lg font-medium transition-all disabled:opacity-50 ${
+                      basis === option.value
+                        ? 'bg-purple-600 text-white'
+                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+
+                {currencies.length > 0 && (
+                  <label className="flex items-center gap-2 ml-4">
+                    <span className="text-gray-600 font-medium">Currency:</span>
+                    <select
+                      value={currency}
+                      onChange={(event) => setCurrency(event.target.value)}
+                      disabled={isAnalyzing}
+                      className="px-3 py-2 rounded-lg border-2 border-gray-200 bg-white text-gray-700 disabled:opacity-50"
+                    >
+                      <option value="">As reported</option>
+                      {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+                    </select>
+                  </label>
+                )}
+              </div>
             </div>
 
             {/* Progress indicator - only show during analysis */}
@@ -1098,143 +1104,330 @@ Generated: ${new Date().toLocaleString()}
                   <h2 className="text-3xl font-bold text-gray-800">{analysis.companyName}</h2>
                   <p className="text-gray-600">{analysis.ticker} | {analysis.industry}</p>
                 </div>
+                <DataQualityBadge dataQuality={analysis.dataQuality} />
               </div>
-              <p className="text-sm text-gray-500 mb-4">Fiscal Year: {analysis.fiscalYear} | Data: SEC via Alpha Vantage API</p>
+              <p className="text-sm text-gray-500 mb-4" title={describeFilings(analysis.dataSource).join('\n') || undefined}>
+                Fiscal Year: {analysis.fiscalYear} | Data: {dataSourceLabel(analysis.dataSource)} | Amounts in {describeCurrency(analysis.currency, analysis.fx)}
+              </p>
+              {analysis.degraded && (
+                <p className="text-sm text-amber-700 mb-4">
+                  {analysis.degraded.reason}. {analysis.degraded.cacheOnly
+                    ? 'Only previously generated sections are shown and regeneration is paused.'
+                    : `This analysis used the fallback model ${analysis.degraded.model.model}.`}
+                </p>
+              )}
+              {analysis.provenance && (
+                <div className="flex items-center gap-3 text-sm text-gray-500 mb-4">
+                  <span>
+                    Analysis generated {formatTimeAgo(analysis.provenance.generatedAt)}
+                    {analysis.provenance.cached && ' (cached)'}
+                  </span>
+                  {analysis.provenance.cached && !analysis.degraded?.cacheOnly && (
+                    <button
+                      onClick={() => analyzeCompany({ fresh: true })}
+                      disabled={isAnalyzing || !backendConnected}
+                      className="text-purple-600 hover:text-purple-800 font-semibold disabled:opacity-50"
+                    >
+                      Run a fresh analysis
+                    </button>
+                  )}
+                </div>
+              )}
+              {analysis.usage && (
+                <p className="text-xs text-gray-400 mb-4">
+                  {analysis.model && `${analysis.model.model} · `}
+                  {(analysis.usage.inputTokens + analysis.usage.outputTokens).toLocaleString()} tokens · ${analysis.usage.costUSD.toFixed(4)}
+                </p>
+              )}
+              {analysis.crossCheck?.mismatches?.length > 0 && (
+                <div className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg p-3 mb-4">
+                  <p className="font-semibold mb-1">
+                    {analysis.crossCheck.mismatches.length} reported {analysis.crossCheck.mismatches.length === 1 ? 'figure disagrees' : 'figures disagree'} with the source data:
+                  </p>
+                  <ul className="list-disc list-inside">
+                    {describeMismatches(analysis.crossCheck).map(line => <li key={line}>{line}</li>)}
+                  </ul>
+                </div>
+              )}
+              {analysis.validation?.defaulted?.length > 0 && (
+                <p className="text-sm text-amber-700 mb-4">
+                  Some fields could not be generated and show "Not available": {analysis.validation.defaulted.join(', ')}
+                </p>
+              )}
               <p className="text-gray-700 text-lg leading-relaxed">{analysis.businessModel}</p>
             </div>
 
             {/* ROIC Analysis */}
-            <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
-              <button
-                onClick={() => toggleSection('roic')}
-                className="w-full px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
-              >
-                <div className="flex items-center gap-3">
-                  <Calculator size={28} className="text-purple-600" />
-                  <h3 className="text-2xl font-bold text-gray-800">ROIC Analysis</h3>
+            {analysis.roicAnalysis && (
+              <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
+                <div className="flex bg-gradient-to-r from-purple-50 to-pink-50">
+                  <button
+                    onClick={() => toggleSection('roic')}
+                    className="flex-1 px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
+                  >
+                    <div className="flex items-center gap-3">
+                      <Calculator size={28} className="text-purple-600" />
+                      <h3 className="text-2xl font-bold text-gray-800">ROIC Analysis</h3>
+                    </div>
+                    {expandedSections.roic ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
+                  </button>
+                  <RegenerateButton
+                    onClick={() => handleRegenerate('roic')}
+                    busy={Boolean(regenerating.roic)}
+                    disabled={isAnalyzing || analysis.partial}
+                  />
                 </div>
-                {expandedSections.roic ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
-              </button>
 
-              {expandedSections.roic && (
-                <div className="p-8 space-y-6">
-                  <div className="bg-blue-50 border-l-4 border-blue-500 p-6 rounded-r-lg">
-                    <h4 className="font-bold text-lg text-blue-900 mb-3">NOPAT Calculation</h4>
-                    <p className="text-gray-700 mb-2"><strong>EBIT:</strong> {analysis.roicAnalysis.nopat.ebit}</p>
-                    <p className="text-gray-700 mb-2"><strong>Tax Rate:</strong> {analysis.roicAnalysis.nopat.taxRate}</p>
-                    <p className="text-gray-700 mb-3">{analysis.roicAnalysis.nopat.calculationShown}</p>
-                    <p className="text-xl font-bold text-blue-900">NOPAT = {analysis.roicAnalysis.nopat.nopatCalculated}</p>
-                  </div>
+                {expandedSections.roic && (
+                  <div className="p-8 space-y-6">
+                    {analysis.metrics?.roic && (
+                      <div className="bg-gray-50 border-2 border-gray-200 p-6 rounded-xl">
+                        <h4 className="font-bold text-lg text-gray-900 mb-1">Verified Figures</h4>
+                        <p className="text-sm text-gray-500 mb-4">Calculated server-side from the filing data</p>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                          <div>
+                            <p className="text-sm text-gray-600">NOPAT</p>
+                            <p className="text-lg font-bold text-gray-900">{formatCurrency(analysis.metrics.roic.nopat, 1, analysis.currency)}</p>
+                          </div>
+                          <div>
+                            <p className="text-sm text-gray-600">Invested Capital</p>
+                            <p className="text-lg font-bold text-gray-900">{formatCurrency(analysis.metrics.roic.investedCapital.totalIC, 1, analysis.currency)}</p>
+                          </div>
+                          <div>
+                            <p className="text-sm text-gray-600">ROIC</p>
+                            <p className="text-lg font-bold text-purple-700">{formatPercentage(analysis.metrics.roic.roic)}</p>
+                          </div>
+                          <div>
+                            <p className="text-sm text-gray-600">ROIC (financing)</p>
+                            <p className="text-lg font-bold text-gray-900">{formatPercentage(analysis.metrics.roic.roicFinancing)}</p>
+                          </div>
+                          <div>
+                            <p className="text-sm text-gray-600">NOPAT Margin</p>
+                            <p className="text-lg font-bold text-gray-900">{formatPercentage(analysis.metrics.roic.dupont.nopatMargin)}</p>
+                          </div>
+                          <div>
+                            <p className="text-sm text-gray-600">Capital Turnover</p>
+                            <p className="text-lg font-bold text-gray-900">
+                              {analysis.metrics.roic.dupont.capitalTurnover !== null ? `${analysis.metrics.roic.dupont.capitalTurnover.toFixed(2)}x` : 'N/A'}
+                            </p>
+                          </div>
+                          <div>
+                            <p className="text-sm text-gray-600">Economic Spread</p>
+                            <p className="text-lg font-bold text-gray-900">{formatPercentage(analysis.metrics.roic.valueCreation.spread)}</p>
+                          </div>
+                          <div>
+                            <p className="text-sm text-gray-600">Economic Profit</p>
+                            <p className="text-lg font-bold text-gray-900">{formatCurrency(analysis.metrics.roic.valueCreation.economicProfit, 1, analysis.currency)}</p>
+                          </div>
+                        </div>
+                        <DataAvailabilityNote dataQuality={analysis.dataQuality} metrics={analysis.metrics} />
+                      </div>
+                    )}
+
+                    <div className="bg-blue-50 border-l-4 border-blue-500 p-6 rounded-r-lg">
+                      <h4 className="font-bold text-lg text-blue-900 mb-3">NOPAT Calculation</h4>
+                      <p className="text-gray-700 mb-2"><strong>EBIT:</strong> {analysis.roicAnalysis.nopat.ebit}<CrossCheckWarning crossCheck={analysis.crossCheck} path="roicAnalysis.nopat.ebit" /></p>
+                      <p className="text-gray-700 mb-2"><strong>Tax Rate:</strong> {analysis.roicAnalysis.nopat.taxRate}<CrossCheckWarning crossCheck={analysis.crossCheck} path="roicAnalysis.nopat.taxRate" /></p>
+                      <p className="text-gray-700 mb-3">{analysis.roicAnalysis.nopat.calculationShown}</p>
+                      <p className="text-xl font-bold text-blue-900">NOPAT = {analysis.roicAnalysis.nopat.nopatCalculated}<CrossCheckWarning crossCheck={analysis.crossCheck} path="roicAnalysis.nopat.nopatCalculated" /></p>
+                    </div>
 
-                  <div className="bg-green-50 border-l-4 border-green-500 p-6 rounded-r-lg">
-                    <h4 className="font-bold text-lg text-green-900 mb-3">Invested Capital</h4>
-                    <p className="text-gray-700 mb-3"><strong>Method:</strong> {analysis.roicAnalysis.investedCapital.method}</p>
-                    <p className="text-gray-700 mb-2">{analysis.roicAnalysis.investedCapital.calculationShown}</p>
-                    <p className="text-xl font-bold text-green-900 mt-4">Total IC = {analysis.roicAnalysis.investedCapital.totalIC}</p>
-                    <p className="text-sm text-gray-600 mt-3"><strong>Alternative:</strong> {analysis.roicAnalysis.investedCapital.alternativeMethod}</p>
-                  </div>
+                    <div className="bg-green-50 border-l-4 border-green-500 p-6 rounded-r-lg">
+                      <h4 className="font-bold text-lg text-green-900 mb-3">Invested Capital</h4>
+                      <p className="text-gray-700 mb-3"><strong>Method:</strong> {analysis.roicAnalysis.investedCapital.method}</p>
+                      <p className="text-gray-700 mb-2">{analysis.roicAnalysis.investedCapital.calculationShown}</p>
+                      <p className="text-xl font-bold text-green-900 mt-4">Total IC = {analysis.roicAnalysis.investedCapital.totalIC}<CrossCheckWarning crossCheck={analysis.crossCheck} path="roicAnalysis.investedCapital.totalIC" /></p>
+                      <p className="text-sm text-gray-600 mt-3"><strong>Alternative:</strong> {analysis.roicAnalysis.investedCapital.alternativeMethod}</p>
+                    </div>
 
-                  <div className="bg-purple-50 border-l-4 border-purple-500 p-6 rounded-r-lg">
-                    <h4 className="font-bold text-lg text-purple-900 mb-3">ROIC Result</h4>
-                    <p className="text-gray-700 mb-2">{analysis.roicAnalysis.roicCalculated.calculation}</p>
-                    <p className="text-3xl font-bold text-purple-900 my-4">ROIC = {analysis.roicAnalysis.roicCalculated.percentage}</p>
-                    <p className="text-gray-700">{analysis.roicAnalysis.roicCalculated.interpretation}</p>
-                  </div>
+                    <div className="bg-purple-50 border-l-4 border-purple-500 p-6 rounded-r-lg">
+                      <h4 className="font-bold text-lg text-purple-900 mb-3">ROIC Result</h4>
+                      <p className="text-gray-700 mb-2">{analysis.roicAnalysis.roicCalculated.calculation}</p>
+                      <p className="text-3xl font-bold text-purple-900 my-4">ROIC = {analysis.roicAnalysis.roicCalculated.percentage}<CrossCheckWarning crossCheck={analysis.crossCheck} path="roicAnalysis.roicCalculated.percentage" /></p>
+                      <p className="text-gray-700">{analysis.roicAnalysis.roicCalculated.interpretation}</p>
+                    </div>
 
-                  <div className="bg-yellow-50 border-l-4 border-yellow-500 p-6 rounded-r-lg">
-                    <h4 className="font-bold text-lg text-yellow-900 mb-3">Value Creation Test</h4>
-                    <p className="text-gray-700 mb-2"><strong>Estimated WACC:</strong> {analysis.roicAnalysis.valueCreation.estimatedWACC}</p>
-                    <p className="text-gray-700 mb-2"><strong>Economic Spread:</strong> {analysis.roicAnalysis.valueCreation.spread}</p>
-                    <p className="text-xl font-bold text-yellow-900 my-3">{analysis.roicAnalysis.valueCreation.verdict}</p>
-                    <p className="text-gray-700">{analysis.roicAnalysis.valueCreation.context}</p>
+                    {analysis.metrics?.wacc && (
+                      <div className="bg-indigo-50 border-l-4 border-indigo-500 p-6 rounded-r-lg">
+                        <h4 className="font-bold text-lg text-indigo-900 mb-3">WACC Calculation</h4>
+                        <p className="text-gray-700 mb-2">
+                          <strong>Cost of Equity (CAPM):</strong> {formatPercentage(analysis.metrics.wacc.assumptions.riskFreeRate, 2)} risk-free + {analysis.metrics.wacc.beta.toFixed(2)} beta ({analysis.metrics.wacc.betaSource}) × {formatPercentage(analysis.metrics.wacc.assumptions.equityRiskPremium)} ERP = {formatPercentage(analysis.metrics.wacc.costOfEquity, 2)}
+                        </p>
+                        <p className="text-gray-700 mb-2">
+                          <strong>Pre-tax Cost of Debt:</strong>{' '}
+                          {analysis.metrics.wacc.costOfDebt.source === 'implied'
+                            ? `${formatCurrency(analysis.metrics.wacc.costOfDebt.interestExpense, 1, analysis.currency)} interest / ${formatCurrency(analysis.metrics.wacc.costOfDebt.totalDebt, 1, analysis.currency)} debt = ${formatPercentage(analysis.metrics.wacc.costOfDebt.preTax, 2)}`
+                            : `${formatPercentage(analysis.metrics.wacc.costOfDebt.preTax, 2)} (risk-free + credit spread)`}
+                        </p>
+                        <p className="text-gray-700 mb-2">
+                          <strong>After-tax Cost of Debt:</strong> {formatPercentage(analysis.metrics.wacc.costOfDebt.preTax, 2)} × (1 - {formatPercentage(analysis.metrics.wacc.taxRate)}) = {formatPercentage(analysis.metrics.wacc.costOfDebt.afterTax, 2)}
+                        </p>
+                        <p className="text-gray-700 mb-3">
+                          <strong>Weights ({analysis.metrics.wacc.weights.source}):</strong> Equity {formatPercentage(analysis.metrics.wacc.weights.equity)} / Debt {formatPercentage(analysis.metrics.wacc.weights.debt)}
+                        </p>
+                        <p className="text-xl font-bold text-indigo-900">WACC = {formatPercentage(analysis.metrics.wacc.wacc, 2)}</p>
+                      </div>
+                    )}
+
+                    {analysis.metrics?.historicalROIC && (
+                      <div className="bg-white border-2 border-purple-200 p-6 rounded-xl">
+                        <h4 className="font-bold text-lg text-purple-900 mb-1">Historical ROIC</h4>
+                        <p className="text-sm text-gray-500 mb-4">
+                          Trend: <span className="font-medium text-gray-800">{analysis.metrics.historicalROIC.trend || 'N/A'}</span>
+                          {' | '}Average ROIC: <span className="font-medium text-gray-800">{formatPercentage(analysis.metrics.historicalROIC.averageROIC)}</span>
+                          {' | '}Cumulative Incremental ROIC: <span className="font-medium text-gray-800">{formatPercentage(analysis.metrics.historicalROIC.cumulativeIncrementalROIC)}</span>
+                        </p>
+                        <RoicTrendChart years={analysis.metrics.historicalROIC.years} wacc={analysis.metrics.wacc?.wacc ?? null} />
+                        <div className="overflow-x-auto mt-4">
+                          <table className="w-full text-sm">
+                            <thead>
+                              <tr className="text-left text-gray-600 border-b border-gray-200">
+                                <th className="py-2 pr-4">Fiscal Year</th>
+                                <th className="py-2 pr-4">Revenue</th>
+                                <th className="py-2 pr-4">NOPAT</th>
+                                <th className="py-2 pr-4">Invested Capital</th>
+                                <th className="py-2 pr-4">ROIC</th>
+                                <th className="py-2">Incremental ROIC</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {analysis.metrics.historicalROIC.years.map(yr => (
+                                <tr key={yr.fiscalYear} className="border-b border-gray-100 last:border-b-0">
+                                  <td className="py-2 pr-4 font-medium text-gray-800">{yr.fiscalYear}</td>
+                                  <td className="py-2 pr-4">{formatCurrency(yr.revenue, 1, analysis.currency)}</td>
+                                  <td className="py-2 pr-4">{formatCurrency(yr.nopat, 1, analysis.currency)}</td>
+                                  <td className="py-2 pr-4">{formatCurrency(yr.investedCapital, 1, analysis.currency)}</td>
+                                  <td className="py-2 pr-4 font-bold text-purple-700">{formatPercentage(yr.roic)}</td>
+                                  <td className="py-2">{formatPercentage(yr.incrementalROIC)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="bg-yellow-50 border-l-4 border-yellow-500 p-6 rounded-r-lg">
+                      <h4 className="font-bold text-lg text-yellow-900 mb-3">Value Creation Test</h4>
+                      <p className="text-gray-700 mb-2"><strong>Estimated WACC:</strong> {analysis.metrics?.wacc ? formatPercentage(analysis.metrics.wacc.wacc) : analysis.roicAnalysis.valueCreation.estimatedWACC}</p>
+                      <p className="text-gray-700 mb-2"><strong>Economic Spread:</strong> {analysis.roicAnalysis.valueCreation.spread}</p>
+                      <p className="text-xl font-bold text-yellow-900 my-3">{analysis.roicAnalysis.valueCreation.verdict}</p>
+                      <p className="text-gray-700">{analysis.roicAnalysis.valueCreation.context}</p>
+                    </div>
                   </div>
-                </div>
-              )}
-            </div>
+                )}
+              </div>
+            )}
 
             {/* Moat Analysis */}
-            <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
-              <button
-                onClick={() => toggleSection('moat')}
-                className="w-full px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
-              >
-                <div className="flex items-center gap-3">
-                  <Shield size={28} className="text-purple-600" />
-                  <h3 className="text-2xl font-bold text-gray-800">Competitive Moat Analysis</h3>
+            {analysis.moatAnalysis && (
+              <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
+                <div className="flex bg-gradient-to-r from-purple-50 to-pink-50">
+                  <button
+                    onClick={() => toggleSection('moat')}
+                    className="flex-1 px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
+                  >
+                    <div className="flex items-center gap-3">
+                      <Shield size={28} className="text-purple-600" />
+                      <h3 className="text-2xl font-bold text-gray-800">Competitive Moat Analysis</h3>
+                    </div>
+                    {expandedSections.moat ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
+                  </button>
+                  <RegenerateButton
+                    onClick={() => handleRegenerate('moat')}
+                    busy={Boolean(regenerating.moat)}
+                    disabled={isAnalyzing || analysis.partial}
+                  />
                 </div>
-                {expandedSections.moat ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
-              </button>
 
-              {expandedSections.moat && (
-                <div className="p-8 space-y-4">
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Moat Type:</p>
-                    <p className="text-gray-800 text-lg">{analysis.moatAnalysis.moatType}</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Moat Strength:</p>
-                    <p className="text-gray-800 text-lg font-bold">{analysis.moatAnalysis.moatStrength}</p>
-                  </div>
-                  {analysis.moatAnalysis.moatStrengthRating && (
+                {expandedSections.moat && (
+                  <div className="p-8 space-y-4">
+                    <AnnualReportPanel
+                      key={analysis.ticker}
+                      ticker={analysis.ticker}
+                      onAnalyze={() => {
+                        handleRegenerate('moat');
+                        handleRegenerate('management');
+                      }}
+                      busy={Boolean(regenerating.moat || regenerating.management)}
+                      disabled={isAnalyzing || analysis.partial}
+                    />
                     <div>
-                      <p className="text-gray-600 font-medium mb-1">Moat Strength Rating:</p>
-                      <p className="text-gray-800 text-lg font-bold">{analysis.moatAnalysis.moatStrengthRating}/10</p>
+                      <p className="text-gray-600 font-medium mb-1">Moat Type:</p>
+                      <p className="text-gray-800 text-lg">{analysis.moatAnalysis.moatType}</p>
                     </div>
-                  )}
-                  {analysis.moatAnalysis.supplyOrDemandAdvantage && (
                     <div>
-                      <p className="text-gray-600 font-medium mb-1">Supply/Demand Advantage:</p>
-                      <p className="text-gray-800">{analysis.moatAnalysis.supplyOrDemandAdvantage}</p>
+                      <p className="text-gray-600 font-medium mb-1">Moat Strength:</p>
+                      <p className="text-gray-800 text-lg font-bold">{analysis.moatAnalysis.moatStrength}</p>
                     </div>
-                  )}
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Evidence:</p>
-                    <p className="text-gray-800">{analysis.moatAnalysis.evidenceForMoat}</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Durability:</p>
-                    <p className="text-gray-800">{analysis.moatAnalysis.moatDurability}</p>
-                  </div>
-                  {analysis.moatAnalysis.threatsToMoat && (
+                    {analysis.moatAnalysis.moatStrengthRating && (
+                      <div>
+                        <p className="text-gray-600 font-medium mb-1">Moat Strength Rating:</p>
+                        <p className="text-gray-800 text-lg font-bold">{analysis.moatAnalysis.moatStrengthRating}/10</p>
+                      </div>
+                    )}
+                    {analysis.moatAnalysis.supplyOrDemandAdvantage && (
+                      <div>
+                        <p className="text-gray-600 font-medium mb-1">Supply/Demand Advantage:</p>
+                        <p className="text-gray-800"><CitedText text={analysis.moatAnalysis.supplyOrDemandAdvantage} citations={analysis.citations} /></p>
+                      </div>
+                    )}
                     <div>
-                      <p className="text-gray-600 font-medium mb-1">Threats to Moat:</p>
-                      <p className="text-gray-800">{analysis.moatAnalysis.threatsToMoat}</p>
+                      <p className="text-gray-600 font-medium mb-1">Evidence:</p>
+                      <p className="text-gray-800"><CitedText text={analysis.moatAnalysis.evidenceForMoat} citations={analysis.citations} /></p>
                     </div>
-                  )}
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Link to ROIC:</p>
-                    <p className="text-gray-800">{analysis.moatAnalysis.linkToROIC}</p>
-                  </div>
-                  {analysis.moatAnalysis.comparativeMoat && (
                     <div>
-                      <p className="text-gray-600 font-medium mb-1">Comparative Moat:</p>
-                      <p className="text-gray-800">{analysis.moatAnalysis.comparativeMoat}</p>
+                      <p className="text-gray-600 font-medium mb-1">Durability:</p>
+                      <p className="text-gray-800"><CitedText text={analysis.moatAnalysis.moatDurability} citations={analysis.citations} /></p>
                     </div>
-                  )}
-                  {analysis.moatAnalysis.measurability && (
+                    {analysis.moatAnalysis.threatsToMoat && (
+                      <div>
+                        <p className="text-gray-600 font-medium mb-1">Threats to Moat:</p>
+                        <p className="text-gray-800"><CitedText text={analysis.moatAnalysis.threatsToMoat} citations={analysis.citations} /></p>
+                      </div>
+                    )}
                     <div>
-                      <p className="text-gray-600 font-medium mb-1">Measurability:</p>
-                      <p className="text-gray-800">{analysis.moatAnalysis.measurability}</p>
+                      <p className="text-gray-600 font-medium mb-1">Link to ROIC:</p>
+                      <p className="text-gray-800"><CitedText text={analysis.moatAnalysis.linkToROIC} citations={analysis.citations} /></p>
                     </div>
-                  )}
-                </div>
-              )}
-            </div>
+                    {analysis.moatAnalysis.comparativeMoat && (
+                      <div>
+                        <p className="text-gray-600 font-medium mb-1">Comparative Moat:</p>
+                        <p className="text-gray-800"><CitedText text={analysis.moatAnalysis.comparativeMoat} citations={analysis.citations} /></p>
+                      </div>
+                    )}
+                    {analysis.moatAnalysis.measurability && (
+                      <div>
+                        <p className="text-gray-600 font-medium mb-1">Measurability:</p>
+                        <p className="text-gray-800"><CitedText text={analysis.moatAnalysis.measurability} citations={analysis.citations} /></p>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
 
 
             {/* Capital Allocation & Base Rates */}
             {analysis.capitalAllocation && (
               <div className="bg-white rounded-2xl shadow-xl border-2 border-orange-200 overflow-hidden">
-                <button
-                  onClick={() => toggleSection('capitalAllocation')}
-                  className="w-full px-8 py-6 flex items-center justify-between bg-gradient-to-r from-orange-50 to-amber-50 hover:from-orange-100 hover:to-amber-100 transition-colors"
-                >
-                  <div className="flex items-center gap-3">
-                    <PieChart size={28} className="text-orange-600" />
-                    <h3 className="text-2xl font-bold text-gray-800">Capital Allocation & Base Rates</h3>
-                  </div>
-                  {expandedSections.capitalAllocation ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
-                </button>
+                <div className="flex bg-gradient-to-r from-orange-50 to-amber-50">
+                  <button
+                    onClick={() => toggleSection('capitalAllocation')}
+                    className="flex-1 px-8 py-6 flex items-center justify-between bg-gradient-to-r from-orange-50 to-amber-50 hover:from-orange-100 hover:to-amber-100 transition-colors"
+                  >
+                    <div className="flex items-center gap-3">
+                      <PieChart size={28} className="text-orange-600" />
+                      <h3 className="text-2xl font-bold text-gray-800">Capital Allocation & Base Rates</h3>
+                    </div>
+                    {expandedSections.capitalAllocation ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
+                  </button>
+                  <RegenerateButton
+                    onClick={() => handleRegenerate('capitalAllocation')}
+                    busy={Boolean(regenerating.capitalAllocation)}
+                    disabled={isAnalyzing || analysis.partial}
+                  />
+                </div>
 
                 {expandedSections.capitalAllocation && (
                   <div className="p-8 space-y-6">
@@ -1244,24 +1437,24 @@ Generated: ${new Date().toLocaleString()}
                       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                         <div>
                           <p className="text-gray-600 mb-1">Total Operating Cash Flow:</p>
-                          <p className="text-xl font-bold text-gray-900">{analysis.capitalAllocation.operatingCashFlow}</p>
+                          <p className="text-xl font-bold text-gray-900">{analysis.capitalAllocation.operatingCashFlow}<CrossCheckWarning crossCheck={analysis.crossCheck} path="capitalAllocation.operatingCashFlow" /></p>
                         </div>
                         <div className="space-y-2">
                           <div className="flex justify-between">
                             <span className="text-gray-600">CapEx (Reinvestment):</span>
-                            <span className="font-medium">{analysis.capitalAllocation.capex}</span>
+                            <span className="font-medium">{analysis.capitalAllocation.capex}<CrossCheckWarning crossCheck={analysis.crossCheck} path="capitalAllocation.capex" /></span>
                           </div>
                           <div className="flex justify-between">
                             <span className="text-gray-600">Acquisitions (Inorganic):</span>
-                            <span className="font-medium">{analysis.capitalAllocation.acquisitions}</span>
+                            <span className="font-medium">{analysis.capitalAllocation.acquisitions}<CrossCheckWarning crossCheck={analysis.crossCheck} path="capitalAllocation.acquisitions" /></span>
                           </div>
                           <div className="flex justify-between">
                             <span className="text-gray-600">Stock Buybacks:</span>
-                            <span className="font-medium">{analysis.capitalAllocation.buybacks}</span>
+                            <span className="font-medium">{analysis.capitalAllocation.buybacks}<CrossCheckWarning crossCheck={analysis.crossCheck} path="capitalAllocation.buybacks" /></span>
                           </div>
                           <div className="flex justify-between">
                             <span className="text-gray-600">Dividends:</span>
-                            <span className="font-medium">{analysis.capitalAllocation.dividends}</span>
+                            <span className="font-medium">{analysis.capitalAllocation.dividends}<CrossCheckWarning crossCheck={analysis.crossCheck} path="capitalAllocation.dividends" /></span>
                           </div>
                         </div>
                       </div>
@@ -1287,53 +1480,78 @@ Generated: ${new Date().toLocaleString()}
             )}
 
             {/* Earnings Call Sentiment */}
-            {analysis.earningsCallSentiment && (
+            {/* Shown without an analysis too, so transcripts can be uploaded for it */}
+            {(analysis.earningsCallSentiment || !analysis.partial) && (
               <div className="bg-white rounded-2xl shadow-xl border-2 border-green-200 overflow-hidden">
-                <button
-                  onClick={() => toggleSection('earnings')}
-                  className="w-full px-8 py-6 flex items-center justify-between bg-gradient-to-r from-green-50 to-emerald-50 hover:from-green-100 hover:to-emerald-100 transition-colors"
-                >
-                  <div className="flex items-center gap-3">
-                    <TrendingUp size={28} className="text-green-600" />
-                    <h3 className="text-2xl font-bold text-gray-800">Earnings Call Sentiment</h3>
-                  </div>
-                  {expandedSections.earnings ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
-                </button>
+                <div className="flex bg-gradient-to-r from-green-50 to-emerald-50">
+                  <button
+                    onClick={() => toggleSection('earnings')}
+                    className="flex-1 px-8 py-6 flex items-center justify-between bg-gradient-to-r from-green-50 to-emerald-50 hover:from-green-100 hover:to-emerald-100 transition-colors"
+                  >
+                    <div className="flex items-center gap-3">
+                      <TrendingUp size={28} className="text-green-600" />
+                      <h3 className="text-2xl font-bold text-gray-800">Earnings Call Sentiment</h3>
+                    </div>
+                    {expandedSections.earnings ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
+                  </button>
+                  <RegenerateButton
+                    onClick={() => handleRegenerate('earnings')}
+                    busy={Boolean(regenerating.earnings)}
+                    disabled={isAnalyzing || analysis.partial}
+                  />
+                </div>
 
                 {expandedSections.earnings && (
                   <div className="p-8 space-y-4">
-                    <div>
-                      <p className="text-gray-600 font-medium mb-1">Overall Sentiment:</p>
-                      <p className="text-gray-800">{analysis.earningsCallSentiment.overallSentiment}</p>
-                    </div>
-                    <div>
-                      <p className="text-gray-600 font-medium mb-1">Beat/Miss Pattern:</p>
-                      <p className="text-gray-800">{analysis.earningsCallSentiment.beatMissPattern}</p>
-                    </div>
-                    <div>
-                      <p className="text-gray-600 font-medium mb-1">Management Credibility:</p>
-                      <p className="text-gray-800">{analysis.earningsCallSentiment.managementCredibility}</p>
-                    </div>
-                    <div>
-                      <p className="text-gray-600 font-medium mb-1">Earnings Quality:</p>
-                      <p className="text-gray-800">{analysis.earningsCallSentiment.earningsQuality}</p>
-                    </div>
-                    <div>
-                      <p className="text-gray-600 font-medium mb-1">Forward Guidance:</p>
-                      <p className="text-gray-800">{analysis.earningsCallSentiment.forwardGuidance}</p>
-                    </div>
-                    <div>
-                      <p className="text-gray-600 font-medium mb-1">Red Flags:</p>
-                      <p className="text-gray-800">{analysis.earningsCallSentiment.redFlags}</p>
-                    </div>
-                    <div>
-                      <p className="text-gray-600 font-medium mb-1">Positive Signals:</p>
-                      <p className="text-gray-800">{analysis.earningsCallSentiment.positiveSignals}</p>
-                    </div>
-                    <div>
-                      <p className="text-gray-600 font-medium mb-1">Sentiment Score:</p>
-                      <p className="text-gray-800">{analysis.earningsCallSentiment.sentimentScore}/10</p>
-                    </div>
+                    <TranscriptPanel
+                      key={analysis.ticker}
+                      ticker={analysis.ticker}
+                      onAnalyze={() => handleRegenerate('earnings')}
+                      busy={Boolean(regenerating.earnings)}
+                      disabled={isAnalyzing || analysis.partial}
+                    />
+                    {analysis.earningsCallSentiment && (
+                      <>
+                        <div>
+                          <p className="text-gray-600 font-medium mb-1">Overall Sentiment:</p>
+                          <p className="text-gray-800"><CitedText text={analysis.earningsCallSentiment.overallSentiment} citations={analysis.citations} /></p>
+                        </div>
+                        {analysis.earningsCallSentiment.keyQuotes && (
+                          <div>
+                            <p className="text-gray-600 font-medium mb-1">Key Quotes:</p>
+                            <p className="text-gray-800 italic"><CitedText text={analysis.earningsCallSentiment.keyQuotes} citations={analysis.citations} /></p>
+                          </div>
+                        )}
+                        <div>
+                          <p className="text-gray-600 font-medium mb-1">Beat/Miss Pattern:</p>
+                          <p className="text-gray-800"><CitedText text={analysis.earningsCallSentiment.beatMissPattern} citations={analysis.citations} /></p>
+                        </div>
+                        <div>
+                          <p className="text-gray-600 font-medium mb-1">Management Credibility:</p>
+                          <p className="text-gray-800"><CitedText text={analysis.earningsCallSentiment.managementCredibility} citations={analysis.citations} /></p>
+                        </div>
+                        <div>
+                          <p className="text-gray-600 font-medium mb-1">Earnings Quality:</p>
+                          <p className="text-gray-800"><CitedText text={analysis.earningsCallSentiment.earningsQuality} citations={analysis.citations} /></p>
+                        </div>
+                        <div>
+                          <p className="text-gray-600 font-medium mb-1">Forward Guidance:</p>
+                          <p className="text-gray-800"><CitedText text={analysis.earningsCallSentiment.forwardGuidance} citations={analysis.citations} /></p>
+                        </div>
+                        <div>
+                          <p className="text-gray-600 font-medium mb-1">Red Flags:</p>
+                          <p className="text-gray-800"><CitedText text={analysis.earningsCallSentiment.redFlags} citations={analysis.citations} /></p>
+                        </div>
+                        <div>
+                          <p className="text-gray-600 font-medium mb-1">Positive Signals:</p>
+                          <p className="text-gray-800"><CitedText text={analysis.earningsCallSentiment.positiveSignals} citations={analysis.citations} /></p>
+                        </div>
+                        <div>
+                          <p className="text-gray-600 font-medium mb-1">Sentiment Score:</p>
+                          <p className="text-gray-800">{analysis.earningsCallSentiment.sentimentScore}/10</p>
+                        </div>
+                      </>
+                    )}
                   </div>
                 )}
               </div>
@@ -1342,16 +1560,23 @@ Generated: ${new Date().toLocaleString()}
             {/* Market Efficiency & Narratives (BAIT) */}
             {analysis.marketEfficiency && (
               <div className="bg-white rounded-2xl shadow-xl border-2 border-gray-200 overflow-hidden">
-                <button
-                  onClick={() => toggleSection('marketEfficiency')}
-                  className="w-full px-8 py-6 flex items-center justify-between bg-gradient-to-r from-gray-50 to-slate-50 hover:from-gray-100 hover:to-slate-100 transition-colors"
-                >
-                  <div className="flex items-center gap-3">
-                    <Users size={28} className="text-gray-600" />
-                    <h3 className="text-2xl font-bold text-gray-800">Who Is On The Other Side?</h3>
-                  </div>
-                  {expandedSections.marketEfficiency ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
-                </button>
+                <div className="flex bg-gradient-to-r from-gray-50 to-slate-50">
+                  <button
+                    onClick={() => toggleSection('marketEfficiency')}
+                    className="flex-1 px-8 py-6 flex items-center justify-between bg-gradient-to-r from-gray-50 to-slate-50 hover:from-gray-100 hover:to-slate-100 transition-colors"
+                  >
+                    <div className="flex items-center gap-3">
+                      <Users size={28} className="text-gray-600" />
+                      <h3 className="text-2xl font-bold text-gray-800">Who Is On The Other Side?</h3>
+                    </div>
+                    {expandedSections.marketEfficiency ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
+                  </button>
+                  <RegenerateButton
+                    onClick={() => handleRegenerate('marketEfficiency')}
+                    busy={Boolean(regenerating.marketEfficiency)}
+                    disabled={isAnalyzing || analysis.partial}
+                  />
+                </div>
 
                 {expandedSections.marketEfficiency && (
                   <div className="p-8 space-y-6">
@@ -1416,157 +1641,256 @@ Generated: ${new Date().toLocaleString()}
             )}
 
             {/* Expectations Investing */}
-            <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
-              <button
-                onClick={() => toggleSection('expectations')}
-                className="w-full px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
-              >
-                <div className="flex items-center gap-3">
-                  <TrendingUp size={28} className="text-purple-600" />
-                  <h3 className="text-2xl font-bold text-gray-800">Expectations Investing</h3>
+            {analysis.expectationsAnalysis && (
+              <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
+                <div className="flex bg-gradient-to-r from-purple-50 to-pink-50">
+                  <button
+                    onClick={() => toggleSection('expectations')}
+                    className="flex-1 px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
+                  >
+                    <div className="flex items-center gap-3">
+                      <TrendingUp size={28} className="text-purple-600" />
+                      <h3 className="text-2xl font-bold text-gray-800">Expectations Investing</h3>
+                    </div>
+                    {expandedSections.expectations ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
+                  </button>
+                  <RegenerateButton
+                    onClick={() => handleRegenerate('expectations')}
+                    busy={Boolean(regenerating.expectations)}
+                    disabled={isAnalyzing || analysis.partial}
+                  />
                 </div>
-                {expandedSections.expectations ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
-              </button>
 
-              {expandedSections.expectations && (
-                <div className="p-8 space-y-4">
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Implied Expectations:</p>
-                    <p className="text-gray-800">{analysis.expectationsAnalysis.impliedExpectations}</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Current Valuation:</p>
-                    <p className="text-gray-800">{analysis.expectationsAnalysis.currentValuation}</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Scenario Analysis:</p>
-                    <div className="text-gray-800">
-                      {typeof analysis.expectationsAnalysis.scenarioAnalysis === 'object' && analysis.expectationsAnalysis.scenarioAnalysis !== null ? (
-                        <div className="space-y-1">
-                          <p>Bull: {analysis.expectationsAnalysis.scenarioAnalysis.bull || 'N/A'}</p>
-                          <p>Base: {analysis.expectationsAnalysis.scenarioAnalysis.base || 'N/A'}</p>
-                          <p>Bear: {analysis.expectationsAnalysis.scenarioAnalysis.bear || 'N/A'}</p>
+                {expandedSections.expectations && (
+                  <div className="p-8 space-y-4">
+                    {analysis.metrics?.reverseDCF?.available && (
+                      <div className="bg-purple-50 border-2 border-purple-200 p-6 rounded-xl">
+                        <h4 className="font-bold text-lg text-purple-900 mb-1">Market-Implied Expectations (Reverse DCF)</h4>
+                        <p className="text-sm text-gray-500 mb-4">
+                          EV {formatCurrency(analysis.metrics.reverseDCF.inputs.enterpriseValue, 1, analysis.currency)} vs. steady-state value {formatCurrency(analysis.metrics.reverseDCF.steadyStateValue, 1, analysis.currency)}
+                          {' — '}{formatPercentage(analysis.metrics.reverseDCF.futureValueShare)} of value is priced-in future growth
+                        </p>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                          <div className="bg-white p-4 rounded-lg shadow-sm">
+                            <p className="text-sm text-gray-600">Implied Sales Growth</p>
+                            <p className="text-2xl font-bold text-purple-700">{describeImpliedGrowth(analysis.metrics.reverseDCF)}</p>
+                            <p className="text-xs text-gray-500">per year over {analysis.metrics.reverseDCF.inputs.forecastYears} years</p>
+                          </div>
+                          <div className="bg-white p-4 rounded-lg shadow-sm">
+                            <p className="text-sm text-gray-600">Implied CAP</p>
+                            <p className="text-2xl font-bold text-purple-700">
+                              {describeImpliedCAP(analysis.metrics.reverseDCF)}
+                            </p>
+                            <p className="text-xs text-gray-500">at self-funded growth of {formatPercentage(analysis.metrics.reverseDCF.baselineGrowth)}</p>
+                          </div>
+                          <div className="bg-white p-4 rounded-lg shadow-sm">
+                            <p className="text-sm text-gray-600">Implied ROIC on New Capital</p>
+                            <p className="text-2xl font-bold text-purple-700">{formatPercentage(analysis.metrics.reverseDCF.impliedROIC)}</p>
+                            <p className="text-xs text-gray-500">reinvesting {formatPercentage(analysis.metrics.reverseDCF.inputs.reinvestmentRate)} of NOPAT ({analysis.metrics.reverseDCF.reinvestmentSource})</p>
+                          </div>
                         </div>
-                      ) : (
-                        <p>{analysis.expectationsAnalysis.scenarioAnalysis}</p>
-                      )}
+                      </div>
+                    )}
+                    <GrowthBaseRates growth={analysis.metrics?.growth} />
+                    <div>
+                      <p className="text-gray-600 font-medium mb-1">Implied Expectations:</p>
+                      <p className="text-gray-800">{analysis.expectationsAnalysis.impliedExpectations}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-600 font-medium mb-1">Current Valuation:</p>
+                      <p className="text-gray-800">{analysis.expectationsAnalysis.currentValuation}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-600 font-medium mb-1">Scenario Analysis:</p>
+                      <div className="text-gray-800">
+                        {typeof analysis.expectationsAnalysis.scenarioAnalysis === 'object' && analysis.expectationsAnalysis.scenarioAnalysis !== null ? (
+                          <div className="space-y-1">
+                            <p>Bull: {analysis.expectationsAnalysis.scenarioAnalysis.bull || 'N/A'}</p>
+                            <p>Base: {analysis.expectationsAnalysis.scenarioAnalysis.base || 'N/A'}</p>
+                            <p>Bear: {analysis.expectationsAnalysis.scenarioAnalysis.bear || 'N/A'}</p>
+                          </div>
+                        ) : (
+                          <p>{analysis.expectationsAnalysis.scenarioAnalysis}</p>
+                        )}
+                      </div>
+                    </div>
+                    <div>
+                      <p className="text-gray-600 font-medium mb-1">Probability Weighted:</p>
+                      <p className="text-gray-800">{analysis.expectationsAnalysis.probabilityWeighted}</p>
                     </div>
                   </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Probability Weighted:</p>
-                    <p className="text-gray-800">{analysis.expectationsAnalysis.probabilityWeighted}</p>
+                )}
+              </div>
+            )}
+
+            {/* What-If Assumptions */}
+            {analysis.metrics?.roic && analysis.metrics?.wacc && (
+              <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
+                <button
+                  onClick={() => toggleSection('assumptions')}
+                  className="w-full px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
+                >
+                  <div className="flex items-center gap-3">
+                    <SlidersHorizontal size={28} className="text-purple-600" />
+                    <h3 className="text-2xl font-bold text-gray-800">What-If Assumptions</h3>
                   </div>
-                </div>
-              )}
-            </div>
+                  {expandedSections.assumptions ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
+                </button>
+
+                {expandedSections.assumptions && (
+                  <div className="p-8">
+                    <AssumptionsPanel key={analysis.ticker} metrics={analysis.metrics} currency={analysis.currency} />
+                  </div>
+                )}
+              </div>
+            )}
 
             {/* Probabilistic Thinking */}
-            <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
-              <button
-                onClick={() => toggleSection('probabilistic')}
-                className="w-full px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
-              >
-                <div className="flex items-center gap-3">
-                  <Target size={28} className="text-purple-600" />
-                  <h3 className="text-2xl font-bold text-gray-800">Probabilistic Thinking</h3>
+            {analysis.probabilistic && (
+              <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
+                <div className="flex bg-gradient-to-r from-purple-50 to-pink-50">
+                  <button
+                    onClick={() => toggleSection('probabilistic')}
+                    className="flex-1 px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
+                  >
+                    <div className="flex items-center gap-3">
+                      <Target size={28} className="text-purple-600" />
+                      <h3 className="text-2xl font-bold text-gray-800">Probabilistic Thinking</h3>
+                    </div>
+                    {expandedSections.probabilistic ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
+                  </button>
+                  <RegenerateButton
+                    onClick={() => handleRegenerate('probabilistic')}
+                    busy={Boolean(regenerating.probabilistic)}
+                    disabled={isAnalyzing || analysis.partial}
+                  />
                 </div>
-                {expandedSections.probabilistic ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
-              </button>
 
-              {expandedSections.probabilistic && (
-                <div className="p-8 space-y-4">
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Base Rates:</p>
-                    <p className="text-gray-800">{analysis.probabilistic.baseRates}</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Skill vs Luck:</p>
-                    <p className="text-gray-800">{analysis.probabilistic.skillVsLuck}</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Key Uncertainties:</p>
-                    <p className="text-gray-800">{analysis.probabilistic.keyUncertainties}</p>
+                {expandedSections.probabilistic && (
+                  <div className="p-8 space-y-4">
+                    <div>
+                      <p className="text-gray-600 font-medium mb-1">Base Rates:</p>
+                      <p className="text-gray-800">{analysis.probabilistic.baseRates}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-600 font-medium mb-1">Skill vs Luck:</p>
+                      <p className="text-gray-800">{analysis.probabilistic.skillVsLuck}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-600 font-medium mb-1">Key Uncertainties:</p>
+                      <p className="text-gray-800">{analysis.probabilistic.keyUncertainties}</p>
+                    </div>
                   </div>
-                </div>
-              )}
-            </div>
+                )}
+              </div>
+            )}
 
             {/* Management Quality */}
-            <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
-              <button
-                onClick={() => toggleSection('management')}
-                className="w-full px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
-              >
-                <div className="flex items-center gap-3">
-                  <Users size={28} className="text-purple-600" />
-                  <h3 className="text-2xl font-bold text-gray-800">Management Quality</h3>
+            {analysis.management && (
+              <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
+                <div className="flex bg-gradient-to-r from-purple-50 to-pink-50">
+                  <button
+                    onClick={() => toggleSection('management')}
+                    className="flex-1 px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
+                  >
+                    <div className="flex items-center gap-3">
+                      <Users size={28} className="text-purple-600" />
+                      <h3 className="text-2xl font-bold text-gray-800">Management Quality</h3>
+                    </div>
+                    {expandedSections.management ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
+                  </button>
+                  <RegenerateButton
+                    onClick={() => handleRegenerate('management')}
+                    busy={Boolean(regenerating.management)}
+                    disabled={isAnalyzing || analysis.partial}
+                  />
                 </div>
-                {expandedSections.management ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
-              </button>
 
-              {expandedSections.management && (
-                <div className="p-8 space-y-4">
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Capital Allocation:</p>
-                    <p className="text-gray-800">{analysis.management.capitalAllocation}</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Strategic Thinking:</p>
-                    <p className="text-gray-800">{analysis.management.strategicThinking}</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-1">Overall Assessment:</p>
-                    <p className="text-gray-800 font-bold">{analysis.management.overallAssessment}</p>
+                {expandedSections.management && (
+                  <div className="p-8 space-y-4">
+                    <div>
+                      <p className="text-gray-600 font-medium mb-1">Capital Allocation:</p>
+                      <p className="text-gray-800"><CitedText text={analysis.management.capitalAllocation} citations={analysis.citations} /></p>
+                    </div>
+                    <div>
+                      <p className="text-gray-600 font-medium mb-1">Strategic Thinking:</p>
+                      <p className="text-gray-800"><CitedText text={analysis.management.strategicThinking} citations={analysis.citations} /></p>
+                    </div>
+                    <div>
+                      <p className="text-gray-600 font-medium mb-1">Overall Assessment:</p>
+                      <p className="text-gray-800 font-bold"><CitedText text={analysis.management.overallAssessment} citations={analysis.citations} /></p>
+                    </div>
                   </div>
-                </div>
-              )}
-            </div>
+                )}
+              </div>
+            )}
 
             {/* Investment Conclusion */}
-            <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
-              <button
-                onClick={() => toggleSection('conclusion')}
-                className="w-full px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
-              >
-                <div className="flex items-center gap-3">
-                  <Brain size={28} className="text-purple-600" />
-                  <h3 className="text-2xl font-bold text-gray-800">Investment Conclusion</h3>
+            {analysis.conclusion && (
+              <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 overflow-hidden">
+                <div className="flex bg-gradient-to-r from-purple-50 to-pink-50">
+                  <button
+                    onClick={() => toggleSection('conclusion')}
+                    className="flex-1 px-8 py-6 flex items-center justify-between bg-gradient-to-r from-purple-50 to-pink-50 hover:from-purple-100 hover:to-pink-100 transition-colors"
+                  >
+                    <div className="flex items-center gap-3">
+                      <Brain size={28} className="text-purple-600" />
+                      <h3 className="text-2xl font-bold text-gray-800">Investment Conclusion</h3>
+                    </div>
+                    {expandedSections.conclusion ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
+                  </button>
+                  <RegenerateButton
+                    onClick={() => handleRegenerate('conclusion')}
+                    busy={Boolean(regenerating.conclusion)}
+                    disabled={isAnalyzing || analysis.partial}
+                  />
                 </div>
-                {expandedSections.conclusion ? <ChevronUp size={24} /> : <ChevronDown size={24} />}
-              </button>
 
-              {expandedSections.conclusion && (
-                <div className="p-8 space-y-6">
-                  <div className="bg-gradient-to-r from-purple-50 to-pink-50 p-6 rounded-xl">
-                    <p className="text-gray-600 font-medium mb-2">Investment Thesis:</p>
-                    <p className="text-gray-800 text-lg leading-relaxed">{analysis.conclusion.investmentThesis}</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-2">Key Risks:</p>
-                    <p className="text-gray-800">{analysis.conclusion.keyRisks}</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-2">What Would Change Our View:</p>
-                    <p className="text-gray-800">{analysis.conclusion.whatWouldChange}</p>
-                  </div>
-                  <div>
-                    <p className="text-gray-600 font-medium mb-2">Recommendation:</p>
-                    <p className="text-gray-800 font-bold text-lg">{analysis.conclusion.recommendation}</p>
+                {expandedSections.conclusion && (
+                  <div className="p-8 space-y-6">
+                    <div className="bg-gradient-to-r from-purple-50 to-pink-50 p-6 rounded-xl">
+                      <p className="text-gray-600 font-medium mb-2">Investment Thesis:</p>
+                      <p className="text-gray-800 text-lg leading-relaxed">{analysis.conclusion.investmentThesis}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-600 font-medium mb-2">Key Risks:</p>
+                      <p className="text-gray-800">{analysis.conclusion.keyRisks}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-600 font-medium mb-2">What Would Change Our View:</p>
+                      <p className="text-gray-800">{analysis.conclusion.whatWouldChange}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-600 font-medium mb-2">Recommendation:</p>
+                      <p className="text-gray-800 font-bold text-lg">{analysis.conclusion.recommendation}</p>
+                    </div>
                   </div>
+                )}
+              </div>
+            )}
+
+            {/* Sections still streaming in */}
+            {analysis.partial && (
+              <div className="bg-white rounded-2xl shadow-xl border-2 border-purple-200 p-8">
+                <div className="flex items-center gap-3 text-purple-700">
+                  <Loader className="animate-spin" size={24} />
+                  <span className="font-medium">{loadingStep || 'Writing remaining sections'}</span>
                 </div>
-              )}
-            </div>
+              </div>
+            )}
 
             {/* Export Button */}
-            <div className="flex justify-center pt-4">
-              <button
-                onClick={exportAnalysis}
-                className="flex items-center gap-3 px-10 py-5 bg-gradient-to-r from-green-600 to-emerald-600 text-white rounded-2xl font-bold text-lg hover:from-green-700 hover:to-emerald-700 transition-all shadow-2xl"
-              >
-                <Copy size={24} />
-                Download Report
-              </button>
-            </div>
+            {!analysis.partial && (
+              <div className="flex justify-center pt-4">
+                <button
+                  onClick={exportAnalysis}
+                  className="flex items-center gap-3 px-10 py-5 bg-gradient-to-r from-green-600 to-emerald-600 text-white rounded-2xl font-bold text-lg hover:from-green-700 hover:to-emerald-700 transition-all shadow-2xl"
+                >
+                  <Copy size={24} />
+                  Download Report
+                </button>
+              </div>
+            )}
           </div>
         )}
 
@@ -0,0 +1,22 @@
+import React from 'react';
+import { RefreshCw } from 'lucide-react';
+
+/**
+ * Re-runs one analysis section; sits beside a card's collapse toggle
+ * @param {Function} onClick
+ * @param {boolean} busy - The section is being regenerated
+ * @param {boolean} disabled
+ */
+const RegenerateButton = ({ onClick, busy = false, disabled = false }) => (
+  <button
+    onClick={onClick}
+    disabled={busy || disabled}
+    title="Regenerate this section"
+    aria-label="Regenerate this section"
+    className="px-6 text-gray-500 hover:text-gray-800 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+  >
+    <RefreshCw size={20} className={busy ? 'animate-spin' : ''} />
+  </button>
+);
+
+export default RegenerateButton;
@@ -0,0 +1,55 @@
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 20, right: 20, bottom: 30, left: 50 };
+
+/**
+ * Line chart of yearly ROIC with an optional WACC reference line
+ * @param {Array} years - metrics.historicalROIC.years (oldest first)
+ * @param {number|null} wacc - Cost of capital as a decimal
+ */
+const RoicTrendChart = ({ years, wacc = null }) => {
+  const points = years.filter(yr => yr.roic !== null);
+  if (points.length < 2) return null;
+
+  const values = points.map(yr => yr.roic);
+  if (wacc !== null) values.push(wacc);
+  const max = Math.max(...values, 0);
+  const min = Math.min(...values, 0);
+  const range = max - min || 1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (i) => PADDING.left + (i / (points.length - 1)) * plotWidth;
+  const y = (value) => PADDING.top + ((max - value) / range) * plotHeight;
+
+  const path = points.map((yr, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(yr.roic)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="ROIC trend">
+      {/* Zero line */}
+      <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(0)} y2={y(0)} stroke="#d1d5db" />
+      <text x={PADDING.left - 8} y={y(max) + 4} textAnchor="end" className="text-xs fill-gray-500">{(max * 100).toFixed(0)}%</text>
+      <text x={PADDING.left - 8} y={y(min) + 4} textAnchor="end" className="text-xs fill-gray-500">{(min * 100).toFixed(0)}%</text>
+
+      {wacc !== null && (
+        <g>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(wacc)} y2={y(wacc)} stroke="#6366f1" strokeDasharray="6 4" />
+          <text x={WIDTH - PADDING.right} y={y(wacc) - 6} textAnchor="end" className="text-xs fill-indigo-600">WACC {(wacc * 100).toFixed(1)}%</text>
+        </g>
+      )}
+
+      <path d={path} fill="none" stroke="#9333ea" strokeWidth="3" />
+      {points.map((yr, i) => (
+        <g key={yr.fiscalYear}>
+          <circle cx={x(i)} cy={y(yr.roic)} r="5" fill="#9333ea" />
+          <text x={x(i)} y={y(yr.roic) - 10} textAnchor="middle" className="text-xs fill-gray-700">{(yr.roic * 100).toFixed(1)}%</text>
+          <text x={x(i)} y={HEIGHT - 8} textAnchor="middle" className="text-xs fill-gray-500">{String(yr.fiscalYear).slice(0, 4)}</text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+export default RoicTrendChart;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Upload, Trash2 } from 'lucide-react';
+import { listTranscripts, uploadTranscript, deleteTranscript } from '../utils/api';
+import { formatTimeAgo } from '../utils/formatters';
+
+// "Q4 2024.txt" or "acme-2024q4.txt" -> the quarter typed into the form
+const quarterFromFilename = (filename) => {
+  const match = filename.match(/(\d{4})[\s_-]?Q([1-4])|Q([1-4])[\s_-]?(?:FY)?(\d{4})/i);
+  if (!match) return '';
+  return match[1] ? `${match[1]}Q${match[2]}` : `${match[4]}Q${match[3]}`;
+};
+
+/**
+ * Earnings call transcripts stored for a ticker: upload a .txt per quarter,
+ * list and delete them. The earnings section reads the latest ones.
+ * @param {string} ticker
+ * @param {Function} onAnalyze - Re-runs the earnings section with the stored transcripts
+ * @param {boolean} busy - The earnings section is being regenerated
+ * @param {boolean} disabled
+ */
+const TranscriptPanel = ({ ticker, onAnalyze, busy = false, disabled = false }) => {
+  const [transcripts, setTranscripts] = useState([]);
+  const [quarter, setQuarter] = useState('');
+  const [file, setFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [changed, setChanged] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setTranscripts(await listTranscripts(ticker));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [ticker]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleFile = (event) => {
+    const selected = event.target.files?.[0] || null;
+    setFile(selected);
+    if (selected && !quarter) setQuarter(quarterFromFilename(selected.name));
+  };
+
+  const handleUpload = async (event) => {
+    event.preventDefault();
+    if (!file || !quarter) return;
+    setUploading(true);
+    setError(null);
+
+    try {
+      await uploadTranscript(ticker, quarter, await file.text(), file.name);
+      setFile(null);
+      setQuarter('');
+      event.target.reset();
+      setChanged(true);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (transcriptQuarter) => {
+    setError(null);
+    try {
+      await deleteTranscript(ticker, transcriptQuarter);
+      setChanged(true);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAnalyze = () => {
+    setChanged(false);
+    onAnalyze();
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+      <p className="text-gray-600 font-medium">Earnings Call Transcripts</p>
+
+      {transcripts.length > 0 ? (
+        <ul className="text-sm text-gray-700 space-y-1">
+          {transcripts.map(transcript => (
+            <li key={transcript.quarter} className="flex items-center gap-2">
+              <span className="font-semibold">{transcript.quarter}</span>
+              <span className="text-gray-500">
+                {transcript.passages.preparedRemarks} prepared remarks, {transcript.passages.qa} Q&amp;A passages
+                {' · '}{transcript.source === 'import' ? 'imported' : 'uploaded'} {formatTimeAgo(transcript.importedAt)}
+              </span>
+              <button
+                onClick={() => handleDelete(transcript.quarter)}
+                title={`Delete the ${transcript.quarter} transcript`}
+                aria-label={`Delete the ${transcript.quarter} transcript`}
+                className="ml-auto text-gray-400 hover:text-red-600"
+              >
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">
+          No transcripts yet; the sentiment analysis is based on the earnings pattern alone.
+        </p>
+      )}
+
+      <form onSubmit={handleUpload} className="flex flex-wrap items-center gap-2 text-sm">
+        <input type="file" accept=".txt,text/plain" onChange={handleFile} className="text-gray-600" />
+        <input
+          type="text"
+          value={quarter}
+          onChange={(event) => setQuarter(event.target.value)}
+          placeholder="Quarter, e.g. 2024Q4"
+          className="w-40 px-2 py-1 border border-gray-300 rounded"
+        />
+        <button
+          type="submit"
+          disabled={!file || !quarter || uploading}
+          className="inline-flex items-center gap-1 px-3 py-1 rounded bg-green-600 text-white font-semibold disabled:opacity-50"
+        >
+          <Upload size={14} />
+          {uploading ? 'Uploading...' : 'Upload'}
+        </button>
+      </form>
+
+      {changed && (
+        <button
+          onClick={handleAnalyze}
+          disabled={busy || disabled}
+          className="text-sm text-green-700 hover:text-green-900 font-semibold disabled:opacity-50"
+        >
+          {busy ? 'Analyzing...' : 'Re-run the sentiment analysis with these transcripts'}
+        </button>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default TranscriptPanel;
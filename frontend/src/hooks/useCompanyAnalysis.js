@@ -1,6 +1,5 @@
 import { useState, useEffect } from 'react';
-import { fetchWithRetry, BACKEND_URL } from '../utils/api';
-import { parseFinancialNumber } from '../utils/formatters';
+import { fetchWithRetry, getClientId, watchQueue, formatQueueWait, BACKEND_URL } from '../utils/api';
 
 export const useCompanyAnalysis = () => {
   const [companyInput, setCompanyInput] = useState('');
@@ -9,6 +8,10 @@ export const useCompanyAnalysis = () => {
   const [loadingStep, setLoadingStep] = useState('');
   const [analysis, setAnalysis] = useState(null);
   const [error, setError] = useState(null);
+  // 'annual' uses the latest 10-K; 'ttm' sums the last four quarters
+  const [basis, setBasis] = useState('annual');
+  // ISO code to convert every amount into; '' keeps the currency the company reports in
+  const [currency, setCurrency] = useState('');
 
   // Check backend connection on mount
   useEffect(() => {
@@ -67,165 +70,39 @@ export const useCompanyAnalysis = () => {
         }
       }
 
-      // Step 2-6: Fetch all financial data in parallel
+      // Step 2: Fetch and normalize all financial data server-side
       setLoadingStep(`📊 Fetching financial data for ${ticker}...`);
 
-      const [profileResponse, incomeResponse, balanceResponse, cashFlowResponse, yahooResponse, earningsResponse] = await Promise.all([
-        fetchWithRetry(`${BACKEND_URL}/api/av/overview/${ticker}`),
-        fetchWithRetry(`${BACKEND_URL}/api/av/income-statement/${ticker}`),
-        fetchWithRetry(`${BACKEND_URL}/api/av/balance-sheet/${ticker}`),
-        fetchWithRetry(`${BACKEND_URL}/api/av/cash-flow/${ticker}`),
-        fetchWithRetry(`${BACKEND_URL}/api/yf/quote/${ticker}`),
-        fetchWithRetry(`${BACKEND_URL}/api/earnings-transcript/${ticker}`)
-      ]);
-
-      // Validate required responses
-      if (!profileResponse.ok) throw new Error('Failed to fetch company profile.');
-      if (!incomeResponse.ok) throw new Error('Failed to fetch income statement');
-      if (!balanceResponse.ok) throw new Error('Failed to fetch balance sheet');
-      if (!cashFlowResponse.ok) throw new Error('Failed to fetch cash flow statement');
-
-      // Yahoo and earnings are optional
-      const yahooOk = yahooResponse.ok;
-      const earningsOk = earningsResponse.ok;
-
-      // Parse all data
-      const [profileData, incomeData, balanceData, cashFlowData, yahooData, earningsData] = await Promise.all([
-        profileResponse.json(),
-        incomeResponse.json(),
-        balanceResponse.json(),
-        cashFlowResponse.json(),
-        yahooOk ? yahooResponse.json() : Promise.resolve(null),
-        earningsOk ? earningsResponse.json() : Promise.resolve(null)
-      ]);
+      // Alpha Vantage calls queue server-side; show the wait instead of failing
+      const clientId = getClientId();
+      const stopWatchingQueue = watchQueue(clientId, (status) => {
+        setLoadingStep(formatQueueWait(status) || `📊 Fetching financial data for ${ticker}...`);
+      });
 
-      // Validate data
-      if (!profileData || profileData.length === 0) {
-        throw new Error(`No data found for ticker: ${ticker}`);
-      }
-      if (!incomeData || incomeData.length === 0) {
-        throw new Error('No income statement data available');
-      }
-      if (!balanceData || balanceData.length === 0) {
-        throw new Error('No balance sheet data available');
-      }
-      if (!cashFlowData || cashFlowData.length === 0) {
-        throw new Error('No cash flow data available');
+      let companyResponse;
+      try {
+        companyResponse = await fetchWithRetry(`${BACKEND_URL}/api/company/${ticker}?period=${basis}${currency ? `&currency=${currency}` : ''}`, {
+          headers: { 'X-Client-Request-Id': clientId }
+        });
+      } finally {
+        stopWatchingQueue();
       }
+      const companyResult = await companyResponse.json();
 
-      // Get current year and historical data
-      const profile = profileData[0];
-      const income = incomeData[0];
-      const balance = balanceData[0];
-      const cashFlow = cashFlowData[0];
+      if (!companyResponse.ok) {
+        throw new Error(companyResult.error || `No data found for ticker: ${ticker}`);
+      }
 
-      const historicalIncome = incomeData.slice(0, Math.min(5, incomeData.length));
-      const historicalBalance = balanceData.slice(0, Math.min(5, balanceData.length));
-      const historicalCashFlow = cashFlowData.slice(0, Math.min(5, cashFlowData.length));
+      const financialData = companyResult.companyData;
 
       setLoadingStep('✓ Financial data fetched successfully');
 
-      // Prepare financial data for analysis
-      const financialData = {
-        companyName: profile.Name,
-        ticker: ticker,
-        industry: profile.Industry || profile.Sector,
-        description: profile.Description,
-        fiscalPeriod: income.fiscalDateEnding,
-        currency: profile.Currency || 'USD',
-
-        marketData: {
-          marketCap: parseFinancialNumber(profile.MarketCapitalization),
-          beta: parseFloat(profile.Beta) || null,
-          trailingPE: parseFloat(profile.PERatio) || null,
-          forwardPE: parseFloat(profile.ForwardPE) || null,
-          priceToBook: parseFloat(profile.PriceToBookRatio) || null,
-          fiftyTwoWeekHigh: parseFloat(profile['52WeekHigh']) || null,
-          fiftyTwoWeekLow: parseFloat(profile['52WeekLow']) || null,
-          sharesOutstanding: parseFinancialNumber(profile.SharesOutstanding),
-          // Note: enterpriseValue and currentPrice not available from Alpha Vantage
-          enterpriseValue: null,
-          currentPrice: null
-        },
-
-        earningsData: earningsData ? {
-          quarterlyEarnings: earningsData.quarterlyEarnings?.slice(0, 4) || [],
-          annualEarnings: earningsData.annualEarnings?.slice(0, 3) || []
-        } : null,
-
-        incomeStatement: {
-          revenue: parseFinancialNumber(income.totalRevenue),
-          costOfRevenue: parseFinancialNumber(income.costOfRevenue),
-          grossProfit: parseFinancialNumber(income.grossProfit),
-          operatingExpenses: parseFinancialNumber(income.operatingExpenses),
-          operatingIncome: parseFinancialNumber(income.operatingIncome),
-          ebitda: parseFinancialNumber(income.ebitda),
-          ebit: parseFinancialNumber(income.ebit),
-          interestExpense: parseFinancialNumber(income.interestExpense),
-          taxExpense: parseFinancialNumber(income.incomeTaxExpense),
-          netIncome: parseFinancialNumber(income.netIncome),
-          taxRate: parseFinancialNumber(income.incomeBeforeTax) !== 0
-            ? parseFinancialNumber(income.incomeTaxExpense) / parseFinancialNumber(income.incomeBeforeTax)
-            : 0.21
-        },
-
-        balanceSheet: {
-          totalAssets: parseFinancialNumber(balance.totalAssets),
-          currentAssets: parseFinancialNumber(balance.totalCurrentAssets),
-          cash: parseFinancialNumber(balance.cashAndCashEquivalentsAtCarryingValue),
-          accountsReceivable: parseFinancialNumber(balance.currentNetReceivables),
-          inventory: parseFinancialNumber(balance.inventory),
-          ppe: parseFinancialNumber(balance.propertyPlantEquipment),
-          goodwill: parseFinancialNumber(balance.goodwill),
-          intangibleAssets: parseFinancialNumber(balance.intangibleAssets),
-
-          totalLiabilities: parseFinancialNumber(balance.totalLiabilities),
-          currentLiabilities: parseFinancialNumber(balance.totalCurrentLiabilities),
-          accountsPayable: parseFinancialNumber(balance.currentAccountsPayable),
-          shortTermDebt: parseFinancialNumber(balance.shortTermDebt),
-          longTermDebt: parseFinancialNumber(balance.shortLongTermDebtTotal) - parseFinancialNumber(balance.shortTermDebt),
-
-          totalEquity: parseFinancialNumber(balance.totalShareholderEquity)
-        },
-
-        cashFlow: {
-          operatingCashFlow: parseFinancialNumber(cashFlow.operatingCashflow),
-          capitalExpenditures: Math.abs(parseFinancialNumber(cashFlow.capitalExpenditures)),
-          freeCashFlow: parseFinancialNumber(cashFlow.operatingCashflow) - Math.abs(parseFinancialNumber(cashFlow.capitalExpenditures))
-        },
-
-        historicalData: {
-          yearsAvailable: historicalIncome.length,
-          incomeStatements: historicalIncome.map(yr => ({
-            fiscalYear: yr.fiscalDateEnding,
-            revenue: parseFinancialNumber(yr.totalRevenue),
-            operatingIncome: parseFinancialNumber(yr.operatingIncome),
-            ebit: parseFinancialNumber(yr.ebit),
-            netIncome: parseFinancialNumber(yr.netIncome),
-            grossMargin: parseFinancialNumber(yr.grossProfit) / parseFinancialNumber(yr.totalRevenue)
-          })),
-          balanceSheets: historicalBalance.map(yr => ({
-            fiscalYear: yr.fiscalDateEnding,
-            totalAssets: parseFinancialNumber(yr.totalAssets),
-            totalEquity: parseFinancialNumber(yr.totalShareholderEquity),
-            totalDebt: parseFinancialNumber(yr.shortLongTermDebtTotal),
-            ppe: parseFinancialNumber(yr.propertyPlantEquipment)
-          })),
-          cashFlows: historicalCashFlow.map(yr => ({
-            fiscalYear: yr.fiscalDateEnding,
-            operatingCashFlow: parseFinancialNumber(yr.operatingCashflow),
-            capex: Math.abs(parseFinancialNumber(yr.capitalExpenditures)),
-            freeCashFlow: parseFinancialNumber(yr.operatingCashflow) - Math.abs(parseFinancialNumber(yr.capitalExpenditures))
-          }))
-        }
-      };
-
       // Perform analysis
       setLoadingStep('🧮 Calculating ROIC and applying Mauboussin framework...');
 
       const analysisResponse = await fetchWithRetry(`${BACKEND_URL}/api/analyze`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", "X-Client-Request-Id": clientId },
         body: JSON.stringify({ companyData: financialData })
       });
 
@@ -235,21 +112,28 @@ export const useCompanyAnalysis = () => {
       }
 
       const analysisData = await analysisResponse.json();
-      let analysisText = analysisData.analysis;
-
-      // Strip markdown if present
-      analysisText = analysisText.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
-
-      let parsedAnalysis;
-      try {
-        parsedAnalysis = JSON.parse(analysisText);
-      } catch (parseError) {
-        console.error("Failed to parse analysis:", parseError);
-        console.log("Raw response:", analysisText);
+      // The server validates the analysis against its schema and fills any gaps
+      const parsedAnalysis = analysisData.analysis;
+      if (!parsedAnalysis || typeof parsedAnalysis !== 'object') {
+        console.log("Raw response:", parsedAnalysis);
         throw new Error("Could not parse analysis results. Please try again.");
       }
 
-      setAnalysis(parsedAnalysis);
+      // Attach the server-calculated figures so the UI can show verified numbers
+      setAnalysis({
+        ...parsedAnalysis,
+        dataSource: analysisData.dataSource || null,
+        currency: analysisData.currency || 'USD',
+        fx: analysisData.fx || null,
+        dataQuality: analysisData.dataQuality || null,
+        metrics: analysisData.metrics || null,
+        validation: analysisData.validation || null,
+        crossCheck: analysisData.crossCheck || null,
+        citations: analysisData.citations || null,
+        usage: analysisData.usage || null,
+        provenance: analysisData.provenance || null,
+        degraded: analysisData.degraded || null
+      });
       setLoadingStep('✓ Analysis complete!');
 
     } catch (err) {
@@ -268,6 +152,10 @@ export const useCompanyAnalysis = () => {
     loadingStep,
     analysis,
     error,
+    basis,
+    setBasis,
+    currency,
+    setCurrency,
     analyzeCompany
   };
 };
@@ -92,21 +92,14 @@ describe('useCompanyAnalysis', () => {
     });
 
     // Mock API responses
-    const mockProfile = [{ Name: 'Apple Inc.', Industry: 'Technology', Currency: 'USD' }];
-    const mockIncome = [{ fiscalDateEnding: '2024-09-30', totalRevenue: 385706000000, ebit: 123456000000, grossProfit: 200000000000, operatingIncome: 120000000000, netIncome: 100000000000, incomeTaxExpense: 15000000000, incomeBeforeTax: 115000000000 }];
-    const mockBalance = [{ totalAssets: 365725000000, totalShareholderEquity: 90488000000, totalCurrentAssets: 135405000000, totalCurrentLiabilities: 145308000000, propertyPlantEquipment: 40000000000, goodwill: 0, intangibleAssets: 0 }];
-    const mockCashFlow = [{ operatingCashflow: 118254000000, capitalExpenditures: -10959000000 }];
-    const mockYahoo = { marketCap: 3500000000000, beta: 1.25, trailingPE: 35.2 };
-    const mockEarnings = { quarterlyEarnings: [], annualEarnings: [] };
-    const mockAnalysis = { analysis: JSON.stringify({ companyName: 'Apple Inc.', ticker: 'AAPL', roicAnalysis: {} }) };
+    const mockCompany = {
+      companyData: { companyName: 'Apple Inc.', ticker: 'AAPL', incomeStatement: { revenue: 385706000000 } },
+      sources: { profile: { status: 'ok' }, incomeStatement: { status: 'ok' }, balanceSheet: { status: 'ok' }, cashFlow: { status: 'ok' }, earnings: { status: 'ok' } }
+    };
+    const mockAnalysis = { analysis: { companyName: 'Apple Inc.', ticker: 'AAPL', roicAnalysis: {} } };
 
     global.fetch
-      .mockResolvedValueOnce({ ok: true, json: async () => mockProfile })     // profile
-      .mockResolvedValueOnce({ ok: true, json: async () => mockIncome })      // income
-      .mockResolvedValueOnce({ ok: true, json: async () => mockBalance })     // balance
-      .mockResolvedValueOnce({ ok: true, json: async () => mockCashFlow })    // cashflow
-      .mockResolvedValueOnce({ ok: true, json: async () => mockYahoo })       // yahoo
-      .mockResolvedValueOnce({ ok: true, json: async () => mockEarnings })    // earnings
+      .mockResolvedValueOnce({ ok: true, json: async () => mockCompany })     // company
       .mockResolvedValueOnce({ ok: true, json: async () => mockAnalysis });   // analyze
 
     act(() => {
@@ -144,22 +137,12 @@ describe('useCompanyAnalysis', () => {
 
     // Mock search response
     const mockSearchResults = [{ symbol: 'AAPL', name: 'Apple Inc.' }];
-    const mockProfile = [{ Name: 'Apple Inc.', Industry: 'Technology', Currency: 'USD' }];
-    const mockIncome = [{ fiscalDateEnding: '2024-09-30', totalRevenue: 385706000000, ebit: 123456000000, grossProfit: 200000000000, operatingIncome: 120000000000, netIncome: 100000000000, incomeTaxExpense: 15000000000, incomeBeforeTax: 115000000000 }];
-    const mockBalance = [{ totalAssets: 365725000000, totalShareholderEquity: 90488000000, totalCurrentAssets: 135405000000, totalCurrentLiabilities: 145308000000, propertyPlantEquipment: 40000000000, goodwill: 0, intangibleAssets: 0 }];
-    const mockCashFlow = [{ operatingCashflow: 118254000000, capitalExpenditures: -10959000000 }];
-    const mockYahoo = { marketCap: 3500000000000 };
-    const mockEarnings = { quarterlyEarnings: [] };
-    const mockAnalysis = { analysis: JSON.stringify({ companyName: 'Apple Inc.', ticker: 'AAPL' }) };
+    const mockCompany = { companyData: { companyName: 'Apple Inc.', ticker: 'AAPL' }, sources: {} };
+    const mockAnalysis = { analysis: { companyName: 'Apple Inc.', ticker: 'AAPL' } };
 
     global.fetch
       .mockResolvedValueOnce({ ok: true, json: async () => mockSearchResults }) // search
-      .mockResolvedValueOnce({ ok: true, json: async () => mockProfile })
-      .mockResolvedValueOnce({ ok: true, json: async () => mockIncome })
-      .mockResolvedValueOnce({ ok: true, json: async () => mockBalance })
-      .mockResolvedValueOnce({ ok: true, json: async () => mockCashFlow })
-      .mockResolvedValueOnce({ ok: true, json: async () => mockYahoo })
-      .mockResolvedValueOnce({ ok: true, json: async () => mockEarnings })
+      .mockResolvedValueOnce({ ok: true, json: async () => mockCompany })
       .mockResolvedValueOnce({ ok: true, json: async () => mockAnalysis });
 
     act(() => {
@@ -193,9 +176,9 @@ describe('useCompanyAnalysis', () => {
       expect(result.current.backendConnected).toBe(true);
     });
 
-    // Mock failed profile fetch
+    // Mock failed company data fetch
     global.fetch
-      .mockResolvedValueOnce({ ok: false, status: 500 }); // profile fails
+      .mockResolvedValueOnce({ ok: false, status: 404, json: async () => ({ error: 'Company not found' }) });
 
     act(() => {
       result.current.setCompanyInput('INVALID');
@@ -226,21 +209,11 @@ describe('useCompanyAnalysis', () => {
       expect(result.current.backendConnected).toBe(true);
     });
 
-    const mockProfile = [{ Name: 'Test Company' }];
-    const mockIncome = [{ fiscalDateEnding: '2024-09-30', totalRevenue: 1000000 }];
-    const mockBalance = [{ totalAssets: 1000000 }];
-    const mockCashFlow = [{ operatingCashflow: 100000 }];
-    const mockYahoo = { marketCap: 1000000 };
-    const mockEarnings = { quarterlyEarnings: [] };
-    const mockAnalysis = { analysis: 'Invalid JSON{' }; // Malformed JSON
+    const mockCompany = { companyData: { companyName: 'Test Company', ticker: 'TEST' }, sources: {} };
+    const mockAnalysis = { analysis: 'Invalid JSON{' }; // Unvalidated text instead of an object
 
     global.fetch
-      .mockResolvedValueOnce({ ok: true, json: async () => mockProfile })
-      .mockResolvedValueOnce({ ok: true, json: async () => mockIncome })
-      .mockResolvedValueOnce({ ok: true, json: async () => mockBalance })
-      .mockResolvedValueOnce({ ok: true, json: async () => mockCashFlow })
-      .mockResolvedValueOnce({ ok: true, json: async () => mockYahoo })
-      .mockResolvedValueOnce({ ok: true, json: async () => mockEarnings })
+      .mockResolvedValueOnce({ ok: true, json: async () => mockCompany })
       .mockResolvedValueOnce({ ok: true, json: async () => mockAnalysis });
 
     act(() => {
@@ -20,6 +20,12 @@ export const fetchWithRetry = async (url, options = {}, maxRetries = 3) => {
 
       // If rate limited, wait and retry
       if (response.status === 429) {
+        // A long Retry-After (e.g. daily quota spent) won't clear within our backoff
+        const retryAfter = Number(response.headers?.get?.('Retry-After'));
+        if (retryAfter > 60) {
+          return response;
+        }
+
         const waitTime = Math.pow(2, i) * 1000; // Exponential backoff: 1s, 2s, 4s
         console.log(`Rate limited, retrying in ${waitTime}ms...`);
         await new Promise(resolve => setTimeout(resolve, waitTime));
@@ -41,4 +47,250 @@ export const fetchWithRetry = async (url, options = {}, maxRetries = 3) => {
   throw lastError || new Error('Max retries exceeded');
 };
 
+/**
+ * Create an id that tags a client's requests in the backend's data provider queue
+ * @returns {string}
+ */
+export const createClientId = () =>
+  globalThis.crypto?.randomUUID?.() || `client-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+const CLIENT_ID_KEY = 'mauboussin_client_id';
+
+/**
+ * This browser's client id, kept in localStorage so the backend can attribute
+ * queue waits and model usage to the same client across analyses
+ * @returns {string}
+ */
+export const getClientId = () => {
+  try {
+    const stored = localStorage.getItem(CLIENT_ID_KEY);
+    if (stored) return stored;
+    const clientId = createClientId();
+    localStorage.setItem(CLIENT_ID_KEY, clientId);
+    return clientId;
+  } catch {
+    // Storage disabled: a fresh id still tags this request's queue position
+    return createClientId();
+  }
+};
+
+/**
+ * Poll the backend for a client's queue position while its requests wait on
+ * the data provider's rate limits
+ * @param {string} clientId - Sent as the X-Client-Request-Id header on the watched requests
+ * @param {Function} onStatus - Called with { queued, position, queueLength, etaSeconds }
+ * @param {number} intervalMs - Polling interval
+ * @returns {Function} Stops polling
+ */
+export const watchQueue = (clientId, onStatus, intervalMs = 3000) => {
+  let stopped = false;
+
+  const timer = setInterval(async () => {
+    try {
+      const response = await fetch(`${BACKEND_URL}/api/queue/${encodeURIComponent(clientId)}`);
+      if (response.ok && !stopped) {
+        onStatus(await response.json());
+      }
+    } catch {
+      // Progress display only; the watched request reports its own errors
+    }
+  }, intervalMs);
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+};
+
+/**
+ * Progress message for a queued client
+ * @param {object} status - From watchQueue
+ * @returns {string|null} e.g. "Waiting for data provider (~40s)", or null when not queued
+ */
+export const formatQueueWait = (status) =>
+  status?.queued ? `Waiting for data provider (~${Math.max(1, status.etaSeconds)}s)` : null;
+
+/**
+ * Split Server-Sent Events text into complete events
+ * @param {string} buffer - Text received so far
+ * @returns {{events: Array<{event: string, data: string}>, rest: string}} rest is an incomplete trailing event
+ */
+export const parseEventBlocks = (buffer) => {
+  const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  const events = [];
+
+  for (const block of blocks) {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    if (data.length > 0) events.push({ event, data: data.join('\n') });
+  }
+
+  return { events, rest };
+};
+
+/**
+ * Run a streaming analysis and dispatch its events
+ * @param {object} body - { ticker, period, assumptions? } for /api/analyze/stream
+ * @param {object} handlers - Callbacks by event name (stage, queue, sources, metrics, delta, section, result, error)
+ * @param {object} options
+ * @param {string} [options.clientId] - Sent as X-Client-Request-Id
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<void>} Resolves when the stream ends; errors during the stream arrive as the error event
+ */
+export const streamAnalysis = async (body, handlers, { clientId, signal } = {}) => {
+  const response = await fetch(`${BACKEND_URL}/api/analyze/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(clientId ? { 'X-Client-Request-Id': clientId } : {})
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Analysis failed: ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += done ? '\n\n' : decoder.decode(value, { stream: true });
+
+    const { events, rest } = parseEventBlocks(buffer);
+    buffer = rest;
+    events.forEach(({ event, data }) => handlers[event]?.(JSON.parse(data)));
+
+    if (done) return;
+  }
+};
+
+/**
+ * Regenerate one analysis section, bypassing the server's cached copy
+ * @param {string} sectionId - Card id, e.g. 'moat' or 'conclusion'
+ * @param {object} body - { ticker, period, assumptions?, analysis? }; the conclusion is rebuilt from analysis
+ * @returns {Promise<{sectionId: string, values: object, validation: object, usage: object}>} values holds the
+ *   section's analysis keys; usage is the tokens and cost of the regeneration
+ */
+export const regenerateSection = async (sectionId, body) => {
+  const response = await fetchWithRetry(`${BACKEND_URL}/api/analyze/section/${encodeURIComponent(sectionId)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Client-Request-Id': getClientId() },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Regeneration failed: ${response.status}`);
+  }
+  return data;
+};
+
+// JSON body of a transcript request, throwing its error message when it failed
+const transcriptRequest = async (path, options) => {
+  const response = await fetch(`${BACKEND_URL}/api/transcripts/${path}`, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Transcript request failed: ${response.status}`);
+  }
+  return data;
+};
+
+/**
+ * Earnings call transcripts stored for a ticker
+ * @param {string} ticker
+ * @returns {Promise<object[]>} { symbol, quarter, source, filename, importedAt, passages }, newest quarter first
+ */
+export const listTranscripts = async (ticker) =>
+  (await transcriptRequest(encodeURIComponent(ticker))).transcripts;
+
+/**
+ * Upload a transcript's text, replacing any stored for the same quarter
+ * @param {string} ticker
+ * @param {string} quarter - e.g. '2024Q4' or 'Q4 2024'
+ * @param {string} text
+ * @param {string} [filename]
+ * @returns {Promise<object>} The stored transcript's summary, as listTranscripts
+ */
+export const uploadTranscript = (ticker, quarter, text, filename) =>
+  transcriptRequest(
+    `${encodeURIComponent(ticker)}/${encodeURIComponent(quarter)}${filename ? `?filename=${encodeURIComponent(filename)}` : ''}`,
+    { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: text }
+  );
+
+/**
+ * @param {string} ticker
+ * @param {string} quarter
+ * @returns {Promise<object>}
+ */
+export const deleteTranscript = (ticker, quarter) =>
+  transcriptRequest(`${encodeURIComponent(ticker)}/${encodeURIComponent(quarter)}`, { method: 'DELETE' });
+
+// JSON body of an annual report request, throwing its error message when it failed
+const annualReportRequest = async (path, options) => {
+  const response = await fetch(`${BACKEND_URL}/api/annual-reports/${path}`, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Annual report request failed: ${response.status}`);
+  }
+  return data;
+};
+
+/**
+ * 10-K annual reports stored for a ticker
+ * @param {string} ticker
+ * @returns {Promise<object[]>} { symbol, fiscalYear, filename, importedAt, sections, missingSections },
+ *   newest fiscal year first; sections counts the excerpts per section
+ */
+export const listAnnualReports = async (ticker) =>
+  (await annualReportRequest(encodeURIComponent(ticker))).annualReports;
+
+/**
+ * Upload a 10-K, replacing any stored for the same fiscal year
+ * @param {string} ticker
+ * @param {string} fiscalYear - e.g. '2024'
+ * @param {string} content - The filing's HTML, or its text (e.g. extracted from the PDF)
+ * @param {string} [filename] - HTML when it ends in .htm or .html
+ * @returns {Promise<object>} The stored report's summary, as listAnnualReports
+ */
+export const uploadAnnualReport = (ticker, fiscalYear, content, filename) =>
+  annualReportRequest(
+    `${encodeURIComponent(ticker)}/${encodeURIComponent(fiscalYear)}${filename ? `?filename=${encodeURIComponent(filename)}` : ''}`,
+    {
+      method: 'PUT',
+      headers: { 'Content-Type': /\.html?$/i.test(filename || '') ? 'text/html' : 'text/plain' },
+      body: content
+    }
+  );
+
+/**
+ * @param {string} ticker
+ * @param {string} fiscalYear
+ * @returns {Promise<object>}
+ */
+export const deleteAnnualReport = (ticker, fiscalYear) =>
+  annualReportRequest(`${encodeURIComponent(ticker)}/${encodeURIComponent(fiscalYear)}`, { method: 'DELETE' });
+
+/**
+ * The server's FX rates table, for the reporting-currency choices
+ * @returns {Promise<{base: string, asOf: string, currencies: string[], rates: object}>}
+ */
+export const getFxRates = async () => {
+  const response = await fetch(`${BACKEND_URL}/api/fx/rates`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `FX rates request failed: ${response.status}`);
+  }
+  return data;
+};
+
 export { BACKEND_URL };
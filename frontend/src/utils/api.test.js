@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { fetchWithRetry, BACKEND_URL } from './api';
+import { fetchWithRetry, watchQueue, formatQueueWait, parseEventBlocks, streamAnalysis, regenerateSection, getClientId, uploadTranscript, uploadAnnualReport, BACKEND_URL } from './api';
 
 // Mock global fetch
 global.fetch = vi.fn();
@@ -109,6 +109,15 @@ describe('fetchWithRetry', () => {
     expect(global.fetch).toHaveBeenCalledWith('https://api.example.com/test', options);
   });
 
+  it('returns a 429 whose Retry-After outlasts the backoff', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 429, headers: { get: () => '3600' } });
+
+    const result = await fetchWithRetry('https://api.example.com/test');
+
+    expect(result.status).toBe(429);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
   it('does not retry on successful 4xx errors (except 429)', async () => {
     global.fetch.mockResolvedValueOnce({ ok: false, status: 404 });
 
@@ -130,6 +139,156 @@ describe('fetchWithRetry', () => {
   });
 });
 
+describe('watchQueue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('reports queue status until stopped', async () => {
+    const status = { queued: true, position: 2, queueLength: 3, etaSeconds: 40 };
+    global.fetch.mockResolvedValue({ ok: true, json: async () => status });
+    const onStatus = vi.fn();
+
+    const stop = watchQueue('client-1', onStatus, 1000);
+    await vi.advanceTimersByTimeAsync(2000);
+    stop();
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(global.fetch).toHaveBeenCalledWith(`${BACKEND_URL}/api/queue/client-1`);
+    expect(onStatus).toHaveBeenCalledTimes(2);
+    expect(onStatus).toHaveBeenCalledWith(status);
+  });
+});
+
+describe('formatQueueWait', () => {
+  it('describes the wait only while queued', () => {
+    expect(formatQueueWait({ queued: true, etaSeconds: 40 })).toBe('Waiting for data provider (~40s)');
+    expect(formatQueueWait({ queued: false, etaSeconds: 0 })).toBe(null);
+  });
+});
+
+describe('parseEventBlocks', () => {
+  it('returns complete events and keeps the partial tail', () => {
+    const { events, rest } = parseEventBlocks('event: stage\ndata: {"step":1}\n\ndata: a\r\ndata: b\r\n\nevent: sec');
+
+    expect(events).toEqual([
+      { event: 'stage', data: '{"step":1}' },
+      { event: 'message', data: 'a\nb' }
+    ]);
+    expect(rest).toBe('event: sec');
+  });
+});
+
+describe('streamAnalysis', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('dispatches events split across chunks to their handlers', async () => {
+    const encoder = new TextEncoder();
+    const chunks = ['event: section\ndata: {"key":"ticker",', '"value":"ACME"}\n\nevent: result\ndata: {"analysis":"{}"}'];
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      body: {
+        getReader: () => ({
+          read: async () => (chunks.length > 0 ? { done: false, value: encoder.encode(chunks.shift()) } : { done: true })
+        })
+      }
+    });
+    const section = vi.fn();
+    const result = vi.fn();
+
+    await streamAnalysis({ ticker: 'ACME' }, { section, result }, { clientId: 'c1' });
+
+    expect(section).toHaveBeenCalledWith({ key: 'ticker', value: 'ACME' });
+    expect(result).toHaveBeenCalledWith({ analysis: '{}' });
+    expect(global.fetch.mock.calls[0][1].headers['X-Client-Request-Id']).toBe('c1');
+  });
+
+  it('throws the error body of a rejected request', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 400, json: async () => ({ error: 'Ticker is required' }) });
+
+    await expect(streamAnalysis({}, {})).rejects.toThrow('Ticker is required');
+  });
+});
+
+describe('regenerateSection', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('posts to the section route and returns the new values', async () => {
+    const data = { sectionId: 'moat', values: { moatAnalysis: { summary: 'Wide' } }, validation: { defaulted: [] } };
+    global.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => data });
+
+    await expect(regenerateSection('moat', { ticker: 'ACME', period: 'annual' })).resolves.toEqual(data);
+    expect(global.fetch.mock.calls[0][0]).toBe(`${BACKEND_URL}/api/analyze/section/moat`);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ ticker: 'ACME', period: 'annual' });
+    expect(global.fetch.mock.calls[0][1].headers['X-Client-Request-Id']).toBe(getClientId());
+  });
+
+  it('throws the error body of a rejected request', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 404, json: async () => ({ error: 'Unknown section' }) });
+
+    await expect(regenerateSection('nope', {})).rejects.toThrow('Unknown section');
+  });
+});
+
+describe('uploadTranscript', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('puts the text for the quarter', async () => {
+    const summary = { symbol: 'ACME', quarter: '2024Q4', passages: { preparedRemarks: 3, qa: 5 } };
+    global.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => summary });
+
+    await expect(uploadTranscript('ACME', 'Q4 2024', 'CEO: Hello.', 'q4.txt')).resolves.toEqual(summary);
+    expect(global.fetch.mock.calls[0][0]).toBe(`${BACKEND_URL}/api/transcripts/ACME/Q4%202024?filename=q4.txt`);
+    expect(global.fetch.mock.calls[0][1]).toMatchObject({ method: 'PUT', body: 'CEO: Hello.' });
+  });
+
+  it('throws the error body of a rejected request', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 400, json: async () => ({ error: 'Invalid quarter. Use e.g. 2024Q4' }) });
+
+    await expect(uploadTranscript('ACME', 'soon', 'text')).rejects.toThrow('Invalid quarter');
+  });
+});
+
+describe('uploadAnnualReport', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('sends HTML filings as HTML and anything else as text', async () => {
+    global.fetch.mockResolvedValue({ ok: true, status: 200, json: async () => ({ fiscalYear: '2024' }) });
+
+    await uploadAnnualReport('ACME', '2024', '<p>Item 1. Business</p>', 'acme-10k.htm');
+    await uploadAnnualReport('ACME', '2024', 'Item 1. Business');
+
+    expect(global.fetch.mock.calls[0][0]).toBe(`${BACKEND_URL}/api/annual-reports/ACME/2024?filename=acme-10k.htm`);
+    expect(global.fetch.mock.calls[0][1].headers).toEqual({ 'Content-Type': 'text/html' });
+    expect(global.fetch.mock.calls[1][1].headers).toEqual({ 'Content-Type': 'text/plain' });
+  });
+});
+
+describe('getClientId', () => {
+  it('keeps the same id across calls', () => {
+    localStorage.removeItem('mauboussin_client_id');
+
+    const clientId = getClientId();
+
+    expect(clientId).toBeTruthy();
+    expect(getClientId()).toBe(clientId);
+    expect(localStorage.getItem('mauboussin_client_id')).toBe(clientId);
+  });
+});
+
 describe('BACKEND_URL', () => {
   it('uses environment variable or defaults to localhost', () => {
     expect(BACKEND_URL).toBeDefined();
@@ -0,0 +1,55 @@
+/**
+ * Helpers for transcript and annual report citations (backend/lib/transcripts.js,
+ * backend/lib/annualReports.js)
+ *
+ * The earnings section cites earnings call passages as [2024Q4-Q3] and the moat
+ * and management sections cite 10-K excerpts as [10K-2024-B3], alone or in
+ * lists like [2024Q4-R2, 2024Q3-Q1]. The server returns citations as
+ * { passages, unknown }: the cited passages by id, and the ids it could not
+ * find in the documents.
+ */
+
+const CITATION_ID = '(?:\\d{4}Q[1-4]-[RQ]\\d+|10K-\\d{4}-[A-Z]+\\d+)';
+const CITATION_GROUP = new RegExp(`\\[((?:${CITATION_ID}\\s*[,;]?\\s*)+)\\]`, 'g');
+
+/**
+ * Split text into plain parts and citation ids, in order
+ * @param {string} text
+ * @returns {Array<{text: string}|{citation: string}>}
+ */
+export const splitCitations = (text) => {
+  const parts = [];
+  let last = 0;
+
+  for (const match of String(text ?? '').matchAll(CITATION_GROUP)) {
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    match[1].split(/[,;]/).map(id => id.trim()).filter(Boolean).forEach(citation => parts.push({ citation }));
+    last = match.index + match[0].length;
+  }
+  if (last < String(text ?? '').length) parts.push({ text: String(text).slice(last) });
+  return parts;
+};
+
+/**
+ * Add a regenerated section's citations to the analysis's
+ * @param {object|null} citations
+ * @param {object} [sectionCitations] - From the section route
+ * @returns {object|null}
+ */
+export const mergeCitations = (citations, sectionCitations) => {
+  if (!sectionCitations) return citations;
+  return {
+    passages: { ...citations?.passages, ...sectionCitations.passages },
+    unknown: [...new Set([...(citations?.unknown || []), ...sectionCitations.unknown])]
+  };
+};
+
+/**
+ * "Speaker (Role), 2024Q4 Q&A: text" for a cited transcript passage, or
+ * "FY2024 10-K, Item 1. Business: text" for an annual report excerpt, for tooltips and exports
+ * @param {object} passage - From citations.passages
+ * @returns {string}
+ */
+export const describePassage = (passage) => (passage.source === 'annualReport'
+  ? `FY${passage.fiscalYear} 10-K, ${passage.section}: ${passage.text}`
+  : `${passage.speaker || 'Unknown speaker'}${passage.role ? ` (${passage.role})` : ''}, ${passage.quarter} ${passage.part === 'qa' ? 'Q&A' : 'prepared remarks'}: ${passage.text}`);
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { splitCitations, mergeCitations, describePassage } from './citations';
+
+describe('splitCitations', () => {
+  it('separates single and listed citations from the text', () => {
+    expect(splitCitations('"Margins will expand" [2024Q4-R2]; answers were direct [2024Q4-Q3, 2024Q3-Q1].')).toEqual([
+      { text: '"Margins will expand" ' },
+      { citation: '2024Q4-R2' },
+      { text: '; answers were direct ' },
+      { citation: '2024Q4-Q3' },
+      { citation: '2024Q3-Q1' },
+      { text: '.' }
+    ]);
+  });
+
+  it('recognizes annual report excerpts', () => {
+    expect(splitCitations('Renewals above 95% [10K-2024-B3; 10K-2024-RF12]')).toEqual([
+      { text: 'Renewals above 95% ' },
+      { citation: '10K-2024-B3' },
+      { citation: '10K-2024-RF12' }
+    ]);
+  });
+
+  it('leaves other brackets and plain text alone', () => {
+    expect(splitCitations('Cautious [see above]')).toEqual([{ text: 'Cautious [see above]' }]);
+    expect(splitCitations(undefined)).toEqual([]);
+  });
+});
+
+describe('mergeCitations', () => {
+  it('adds a regenerated section\'s passages and unknown ids', () => {
+    const merged = mergeCitations(
+      { passages: { '2024Q4-R1': { text: 'old' } }, unknown: ['2024Q4-Q9'] },
+      { passages: { '2024Q4-Q1': { text: 'new' } }, unknown: ['2024Q4-Q9', '2023Q1-R1'] }
+    );
+
+    expect(Object.keys(merged.passages)).toEqual(['2024Q4-R1', '2024Q4-Q1']);
+    expect(merged.unknown).toEqual(['2024Q4-Q9', '2023Q1-R1']);
+    expect(mergeCitations(null, undefined)).toBe(null);
+  });
+});
+
+describe('describePassage', () => {
+  it('names the speaker and where the passage is', () => {
+    expect(describePassage({ quarter: '2024Q4', part: 'qa', speaker: 'Jane Smith', role: 'CEO', text: 'Very.' }))
+      .toBe('Jane Smith (CEO), 2024Q4 Q&A: Very.');
+    expect(describePassage({ source: 'annualReport', fiscalYear: '2024', section: 'Item 1A. Risk Factors', text: 'Rivals.' }))
+      .toBe('FY2024 10-K, Item 1A. Risk Factors: Rivals.');
+  });
+});
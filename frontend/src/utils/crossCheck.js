@@ -0,0 +1,73 @@
+/**
+ * Helpers for the server's numeric cross-check (backend/lib/crossCheck.js)
+ *
+ * crossCheck is { checked, mismatches, unverified }: mismatches are echoed
+ * figures that disagree with the source data, unverified are narrative figures
+ * that match nothing in it. Both carry the analysis field's dot path.
+ */
+
+// Labels for the fields the server checks against a single source figure
+const FIELD_LABELS = {
+  'roicAnalysis.nopat.ebit': 'EBIT',
+  'roicAnalysis.nopat.taxRate': 'Tax rate',
+  'roicAnalysis.nopat.nopatCalculated': 'NOPAT',
+  'roicAnalysis.investedCapital.currentAssets': 'Current assets',
+  'roicAnalysis.investedCapital.currentLiabilities': 'Current liabilities',
+  'roicAnalysis.investedCapital.netWorkingCapital': 'Net working capital',
+  'roicAnalysis.investedCapital.ppe': 'PP&E',
+  'roicAnalysis.investedCapital.goodwill': 'Goodwill',
+  'roicAnalysis.investedCapital.intangibles': 'Intangibles',
+  'roicAnalysis.investedCapital.totalIC': 'Invested capital',
+  'roicAnalysis.roicCalculated.percentage': 'ROIC',
+  'roicAnalysis.dupontDecomposition.profitMargin': 'NOPAT margin',
+  'roicAnalysis.valueCreation.estimatedWACC': 'WACC',
+  'roicAnalysis.valueCreation.spread': 'ROIC - WACC spread',
+  'capitalAllocation.operatingCashFlow': 'Operating cash flow',
+  'capitalAllocation.capex': 'CapEx',
+  'capitalAllocation.acquisitions': 'Acquisitions',
+  'capitalAllocation.buybacks': 'Buybacks',
+  'capitalAllocation.dividends': 'Dividends',
+  'capitalAllocation.debtRepayment': 'Debt repayment'
+};
+
+/**
+ * @param {string} path - Analysis field dot path
+ * @returns {string}
+ */
+export const fieldLabel = (path) => FIELD_LABELS[path] || path;
+
+/**
+ * The mismatch reported for one field, if any
+ * @param {object|null} crossCheck
+ * @param {string} path
+ * @returns {object|null}
+ */
+export const findMismatch = (crossCheck, path) =>
+  crossCheck?.mismatches?.find(mismatch => mismatch.path === path) || null;
+
+/**
+ * Replace the results under regenerated top-level keys with a section's own cross-check
+ * @param {object|null} crossCheck - For the whole analysis
+ * @param {object} sectionCheck - From the section route
+ * @param {string[]} keys - The section's top-level analysis keys
+ * @returns {object|null}
+ */
+export const mergeCrossCheck = (crossCheck, sectionCheck, keys) => {
+  if (!crossCheck || !sectionCheck) return crossCheck;
+  const isReplaced = (entry) => keys.some(key => entry.path === key || entry.path.startsWith(`${key}.`));
+  const keep = (entries) => entries.filter(entry => !isReplaced(entry));
+
+  return {
+    checked: crossCheck.checked + sectionCheck.checked,
+    mismatches: [...keep(crossCheck.mismatches), ...sectionCheck.mismatches],
+    unverified: [...keep(crossCheck.unverified), ...sectionCheck.unverified]
+  };
+};
+
+/**
+ * One line per mismatch, for exports
+ * @param {object|null} crossCheck
+ * @returns {string[]}
+ */
+export const describeMismatches = (crossCheck) => (crossCheck?.mismatches || []).map(mismatch =>
+  `${fieldLabel(mismatch.path)}: analysis says ${mismatch.reported}, source data ${mismatch.expectedText}`);
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { fieldLabel, findMismatch, mergeCrossCheck, describeMismatches } from './crossCheck';
+
+const ebitMismatch = {
+  path: 'roicAnalysis.nopat.ebit',
+  kind: 'currency',
+  reported: '$3.0B',
+  value: 3e9,
+  expected: 2e9,
+  expectedText: '$2.0B',
+  source: 'metrics.roic.ebit'
+};
+
+const crossCheck = {
+  checked: 10,
+  mismatches: [ebitMismatch],
+  unverified: [{ path: 'moatAnalysis.summary', kind: 'currency', reported: '$7.5B', value: 7.5e9 }]
+};
+
+describe('findMismatch', () => {
+  it('returns the mismatch for a field', () => {
+    expect(findMismatch(crossCheck, 'roicAnalysis.nopat.ebit')).toBe(ebitMismatch);
+    expect(findMismatch(crossCheck, 'roicAnalysis.nopat.taxRate')).toBe(null);
+    expect(findMismatch(null, 'roicAnalysis.nopat.ebit')).toBe(null);
+  });
+});
+
+describe('mergeCrossCheck', () => {
+  it('replaces only the regenerated section', () => {
+    const merged = mergeCrossCheck(crossCheck, { checked: 4, mismatches: [], unverified: [] }, ['roicAnalysis']);
+
+    expect(merged.mismatches).toEqual([]);
+    expect(merged.unverified).toEqual(crossCheck.unverified);
+    expect(merged.checked).toBe(14);
+  });
+
+  it('keeps the existing result without a section check', () => {
+    expect(mergeCrossCheck(crossCheck, undefined, ['roicAnalysis'])).toBe(crossCheck);
+  });
+});
+
+describe('describeMismatches', () => {
+  it('labels known fields', () => {
+    expect(describeMismatches(crossCheck)).toEqual(['EBIT: analysis says $3.0B, source data $2.0B']);
+    expect(fieldLabel('conclusion.keyRisks')).toBe('conclusion.keyRisks');
+  });
+});
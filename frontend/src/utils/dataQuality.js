@@ -0,0 +1,106 @@
+/**
+ * Helpers for the server's data-quality report (backend/lib/dataQuality.js)
+ *
+ * dataQuality is { fields, missing, derived, imputed }: fields maps each
+ * companyData path to { status, from?, reason? }, the lists hold the paths
+ * with that status. metrics.roic and metrics.wacc list the inputs they had to
+ * do without as missingInputs, also as companyData paths. dataQuality.scorecard
+ * is { score, grade, checks } with checks as { id, label, category, weight,
+ * status: 'pass'|'warn'|'fail'|'n/a', detail }.
+ */
+
+// Names by field (the last path segment), as in the backend
+const FIELD_LABELS = {
+  revenue: 'Revenue',
+  costOfRevenue: 'Cost of Revenue',
+  grossProfit: 'Gross Profit',
+  grossMargin: 'Gross Margin',
+  operatingExpenses: 'Operating Expenses',
+  operatingIncome: 'Operating Income',
+  ebitda: 'EBITDA',
+  ebit: 'EBIT',
+  interestExpense: 'Interest Expense',
+  taxExpense: 'Tax Expense',
+  taxRate: 'Effective Tax Rate',
+  netIncome: 'Net Income',
+  totalAssets: 'Total Assets',
+  currentAssets: 'Current Assets',
+  cash: 'Cash',
+  accountsReceivable: 'Accounts Receivable',
+  inventory: 'Inventory',
+  ppe: 'PP&E',
+  goodwill: 'Goodwill',
+  intangibleAssets: 'Intangible Assets',
+  totalLiabilities: 'Total Liabilities',
+  currentLiabilities: 'Current Liabilities',
+  accountsPayable: 'Accounts Payable',
+  shortTermDebt: 'Short-term Debt',
+  longTermDebt: 'Long-term Debt',
+  totalDebt: 'Total Debt',
+  totalEquity: 'Total Equity',
+  operatingCashFlow: 'Operating Cash Flow',
+  capitalExpenditures: 'Capital Expenditures',
+  capex: 'Capital Expenditures',
+  freeCashFlow: 'Free Cash Flow',
+  dividends: 'Dividends',
+  repurchases: 'Buybacks',
+  acquisitions: 'Acquisitions',
+  debtRepayment: 'Debt Repayment',
+  marketCap: 'Market Cap',
+  sharesOutstanding: 'Shares Outstanding'
+};
+
+const HISTORY_PATH = /^historicalData\.\w+\.([^.]+)\.(\w+)$/;
+
+/**
+ * @param {string} path - companyData dot path
+ * @returns {string} e.g. 'Goodwill' or 'Revenue (2023-12-31)'
+ */
+export const describeField = (path) => {
+  const history = path.match(HISTORY_PATH);
+  const field = history ? history[2] : path.split('.').pop();
+  const label = FIELD_LABELS[field] || field;
+  return history ? `${label} (${history[1]})` : label;
+};
+
+const labels = (paths) => [...new Set((paths || []).map(describeField))];
+
+/**
+ * Inputs the verified ROIC and WACC figures were computed without
+ * @param {object|null} metrics - analysis.metrics
+ * @returns {{roic: string[], wacc: string[]}} Field names
+ */
+export const unavailableInputs = (metrics) => ({
+  roic: labels(metrics?.roic?.missingInputs),
+  wacc: labels(metrics?.wacc?.missingInputs)
+});
+
+/**
+ * @param {object|null} dataQuality - From the analysis response
+ * @returns {{missing: string[], derived: string[], imputed: string[]}} Field names; imputed ones
+ *   followed by why, e.g. 'Effective Tax Rate (Statutory rate; pre-tax income not reported)'
+ */
+export const summarizeDataQuality = (dataQuality) => ({
+  missing: labels(dataQuality?.missing),
+  derived: labels(dataQuality?.derived),
+  imputed: (dataQuality?.imputed || []).map(path => `${describeField(path)} (${dataQuality.fields[path].reason})`)
+});
+
+const STATUS_ORDER = ['fail', 'warn', 'pass', 'n/a'];
+
+/**
+ * @param {object|null} dataQuality - From the analysis response
+ * @returns {{score: number, grade: string, checks: object[], failing: object[]}|null} The scorecard with
+ *   its checks worst first and failing holding the failed and warned ones; null for analyses from
+ *   before the server scored its data
+ */
+export const readScorecard = (dataQuality) => {
+  const scorecard = dataQuality?.scorecard;
+  if (!scorecard) return null;
+  const checks = [...scorecard.checks].sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status));
+  return {
+    ...scorecard,
+    checks,
+    failing: checks.filter(check => check.status === 'fail' || check.status === 'warn')
+  };
+};
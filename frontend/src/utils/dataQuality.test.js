@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { describeField, unavailableInputs, summarizeDataQuality, readScorecard } from './dataQuality';
+
+describe('describeField', () => {
+  it('names latest-period and history fields', () => {
+    expect(describeField('balanceSheet.intangibleAssets')).toBe('Intangible Assets');
+    expect(describeField('historicalData.cashFlows.2023-12-31.capex')).toBe('Capital Expenditures (2023-12-31)');
+  });
+});
+
+describe('unavailableInputs', () => {
+  it('lists the inputs each calculation went without', () => {
+    const metrics = {
+      roic: { missingInputs: ['balanceSheet.goodwill'] },
+      wacc: { missingInputs: ['incomeStatement.interestExpense', 'marketData.marketCap'] }
+    };
+
+    expect(unavailableInputs(metrics)).toEqual({ roic: ['Goodwill'], wacc: ['Interest Expense', 'Market Cap'] });
+    expect(unavailableInputs(null)).toEqual({ roic: [], wacc: [] });
+  });
+});
+
+describe('summarizeDataQuality', () => {
+  it('names missing, derived and imputed fields', () => {
+    const dataQuality = {
+      fields: {
+        'balanceSheet.inventory': { status: 'missing' },
+        'capitalAllocationData.operatingCashFlow': { status: 'missing' },
+        'cashFlow.operatingCashFlow': { status: 'missing' },
+        'incomeStatement.taxRate': { status: 'imputed', reason: 'Statutory rate; pre-tax income not reported' }
+      },
+      missing: ['balanceSheet.inventory', 'capitalAllocationData.operatingCashFlow', 'cashFlow.operatingCashFlow'],
+      derived: [],
+      imputed: ['incomeStatement.taxRate']
+    };
+
+    expect(summarizeDataQuality(dataQuality)).toEqual({
+      missing: ['Inventory', 'Operating Cash Flow'],
+      derived: [],
+      imputed: ['Effective Tax Rate (Statutory rate; pre-tax income not reported)']
+    });
+  });
+});
+
+describe('readScorecard', () => {
+  it('orders checks worst first and picks out the failing ones', () => {
+    const check = (id, status) => ({ id, label: id, status, detail: '' });
+    const scorecard = readScorecard({
+      scorecard: { score: 70, grade: 'medium', checks: [check('coverage', 'pass'), check('history', 'warn'), check('freeCashFlow', 'n/a'), check('alignment', 'fail')] }
+    });
+
+    expect(scorecard.checks.map(entry => entry.id)).toEqual(['alignment', 'history', 'coverage', 'freeCashFlow']);
+    expect(scorecard.failing.map(entry => entry.id)).toEqual(['alignment', 'history']);
+    expect(readScorecard({ missing: [] })).toBe(null);
+  });
+});
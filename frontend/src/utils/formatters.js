@@ -2,22 +2,49 @@
  * Utility functions for formatting numbers and data display
  */
 
-export const formatCurrency = (value, decimals = 1) => {
+// Symbols for common reporting currencies; any other ISO code is printed as "CHF 45.2B"
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  EUR: '€',
+  GBP: '£',
+  JPY: '¥',
+  CNY: 'CN¥',
+  INR: '₹',
+  KRW: '₩',
+  CAD: 'C$',
+  AUD: 'A$',
+  HKD: 'HK$',
+  SGD: 'S$',
+  TWD: 'NT$',
+  BRL: 'R$'
+};
+
+/**
+ * @param {string} [currency] - ISO 4217 code; missing means USD
+ * @returns {string} What precedes an amount, e.g. '€' or 'CHF '
+ */
+export const currencySymbol = (currency) => {
+  const code = String(currency || 'USD').toUpperCase();
+  return CURRENCY_SYMBOLS[code] || `${code} `;
+};
+
+export const formatCurrency = (value, decimals = 1, currency = 'USD') => {
   if (!value || isNaN(value)) return 'N/A';
 
   const absValue = Math.abs(value);
+  const symbol = currencySymbol(currency);
 
   if (absValue >= 1e12) {
-    return `$${(value / 1e12).toFixed(decimals)}T`;
+    return `${symbol}${(value / 1e12).toFixed(decimals)}T`;
   } else if (absValue >= 1e9) {
-    return `$${(value / 1e9).toFixed(decimals)}B`;
+    return `${symbol}${(value / 1e9).toFixed(decimals)}B`;
   } else if (absValue >= 1e6) {
-    return `$${(value / 1e6).toFixed(decimals)}M`;
+    return `${symbol}${(value / 1e6).toFixed(decimals)}M`;
   } else if (absValue >= 1e3) {
-    return `$${(value / 1e3).toFixed(decimals)}K`;
+    return `${symbol}${(value / 1e3).toFixed(decimals)}K`;
   }
 
-  return `$${value.toFixed(decimals)}`;
+  return `${symbol}${value.toFixed(decimals)}`;
 };
 
 export const formatPercentage = (value, decimals = 1) => {
@@ -25,6 +52,14 @@ export const formatPercentage = (value, decimals = 1) => {
   return `${(value * 100).toFixed(decimals)}%`;
 };
 
+// Percentile ranks: 3 -> "3rd", 11 -> "11th", 42 -> "42nd"
+export const formatOrdinal = (value) => {
+  if (!Number.isFinite(value)) return 'N/A';
+  const n = Math.round(value);
+  const suffix = Math.floor(n / 10) % 10 === 1 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  return `${n}${suffix}`;
+};
+
 export const formatNumber = (value, decimals = 2) => {
   if (!value || isNaN(value)) return 'N/A';
   return value.toLocaleString('en-US', {
@@ -33,9 +68,31 @@ export const formatNumber = (value, decimals = 2) => {
   });
 };
 
+/**
+ * How long ago a timestamp was, e.g. "2 hours ago"
+ * @param {string|number} timestamp - ISO string or epoch milliseconds
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {string}
+ */
+export const formatTimeAgo = (timestamp, now = Date.now()) => {
+  const seconds = (now - new Date(timestamp).getTime()) / 1000;
+  if (!Number.isFinite(seconds)) return 'N/A';
+  if (seconds < 60) return 'just now';
+
+  const [unit, size] = [['day', 86400], ['hour', 3600], ['minute', 60]].find(([, length]) => seconds >= length);
+  const count = Math.floor(seconds / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+};
+
+/**
+ * A reported amount as a number
+ * @param {*} value - e.g. '1234.5', or "None" where Alpha Vantage has no figure
+ * @returns {number|null} null when the figure isn't reported, so it isn't mistaken for a reported 0
+ */
 export const parseFinancialNumber = (value) => {
   if (value === "None" || value === null || value === undefined || value === "") {
-    return 0;
+    return null;
   }
-  return parseFloat(value) || 0;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
 };
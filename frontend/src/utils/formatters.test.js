@@ -3,6 +3,8 @@ import {
   formatCurrency,
   formatPercentage,
   formatNumber,
+  formatOrdinal,
+  formatTimeAgo,
   parseFinancialNumber
 } from './formatters';
 
@@ -49,6 +51,12 @@ describe('formatCurrency', () => {
     expect(formatCurrency(1234567890, 0)).toBe('$1B');
     expect(formatCurrency(1234567890, 3)).toBe('$1.235B');
   });
+
+  it('uses the symbol of the reporting currency', () => {
+    expect(formatCurrency(1234567890, 1, 'EUR')).toBe('€1.2B');
+    expect(formatCurrency(-2500000, 1, 'GBP')).toBe('£-2.5M');
+    expect(formatCurrency(1234567890, 1, 'CHF')).toBe('CHF 1.2B');
+  });
 });
 
 describe('formatPercentage', () => {
@@ -87,6 +95,17 @@ describe('formatPercentage', () => {
   });
 });
 
+describe('formatOrdinal', () => {
+  it('adds the English ordinal suffix', () => {
+    expect(formatOrdinal(1)).toBe('1st');
+    expect(formatOrdinal(22)).toBe('22nd');
+    expect(formatOrdinal(63)).toBe('63rd');
+    expect(formatOrdinal(11)).toBe('11th');
+    expect(formatOrdinal(95)).toBe('95th');
+    expect(formatOrdinal(null)).toBe('N/A');
+  });
+});
+
 describe('formatNumber', () => {
   it('formats numbers with commas', () => {
     expect(formatNumber(1234567.89)).toBe('1,234,567.89');
@@ -112,6 +131,21 @@ describe('formatNumber', () => {
   });
 });
 
+describe('formatTimeAgo', () => {
+  const now = Date.parse('2025-06-01T12:00:00Z');
+
+  it('uses the largest whole unit', () => {
+    expect(formatTimeAgo('2025-06-01T11:59:30Z', now)).toBe('just now');
+    expect(formatTimeAgo('2025-06-01T11:59:00Z', now)).toBe('1 minute ago');
+    expect(formatTimeAgo('2025-06-01T09:30:00Z', now)).toBe('2 hours ago');
+    expect(formatTimeAgo('2025-05-29T12:00:00Z', now)).toBe('3 days ago');
+  });
+
+  it('handles invalid timestamps', () => {
+    expect(formatTimeAgo('not a date', now)).toBe('N/A');
+  });
+});
+
 describe('parseFinancialNumber', () => {
   it('parses valid numbers', () => {
     expect(parseFinancialNumber(123.45)).toBe(123.45);
@@ -119,24 +153,29 @@ describe('parseFinancialNumber', () => {
     expect(parseFinancialNumber('1000000')).toBe(1000000);
   });
 
-  it('handles "None" string from Alpha Vantage API', () => {
-    expect(parseFinancialNumber('None')).toBe(0);
+  it('marks "None" from Alpha Vantage as missing rather than zero', () => {
+    expect(parseFinancialNumber('None')).toBe(null);
+  });
+
+  it('marks null and undefined as missing', () => {
+    expect(parseFinancialNumber(null)).toBe(null);
+    expect(parseFinancialNumber(undefined)).toBe(null);
   });
 
-  it('handles null and undefined', () => {
-    expect(parseFinancialNumber(null)).toBe(0);
-    expect(parseFinancialNumber(undefined)).toBe(0);
+  it('marks empty strings as missing', () => {
+    expect(parseFinancialNumber('')).toBe(null);
+    expect(parseFinancialNumber('   ')).toBe(null);
   });
 
-  it('handles empty strings', () => {
-    expect(parseFinancialNumber('')).toBe(0);
-    expect(parseFinancialNumber('   ')).toBe(0);
+  it('marks invalid inputs as missing', () => {
+    expect(parseFinancialNumber('invalid')).toBe(null);
+    expect(parseFinancialNumber({})).toBe(null);
+    expect(parseFinancialNumber([])).toBe(null);
   });
 
-  it('handles invalid inputs', () => {
-    expect(parseFinancialNumber('invalid')).toBe(0);
-    expect(parseFinancialNumber({})).toBe(0);
-    expect(parseFinancialNumber([])).toBe(0);
+  it('keeps reported zeros', () => {
+    expect(parseFinancialNumber('0')).toBe(0);
+    expect(parseFinancialNumber(0)).toBe(0);
   });
 
   it('handles negative numbers', () => {
@@ -0,0 +1,51 @@
+/**
+ * Helpers for the server's growth metrics (backend/lib/growth.js)
+ *
+ * metrics.growth is { measures, baseRates }: measures maps revenue,
+ * operatingIncome, freeCashFlow and eps to { label, series, cagr } with
+ * series as { fiscalYear, value, yoy } oldest first and cagr mapping 3 and 5
+ * to { value, from, startValue, years } or null. baseRates is { source,
+ * percentiles, sector, comparisons } with comparisons as { measure:
+ * 'historical'|'implied', label, growth, horizon, cohort: { type, label },
+ * distribution, percentile }, distribution holding the growth at each of
+ * percentiles.
+ */
+
+/**
+ * @param {object|null} growth - analysis.metrics.growth
+ * @returns {Array} { id, label, latestYear, yoy, cagr3, cagr5 } for each measure with at least two years;
+ *   rates are decimals or null
+ */
+export const growthRows = (growth) => Object.entries(growth?.measures || {})
+  .filter(([, measure]) => measure.series.length > 1)
+  .map(([id, measure]) => {
+    const latest = measure.series[measure.series.length - 1];
+    return {
+      id,
+      label: measure.label,
+      latestYear: latest.fiscalYear,
+      yoy: latest.yoy,
+      cagr3: measure.cagr[3]?.value ?? null,
+      cagr5: measure.cagr[5]?.value ?? null
+    };
+  });
+
+/**
+ * Where a base-rate comparison sits on a strip from the 5th to the 95th percentile growth
+ * @param {object} comparison - One of growth.baseRates.comparisons
+ * @param {number[]} percentiles - growth.baseRates.percentiles
+ * @returns {object} { range: [low, high] growth, box: [p25, p75], median, marker } with box, median and
+ *   marker as 0-1 positions on the strip (the marker clamped to it)
+ */
+export const placeOnStrip = (comparison, percentiles) => {
+  const at = (percentile) => comparison.distribution[percentiles.indexOf(percentile)];
+  const low = comparison.distribution[0];
+  const high = comparison.distribution[comparison.distribution.length - 1];
+  const position = (value) => Math.min(1, Math.max(0, (value - low) / (high - low)));
+  return {
+    range: [low, high],
+    box: [position(at(25)), position(at(75))],
+    median: position(at(50)),
+    marker: position(comparison.growth)
+  };
+};
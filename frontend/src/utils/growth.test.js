@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { growthRows, placeOnStrip } from './growth';
+
+describe('growthRows', () => {
+  it('summarizes each measure with history', () => {
+    const growth = {
+      measures: {
+        revenue: {
+          label: 'Revenue',
+          series: [
+            { fiscalYear: '2023-12-31', value: 100, yoy: null },
+            { fiscalYear: '2024-12-31', value: 110, yoy: 0.1 }
+          ],
+          cagr: { 3: null, 5: null }
+        },
+        eps: { label: 'EPS', series: [], cagr: { 3: null, 5: null } }
+      }
+    };
+
+    expect(growthRows(growth)).toEqual([
+      { id: 'revenue', label: 'Revenue', latestYear: '2024-12-31', yoy: 0.1, cagr3: null, cagr5: null }
+    ]);
+    expect(growthRows(null)).toEqual([]);
+  });
+});
+
+describe('placeOnStrip', () => {
+  it('positions the quartiles, median and growth between the 5th and 95th percentiles', () => {
+    const comparison = { growth: 0.3, distribution: [-0.1, -0.05, 0, 0.05, 0.1, 0.15, 0.2] };
+    const strip = placeOnStrip(comparison, [5, 10, 25, 50, 75, 90, 95]);
+
+    expect(strip.range).toEqual([-0.1, 0.2]);
+    expect(strip.box[0]).toBeCloseTo(1 / 3);
+    expect(strip.box[1]).toBeCloseTo(2 / 3);
+    expect(strip.median).toBeCloseTo(0.5);
+    expect(strip.marker).toBe(1);
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Client-side valuation math for the assumptions editor
+ *
+ * Mirrors backend/lib/roic.js, wacc.js and reverseDcf.js so ROIC, WACC, economic
+ * profit and the reverse DCF can be recomputed instantly from the server metrics
+ * without requesting a new LLM analysis. Keep the formulas in sync with the backend.
+ */
+
+const MAX_CAP_YEARS = 60;
+const GROWTH_BOUNDS = [-0.5, 1];
+const SOLVER_TOLERANCE = 1e-7;
+const SOLVER_ITERATIONS = 200;
+const DEFAULT_FORECAST_YEARS = 10;
+
+const formatBound = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * The server reverse DCF's implied growth for display
+ * @param {object} reverseDCF - metrics.reverseDCF (available)
+ * @returns {string} e.g. '7.0%', or why there is none: the solver's bracket missed, or
+ *   reinvestment of 100%+ left nothing to solve
+ */
+export const describeImpliedGrowth = (reverseDCF) => {
+  if (reverseDCF.impliedGrowth !== null) return `${(reverseDCF.impliedGrowth * 100).toFixed(1)}%`;
+  if (reverseDCF.inputs.reinvestmentRate >= 1) return 'N/A';
+  const [low, high] = reverseDCF.growthBounds || GROWTH_BOUNDS;
+  return `outside ${formatBound(low)}…${formatBound(high)}`;
+};
+
+/**
+ * The server reverse DCF's implied CAP for display
+ * @param {object} reverseDCF - metrics.reverseDCF (available)
+ * @returns {string} e.g. '12 yrs'; '>60 yrs' past the search horizon, N/A when there was no
+ *   self-funded growth (no ROIC) to search with
+ */
+export const describeImpliedCAP = (reverseDCF) => {
+  if (reverseDCF.impliedCAP !== null) return `${reverseDCF.impliedCAP} yrs`;
+  if (reverseDCF.baselineGrowth === null) return 'N/A';
+  return `>${reverseDCF.maxCAPYears} yrs`;
+};
+
+const known = (...values) => values.every(Number.isFinite);
+
+const safeDivide = (numerator, denominator) => {
+  if (!Number.isFinite(numerator) || !Number.isFinite(denominator) || denominator === 0) {
+    return null;
+  }
+  return numerator / denominator;
+};
+
+/**
+ * Present value of operations: explicit FCF over the CAP plus a no-growth residual value
+ * @param {object} params - nopat, growth, years, wacc, reinvestmentRate
+ * @returns {number}
+ */
+export const valueOperations = ({ nopat, growth, years, wacc, reinvestmentRate }) => {
+  let value = 0;
+  let yearNopat = nopat;
+
+  for (let t = 1; t <= years; t++) {
+    yearNopat *= 1 + growth;
+    value += (yearNopat * (1 - reinvestmentRate)) / Math.pow(1 + wacc, t);
+  }
+
+  return value + (yearNopat / wacc) / Math.pow(1 + wacc, years);
+};
+
+const solveIncreasing = (fn, target, [low, high]) => {
+  let lo = low;
+  let hi = high;
+  if (fn(lo) > target || fn(hi) < target) return null;
+
+  for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2;
+    if (fn(mid) < target) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+    if (hi - lo < SOLVER_TOLERANCE) break;
+  }
+  return (lo + hi) / 2;
+};
+
+/**
+ * Starting values for the editor, taken from the server-calculated metrics
+ * @param {object} metrics - analysis.metrics from /api/analyze
+ * @returns {object|null} Assumptions as decimals (beta and capital intensity as multiples);
+ *   an assumption the server couldn't derive (e.g. no revenue for the margin) is null
+ */
+export const getBaseAssumptions = (metrics) => {
+  if (!metrics?.roic || !metrics?.wacc) return null;
+
+  const { roic, wacc, reverseDCF } = metrics;
+  const revenue = roic.revenue;
+
+  return {
+    taxRate: roic.taxRate,
+    riskFreeRate: wacc.assumptions.riskFreeRate,
+    equityRiskPremium: wacc.assumptions.equityRiskPremium,
+    beta: wacc.beta,
+    salesGrowth: reverseDCF?.available ? reverseDCF.impliedGrowth : null,
+    operatingMargin: safeDivide(roic.ebit, revenue),
+    capitalIntensity: safeDivide(roic.investedCapital.totalIC, revenue)
+  };
+};
+
+const recalculateReverseDCF = (serverReverseDCF, { nopat, wacc, roic, salesGrowth, capitalIntensity, revenue }) => {
+  if (!serverReverseDCF?.available || !(nopat > 0) || !(wacc > 0)) return null;
+
+  const { enterpriseValue, reinvestmentRate } = serverReverseDCF.inputs;
+  const forecastYears = serverReverseDCF.inputs.forecastYears || DEFAULT_FORECAST_YEARS;
+  const base = { nopat, wacc, reinvestmentRate };
+
+  const impliedGrowth = reinvestmentRate < 1
+    ? solveIncreasing(growth => valueOperations({ ...base, growth, years: forecastYears }), enterpriseValue, GROWTH_BOUNDS)
+    : null;
+
+  const baselineGrowth = Number.isFinite(roic) ? reinvestmentRate * roic : null;
+  let impliedCAP = null;
+  if (baselineGrowth !== null) {
+    for (let years = 0; years <= MAX_CAP_YEARS; years++) {
+      if (valueOperations({ ...base, growth: baselineGrowth, years }) >= enterpriseValue) {
+        impliedCAP = years;
+        break;
+      }
+    }
+  }
+
+  // Forward DCF at the user's growth: growing sales at constant capital intensity
+  // requires reinvesting growth × capital intensity / NOPAT margin of NOPAT
+  const nopatMargin = safeDivide(nopat, revenue);
+  const requiredReinvestment = nopatMargin && Number.isFinite(capitalIntensity)
+    ? (salesGrowth * capitalIntensity) / nopatMargin
+    : null;
+  const forwardReinvestment = requiredReinvestment !== null ? Math.min(Math.max(requiredReinvestment, 0), 0.99) : reinvestmentRate;
+  const valueAtAssumptions = Number.isFinite(salesGrowth)
+    ? valueOperations({ nopat, growth: salesGrowth, years: forecastYears, wacc, reinvestmentRate: forwardReinvestment })
+    : null;
+
+  return {
+    enterpriseValue,
+    forecastYears,
+    steadyStateValue: nopat / wacc,
+    impliedGrowth,
+    impliedROIC: impliedGrowth !== null && reinvestmentRate > 0 ? impliedGrowth / reinvestmentRate : null,
+    baselineGrowth,
+    impliedCAP,
+    maxCAPYears: MAX_CAP_YEARS,
+    valueAtAssumptions,
+    valueGap: valueAtAssumptions !== null ? safeDivide(valueAtAssumptions - enterpriseValue, enterpriseValue) : null
+  };
+};
+
+/**
+ * Recompute ROIC, WACC, economic profit and the reverse DCF under edited assumptions
+ * @param {object} metrics - analysis.metrics from /api/analyze
+ * @param {object} assumptions - Same shape as getBaseAssumptions
+ * @returns {object|null}
+ */
+export const recalculateMetrics = (metrics, assumptions) => {
+  if (!metrics?.roic || !metrics?.wacc || !assumptions) return null;
+
+  const revenue = metrics.roic.revenue;
+  const { taxRate, riskFreeRate, equityRiskPremium, beta, salesGrowth, operatingMargin, capitalIntensity } = assumptions;
+
+  // ROIC: margin × (1 - tax) / capital intensity; an unknown input leaves what depends on it null
+  const ebit = known(revenue, operatingMargin) ? revenue * operatingMargin : null;
+  const nopat = known(ebit, taxRate) ? ebit * (1 - taxRate) : null;
+  const investedCapital = known(revenue, capitalIntensity) ? revenue * capitalIntensity : null;
+  const roic = investedCapital > 0 ? safeDivide(nopat, investedCapital) : null;
+
+  // WACC keeps the server's cost of debt and capital weights
+  const costOfEquity = known(riskFreeRate, beta, equityRiskPremium) ? riskFreeRate + beta * equityRiskPremium : null;
+  const afterTaxCostOfDebt = known(metrics.wacc.costOfDebt.preTax, taxRate)
+    ? metrics.wacc.costOfDebt.preTax * (1 - taxRate)
+    : null;
+  const { equity: equityWeight, debt: debtWeight } = metrics.wacc.weights;
+  const wacc = known(costOfEquity, afterTaxCostOfDebt)
+    ? equityWeight * costOfEquity + debtWeight * afterTaxCostOfDebt
+    : null;
+
+  const spread = known(roic, wacc) ? roic - wacc : null;
+  const economicProfit = spread !== null ? spread * investedCapital : null;
+
+  return {
+    ebit,
+    nopat,
+    investedCapital,
+    roic,
+    nopatMargin: safeDivide(nopat, revenue),
+    costOfEquity,
+    afterTaxCostOfDebt,
+    wacc,
+    spread,
+    economicProfit,
+    reverseDCF: recalculateReverseDCF(metrics.reverseDCF, { nopat, wacc, roic, salesGrowth, capitalIntensity, revenue })
+  };
+};
+
+/**
+ * The server's own figures in the shape recalculateMetrics returns, for the "Reported" column.
+ * Only the value at the base growth is computed here, since the server doesn't run a forward DCF.
+ * @param {object} metrics - analysis.metrics from /api/analyze
+ * @param {object} assumptions - getBaseAssumptions(metrics)
+ * @returns {object|null}
+ */
+export const getReportedMetrics = (metrics, assumptions) => {
+  if (!metrics?.roic || !metrics?.wacc || !assumptions) return null;
+
+  const { roic, wacc, reverseDCF } = metrics;
+  const recalculated = recalculateMetrics(metrics, assumptions)?.reverseDCF;
+
+  return {
+    nopat: roic.nopat,
+    roic: roic.roic,
+    wacc: wacc.wacc,
+    spread: roic.valueCreation?.spread ?? null,
+    economicProfit: roic.valueCreation?.economicProfit ?? null,
+    reverseDCF: reverseDCF?.available
+      ? {
+        impliedGrowth: reverseDCF.impliedGrowth,
+        impliedCAP: reverseDCF.impliedCAP ?? null,
+        valueAtAssumptions: recalculated?.valueAtAssumptions ?? null,
+        valueGap: recalculated?.valueGap ?? null
+      }
+      : null
+  };
+};
@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import {
+  valueOperations,
+  getBaseAssumptions,
+  getReportedMetrics,
+  recalculateMetrics,
+  describeImpliedGrowth,
+  describeImpliedCAP
+} from './valuation';
+
+const metrics = {
+  roic: {
+    revenue: 1000,
+    ebit: 200,
+    taxRate: 0.25,
+    nopat: 150,
+    investedCapital: { totalIC: 750 },
+    roic: 0.2,
+    valueCreation: { spread: 0.2 - 0.1075, economicProfit: (0.2 - 0.1075) * 750 }
+  },
+  wacc: {
+    assumptions: { riskFreeRate: 0.045, equityRiskPremium: 0.08 },
+    beta: 1,
+    costOfDebt: { preTax: 0.05 },
+    weights: { equity: 0.8, debt: 0.2 },
+    wacc: 0.8 * 0.125 + 0.2 * 0.0375
+  },
+  reverseDCF: {
+    available: true,
+    impliedGrowth: 0.07,
+    impliedCAP: 12,
+    inputs: { enterpriseValue: 2500, reinvestmentRate: 0.3, forecastYears: 10 }
+  }
+};
+
+describe('valueOperations', () => {
+  it('reduces to NOPAT / WACC with no growth period', () => {
+    expect(valueOperations({ nopat: 100, growth: 0.1, years: 0, wacc: 0.1, reinvestmentRate: 0.3 })).toBeCloseTo(1000, 6);
+  });
+});
+
+describe('describeImpliedGrowth and describeImpliedCAP', () => {
+  const reverseDCF = { ...metrics.reverseDCF, baselineGrowth: 0.06, impliedCAP: 12, maxCAPYears: 60 };
+
+  it('formats solved values', () => {
+    expect(describeImpliedGrowth(reverseDCF)).toBe('7.0%');
+    expect(describeImpliedCAP(reverseDCF)).toBe('12 yrs');
+  });
+
+  it('tells a missed bracket or horizon from a value never computed', () => {
+    expect(describeImpliedGrowth({ ...reverseDCF, impliedGrowth: null, growthBounds: [-0.5, 1] })).toBe('outside -50%…100%');
+    expect(describeImpliedGrowth({ ...reverseDCF, impliedGrowth: null, inputs: { ...reverseDCF.inputs, reinvestmentRate: 1 } })).toBe('N/A');
+    expect(describeImpliedCAP({ ...reverseDCF, impliedCAP: null })).toBe('>60 yrs');
+    expect(describeImpliedCAP({ ...reverseDCF, impliedCAP: null, baselineGrowth: null })).toBe('N/A');
+  });
+});
+
+describe('getBaseAssumptions', () => {
+  it('derives editor defaults from server metrics', () => {
+    const assumptions = getBaseAssumptions(metrics);
+
+    expect(assumptions.operatingMargin).toBeCloseTo(0.2, 6);
+    expect(assumptions.capitalIntensity).toBeCloseTo(0.75, 6);
+    expect(assumptions.salesGrowth).toBe(0.07);
+    expect(assumptions.beta).toBe(1);
+  });
+
+  it('returns null without metrics', () => {
+    expect(getBaseAssumptions(null)).toBe(null);
+  });
+
+  it('leaves assumptions the server could not derive unknown rather than zero', () => {
+    const assumptions = getBaseAssumptions({
+      ...metrics,
+      roic: { ...metrics.roic, revenue: null },
+      reverseDCF: { available: false }
+    });
+
+    expect(assumptions.operatingMargin).toBe(null);
+    expect(assumptions.capitalIntensity).toBe(null);
+    expect(assumptions.salesGrowth).toBe(null);
+    expect(assumptions.taxRate).toBe(0.25);
+  });
+});
+
+describe('getReportedMetrics', () => {
+  it('reports the server figures as calculated', () => {
+    const reported = getReportedMetrics(metrics, getBaseAssumptions(metrics));
+
+    expect(reported.nopat).toBe(150);
+    expect(reported.roic).toBe(0.2);
+    expect(reported.wacc).toBe(metrics.wacc.wacc);
+    expect(reported.economicProfit).toBe(metrics.roic.valueCreation.economicProfit);
+    expect(reported.reverseDCF.impliedCAP).toBe(12);
+    expect(reported.reverseDCF.valueAtAssumptions).toBeGreaterThan(0);
+  });
+
+  it('keeps the server figures when revenue is unreported', () => {
+    const noRevenue = { ...metrics, roic: { ...metrics.roic, revenue: null } };
+    const reported = getReportedMetrics(noRevenue, getBaseAssumptions(noRevenue));
+
+    expect(reported.nopat).toBe(150);
+    expect(reported.roic).toBe(0.2);
+  });
+});
+
+describe('recalculateMetrics', () => {
+  it('reproduces the server figures with unchanged assumptions', () => {
+    const result = recalculateMetrics(metrics, getBaseAssumptions(metrics));
+
+    expect(result.nopat).toBeCloseTo(150, 6);
+    expect(result.roic).toBeCloseTo(0.2, 6);
+    expect(result.wacc).toBeCloseTo(metrics.wacc.wacc, 6);
+  });
+
+  it('recomputes ROIC and economic profit when margins revert', () => {
+    const result = recalculateMetrics(metrics, { ...getBaseAssumptions(metrics), operatingMargin: 0.15 });
+
+    // 1000 × 15% × (1 - 25%) / 750
+    expect(result.roic).toBeCloseTo(0.15, 6);
+    expect(result.economicProfit).toBeCloseTo((0.15 - result.wacc) * 750, 6);
+  });
+
+  it('recomputes WACC from CAPM inputs', () => {
+    const result = recalculateMetrics(metrics, { ...getBaseAssumptions(metrics), beta: 1.5 });
+
+    expect(result.costOfEquity).toBeCloseTo(0.165, 6);
+    expect(result.wacc).toBeCloseTo(0.8 * 0.165 + 0.2 * 0.0375, 6);
+  });
+
+  it('re-solves the reverse DCF against the same enterprise value', () => {
+    const result = recalculateMetrics(metrics, getBaseAssumptions(metrics));
+    const value = valueOperations({
+      nopat: result.nopat,
+      growth: result.reverseDCF.impliedGrowth,
+      years: 10,
+      wacc: result.wacc,
+      reinvestmentRate: 0.3
+    });
+
+    expect(value).toBeCloseTo(2500, 2);
+  });
+
+  it('leaves figures null instead of zero when revenue is unreported', () => {
+    const noRevenue = { ...metrics, roic: { ...metrics.roic, revenue: null } };
+    const result = recalculateMetrics(noRevenue, getBaseAssumptions(noRevenue));
+
+    expect(result.nopat).toBe(null);
+    expect(result.roic).toBe(null);
+    expect(result.economicProfit).toBe(null);
+    expect(result.reverseDCF).toBe(null);
+    expect(result.wacc).toBeCloseTo(metrics.wacc.wacc, 6);
+  });
+
+  it('values the business at the edited growth rate', () => {
+    const slow = recalculateMetrics(metrics, { ...getBaseAssumptions(metrics), salesGrowth: 0.02 });
+    const fast = recalculateMetrics(metrics, { ...getBaseAssumptions(metrics), salesGrowth: 0.1 });
+
+    expect(fast.reverseDCF.valueAtAssumptions).toBeGreaterThan(slow.reverseDCF.valueAtAssumptions);
+  });
+});